@@ -0,0 +1,254 @@
+/*!
+	wow.export (https://github.com/Kruithne/wow.export)
+	Authors: Kruithne <kruithne@gmail.com>, Marlamin <marlamin@marlamin.com>
+	License: MIT
+ */
+const log = require('../log');
+
+// M2 tracks use 0xFFFF when they do not follow a global sequence.
+const NO_GLOBAL_SEQUENCE = 65535;
+
+/**
+ * Read the animation processing options from the config.
+ * @param {object} config
+ * @returns {{start: number, end: number, fps: number, bake_global_sequences: boolean, tolerance: number}}
+ */
+const get_options = (config) => ({
+	start: Math.max(0, config.modelsExportAnimStart || 0),
+	end: Math.max(0, config.modelsExportAnimEnd || 0),
+	fps: Math.max(0, config.modelsExportAnimFrameRate || 0),
+	bake_global_sequences: config.modelsExportAnimBakeGlobalSequences === true,
+	tolerance: Math.max(0, config.modelsExportAnimKeyTolerance || 0)
+});
+
+/**
+ * Returns true if the options leave animations unchanged.
+ * @param {object} options
+ * @returns {boolean}
+ */
+const is_passthrough = (options) => options.start === 0 && options.end === 0 && options.fps === 0 && !options.bake_global_sequences && options.tolerance === 0;
+
+/**
+ * Interpolate between two keyframe values. Quaternions are slerped along the shortest path.
+ * @param {Array} a
+ * @param {Array} b
+ * @param {number} t
+ * @param {boolean} is_quat
+ * @returns {Array}
+ */
+const interpolate = (a, b, t, is_quat) => {
+	if (!is_quat)
+		return a.map((v, i) => v + (b[i] - v) * t);
+
+	let dot = a[0] * b[0] + a[1] * b[1] + a[2] * b[2] + a[3] * b[3];
+	const sign = dot < 0 ? -1 : 1;
+	dot *= sign;
+
+	let wa = 1 - t, wb = t * sign;
+	if (dot < 0.9995) {
+		const theta = Math.acos(dot);
+		const sin_theta = Math.sin(theta);
+		wa = Math.sin((1 - t) * theta) / sin_theta;
+		wb = Math.sin(t * theta) / sin_theta * sign;
+	}
+
+	const out = a.map((v, i) => v * wa + b[i] * wb);
+	const len = Math.hypot(out[0], out[1], out[2], out[3]) || 1;
+	return out.map(v => v / len);
+};
+
+/**
+ * Sample a keyframe list at the given time.
+ * @param {Array} timestamps
+ * @param {Array} values
+ * @param {number} time
+ * @param {number} interpolation
+ * @param {boolean} is_quat
+ * @returns {Array}
+ */
+const sample = (timestamps, values, time, interpolation, is_quat) => {
+	if (time <= timestamps[0])
+		return values[0];
+
+	const last = timestamps.length - 1;
+	if (time >= timestamps[last])
+		return values[last];
+
+	let i = 0;
+	while (timestamps[i + 1] <= time)
+		i++;
+
+	if (interpolation === 0)
+		return values[i];
+
+	const span = timestamps[i + 1] - timestamps[i];
+	return span > 0 ? interpolate(values[i], values[i + 1], (time - timestamps[i]) / span, is_quat) : values[i];
+};
+
+/**
+ * Remove keyframes which can be rebuilt from their neighbours within the given tolerance.
+ * @param {Array} timestamps
+ * @param {Array} values
+ * @param {number} interpolation
+ * @param {number} tolerance
+ * @param {boolean} is_quat
+ * @returns {{timestamps: Array, values: Array}}
+ */
+const reduce_keys = (timestamps, values, interpolation, tolerance, is_quat) => {
+	if (timestamps.length < 3)
+		return { timestamps, values };
+
+	const within = (a, b) => a.every((v, i) => Math.abs(v - b[i]) <= tolerance);
+	const out_timestamps = [timestamps[0]];
+	const out_values = [values[0]];
+
+	for (let i = 1, n = timestamps.length - 1; i < n; i++) {
+		const prev_time = out_timestamps[out_timestamps.length - 1];
+		const prev_value = out_values[out_values.length - 1];
+
+		let expected = prev_value;
+		if (interpolation !== 0) {
+			const span = timestamps[i + 1] - prev_time;
+			expected = span > 0 ? interpolate(prev_value, values[i + 1], (timestamps[i] - prev_time) / span, is_quat) : prev_value;
+		}
+
+		if (!within(values[i], expected)) {
+			out_timestamps.push(timestamps[i]);
+			out_values.push(values[i]);
+		}
+	}
+
+	out_timestamps.push(timestamps[timestamps.length - 1]);
+	out_values.push(values[values.length - 1]);
+
+	return { timestamps: out_timestamps, values: out_values };
+};
+
+/**
+ * Process the keyframes of a track for a single animation.
+ * @param {object} track
+ * @param {number} index Animation index.
+ * @param {object} animation
+ * @param {Array} global_loops
+ * @param {object} options
+ * @param {boolean} is_quat
+ * @returns {{timestamps: Array, values: Array}}
+ */
+const process_keys = (track, index, animation, global_loops, options, is_quat) => {
+	const global_loop = track.globalSeq !== NO_GLOBAL_SEQUENCE ? global_loops[track.globalSeq] : undefined;
+	const bake = options.bake_global_sequences && global_loop > 0;
+
+	// global sequence tracks keep their keys in the first slot, independent of the animation
+	const src_index = bake ? 0 : index;
+	const src_timestamps = track.timestamps[src_index];
+	const src_values = track.values[src_index];
+
+	if (!src_timestamps?.length || src_values?.length !== src_timestamps.length)
+		return { timestamps: [], values: [] };
+
+	const start = Math.min(options.start, animation.duration);
+	const end = options.end > start ? Math.min(options.end, animation.duration) : animation.duration;
+
+	const value_at = (time) => {
+		if (bake)
+			time %= global_loop;
+
+		return sample(src_timestamps, src_values, time, track.interpolation, is_quat);
+	};
+
+	let times;
+	if (options.fps > 0) {
+		times = [start];
+		const step = 1000 / options.fps;
+
+		// the end key is always kept, so drop a sample which would land within half a step of it
+		for (let i = 1; start + i * step < end - step / 2; i++)
+			times.push(start + i * step);
+
+		if (end > start)
+			times.push(end);
+	} else {
+		const native = new Set([start, end]);
+		if (bake) {
+			// repeat the global sequence keys across the animation
+			for (let base = Math.floor(start / global_loop) * global_loop; base <= end; base += global_loop) {
+				for (const ts of src_timestamps) {
+					if (base + ts > start && base + ts < end)
+						native.add(base + ts);
+				}
+			}
+		} else {
+			for (const ts of src_timestamps) {
+				if (ts > start && ts < end)
+					native.add(ts);
+			}
+		}
+
+		times = [...native].sort((a, b) => a - b);
+	}
+
+	let timestamps = times.map(time => time - start);
+	let values = times.map(value_at);
+
+	if (options.tolerance > 0)
+		({ timestamps, values } = reduce_keys(timestamps, values, track.interpolation, options.tolerance, is_quat));
+
+	// resampled timestamps are kept as fractional milliseconds so frames stay evenly spaced
+	return { timestamps, values };
+};
+
+/**
+ * Apply trimming, resampling, global sequence baking and key reduction to
+ * the tracks of a skeleton for the given animations.
+ * @param {Array} bones
+ * @param {Array} animations
+ * @param {Array|number} global_loops Global sequence durations.
+ * @param {object} options See get_options().
+ * @returns {{bones: Array, animations: Array, processTrack: function}}
+ */
+const process_animations = (bones, animations, global_loops, options) => {
+	if (is_passthrough(options))
+		return { bones, animations, processTrack: (track) => track };
+
+	// a single global loop is read as a plain number
+	global_loops = [].concat(global_loops ?? []);
+
+	let spline_tracks = 0;
+	const processTrack = (track, is_quat = false) => {
+		// spline tracks are not sampled, exports skip them
+		if (track.interpolation > 1) {
+			spline_tracks++;
+			return track;
+		}
+
+		if (track.globalSeq !== NO_GLOBAL_SEQUENCE && !options.bake_global_sequences)
+			return track;
+
+		const timestamps = new Array(animations.length);
+		const values = new Array(animations.length);
+
+		for (let i = 0; i < animations.length; i++)
+			({ timestamps: timestamps[i], values: values[i] } = process_keys(track, i, animations[i], global_loops, options, is_quat));
+
+		return Object.assign({}, track, { globalSeq: NO_GLOBAL_SEQUENCE, timestamps, values });
+	};
+
+	const processed_bones = bones.map(bone => Object.assign({}, bone, {
+		translation: processTrack(bone.translation),
+		rotation: processTrack(bone.rotation, true),
+		scale: processTrack(bone.scale)
+	}));
+
+	if (spline_tracks > 0)
+		log.write('Skipped trimming and resampling of %d spline animation tracks (unsupported by exports)', spline_tracks);
+
+	const processed_animations = animations.map(animation => {
+		const start = Math.min(options.start, animation.duration);
+		const end = options.end > start ? Math.min(options.end, animation.duration) : animation.duration;
+		return Object.assign({}, animation, { duration: end - start });
+	});
+
+	return { bones: processed_bones, animations: processed_animations, processTrack };
+};
+
+module.exports = { get_options, process_animations };
@@ -412,6 +412,19 @@ const CRC_BONE_NAMES = {
 	2905535025: 'fin',
 }
 
+/**
+ * Get the known name of a bone from its key bone ID or name CRC.
+ * @param {number} bone_id - The bone ID.
+ * @param {number} crc - CRC for fallback
+ * @returns {string|undefined} The bone name, if known.
+ */
+const get_bone_label = (bone_id, crc) => {
+	if (bone_id in BONE_NAMES)
+		return BONE_NAMES[bone_id];
+
+	return CRC_BONE_NAMES[crc];
+}
+
 /**
  * Get the label for a bone.
  * @param {number} bone_id  - The bone ID.
@@ -420,13 +433,11 @@ const CRC_BONE_NAMES = {
  * @returns {string} The bone label.
  */
 const get_bone_name = (bone_id, index, crc) => {
-	if (bone_id in BONE_NAMES)
-		return 'bone_' + BONE_NAMES[bone_id];
-	
-	if (crc in CRC_BONE_NAMES)
-		return 'bone_' + CRC_BONE_NAMES[crc];
+	const label = get_bone_label(bone_id, crc);
+	if (label !== undefined)
+		return 'bone_' + label;
 
 	return 'bone_' + index;
 }
 
-module.exports = { get_bone_name };
\ No newline at end of file
+module.exports = { get_bone_name, get_bone_label };
\ No newline at end of file
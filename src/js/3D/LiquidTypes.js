@@ -0,0 +1,43 @@
+/*!
+	wow.export (https://github.com/Kruithne/wow.export)
+	Authors: Kruithne <kruithne@gmail.com>
+	License: MIT
+ */
+const util = require('util');
+const log = require('../log');
+const listfile = require('../casc/listfile');
+const db2 = require('../casc/db2');
+
+const liquidTypeCache = new Map();
+
+/**
+ * Resolve the material name and texture for a LiquidType entry.
+ * @param {number} liquidTypeID
+ * @returns {{ matName: string, fileDataID: number }}
+ */
+const getLiquidType = async (liquidTypeID) => {
+	let liquidType = liquidTypeCache.get(liquidTypeID);
+	if (liquidType === undefined) {
+		liquidType = { matName: 'liquid_' + liquidTypeID, fileDataID: 0 };
+
+		try {
+			const row = await db2.LiquidType.getRow(liquidTypeID);
+			if (row) {
+				if (row.Name)
+					liquidType.matName = 'liquid_' + row.Name.replace(/[^a-zA-Z0-9]+/g, '_');
+
+				// Liquid textures are animated, use the first frame for the material.
+				if (row.Texture?.[0])
+					liquidType.fileDataID = listfile.getByFilename(util.format(row.Texture[0], 1)) ?? 0;
+			}
+		} catch (e) {
+			log.write('Unable to read LiquidType %d: %s', liquidTypeID, e.message);
+		}
+
+		liquidTypeCache.set(liquidTypeID, liquidType);
+	}
+
+	return liquidType;
+};
+
+module.exports = { getLiquidType };
@@ -0,0 +1,474 @@
+/*!
+	wow.export (https://github.com/Kruithne/wow.export)
+	Authors: Kruithne <kruithne@gmail.com>, Marlamin <marlamin@marlamin.com>
+	License: MIT
+ */
+const BoneMapper = require('./BoneMapper');
+
+// WoW units are yards, retargeting targets expect metres.
+const UNIT_SCALE = 0.9144;
+
+// Humanoid rigs face +Z, WoW models face +X. Rotating -90 degrees around Y
+// maps one to the other: (x, y, z) -> (-z, y, x).
+const FORWARD_ROTATION = [0, -Math.SQRT1_2, 0, Math.SQRT1_2];
+
+const FINGERS = ['thumb', 'index', 'middle', 'ring', 'pinky'];
+
+// Key bone names (see BoneMapper) for each finger root.
+const FINGER_LABELS = {
+	thumb: 'Thumb',
+	index: 'IndexFinger',
+	middle: 'MiddleFinger',
+	ring: 'RingFinger',
+	pinky: 'PinkyFinger'
+};
+
+const pad = (index) => index.toString().padStart(2, '0');
+
+const MIXAMO_PARTS = {
+	pelvis: 'Hips', head: 'Head', clavicle: 'Shoulder', upperarm: 'Arm', lowerarm: 'ForeArm', hand: 'Hand',
+	thigh: 'UpLeg', calf: 'Leg', foot: 'Foot', ball: 'ToeBase',
+	thumb: 'HandThumb', index: 'HandIndex', middle: 'HandMiddle', ring: 'HandRing', pinky: 'HandPinky'
+};
+
+const HUMANOID_PARTS = {
+	pelvis: 'Hips', head: 'Head', clavicle: 'Shoulder', upperarm: 'UpperArm', lowerarm: 'LowerArm', hand: 'Hand',
+	thigh: 'UpperLeg', calf: 'LowerLeg', foot: 'Foot', ball: 'Toes',
+	thumb: 'Thumb', index: 'Index', middle: 'Middle', ring: 'Ring', pinky: 'Little'
+};
+
+const HUMANOID_SPINE = ['Spine', 'Chest', 'UpperChest'];
+const HUMANOID_FINGER_SEGMENTS = ['Proximal', 'Intermediate', 'Distal'];
+
+/**
+ * Retargeting profiles. Each profile names the inserted root bone and maps a
+ * body part (with side and 1-based chain index) to the bone name of the target rig.
+ */
+const PROFILES = {
+	none: { label: 'None' },
+
+	ue5_mannequin: {
+		label: 'UE5 Mannequin',
+		root: 'root',
+		bone_name: (part, side, index) => {
+			if (part === 'spine' || part === 'neck')
+				return part + '_' + pad(index);
+
+			const name = FINGERS.includes(part) ? part + '_' + pad(index) : part;
+			return side ? name + '_' + side : name;
+		}
+	},
+
+	mixamo: {
+		label: 'Mixamo',
+		root: 'mixamorig:Root',
+		bone_name: (part, side, index) => {
+			let name;
+			if (part === 'spine' || part === 'neck')
+				name = (part === 'spine' ? 'Spine' : 'Neck') + (index > 1 ? index - 1 : '');
+			else if (FINGERS.includes(part))
+				name = MIXAMO_PARTS[part] + index;
+			else
+				name = MIXAMO_PARTS[part];
+
+			if (side)
+				name = (side === 'l' ? 'Left' : 'Right') + name;
+
+			return 'mixamorig:' + name;
+		}
+	},
+
+	humanoid: {
+		label: 'Humanoid',
+		root: 'Root',
+		bone_name: (part, side, index) => {
+			let name;
+			if (part === 'spine')
+				name = HUMANOID_SPINE[index - 1] ?? 'Spine' + index;
+			else if (part === 'neck')
+				name = index > 1 ? 'Neck' + index : 'Neck';
+			else if (FINGERS.includes(part))
+				name = HUMANOID_PARTS[part] + HUMANOID_FINGER_SEGMENTS[index - 1];
+			else
+				name = HUMANOID_PARTS[part];
+
+			return side ? (side === 'l' ? 'Left' : 'Right') + name : name;
+		}
+	}
+};
+
+// Per-race overrides, keyed by the race directory of character model paths.
+// Digitigrade races have an extra segment between the knee and the foot which
+// is skipped so the calf maps to the actual knee joint.
+const RACE_OVERRIDES = {
+	draenei: { digitigrade: true },
+	lightforgeddraenei: { digitigrade: true },
+	worgen: { digitigrade: true }
+};
+
+/**
+ * Get the race directory of a character model path, eg. character/worgen/male/worgenmale.m2.
+ * @param {string} file_name
+ * @returns {string|null}
+ */
+const get_race = (file_name) => {
+	const match = /^character[\\/]([^\\/]+)[\\/]/i.exec(file_name ?? '');
+	return match ? match[1].toLowerCase() : null;
+};
+
+/**
+ * Returns true if a bone is a deformation helper rather than part of the main chain.
+ * @param {string} label
+ * @returns {boolean}
+ */
+const is_helper_bone = (label) => label !== undefined && /Twist|SkinPoint/.test(label);
+
+/**
+ * Resolve the body part of each bone in a WoW skeleton. Key bones known to
+ * BoneMapper (hands, feet, head, fingers) anchor the mapping, the remaining
+ * limb, spine and neck bones are inferred from the hierarchy between them.
+ * @param {Array} bones
+ * @param {object} overrides
+ * @returns {Map<number, {part: string, side: string, index: number}>}
+ */
+const resolve_parts = (bones, overrides) => {
+	const labels = bones.map(bone => BoneMapper.get_bone_label(bone.boneID, bone.boneNameCRC));
+	const parts = new Map();
+
+	const find = (...candidates) => {
+		for (const candidate of candidates) {
+			const index = labels.indexOf(candidate);
+			if (index > -1)
+				return index;
+		}
+
+		return -1;
+	};
+
+	// closest ancestor which is not a twist or skin helper
+	const parent_of = (bi) => {
+		if (bi < 0)
+			return -1;
+
+		let parent = bones[bi].parentBone;
+		for (let guard = 0; parent > -1 && parent !== bi && guard < bones.length; guard++) {
+			if (!is_helper_bone(labels[parent]))
+				return parent;
+
+			parent = bones[parent].parentBone;
+		}
+
+		return -1;
+	};
+
+	const ancestors_of = (bi) => {
+		const ancestors = [];
+		for (let parent = parent_of(bi); parent > -1 && ancestors.length < bones.length; parent = parent_of(parent))
+			ancestors.push(parent);
+
+		return ancestors;
+	};
+
+	// first shared ancestor of two bones, or the parent of whichever exists
+	const common_ancestor = (a, b) => {
+		if (a < 0 || b < 0)
+			return parent_of(a > -1 ? a : b);
+
+		const b_ancestors = new Set(ancestors_of(b));
+		return ancestors_of(a).find(bi => b_ancestors.has(bi)) ?? -1;
+	};
+
+	const assign = (bi, part, side = null, index = 1) => {
+		if (bi > -1 && !parts.has(bi))
+			parts.set(bi, { part, side, index });
+	};
+
+	// bones strictly between a descendant and one of its ancestors, top down
+	const path_between = (ancestor, descendant) => {
+		const path = [];
+		for (let bi = parent_of(descendant); bi > -1 && bi !== ancestor; bi = parent_of(bi)) {
+			path.unshift(bi);
+			if (path.length > bones.length)
+				return [];
+		}
+
+		return ancestor > -1 && parent_of(path[0] ?? descendant) === ancestor ? path : [];
+	};
+
+	// legs are resolved from the pelvis down, digitigrade legs have an extra segment above the foot
+	const feet = { l: find('FootL'), r: find('FootR') };
+	const pelvis = feet.l > -1 && feet.r > -1 ? common_ancestor(feet.l, feet.r) : -1;
+	const leg_segments = overrides.digitigrade ? 3 : 2;
+
+	const clavicles = {};
+	for (const [side, suffix] of [['l', 'L'], ['r', 'R']]) {
+		const hand = find('Hand' + suffix, 'hand_' + suffix, 'hand_main_00_' + suffix + '_JNT');
+		const lowerarm = parent_of(hand);
+		const upperarm = parent_of(lowerarm);
+		const clavicle = parent_of(upperarm);
+
+		assign(hand, 'hand', side);
+		assign(lowerarm, 'lowerarm', side);
+		assign(upperarm, 'upperarm', side);
+		assign(clavicle, 'clavicle', side);
+
+		const foot = feet[side];
+		const leg = path_between(pelvis, foot);
+		if (leg.length >= leg_segments) {
+			assign(foot, 'foot', side);
+			assign(leg[leg.length - leg_segments + 1], 'calf', side);
+			assign(leg[leg.length - leg_segments], 'thigh', side);
+
+			const toe = find('Toe' + suffix);
+			if (toe > -1 && parent_of(toe) === foot)
+				assign(toe, 'ball', side);
+		}
+
+		for (const finger of FINGERS) {
+			let segment = find(FINGER_LABELS[finger] + suffix);
+			for (let index = 1; segment > -1 && index <= 3; index++) {
+				assign(segment, finger, side, index);
+
+				const parent = segment;
+				segment = bones.findIndex((bone, bi) => bone.parentBone === parent && bi !== parent && !is_helper_bone(labels[bi]));
+			}
+		}
+
+		clavicles[side] = clavicle;
+	}
+
+	const chest = common_ancestor(clavicles.l, clavicles.r);
+	const head = find('Head');
+
+	assign(pelvis, 'pelvis');
+
+	const spine = path_between(pelvis, chest);
+	if (chest > -1 && chest !== pelvis)
+		spine.push(chest);
+
+	for (let i = 0; i < spine.length; i++)
+		assign(spine[i], 'spine', null, i + 1);
+
+	assign(head, 'head');
+
+	const neck = path_between(chest, head);
+	for (let i = 0; i < neck.length; i++)
+		assign(neck[i], 'neck', null, i + 1);
+
+	return parts;
+};
+
+/**
+ * Rotate a vector from WoW facing into the facing of the target rig.
+ * @param {Array} v
+ * @returns {Array}
+ */
+const rotate_vector = (v) => [-v[2], v[1], v[0]];
+
+/**
+ * Multiply two quaternions (a * b).
+ * @param {Array} a
+ * @param {Array} b
+ * @returns {Array}
+ */
+const quat_multiply = (a, b) => [
+	a[3] * b[0] + a[0] * b[3] + a[1] * b[2] - a[2] * b[1],
+	a[3] * b[1] - a[0] * b[2] + a[1] * b[3] + a[2] * b[0],
+	a[3] * b[2] + a[0] * b[1] - a[1] * b[0] + a[2] * b[3],
+	a[3] * b[3] - a[0] * b[0] - a[1] * b[1] - a[2] * b[2]
+];
+
+const create_empty_track = () => ({ globalSeq: -1, interpolation: 0, timestamps: [], values: [] });
+
+class Retarget {
+	/**
+	 * Construct a retargeted copy of a skeleton for the given profile.
+	 * Bones are renamed and moved into the facing and scale of the target rig,
+	 * the rest pose is the bind pose of the model and is not posed to a T or A pose.
+	 * @param {string} profile_id
+	 * @param {Array} bones
+	 * @param {string|null} race
+	 */
+	constructor(profile_id, bones, race) {
+		const profile = PROFILES[profile_id];
+		const overrides = RACE_OVERRIDES[race] ?? {};
+		const parts = resolve_parts(bones, overrides);
+
+		this.profile = profile_id;
+		this.label = profile.label;
+		this.race = race;
+
+		// vertex bone indices are bytes, there is no room to insert a root in full skeletons
+		this.bone_offset = bones.length < 256 ? 1 : 0;
+
+		const used_names = new Set();
+		const names = bones.map((bone, bi) => {
+			const part = parts.get(bi);
+			if (!part)
+				return undefined;
+
+			const name = profile.bone_name(part.part, part.side, part.index);
+			if (used_names.has(name))
+				return undefined;
+
+			used_names.add(name);
+			return name;
+		});
+
+		this.bones = bones.map((bone, bi) => Object.assign({}, bone, {
+			parentBone: bone.parentBone > -1 ? bone.parentBone + this.bone_offset : (this.bone_offset > 0 ? 0 : -1),
+			pivot: this.transformPoint(bone.pivot),
+			translation: Retarget._mapTrack(bone.translation, v => this.transformPoint(v)),
+			rotation: Retarget._mapTrack(bone.rotation, q => [-q[2], q[1], q[0], q[3]]),
+			scale: Retarget._mapTrack(bone.scale, s => [s[2], s[1], s[0]]),
+			retargetName: names[bi]
+		}));
+
+		if (this.bone_offset > 0) {
+			this.bones.unshift({
+				boneID: -1,
+				flags: 0,
+				parentBone: -1,
+				subMeshID: 0,
+				boneNameCRC: 0,
+				pivot: [0, 0, 0],
+				translation: create_empty_track(),
+				rotation: create_empty_track(),
+				scale: create_empty_track(),
+				retargetName: profile.root
+			});
+		}
+
+		// chain definitions for setting up IK rigs in the target application, exported as metadata only
+		const find_name = (part, side = null, index = 1) => {
+			for (const [bi, entry] of parts) {
+				if (entry.part === part && entry.side === side && entry.index === index)
+					return names[bi];
+			}
+		};
+
+		const last_index = (part, side = null) => {
+			let last = 0;
+			for (const entry of parts.values()) {
+				if (entry.part === part && entry.side === side)
+					last = Math.max(last, entry.index);
+			}
+
+			return last;
+		};
+
+		const chains = [
+			{ name: 'Spine', start: find_name('spine'), end: find_name('spine', null, last_index('spine')) },
+			{ name: 'Head', start: find_name('neck') ?? find_name('head'), end: find_name('head') }
+		];
+
+		for (const [side, prefix] of [['l', 'Left'], ['r', 'Right']]) {
+			chains.push(
+				{ name: prefix + 'Clavicle', start: find_name('clavicle', side), end: find_name('clavicle', side) },
+				{ name: prefix + 'Arm', start: find_name('upperarm', side), end: find_name('hand', side) },
+				{ name: prefix + 'Leg', start: find_name('thigh', side), end: find_name('ball', side) ?? find_name('foot', side) }
+			);
+
+			for (const finger of FINGERS)
+				chains.push({ name: prefix + finger[0].toUpperCase() + finger.slice(1), start: find_name(finger, side), end: find_name(finger, side, last_index(finger, side)) });
+		}
+
+		this.root = this.bone_offset > 0 ? profile.root : null;
+		this.pelvis = find_name('pelvis') ?? null;
+		this.chains = chains.filter(chain => chain.start !== undefined && chain.end !== undefined);
+	}
+
+	/**
+	 * Copy an M2 track, converting every keyframe value.
+	 * @private
+	 * @param {object} track
+	 * @param {function} convert
+	 * @returns {object}
+	 */
+	static _mapTrack(track, convert) {
+		return Object.assign({}, track, { values: track.values.map(keys => keys.map(convert)) });
+	}
+
+	/**
+	 * Convert a position into the space of the target rig.
+	 * @param {Array} v
+	 * @returns {Array}
+	 */
+	transformPoint(v) {
+		return rotate_vector(v).map(e => e * UNIT_SCALE);
+	}
+
+	/**
+	 * Convert a direction into the space of the target rig.
+	 * @param {Array} v
+	 * @returns {Array}
+	 */
+	transformDirection(v) {
+		return rotate_vector(v);
+	}
+
+	/**
+	 * Convert a model space rotation into the space of the target rig.
+	 * @param {Array} q
+	 * @returns {Array}
+	 */
+	transformRotation(q) {
+		return quat_multiply(FORWARD_ROTATION, q);
+	}
+
+	/**
+	 * Convert a flat array of positions or directions into the space of the target rig.
+	 * @param {Array} arr
+	 * @param {boolean} [is_direction=false]
+	 * @returns {Float32Array}
+	 */
+	transformArray(arr, is_direction = false) {
+		const out = new Float32Array(arr.length);
+		const scale = is_direction ? 1 : UNIT_SCALE;
+
+		for (let i = 0; i < arr.length; i += 3) {
+			out[i] = -arr[i + 2] * scale;
+			out[i + 1] = arr[i + 1] * scale;
+			out[i + 2] = arr[i] * scale;
+		}
+
+		return out;
+	}
+
+	/**
+	 * Remap bone indices to account for the inserted root bone.
+	 * @param {Array} indices
+	 * @returns {Array}
+	 */
+	remapBoneIndices(indices) {
+		if (this.bone_offset === 0)
+			return indices;
+
+		return Array.from(indices, index => index + this.bone_offset);
+	}
+
+	/**
+	 * Remap a single bone index, keeping -1 (no bone) intact.
+	 * @param {number} index
+	 * @returns {number}
+	 */
+	remapBone(index) {
+		return index > -1 ? index + this.bone_offset : index;
+	}
+}
+
+/**
+ * Create a retargeted skeleton for a profile, or null if no retargeting applies.
+ * @param {string} profile_id
+ * @param {Array} bones
+ * @param {string|null} race
+ * @returns {Retarget|null}
+ */
+const create_retarget = (profile_id, bones, race) => {
+	if (!PROFILES[profile_id]?.bone_name || !bones?.length)
+		return null;
+
+	return new Retarget(profile_id, bones, race);
+};
+
+module.exports = { PROFILES, get_race, create_retarget };
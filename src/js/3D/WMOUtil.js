@@ -0,0 +1,17 @@
+/*!
+	wow.export (https://github.com/Kruithne/wow.export)
+	Authors: Kruithne <kruithne@gmail.com>
+	License: MIT
+ */
+
+// MFOG flag for fog which covers the entire WMO rather than a sphere.
+const FOG_FLAG_INFINITE = 0x1;
+
+/**
+ * Convert a packed BGRA colour into normalized RGB components.
+ * @param {number} color
+ * @returns {Array<number>}
+ */
+const bgra_to_rgb = (color) => [(color >> 16) & 0xFF, (color >> 8) & 0xFF, color & 0xFF].map(v => v / 255);
+
+module.exports = { FOG_FLAG_INFINITE, bgra_to_rgb };
@@ -17,9 +17,11 @@ const BLPFile = require('../../casc/blp');
 const WDTLoader = require('../loaders/WDTLoader');
 const ADTLoader = require('../loaders/ADTLoader');
 const Shaders = require('../Shaders');
+const { getLiquidType } = require('../LiquidTypes');
 
 const OBJWriter = require('../writers/OBJWriter');
 const MTLWriter = require('../writers/MTLWriter');
+const GLTFWriter = require('../writers/GLTFWriter');
 const PNGWriter = require('../../png-writer');
 
 const db2 = require('../../casc/db2');
@@ -35,6 +37,7 @@ const TILE_SIZE = constants.GAME.TILE_SIZE;
 const CHUNK_SIZE = TILE_SIZE / 16;
 const UNIT_SIZE = CHUNK_SIZE / 8;
 const UNIT_SIZE_HALF = UNIT_SIZE / 2;
+const MAP_COORD_BASE = constants.GAME.MAP_COORD_BASE;
 
 const wdtCache = new Map();
 
@@ -234,6 +237,69 @@ const compileShaders = (useOld = false) => {
 	gl.useProgram(glShaderProg);
 };
 
+/**
+ * Build a quaternion (x, y, z, w) from a rotation around a unit axis.
+ * @param {number} x
+ * @param {number} y
+ * @param {number} z
+ * @param {number} degrees
+ * @returns {Array}
+ */
+const quatFromAxisAngle = (x, y, z, degrees) => {
+	const half = degrees * Math.PI / 360;
+	const sin = Math.sin(half);
+	return [x * sin, y * sin, z * sin, Math.cos(half)];
+};
+
+/**
+ * Multiply two quaternions (x, y, z, w).
+ * @param {Array} a
+ * @param {Array} b
+ * @returns {Array}
+ */
+const quatMultiply = (a, b) => [
+	a[3] * b[0] + a[0] * b[3] + a[1] * b[2] - a[2] * b[1],
+	a[3] * b[1] - a[0] * b[2] + a[1] * b[3] + a[2] * b[0],
+	a[3] * b[2] + a[0] * b[1] - a[1] * b[0] + a[2] * b[3],
+	a[3] * b[3] - a[0] * b[0] - a[1] * b[1] - a[2] * b[2]
+];
+
+/**
+ * Convert an MDDF/MODF placement into a glTF node transform. Placements are
+ * relative to the map corner and rotated by euler angles in degrees.
+ * @param {object} model
+ * @returns {object}
+ */
+const getPlacementTransform = (model) => {
+	const [posX, posY, posZ] = model.position;
+	const [rotX, rotY, rotZ] = model.rotation;
+	const scale = model.scale ? model.scale / 1024 : 1;
+
+	let rotation = quatFromAxisAngle(0, 1, 0, 90 + rotY);
+	rotation = quatMultiply(rotation, quatFromAxisAngle(0, 0, 1, -rotX));
+	rotation = quatMultiply(rotation, quatFromAxisAngle(1, 0, 0, rotZ));
+
+	return {
+		translation: [MAP_COORD_BASE - posX, posY, MAP_COORD_BASE - posZ],
+		rotation,
+		scale: [scale, scale, scale]
+	};
+};
+
+/**
+ * Convert a GameObjects world position and rotation into a glTF node transform.
+ * @param {object} obj
+ * @returns {object}
+ */
+const getGameObjectTransform = (obj) => {
+	const [posX, posY, posZ] = obj.Pos;
+	const [rotX, rotY, rotZ, rotW] = obj.Rot;
+
+	// World space is Z-up while model geometry is already exported Y-up.
+	const rotation = quatMultiply([rotY, rotZ, rotX, rotW], quatFromAxisAngle(0, 1, 0, -90));
+	return { translation: [posY, posZ, posX], rotation };
+};
+
 class ADTExporter {
 	/**
 	 * Construct a new ADTLoader instance.
@@ -622,6 +688,119 @@ class ADTExporter {
 		}
 	}
 
+	/**
+	 * Build meshes for every MH2O liquid instance on this tile, with one
+	 * material per liquid type. Liquid textures are exported into the given
+	 * directory so materials can reference them.
+	 * @param {string} dir Output directory
+	 * @param {ADTLoader} rootAdt Root ADT data
+	 * @param {boolean} usePosix Use POSIX path format
+	 * @returns {{ vertices: Array, normals: Array, uvs: Array, meshes: Array, materials: Array }}
+	 */
+	async buildLiquidMeshes(dir, rootAdt, usePosix) {
+		const config = core.view.config;
+
+		const vertices = [];
+		const normals = [];
+		const uvs = [];
+		const meshes = [];
+		const liquidTypes = new Map();
+
+		for (let chunkIndex = 0; chunkIndex < 256; chunkIndex++) {
+			const chunk = rootAdt.liquidChunks[chunkIndex];
+			const terrainChunk = rootAdt.chunks[chunkIndex];
+
+			if (!chunk?.instances || !terrainChunk)
+				continue;
+
+			const chunkX = terrainChunk.position[0];
+			const chunkY = terrainChunk.position[1];
+
+			for (const instance of chunk.instances) {
+				if (!instance || instance.width === 0 || instance.height === 0)
+					continue;
+
+				if (!liquidTypes.has(instance.liquidType))
+					liquidTypes.set(instance.liquidType, await getLiquidType(instance.liquidType));
+
+				const width = instance.width;
+				const height = instance.height;
+				const heights = instance.vertexData.height;
+				const bitmap = instance.bitmap;
+				const vertexBase = vertices.length / 3;
+
+				// Heights are absolute, laid out on the same grid as the terrain.
+				for (let y = 0; y <= height; y++) {
+					for (let x = 0; x <= width; x++) {
+						const cellX = instance.xOffset + x;
+						const cellY = instance.yOffset + y;
+
+						vertices.push(chunkY - (cellX * UNIT_SIZE), heights?.[y * (width + 1) + x] ?? instance.minHeightLevel, chunkX - (cellY * UNIT_SIZE));
+						normals.push(0, 1, 0);
+						uvs.push(cellX / 8, cellY / 8);
+					}
+				}
+
+				const triangles = [];
+				for (let y = 0; y < height; y++) {
+					for (let x = 0; x < width; x++) {
+						// Skip cells which are not set in the exists bitmap.
+						const bit = y * width + x;
+						if (bitmap.length > 0 && !((bitmap[bit >> 3] >> (bit & 7)) & 1))
+							continue;
+
+						const a = vertexBase + (y * (width + 1)) + x;
+						const d = a + width + 1;
+						triangles.push(a, d + 1, a + 1);
+						triangles.push(a, d, d + 1);
+					}
+				}
+
+				if (triangles.length > 0)
+					meshes.push({ name: 'liquid_' + chunkIndex + '_' + instance.instanceIndex, triangles, matName: liquidTypes.get(instance.liquidType).matName });
+			}
+		}
+
+		const materials = [];
+		for (const liquidType of liquidTypes.values()) {
+			const material = { name: liquidType.matName };
+			materials.push(material);
+
+			if (liquidType.fileDataID === 0)
+				continue;
+
+			try {
+				let fileName = listfile.getByID(liquidType.fileDataID);
+				if (fileName !== undefined)
+					fileName = ExportHelper.replaceExtension(fileName, '.png');
+				else
+					fileName = listfile.formatUnknownFile(liquidType.fileDataID, '.png');
+
+				let texFile;
+				let texPath;
+
+				if (config.enableSharedTextures) {
+					texPath = ExportHelper.getExportPath(fileName);
+					texFile = path.relative(dir, texPath);
+				} else {
+					texPath = path.join(dir, path.basename(fileName));
+					texFile = path.basename(texPath);
+				}
+
+				if (config.overwriteFiles || !await generics.fileExists(texPath)) {
+					const blp = new BLPFile(await core.view.casc.getFile(liquidType.fileDataID));
+					await blp.saveToPNG(texPath);
+				}
+
+				material.file = usePosix ? ExportHelper.win32ToPosix(texFile) : texFile;
+			} catch (e) {
+				log.write('Failed to export liquid texture %d: %s', liquidType.fileDataID, e.message);
+			}
+		}
+
+		return { vertices, normals, uvs, meshes, materials };
+	}
+
 	/**
 	 * Export doodads (M2s), WMOs, and game objects for this ADT tile.
 	 * @param {string} dir - Output directory
@@ -835,6 +1014,189 @@ class ADTExporter {
 		}
 	}
 
+	/**
+	 * Export this ADT tile as a single glTF scene. Terrain is written as the
+	 * main mesh and doodads, WMOs and game objects are added once as scene
+	 * models, then instanced from the tile placement data.
+	 * @param {string} out - Output file
+	 * @param {object} terrain - Terrain geometry, meshes and baked materials
+	 * @param {object} [liquid] - Liquid geometry, meshes and materials
+	 * @param {object} objAdt - Object ADT data
+	 * @param {Set} gameObjects - Set of game objects to export
+	 * @param {object} helper - Export helper for progress tracking
+	 */
+	async exportSceneGLTF(out, terrain, liquid, objAdt, gameObjects, helper) {
+		const casc = core.view.casc;
+		const config = core.view.config;
+		const format = config.exportMapFormat === 'GLB' ? 'glb' : 'gltf';
+		const dir = path.dirname(out);
+
+		const gltf = new GLTFWriter(out, 'adt_' + this.tileID);
+
+		// Terrain UVs are written unflipped for OBJ, glTF expects a top-left origin.
+		gltf.setVerticesArray(terrain.vertices);
+		gltf.setNormalArray(terrain.normals);
+		gltf.addUVArray(terrain.uvs.map((value, index) => index % 2 ? 1 - value : value));
+
+		for (const mesh of terrain.meshes)
+			gltf.addMesh(mesh.name, mesh.triangles, mesh.matName);
+
+		const materials = liquid ? terrain.materials.concat(liquid.materials) : terrain.materials;
+		for (const material of materials) {
+			if (material.file === undefined) {
+				gltf.textures.set(material.name, { matName: material.name });
+				continue;
+			}
+
+			const matPath = path.join(dir, material.file);
+			gltf.textures.set(material.name, { matName: material.name, matPathRelative: material.file, matPath });
+
+			if (format === 'glb' && await generics.fileExists(matPath))
+				gltf.texture_buffers.set(material.name, await BufferWrapper.readFile(matPath));
+		}
+
+		if (liquid?.meshes.length > 0) {
+			const liquidModel = gltf.addSceneModel({
+				name: 'liquid_' + this.tileID,
+				vertices: liquid.vertices,
+				normals: liquid.normals,
+				uv: liquid.uvs,
+				meshes: liquid.meshes
+			});
+
+			gltf.addSceneInstance({ name: 'Liquids', model: liquidModel });
+		}
+
+		const modelCache = new Map();
+		const addObjects = async (exportType, objects, group, getTransform) => {
+			const nObjects = objects?.length ?? objects.size;
+			log.write('Exporting %d %s for ADT...', nObjects, exportType);
+
+			helper.setCurrentTaskName('Tile ' + this.tileID + ', ' + exportType);
+			helper.setCurrentTaskMax(nObjects);
+
+			let index = 0;
+			for (const model of objects) {
+				// Abort if the export has been cancelled.
+				if (helper.isCancelled())
+					return;
+
+				helper.setCurrentTaskValue(index++);
+
+				const fileDataID = model.FileDataID ?? model.mmidEntry;
+				const fileName = listfile.getByID(fileDataID) ?? listfile.formatUnknownFile(fileDataID, '.m2');
+
+				try {
+					if (!modelCache.has(fileDataID)) {
+						const data = await casc.getFile(fileDataID);
+						const m2 = new M2Exporter(data, undefined, fileDataID);
+						const modelIndex = await m2.addToGLTFScene(gltf, path.join(dir, path.basename(fileName)), helper, format);
+
+						// Abort if the export has been cancelled.
+						if (helper.isCancelled())
+							return;
+
+						modelCache.set(fileDataID, modelIndex);
+					}
+
+					gltf.addSceneInstance({
+						name: path.basename(fileName, path.extname(fileName)),
+						model: modelCache.get(fileDataID),
+						group,
+						extras: { fileDataID, modelId: model.uniqueId ?? model.ID ?? 0 },
+						...getTransform(model)
+					});
+				} catch (e) {
+					log.write('Failed to export %s [%d]', fileName, fileDataID);
+					log.write('Error: %s', e);
+				}
+			}
+		};
+
+		if (config.mapsIncludeGameObjects === true && gameObjects !== undefined && gameObjects.size > 0)
+			await addObjects('game objects', gameObjects, 'GameObjects', getGameObjectTransform);
+
+		if (config.mapsIncludeM2)
+			await addObjects('doodads', objAdt.models, 'Doodads', getPlacementTransform);
+
+		if (config.mapsIncludeWMO) {
+			log.write('Exporting %d WMOs for ADT...', objAdt.worldModels.length);
+
+			helper.setCurrentTaskName('Tile ' + this.tileID + ', WMO objects');
+			helper.setCurrentTaskMax(objAdt.worldModels.length);
+
+			const wmoCache = new Map();
+
+			let worldModelIndex = 0;
+			const usingNames = !!objAdt.wmoNames;
+			for (const model of objAdt.worldModels) {
+				// Abort if the export has been cancelled.
+				if (helper.isCancelled())
+					return;
+
+				helper.setCurrentTaskValue(worldModelIndex++);
+
+				let fileDataID;
+				let fileName;
+
+				try {
+					if (usingNames) {
+						fileName = objAdt.wmoNames[objAdt.wmoOffsets[model.mwidEntry]];
+						fileDataID = listfile.getByFilename(fileName);
+					} else {
+						fileDataID = model.mwidEntry;
+						fileName = listfile.getByID(fileDataID) ?? listfile.formatUnknownFile(fileDataID, '.wmo');
+					}
+
+					const wmoPath = path.join(dir, path.basename(fileName));
+
+					let wmo = wmoCache.get(fileDataID);
+					if (!wmo) {
+						const data = await casc.getFile(fileDataID);
+						const exporter = new WMOExporter(data, fileDataID);
+						const modelIndex = await exporter.addToGLTFScene(gltf, wmoPath, helper, format);
+
+						// Abort if the export has been cancelled.
+						if (helper.isCancelled())
+							return;
+
+						wmo = { exporter, modelIndex };
+						wmoCache.set(fileDataID, wmo);
+					}
+
+					const doodadSets = (model.flags & 0x80) && objAdt.doodadSets ? objAdt.doodadSets : [model.doodadSet];
+					const instance = gltf.addSceneInstance({
+						name: path.basename(fileName, path.extname(fileName)),
+						model: wmo.modelIndex,
+						group: 'WMOs',
+						extras: { fileDataID, modelId: model.uniqueId, doodadSets },
+						...getPlacementTransform(model)
+					});
+
+					if (config.mapsIncludeWMOSets) {
+						const mask = { 0: { checked: true } };
+						for (const setIndex of doodadSets)
+							mask[setIndex] = { checked: true };
+
+						wmo.exporter.setDoodadSetMask(mask);
+						await wmo.exporter.addDoodadSetsToGLTFScene(gltf, wmoPath, helper, format, instance, modelCache);
+					}
+				} catch (e) {
+					log.write('Failed to export %s [%d]', fileName, fileDataID);
+					log.write('Error: %s', e);
+				}
+			}
+
+			WMOExporter.clearCache();
+		}
+
+		// Abort if the export has been cancelled.
+		if (helper.isCancelled())
+			return;
+
+		await gltf.write(config.overwriteFiles, format);
+	}
+
 	/**
 	 * Export foliage for this ADT tile.
 	 * @param {string} dir - Output directory
@@ -955,7 +1317,8 @@ class ADTExporter {
 		const config = core.view.config;
 
 		const isRawExport = config.exportMapFormat === 'RAW';
-		const out = { type: isRawExport ? 'ADT_RAW' : 'ADT_OBJ', path: '' };
+		const isGLTFExport = config.exportMapFormat === 'GLTF' || config.exportMapFormat === 'GLB';
+		const out = { type: isRawExport ? 'ADT_RAW' : (isGLTFExport ? 'ADT_GLTF' : 'ADT_OBJ'), path: '' };
 
 		const usePosix = config.pathFormat === 'posix';
 		const prefix = util.format('world/maps/%s/%s', this.mapDir, this.mapDir);
@@ -1051,6 +1414,7 @@ class ADTExporter {
 		const objAdt = new ADTLoader(objFile);
 		objAdt.loadObj();
 
+		let terrain;
 		if (!isRawExport) {
 			const vertices = new Array(16 * 16 * 145 * 3);
 			const normals = new Array(16 * 16 * 145 * 3);
@@ -1061,7 +1425,7 @@ class ADTExporter {
 			const chunkMeshes = new Array(256);
 
 			const objOut = path.join(dir, 'adt_' + this.tileID + '.obj');
-			out.path = objOut;
+			out.path = isGLTFExport ? ExportHelper.replaceExtension(objOut, config.exportMapFormat === 'GLB' ? '.glb' : '.gltf') : objOut;
 
 			const obj = new OBJWriter(objOut);
 			const mtl = new MTLWriter(path.join(dir, 'adt_' + this.tileID + '.mtl'));
@@ -1217,15 +1581,20 @@ class ADTExporter {
 			if (quality !== 0 && ((!isAlphaMaps && !isSplittingTextures) || (isAlphaMaps && !isSplittingAlphaMaps)))
 				mtl.addMaterial('tex_' + this.tileID, 'tex_' + this.tileID + '.png');
 
-			obj.setVertArray(vertices);
-			obj.setNormalArray(normals);
-			obj.addUVArray(uvs);
+			if (isGLTFExport) {
+				// Terrain is written into the glTF scene once textures have been baked.
+				terrain = { vertices, normals, uvs, meshes: obj.meshes, materials: mtl.materials };
+			} else {
+				obj.setVertArray(vertices);
+				obj.setNormalArray(normals);
+				obj.addUVArray(uvs);
 
-			if (!mtl.isEmpty)
-				obj.setMaterialLibrary(path.basename(mtl.out));
+				if (!mtl.isEmpty)
+					obj.setMaterialLibrary(path.basename(mtl.out));
 
-			await obj.write(config.overwriteFiles);
-			await mtl.write(config.overwriteFiles);
+				await obj.write(config.overwriteFiles);
+				await mtl.write(config.overwriteFiles);
+			}
 
 			if (quality !== 0) {
 				if (isAlphaMaps) {
@@ -1571,8 +1940,36 @@ class ADTExporter {
 				await saveRawLayerTexture(fileDataID);
 		}
 
+		// Build liquid surfaces, written into the glTF scene or as a separate OBJ.
+		let liquid;
+		if (!isRawExport && config.mapsIncludeLiquid && rootAdt.liquidChunks) {
+			liquid = await this.buildLiquidMeshes(dir, rootAdt, usePosix);
+
+			if (!isGLTFExport && liquid.meshes.length > 0) {
+				const liquidObj = new OBJWriter(path.join(dir, 'liquid_' + this.tileID + '.obj'));
+				const liquidMtl = new MTLWriter(path.join(dir, 'liquid_' + this.tileID + '.mtl'));
+
+				for (const material of liquid.materials)
+					liquidMtl.addMaterial(material.name, material.file);
+
+				for (const mesh of liquid.meshes)
+					liquidObj.addMesh(mesh.name, mesh.triangles, mesh.matName);
+
+				liquidObj.flip_uvs = true;
+				liquidObj.setVertArray(liquid.vertices);
+				liquidObj.setNormalArray(liquid.normals);
+				liquidObj.addUVArray(liquid.uvs);
+				liquidObj.setMaterialLibrary(path.basename(liquidMtl.out));
+
+				await liquidObj.write(config.overwriteFiles);
+				await liquidMtl.write(config.overwriteFiles);
+			}
+		}
+
 		// Export dooads / WMOs.
-		if (config.mapsIncludeWMO || config.mapsIncludeM2 || config.mapsIncludeGameObjects)
+		if (isGLTFExport)
+			await this.exportSceneGLTF(out.path, terrain, liquid, objAdt, gameObjects, helper);
+		else if (config.mapsIncludeWMO || config.mapsIncludeM2 || config.mapsIncludeGameObjects)
 			await this.exportDoodadsAndWMOs(dir, casc, config, objAdt, gameObjects, helper, usePosix, isRawExport);
 
 		// Export liquids.
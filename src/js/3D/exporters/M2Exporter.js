@@ -17,9 +17,85 @@ const MTLWriter = require('../writers/MTLWriter');
 const STLWriter = require('../writers/STLWriter');
 const JSONWriter = require('../writers/JSONWriter');
 const GLTFWriter = require('../writers/GLTFWriter');
+const FBXWriter = require('../writers/FBXWriter');
 const GeosetMapper = require('../GeosetMapper');
+const AnimMapper = require('../AnimMapper');
+const RetargetProfiles = require('../RetargetProfiles');
+const AnimationProcessor = require('../AnimationProcessor');
 const ExportHelper = require('../../casc/export-helper');
 const BufferWrapper = require('../../buffer');
+const { ATTACHMENT_ID } = require('../../wow/EquipmentSlots');
+
+const NO_GLOBAL_SEQUENCE = 65535;
+
+// attachment ID -> name, used for naming attachment nodes
+const ATTACHMENT_NAMES = Object.fromEntries(Object.entries(ATTACHMENT_ID).map(([name, id]) => [id, name]));
+
+/**
+ * Convert an attachment position (WoW Z-up) into the Y-up space used for bones.
+ * @param {object} attachment
+ * @returns {Array}
+ */
+const get_attachment_position = (attachment) => [attachment.position[0], attachment.position[2], attachment.position[1] * -1];
+
+/**
+ * Get the first keyframe value of an M2 track, used where glTF needs a static value.
+ * @param {M2Track} track
+ * @param {*} def
+ * @returns {*}
+ */
+const get_first_track_value = (track, def) => track.values.find(keys => keys.length > 0)?.[0] ?? def;
+
+/**
+ * Build a quaternion which orients a glTF camera (looking down -Z) at a target.
+ * @param {Array} eye
+ * @param {Array} target
+ * @returns {Array}
+ */
+const look_rotation = (eye, target) => {
+	const fx = target[0] - eye[0], fy = target[1] - eye[1], fz = target[2] - eye[2];
+	const f_len = Math.hypot(fx, fy, fz);
+	if (f_len === 0)
+		return [0, 0, 0, 1];
+
+	// camera basis: z points away from the target, x = up cross z, y = z cross x
+	const zx = -fx / f_len, zy = -fy / f_len, zz = -fz / f_len;
+	const x_len = Math.hypot(zz, zx);
+	const xx = x_len > 1e-6 ? zz / x_len : 1;
+	const xz = x_len > 1e-6 ? -zx / x_len : 0;
+	const yx = zy * xz, yy = zz * xx - zx * xz, yz = -zy * xx;
+
+	const trace = xx + yy + zz;
+	if (trace > 0) {
+		const s = Math.sqrt(trace + 1) * 2;
+		return [(yz - zy) / s, (zx - xz) / s, -yx / s, s / 4];
+	} else if (xx > yy && xx > zz) {
+		const s = Math.sqrt(1 + xx - yy - zz) * 2;
+		return [s / 4, yx / s, (zx + xz) / s, (yz - zy) / s];
+	} else if (yy > zz) {
+		const s = Math.sqrt(1 + yy - xx - zz) * 2;
+		return [yx / s, s / 4, (zy + yz) / s, (zx - xz) / s];
+	}
+
+	const s = Math.sqrt(1 + zz - xx - yy) * 2;
+	return [(zx + xz) / s, (zy + yz) / s, s / 4, -yx / s];
+};
+
+/**
+ * Copy a bone with its tracks reduced to a single animation.
+ * Global sequences run on their own timeline and keep their keys in the first slot.
+ * @param {object} bone
+ * @param {number} index
+ * @returns {object}
+ */
+const get_bone_for_animation = (bone, index) => {
+	const slice = (track) => {
+		const slot = track.globalSeq > -1 && track.globalSeq !== NO_GLOBAL_SEQUENCE ? 0 : index;
+		return Object.assign({}, track, { timestamps: [track.timestamps[slot] ?? []], values: [track.values[slot] ?? []] });
+	};
+
+	return Object.assign({}, bone, { translation: slice(bone.translation), rotation: slice(bone.rotation), scale: slice(bone.scale) });
+};
 
 class M2Exporter {
 	/**
@@ -53,6 +129,14 @@ class M2Exporter {
 		this.posedNormals = normals;
 	}
 
+	/**
+	 * Set the retargeting profile applied to GLTF and FBX exports.
+	 * @param {string} profile Key of RetargetProfiles.PROFILES.
+	 */
+	setRetargetProfile(profile) {
+		this.retargetProfile = profile;
+	}
+
 	/**
 	 * Export additional texture from canvas
 	 */
@@ -84,9 +168,10 @@ class M2Exporter {
 	 * @param {ExportHelper} helper
 	 * @param {boolean} [fullTexPaths=false]
 	 * @param {boolean} [glbMode=false]
+	 * @param {string} [texFormat=PNG] PNG, DDS or KTX2.
 	 * @returns {Map<number, string>}
 	 */
-	async exportTextures(out, raw = false, mtl = null, helper, fullTexPaths = false, glbMode = false) {
+	async exportTextures(out, raw = false, mtl = null, helper, fullTexPaths = false, glbMode = false, texFormat = 'PNG') {
 		const config = core.view.config;
 		const validTextures = new Map();
 		const texture_buffers = new Map();
@@ -99,6 +184,7 @@ class M2Exporter {
 
 		const useAlpha = config.modelsExportAlpha;
 		const usePosix = config.pathFormat === 'posix';
+		const texExt = BLPFile.getFormatExtension(texFormat);
 
 		let textureIndex = 0;
 
@@ -169,7 +255,7 @@ class M2Exporter {
 
 			if (!Number.isNaN(texFileDataID) && texFileDataID > 0) {
 				try {
-					let texFile = texFileDataID + (raw ? '.blp' : '.png');
+					let texFile = texFileDataID + (raw ? '.blp' : texExt);
 					let texPath = path.join(out, texFile);
 
 					// Default MTL name to the file ID (prefixed for Maya).
@@ -187,9 +273,9 @@ class M2Exporter {
 					// Map texture files relative to its own path.
 					if (config.enableSharedTextures) {
 						if (fileName !== undefined) {
-							// Replace BLP extension with PNG.
+							// Replace BLP extension with the texture format.
 							if (raw === false)
-								fileName = ExportHelper.replaceExtension(fileName, '.png');
+								fileName = ExportHelper.replaceExtension(fileName, texExt);
 						} else {
 							// Handle unknown files.
 							fileName = listfile.formatUnknownFile(texFile);
@@ -219,9 +305,9 @@ class M2Exporter {
 							// write raw BLP files
 							await data.writeToFile(texPath);
 						} else {
-							// convert BLP to PNG
+							// convert BLP to the texture format
 							const blp = new BLPFile(data);
-							await blp.saveToPNG(texPath, useAlpha ? 0b1111 : 0b0111);
+							await blp.saveToFormat(texPath, texFormat, useAlpha ? 0b1111 : 0b0111);
 						}
 					} else {
 						log.write('Skipping M2 texture export %s (file exists, overwrite disabled)', texPath);
@@ -266,9 +352,317 @@ class M2Exporter {
 		const gltf = new GLTFWriter(out, model_name);
 		log.write('Exporting M2 model %s as %s: %s', model_name, format.toUpperCase(), outGLTF);
 
+		const skel = await this._populateSceneWriter(gltf, skin, outDir, format, helper);
+		this._addEmitterNodes(gltf);
+		this._addSceneNodes(gltf, skel);
+
+		// animations exported as clips are left out of the mesh file
+		const animations = gltf.animations;
+		const export_clips = core.view.config.modelsExportAnimationClips && animations.length > 0;
+		if (export_clips)
+			gltf.setAnimations([]);
+
+		await gltf.write(core.view.config.overwriteFiles, format);
+
+		if (export_clips)
+			await this._exportAnimationClips(out, model_name, gltf.bones, animations, format, helper);
+	}
+
+	/**
+	 * Export each animation as an animation-only GLTF clip sharing the skeleton
+	 * of the mesh file, alongside a manifest describing the clips.
+	 * @private
+	 * @param {string} out
+	 * @param {string} model_name
+	 * @param {Array} bones
+	 * @param {Array} animations
+	 * @param {string} format gltf or glb.
+	 * @param {ExportHelper} helper
+	 */
+	async _exportAnimationClips(out, model_name, bones, animations, format, helper) {
+		const ext = format === 'glb' ? '.glb' : '.gltf';
+		const out_dir = path.dirname(out);
+		const clips = [];
+
+		for (let i = 0, n = animations.length; i < n; i++) {
+			if (helper?.isCancelled())
+				return;
+
+			const animation = animations[i];
+			const clip_bones = bones.map(bone => get_bone_for_animation(bone, i));
+
+			// aliases and sequences without keyframes would produce empty clips
+			if (!clip_bones.some(bone => bone.translation.timestamps[0].length > 0 || bone.rotation.timestamps[0].length > 0 || bone.scale.timestamps[0].length > 0))
+				continue;
+
+			const clip_name = AnimMapper.get_anim_name(animation.id) + '_' + animation.variationIndex;
+			const clip_file = model_name + '_' + clip_name + ext;
+
+			// the clip keeps the model name so the armature matches the mesh file
+			const clip = new GLTFWriter(path.join(out_dir, clip_file), model_name);
+			clip.setAnimationOnly(true);
+			clip.setBonesArray(clip_bones);
+			clip.setAnimations([animation]);
+
+			if (this.retarget)
+				clip.setRetarget(this.retarget);
+
+			await clip.write(core.view.config.overwriteFiles, format);
+
+			// sequences without replay bounds repeat until another animation is played
+			clips.push({
+				file: clip_file,
+				name: clip_name,
+				animationID: animation.id,
+				variationIndex: animation.variationIndex,
+				duration: animation.duration,
+				loop: animation.replayMin === 0 && animation.replayMax === 0,
+				replayMin: animation.replayMin,
+				replayMax: animation.replayMax,
+				blendTimeIn: animation.blendTimeIn,
+				blendTimeOut: animation.blendTimeOut,
+				moveSpeed: animation.movespeed,
+				frequency: animation.frequency,
+				flags: animation.flags
+			});
+		}
+
+		const json = new JSONWriter(path.join(out_dir, model_name + '_clips.json'));
+		json.addProperty('model', model_name + ext);
+		json.addProperty('clips', clips);
+		await json.write(core.view.config.overwriteFiles);
+
+		log.write('Exported %d animation clips for %s', clips.length, model_name);
+	}
+
+	/**
+	 * Add particle and ribbon emitters to a GLTF writer as empties attached to
+	 * their bones, carrying the full emitter definition as node extras.
+	 * @private
+	 * @param {GLTFWriter} gltf
+	 */
+	_addEmitterNodes(gltf) {
+		const get_texture_ids = (indices) => indices.map(index => this.m2.textures[index]?.fileDataID ?? 0);
+
+		const particles = this.m2.particleEmitters;
+		for (let i = 0, n = particles.length; i < n; i++) {
+			const emitter = particles[i];
+			this._addBoneNode(gltf, {
+				name: 'Particle_' + i,
+				bone: emitter.bone,
+				position: emitter.position,
+				extras: Object.assign({ type: 'particleEmitter', textureFileDataIDs: get_texture_ids(emitter.textureIndices) }, emitter)
+			});
+		}
+
+		const ribbons = this.m2.ribbonEmitters;
+		for (let i = 0, n = ribbons.length; i < n; i++) {
+			const ribbon = ribbons[i];
+			this._addBoneNode(gltf, {
+				name: 'Ribbon_' + i,
+				bone: ribbon.bone,
+				position: ribbon.position,
+				extras: Object.assign({ type: 'ribbonEmitter', textureFileDataIDs: get_texture_ids(ribbon.textureIndices) }, ribbon)
+			});
+		}
+	}
+
+	/**
+	 * Add attachments, events, lights and cameras to a GLTF writer as named nodes.
+	 * Attachments, events and lights follow their bones, cameras are placed at
+	 * the model root with their animated position and a target node.
+	 * @private
+	 * @param {GLTFWriter} gltf
+	 * @param {SKELLoader|null} skel
+	 */
+	_addSceneNodes(gltf, skel) {
+		// modern character models keep their attachments in the .skel file
+		let attachments = this.m2.attachments;
+		if (attachments.length === 0 && skel?.attachments)
+			attachments = skel.attachments;
+
+		for (const attachment of attachments) {
+			this._addBoneNode(gltf, {
+				name: 'Attachment_' + (ATTACHMENT_NAMES[attachment.id] ?? attachment.id),
+				bone: attachment.bone,
+				position: get_attachment_position(attachment),
+				extras: { type: 'attachment', id: attachment.id }
+			});
+		}
+
+		for (const event of this.m2.events) {
+			this._addBoneNode(gltf, {
+				name: 'Event_' + event.identifier,
+				bone: event.bone,
+				position: event.position,
+				extras: { type: 'event', identifier: event.identifier, data: event.data, keyframes: this._getEventKeyframes(event) }
+			});
+		}
+
+		const lights = this.m2.lights;
+		for (let i = 0, n = lights.length; i < n; i++) {
+			const light = lights[i];
+			const name = 'Light_' + i;
+
+			// KHR_lights_punctual has no animation, the first keyframe is used
+			const light_def = {
+				name,
+				type: light.type === 0 ? 'directional' : 'point',
+				color: get_first_track_value(light.diffuseColor, [1, 1, 1]),
+				intensity: get_first_track_value(light.diffuseIntensity, 1)
+			};
+
+			const range = get_first_track_value(light.attenuationEnd, 0);
+			if (light_def.type === 'point' && range > 0)
+				light_def.range = range;
+
+			this._addBoneNode(gltf, {
+				name,
+				bone: light.bone,
+				position: light.position,
+				light: light_def,
+				extras: Object.assign({}, light, { type: 'light', lightType: light.type })
+			});
+		}
+
+		// spline keys are sampled linearly, glTF has no matching hermite/bezier interpolation
+		const to_position_track = (track, origin) => ({
+			interpolation: Math.min(track.interpolation, 1),
+			timestamps: track.timestamps,
+			values: track.values.map(keys => keys.map(key => key.value.map((v, i) => v + origin[i])))
+		});
+
+		const cameras = this.m2.cameras;
+		for (let i = 0, n = cameras.length; i < n; i++) {
+			const camera = cameras[i];
+			const name = 'Camera_' + i;
+
+			const position_track = to_position_track(camera.positions, camera.positionBase);
+			const target_track = to_position_track(camera.targetPositions, camera.targetPositionBase);
+			const position = get_first_track_value(position_track, camera.positionBase);
+			const target = get_first_track_value(target_track, camera.targetPositionBase);
+
+			const fov = get_first_track_value(camera.fov, { value: 0 }).value;
+			const perspective = { yfov: fov > 0 ? fov : Math.PI / 4, znear: camera.nearClip > 0 ? camera.nearClip : 0.1 };
+			if (camera.farClip > perspective.znear)
+				perspective.zfar = camera.farClip;
+
+			this._addBoneNode(gltf, {
+				name,
+				bone: -1,
+				position,
+				rotation: look_rotation(position, target),
+				translation_track: position_track,
+				camera: { name, type: 'perspective', perspective },
+				extras: Object.assign({}, camera, { type: 'camera', cameraType: camera.type })
+			});
+
+			this._addBoneNode(gltf, {
+				name: name + '_Target',
+				bone: -1,
+				position: target,
+				translation_track: target_track
+			});
+		}
+	}
+
+	/**
+	 * Get the keyframes of an animation event, grouped by animation.
+	 * @private
+	 * @param {object} event
+	 * @returns {Array}
+	 */
+	_getEventKeyframes(event) {
+		const keyframes = [];
+		const timestamps = event.enabled.timestamps;
+
+		for (let i = 0, n = timestamps.length; i < n; i++) {
+			if (!timestamps[i]?.length)
+				continue;
+
+			const animation = this.m2.animations[i];
+			keyframes.push({
+				animationIndex: i,
+				animationID: animation?.id,
+				variationIndex: animation?.variationIndex,
+				timestamps: timestamps[i]
+			});
+		}
+
+		return keyframes;
+	}
+
+	/**
+	 * Add a bone node to a GLTF writer, moving it into the retargeted
+	 * space if the skeleton was retargeted.
+	 * @private
+	 * @param {GLTFWriter} gltf
+	 * @param {object} node
+	 */
+	_addBoneNode(gltf, node) {
+		if (node.translation_track && this.animProcessor)
+			node.translation_track = this.animProcessor(node.translation_track);
+
+		const retarget = this.retarget;
+		if (retarget) {
+			node.bone = retarget.remapBone(node.bone);
+			node.position = retarget.transformPoint(node.position);
+
+			if (node.rotation)
+				node.rotation = retarget.transformRotation(node.rotation);
+
+			if (node.translation_track) {
+				const track = node.translation_track;
+				node.translation_track = Object.assign({}, track, { values: track.values.map(keys => keys.map(v => retarget.transformPoint(v))) });
+			}
+		}
+
+		gltf.addBoneNode(node);
+	}
+
+	/**
+	 * Export this model as a binary FBX with skeleton, skin weights and animations.
+	 * @param {string} out
+	 * @param {ExportHelper} helper
+	 */
+	async exportAsFBX(out, helper) {
+		const outFBX = ExportHelper.replaceExtension(out, '.fbx');
+		const outDir = path.dirname(out);
+
+		// Skip export if file exists and overwriting is disabled.
+		if (!core.view.config.overwriteFiles && await generics.fileExists(outFBX))
+			return log.write('Skipping FBX export of %s (already exists, overwrite disabled)', outFBX);
+
+		await this.m2.load();
+		const skin = await this.m2.getSkin(0);
+
+		const model_name = path.basename(outFBX, '.fbx');
+		const fbx = new FBXWriter(out, model_name);
+		log.write('Exporting M2 model %s as FBX: %s', model_name, outFBX);
+
+		await this._populateSceneWriter(fbx, skin, outDir, 'fbx', helper);
+		await fbx.write(core.view.config.overwriteFiles);
+	}
+
+	/**
+	 * Populate a GLTF or FBX writer with the skeleton, animations, geometry,
+	 * textures and equipment of this model.
+	 * @private
+	 * @param {GLTFWriter|FBXWriter} writer
+	 * @param {object} skin
+	 * @param {string} outDir
+	 * @param {string} format gltf, glb or fbx.
+	 * @param {ExportHelper} helper
+	 * @returns {Promise<SKELLoader|null>} The skeleton of the model, if it has one.
+	 */
+	async _populateSceneWriter(writer, skin, outDir, format, helper) {
+		let skel = null;
+		let bones;
+		let animations = null;
+		let global_loops;
 		if (this.m2.skeletonFileID) {
 			const skel_file = await core.view.casc.getFile(this.m2.skeletonFileID);
-			const skel = new SKELLoader(skel_file);
+			skel = new SKELLoader(skel_file);
 
 			await skel.load();
 
@@ -325,46 +719,76 @@ class M2Exporter {
 						}
 					}
 
-					gltf.setAnimations(parent_skel.animations);
+					animations = parent_skel.animations;
 				}
 
-				gltf.setBonesArray(parent_skel.bones);
+				bones = parent_skel.bones;
+				global_loops = parent_skel.globalLoops;
 			} else {
 				if (core.view.config.modelsExportAnimations) {
 					await skel.loadAnims();
-					gltf.setAnimations(skel.animations);
+					animations = skel.animations;
 				}
 
-				gltf.setBonesArray(skel.bones);
+				bones = skel.bones;
+				global_loops = skel.globalLoops;
 			}
 
 		} else {
 			if (core.view.config.modelsExportAnimations) {
 				await this.m2.loadAnims();
-				gltf.setAnimations(this.m2.animations);
+				animations = this.m2.animations;
 			}
 
-			gltf.setBonesArray(this.m2.bones);
+			bones = this.m2.bones;
+			global_loops = this.m2.globalLoops;
 		}
 
-		gltf.setVerticesArray(this.m2.vertices);
-		gltf.setNormalArray(this.m2.normals);
-		gltf.setBoneWeightArray(this.m2.boneWeights);
-		gltf.setBoneIndexArray(this.m2.boneIndices)
+		// trimming, resampling and baking are applied before retargeting so both share the same keys
+		this.animProcessor = null;
+		if (animations) {
+			const processed = AnimationProcessor.process_animations(bones, animations, global_loops, AnimationProcessor.get_options(core.view.config));
+			bones = processed.bones;
+			this.animProcessor = processed.processTrack;
 
-		gltf.addUVArray(this.m2.uv);
-		gltf.addUVArray(this.m2.uv2);
+			writer.setAnimations(processed.animations);
+		}
+
+		const retarget = RetargetProfiles.create_retarget(this.retargetProfile, bones, RetargetProfiles.get_race(listfile.getByID(this.fileDataID)));
+		this.retarget = retarget;
+
+		if (retarget) {
+			log.write('Retargeting skeleton to %s profile (race: %s)', retarget.label, retarget.race ?? 'unknown');
+
+			if (format !== 'fbx')
+				writer.setRetarget(retarget);
+
+			writer.setBonesArray(retarget.bones);
+			writer.setVerticesArray(retarget.transformArray(this.m2.vertices));
+			writer.setNormalArray(retarget.transformArray(this.m2.normals, true));
+			writer.setBoneIndexArray(retarget.remapBoneIndices(this.m2.boneIndices));
+		} else {
+			writer.setBonesArray(bones);
+			writer.setVerticesArray(this.m2.vertices);
+			writer.setNormalArray(this.m2.normals);
+			writer.setBoneIndexArray(this.m2.boneIndices);
+		}
+
+		writer.setBoneWeightArray(this.m2.boneWeights);
+
+		writer.addUVArray(this.m2.uv);
+		writer.addUVArray(this.m2.uv2);
 
 		let textureMap;
 		if (format === 'glb') {
 			const result = await this.exportTextures(outDir, false, null, helper, true, true);
 			textureMap = result.validTextures;
-			gltf.setTextureBuffers(result.texture_buffers);
+			writer.setTextureBuffers(result.texture_buffers);
 		} else {
 			textureMap = await this.exportTextures(outDir, false, null, helper, true, false);
 		}
 
-		gltf.setTextureMap(textureMap);
+		writer.setTextureMap(textureMap);
 
 		for (let mI = 0, mC = skin.subMeshes.length; mI < mC; mI++) {
 			// Skip geosets that are not enabled.
@@ -391,17 +815,77 @@ class M2Exporter {
 					matName = textureMap.get(dataTextureKey).matName;
 			}
 
-			gltf.addMesh(GeosetMapper.getGeosetName(mI, mesh.submeshID), indices, matName);
+			writer.addMesh(GeosetMapper.getGeosetName(mI, mesh.submeshID), indices, matName);
 		}
 
 		// add equipment models for GLTF export
 		if (this.equipmentModelsGLTF && this.equipmentModelsGLTF.length > 0) {
 			for (const equip of this.equipmentModelsGLTF) {
-				await this._addEquipmentToGLTF(gltf, equip, textureMap, outDir, format, helper);
+				await this._addEquipmentToGLTF(writer, equip, textureMap, outDir, format, helper);
 			}
 		}
 
-		await gltf.write(core.view.config.overwriteFiles, format);
+		return skel;
+	}
+
+	/**
+	 * Add this model to a GLTF writer as an instanceable scene model.
+	 * Textures are exported relative to the given output path.
+	 * @param {GLTFWriter} gltf
+	 * @param {string} out
+	 * @param {ExportHelper} helper
+	 * @param {string} [format='gltf']
+	 * @returns {number|undefined} Index of the scene model.
+	 */
+	async addToGLTFScene(gltf, out, helper, format = 'gltf') {
+		const outDir = path.dirname(out);
+
+		await this.m2.load();
+		const skin = await this.m2.getSkin(0);
+
+		const result = await this.exportTextures(outDir, false, null, helper, false, format === 'glb');
+		if (helper.isCancelled())
+			return;
+
+		let textureMap = result;
+		if (format === 'glb') {
+			textureMap = result.validTextures;
+			for (const [fileDataID, buffer] of result.texture_buffers)
+				gltf.texture_buffers.set(fileDataID, buffer);
+		}
+
+		for (const [fileDataID, texInfo] of textureMap)
+			gltf.textures.set(fileDataID, texInfo);
+
+		const meshes = [];
+		for (let mI = 0, mC = skin.subMeshes.length; mI < mC; mI++) {
+			// Skip geosets that are not enabled.
+			if (this.geosetMask && !this.geosetMask[mI]?.checked)
+				continue;
+
+			const mesh = skin.subMeshes[mI];
+			const triangles = new Array(mesh.triangleCount);
+			for (let vI = 0; vI < mesh.triangleCount; vI++)
+				triangles[vI] = skin.indices[skin.triangles[mesh.triangleStart + vI]];
+
+			let matName;
+			const texUnit = skin.textureUnits.find(tex => tex.skinSectionIndex === mI);
+			if (texUnit) {
+				const texture = this.m2.textures[this.m2.textureCombos[texUnit.textureComboIndex]];
+				if (texture?.fileDataID > 0 && textureMap.has(texture.fileDataID))
+					matName = textureMap.get(texture.fileDataID).matName;
+			}
+
+			meshes.push({ name: GeosetMapper.getGeosetName(mI, mesh.submeshID), triangles, matName });
+		}
+
+		return gltf.addSceneModel({
+			name: path.basename(out, path.extname(out)),
+			vertices: this.m2.vertices,
+			normals: this.m2.normals,
+			uv: this.m2.uv,
+			meshes
+		});
 	}
 
 	/**
@@ -526,14 +1010,15 @@ class M2Exporter {
 			});
 		}
 
-		// add equipment to GLTF
+		// add equipment to GLTF, in the retargeted space if the skeleton was retargeted
+		const retarget = this.retarget;
 		gltf.addEquipmentModel({
 			name: `${slot_name}_Item${item_id}`,
-			vertices: vertices,
-			normals: normals,
+			vertices: retarget ? retarget.transformArray(vertices) : vertices,
+			normals: retarget ? retarget.transformArray(normals, true) : normals,
 			uv: uv,
 			uv2: uv2,
-			boneIndices: is_collection_style ? boneIndices : null,
+			boneIndices: is_collection_style ? (retarget ? retarget.remapBoneIndices(boneIndices) : boneIndices) : null,
 			boneWeights: is_collection_style ? boneWeights : null,
 			meshes
 		});
@@ -549,6 +1034,8 @@ class M2Exporter {
 		const config = core.view.config;
 		const useAlpha = config.modelsExportAlpha;
 		const usePosix = config.pathFormat === 'posix';
+		const texFormat = config.modelsExportTextureFormat;
+		const texExt = BLPFile.getFormatExtension(texFormat);
 		const { slot_id, item_id, renderer, vertices, normals, uv, uv2, textures } = equip;
 
 		if (!renderer?.m2)
@@ -587,7 +1074,7 @@ class M2Exporter {
 				}
 
 				try {
-					let texFile = texFileDataID + '.png';
+					let texFile = texFileDataID + texExt;
 					let texPath = path.join(outDir, texFile);
 					let matName = 'mat_equip_' + texFileDataID;
 
@@ -599,7 +1086,7 @@ class M2Exporter {
 					}
 
 					if (config.enableSharedTextures && fileName !== undefined) {
-						const sharedFileName = ExportHelper.replaceExtension(fileName, '.png');
+						const sharedFileName = ExportHelper.replaceExtension(fileName, texExt);
 						texPath = ExportHelper.getExportPath(sharedFileName);
 						texFile = path.relative(outDir, texPath);
 					}
@@ -607,7 +1094,7 @@ class M2Exporter {
 					if (config.overwriteFiles || !await generics.fileExists(texPath)) {
 						const data = await core.view.casc.getFile(texFileDataID);
 						const blp = new BLPFile(data);
-						await blp.saveToPNG(texPath, useAlpha ? 0b1111 : 0b0111);
+						await blp.saveToFormat(texPath, texFormat, useAlpha ? 0b1111 : 0b0111);
 						log.write('Exported equipment texture %d -> %s', texFileDataID, texPath);
 					}
 
@@ -618,7 +1105,7 @@ class M2Exporter {
 					const texInfo = { matName, matPathRelative: texFile, matPath: texPath };
 					validTextures.set(texFileDataID, texInfo);
 					equipTextures.set(i, texInfo);
-					fileManifest?.push({ type: 'PNG', fileDataID: texFileDataID, file: texPath });
+					fileManifest?.push({ type: texFormat, fileDataID: texFileDataID, file: texPath });
 				} catch (e) {
 					log.write('Failed to export equipment texture %d: %s', texFileDataID, e.message);
 				}
@@ -745,9 +1232,10 @@ class M2Exporter {
 			obj.addUVArray(this.m2.uv2);
 
 		// Textures
-		const validTextures = await this.exportTextures(outDir, false, mtl, helper);
+		const texFormat = core.view.config.modelsExportTextureFormat;
+		const validTextures = await this.exportTextures(outDir, false, mtl, helper, false, false, texFormat);
 		for (const [texFileDataID, texInfo] of validTextures)
-			fileManifest?.push({ type: 'PNG', fileDataID: texFileDataID, file: texInfo.matPath });
+			fileManifest?.push({ type: texFormat, fileDataID: texFileDataID, file: texInfo.matPath });
 
 		// Abort if the export has been cancelled.
 		if (helper.isCancelled())
@@ -830,6 +1318,14 @@ class M2Exporter {
 			json.addProperty('boundingSphereRadius', this.m2.boundingSphereRadius);
 			json.addProperty('collisionBox', this.m2.collisionBox);
 			json.addProperty('collisionSphereRadius', this.m2.collisionSphereRadius);
+			json.addProperty('particleEmitters', this.m2.particleEmitters);
+			json.addProperty('ribbonEmitters', this.m2.ribbonEmitters);
+			json.addProperty('attachments', this.m2.attachments.map(attachment => Object.assign({}, attachment, { position: get_attachment_position(attachment) })));
+			json.addProperty('attachmentLookup', this.m2.attachmentLookup);
+			json.addProperty('events', this.m2.events.map(event => Object.assign({ keyframes: this._getEventKeyframes(event) }, event)));
+			json.addProperty('lights', this.m2.lights);
+			json.addProperty('cameras', this.m2.cameras);
+			json.addProperty('cameraLookup', this.m2.cameraLookup);
 			json.addProperty('skin', {
 				subMeshes: subMeshes,
 				textureUnits: skin.textureUnits,
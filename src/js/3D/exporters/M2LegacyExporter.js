@@ -15,9 +15,57 @@ const JSONWriter = require('../writers/JSONWriter');
 const OBJWriter = require('../writers/OBJWriter');
 const MTLWriter = require('../writers/MTLWriter');
 const STLWriter = require('../writers/STLWriter');
+const GLTFWriter = require('../writers/GLTFWriter');
 const BLPFile = require('../../casc/blp');
 const BufferWrapper = require('../../buffer');
 const GeosetMapper = require('../GeosetMapper');
+const AnimationProcessor = require('../AnimationProcessor');
+
+// retail tracks use 0xFFFF when they do not follow a global sequence, legacy tracks use -1
+const NO_GLOBAL_SEQUENCE = 65535;
+
+/**
+ * Convert a legacy bone track into the per-animation layout of retail tracks.
+ * Pre-WotLK tracks share a single timeline, so the keys within the bounds of
+ * each animation are taken and made relative to its start.
+ * @param {object} track
+ * @param {Array} animations
+ * @returns {object}
+ */
+const get_animation_track = (track, animations) => {
+	const globalSeq = track.globalSeq < 0 ? NO_GLOBAL_SEQUENCE : track.globalSeq;
+	const interpolation = track.interpolation;
+
+	// wotlk tracks are already split per animation
+	if (!track.ranges)
+		return { globalSeq, interpolation, timestamps: track.timestamps, values: track.values };
+
+	// global sequences run on their own timeline, kept in the first slot as in retail
+	if (globalSeq !== NO_GLOBAL_SEQUENCE)
+		return { globalSeq, interpolation, timestamps: [track.timestamps], values: [track.values] };
+
+	const timestamps = new Array(animations.length);
+	const values = new Array(animations.length);
+
+	for (let i = 0; i < animations.length; i++) {
+		const start = animations[i].startTimestamp;
+		const end = animations[i].endTimestamp;
+
+		timestamps[i] = [];
+		values[i] = [];
+
+		for (let j = 0; j < track.timestamps.length; j++) {
+			const ts = track.timestamps[j];
+			if (ts < start || ts > end)
+				continue;
+
+			timestamps[i].push(ts - start);
+			values[i].push(track.values[j]);
+		}
+	}
+
+	return { globalSeq, interpolation, timestamps, values };
+};
 
 class M2LegacyExporter {
 	constructor(data, filePath, mpq) {
@@ -36,25 +84,27 @@ class M2LegacyExporter {
 		this.geosetMask = mask;
 	}
 
-	async exportTextures(outDir, mtl = null, helper) {
+	async exportTextures(outDir, mtl = null, helper, texFormat = 'PNG', glbMode = false) {
 		const config = core.view.config;
 		const mpq = this.mpq;
 
 		const validTextures = new Map();
+		const texture_buffers = new Map();
 
 		if (!config.modelsExportTextures)
-			return validTextures;
+			return { validTextures, texture_buffers };
 
 		await this.m2.load();
 
 		const useAlpha = config.modelsExportAlpha;
 		const usePosix = config.pathFormat === 'posix';
+		const texExt = BLPFile.getFormatExtension(texFormat);
 
 		const exportedTextures = new Set();
 
 		for (let i = 0; i < this.m2.textures.length; i++) {
 			if (helper?.isCancelled?.())
-				return validTextures;
+				return { validTextures, texture_buffers };
 
 			const texture = this.m2.textures[i];
 			const textureType = this.m2.textureTypes[i];
@@ -85,7 +135,7 @@ class M2LegacyExporter {
 				}
 
 				let texFile = path.basename(texturePath);
-				texFile = ExportHelper.replaceExtension(texFile, '.png');
+				texFile = ExportHelper.replaceExtension(texFile, texExt);
 
 				let texPath;
 				// legacy mpq exports always use flat textures alongside model for compatibility
@@ -97,10 +147,16 @@ class M2LegacyExporter {
 
 				const fileExisted = await generics.fileExists(texPath);
 
-				if (config.overwriteFiles || !fileExisted) {
+				if (glbMode) {
+					// glb mode: convert to PNG buffer without writing
+					const blp = new BLPFile(new BufferWrapper(Buffer.from(textureData)));
+					texture_buffers.set(texturePath.toLowerCase(), blp.toPNG(useAlpha ? 0b1111 : 0b0111));
+
+					log.write('Buffering legacy M2 texture %s for GLB embedding', texturePath);
+				} else if (config.overwriteFiles || !fileExisted) {
 					const buf = new BufferWrapper(Buffer.from(textureData));
 					const blp = new BLPFile(buf);
-					await blp.saveToPNG(texPath, useAlpha ? 0b1111 : 0b0111);
+					await blp.saveToFormat(texPath, texFormat, useAlpha ? 0b1111 : 0b0111);
 
 					log.write('Exported legacy M2 texture: %s', texPath);
 				} else {
@@ -117,7 +173,152 @@ class M2LegacyExporter {
 			}
 		}
 
-		return validTextures;
+		return { validTextures, texture_buffers };
+	}
+
+	/**
+	 * Build the enabled submeshes of a skin with their material names.
+	 * @param {object} skin
+	 * @param {Map} validTextures
+	 * @returns {Array<{ name: string, triangles: Array, matName: string }>}
+	 */
+	_buildMeshes(skin, validTextures) {
+		const meshes = [];
+		for (let mI = 0, mC = skin.subMeshes.length; mI < mC; mI++) {
+			if (this.geosetMask && !this.geosetMask[mI]?.checked)
+				continue;
+
+			const mesh = skin.subMeshes[mI];
+			const triangles = new Array(mesh.triangleCount);
+
+			for (let vI = 0; vI < mesh.triangleCount; vI++)
+				triangles[vI] = skin.indices[skin.triangles[mesh.triangleStart + vI]];
+
+			let matName;
+			const texUnit = skin.textureUnits.find(tex => tex.skinSectionIndex === mI);
+			if (texUnit) {
+				const texIndex = this.m2.textureCombos[texUnit.textureComboIndex];
+				const texture = this.m2.textures[texIndex];
+				const textureType = this.m2.textureTypes[texIndex];
+
+				// resolve texture path same as exportTextures
+				let texturePath = texture?.fileName;
+				if (textureType > 0 && this.skinTextures) {
+					if (textureType >= 11 && textureType < 14)
+						texturePath = this.skinTextures[textureType - 11];
+					else if (textureType > 1 && textureType < 5)
+						texturePath = this.skinTextures[textureType - 2];
+				}
+
+				if (texturePath && validTextures.has(texturePath.toLowerCase()))
+					matName = validTextures.get(texturePath.toLowerCase()).matName;
+			}
+
+			meshes.push({ name: GeosetMapper.getGeosetName(mI, mesh.submeshID), triangles, matName });
+		}
+
+		return meshes;
+	}
+
+	async exportAsGLTF(out, helper, fileManifest, format = 'gltf') {
+		const config = core.view.config;
+		const ext = format === 'glb' ? '.glb' : '.gltf';
+		const outGLTF = ExportHelper.replaceExtension(out, ext);
+		const outDir = path.dirname(out);
+
+		// skip export if file exists and overwriting is disabled
+		if (!config.overwriteFiles && await generics.fileExists(outGLTF))
+			return log.write('Skipping %s export of %s (already exists, overwrite disabled)', format.toUpperCase(), outGLTF);
+
+		this.m2 = new M2LegacyLoader(this.data);
+		await this.m2.load();
+
+		const skin = await this.m2.getSkin(0);
+
+		const modelName = path.basename(outGLTF, ext);
+		const gltf = new GLTFWriter(out, modelName);
+
+		log.write('Exporting legacy M2 model %s as %s: %s', modelName, format.toUpperCase(), outGLTF);
+
+		let bones = this.m2.bones;
+		const animations = this.m2.animations;
+
+		if (config.modelsExportAnimations && animations.length > 0) {
+			bones = bones.map(bone => Object.assign({}, bone, {
+				translation: get_animation_track(bone.translation, animations),
+				rotation: get_animation_track(bone.rotation, animations),
+				scale: get_animation_track(bone.scale, animations)
+			}));
+
+			const processed = AnimationProcessor.process_animations(bones, animations, this.m2.globalLoops, AnimationProcessor.get_options(config));
+			bones = processed.bones;
+
+			gltf.setAnimations(processed.animations);
+		}
+
+		gltf.setBonesArray(bones);
+		gltf.setVerticesArray(this.m2.vertices);
+		gltf.setNormalArray(this.m2.normals);
+		gltf.setBoneIndexArray(this.m2.boneIndices);
+		gltf.setBoneWeightArray(this.m2.boneWeights);
+
+		gltf.addUVArray(this.m2.uv);
+		gltf.addUVArray(this.m2.uv2);
+
+		helper?.setCurrentTaskName?.(modelName + ' textures');
+
+		const { validTextures, texture_buffers } = await this.exportTextures(outDir, null, helper, 'PNG', format === 'glb');
+		if (format === 'glb') {
+			gltf.setTextureBuffers(texture_buffers);
+		} else {
+			for (const [texPath, texInfo] of validTextures)
+				fileManifest?.push({ type: 'PNG', file: texInfo.matPath });
+		}
+
+		if (helper?.isCancelled?.())
+			return;
+
+		gltf.setTextureMap(validTextures);
+
+		for (const mesh of this._buildMeshes(skin, validTextures))
+			gltf.addMesh(mesh.name, mesh.triangles, mesh.matName);
+
+		await gltf.write(config.overwriteFiles, format);
+		fileManifest?.push({ type: format.toUpperCase(), file: outGLTF });
+	}
+
+	/**
+	 * Add this model to a GLTF writer as an instanceable scene model.
+	 * Textures are exported relative to the given output path.
+	 * @param {GLTFWriter} gltf
+	 * @param {string} out
+	 * @param {ExportHelper} helper
+	 * @param {string} [format='gltf']
+	 * @returns {Promise<number>} Index of the scene model.
+	 */
+	async addToGLTFScene(gltf, out, helper, format = 'gltf') {
+		this.m2 = new M2LegacyLoader(this.data);
+		await this.m2.load();
+
+		const skin = await this.m2.getSkin(0);
+
+		const { validTextures, texture_buffers } = await this.exportTextures(path.dirname(out), null, helper, 'PNG', format === 'glb');
+		if (helper?.isCancelled?.())
+			return;
+
+		for (const [texPath, buffer] of texture_buffers)
+			gltf.texture_buffers.set(texPath, buffer);
+
+		for (const [texPath, texInfo] of validTextures)
+			gltf.textures.set(texPath, texInfo);
+
+		return gltf.addSceneModel({
+			name: path.basename(out, path.extname(out)),
+			vertices: this.m2.vertices,
+			normals: this.m2.normals,
+			uv: this.m2.uv,
+			meshes: this._buildMeshes(skin, validTextures)
+		});
 	}
 
 	async exportAsOBJ(out, helper, fileManifest) {
@@ -146,47 +347,18 @@ class M2LegacyExporter {
 			obj.addUVArray(this.m2.uv2);
 
 		helper?.setCurrentTaskName?.(modelName + ' textures');
-		const validTextures = await this.exportTextures(outDir, mtl, helper);
+		const texFormat = config.modelsExportTextureFormat;
+		const { validTextures } = await this.exportTextures(outDir, mtl, helper, texFormat);
 
 		for (const [texPath, texInfo] of validTextures)
-			fileManifest?.push({ type: 'PNG', file: texInfo.matPath });
+			fileManifest?.push({ type: texFormat, file: texInfo.matPath });
 
 		if (helper?.isCancelled?.())
 			return;
 
 		// export mesh data
-		for (let mI = 0, mC = skin.subMeshes.length; mI < mC; mI++) {
-			if (this.geosetMask && !this.geosetMask[mI]?.checked)
-				continue;
-
-			const mesh = skin.subMeshes[mI];
-			const verts = new Array(mesh.triangleCount);
-
-			for (let vI = 0; vI < mesh.triangleCount; vI++)
-				verts[vI] = skin.indices[skin.triangles[mesh.triangleStart + vI]];
-
-			let matName;
-			const texUnit = skin.textureUnits.find(tex => tex.skinSectionIndex === mI);
-			if (texUnit) {
-				const texIndex = this.m2.textureCombos[texUnit.textureComboIndex];
-				const texture = this.m2.textures[texIndex];
-				const textureType = this.m2.textureTypes[texIndex];
-
-				// resolve texture path same as exportTextures
-				let texturePath = texture?.fileName;
-				if (textureType > 0 && this.skinTextures) {
-					if (textureType >= 11 && textureType < 14)
-						texturePath = this.skinTextures[textureType - 11];
-					else if (textureType > 1 && textureType < 5)
-						texturePath = this.skinTextures[textureType - 2];
-				}
-
-				if (texturePath && validTextures.has(texturePath.toLowerCase()))
-					matName = validTextures.get(texturePath.toLowerCase()).matName;
-			}
-
-			obj.addMesh(GeosetMapper.getGeosetName(mI, mesh.submeshID), verts, matName);
-		}
+		for (const mesh of this._buildMeshes(skin, validTextures))
+			obj.addMesh(mesh.name, mesh.triangles, mesh.matName);
 
 		if (!mtl.isEmpty)
 			obj.setMaterialLibrary(path.basename(mtl.out));
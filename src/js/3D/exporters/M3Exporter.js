@@ -17,6 +17,7 @@ const MTLWriter = require('../writers/MTLWriter');
 const STLWriter = require('../writers/STLWriter');
 const JSONWriter = require('../writers/JSONWriter');
 const GLTFWriter = require('../writers/GLTFWriter');
+const FBXWriter = require('../writers/FBXWriter');
 const GeosetMapper = require('../GeosetMapper');
 const ExportHelper = require('../../casc/export-helper');
 const BufferWrapper = require('../../buffer');
@@ -108,6 +109,50 @@ class M3Exporter {
 		await gltf.write(core.view.config.overwriteFiles, format);
 	}
 
+	/**
+	 * Export this model as a binary FBX.
+	 * @param {string} out
+	 * @param {ExportHelper} helper
+	 */
+	async exportAsFBX(out, helper) {
+		const outFBX = ExportHelper.replaceExtension(out, '.fbx');
+		const outDir = path.dirname(out);
+
+		// Skip export if file exists and overwriting is disabled.
+		if (!core.view.config.overwriteFiles && await generics.fileExists(outFBX))
+			return log.write('Skipping FBX export of %s (already exists, overwrite disabled)', outFBX);
+
+		await this.m3.load();
+
+		const model_name = path.basename(outFBX, '.fbx');
+		const fbx = new FBXWriter(out, model_name);
+		log.write('Exporting M3 model %s as FBX: %s', model_name, outFBX);
+
+		fbx.setVerticesArray(this.m3.vertices);
+		fbx.setNormalArray(this.m3.normals);
+
+		fbx.addUVArray(this.m3.uv);
+		if (core.view.config.modelsExportUV2 && this.m3.uv1 !== undefined)
+			fbx.addUVArray(this.m3.uv1);
+
+		const textureMap = await this.exportTextures(outDir, false, null, helper, true);
+		fbx.setTextureMap(textureMap);
+
+		// Abort if the export has been cancelled.
+		if (helper.isCancelled())
+			return;
+
+		// Only the first LOD is exported, matching the GLTF export.
+		for (let geosetIndex = 0; geosetIndex < this.m3.geosetCountPerLOD; geosetIndex++) {
+			const geoset = this.m3.geosets[geosetIndex];
+			const geosetName = this.m3.stringBlock.slice(geoset.nameCharStart, geoset.nameCharStart + geoset.nameCharCount);
+
+			fbx.addMesh(geosetName, this.m3.indices.slice(geoset.indexStart, geoset.indexStart + geoset.indexCount), "");
+		}
+
+		await fbx.write(core.view.config.overwriteFiles);
+	}
+
 	/**
 	 * Export the M3 model as a WaveFront OBJ.
 	 * @param {string} out
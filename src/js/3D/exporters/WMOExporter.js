@@ -22,9 +22,100 @@ const M2Exporter = require('./M2Exporter');
 const M3Exporter = require('./M3Exporter');
 const constants = require('../../constants');
 const WMOShaderMapper = require('../WMOShaderMapper');
+const { getLiquidType } = require('../LiquidTypes');
+const { FOG_FLAG_INFINITE, bgra_to_rgb } = require('../WMOUtil');
 
 const doodadCache = new Set();
 
+// MOLT light types mapped to KHR_lights_punctual types, ambient lights have no equivalent.
+const LIGHT_TYPES = ['point', 'spot', 'directional', null];
+
+// MLIQ tiles share the size of ADT liquid cells.
+const LIQUID_TILE_SIZE = constants.GAME.TILE_SIZE / 128;
+
+// Tiles with this legacy liquid type are not rendered.
+const LIQUID_TILE_NO_RENDER = 0xF;
+
+// MOHD flag, group liquid values are LiquidType IDs rather than legacy values.
+const MOHD_FLAG_LIQUID_TYPE_ID = 0x4;
+
+// MOGP flag, legacy water in this group is ocean.
+const MOGP_FLAG_WATER_IS_OCEAN = 0x80000;
+
+// Legacy group liquid value which takes its type from the liquid tiles.
+const LEGACY_LIQUID_FROM_TILES = 15;
+
+// First group liquid value which is a LiquidType ID rather than a basic type.
+const FIRST_NON_BASIC_LIQUID = 21;
+
+// LiquidType IDs for the basic WMO liquid types: water, ocean, magma and slime.
+const BASIC_LIQUID_TYPES = [13, 14, 19, 20];
+
+/**
+ * Resolve the LiquidType ID for the liquid of a WMO group.
+ * See https://wowdev.wiki/WMO#MLIQ_chunk for the legacy rules.
+ * @param {WMOLoader} wmo
+ * @param {WMOLoader} group
+ * @returns {number}
+ */
+const get_group_liquid_type = (wmo, group) => {
+	const liquid = group.liquidType;
+	let basic;
+
+	if (wmo.flags & MOHD_FLAG_LIQUID_TYPE_ID) {
+		if (liquid >= FIRST_NON_BASIC_LIQUID)
+			return liquid;
+
+		basic = liquid - 1;
+	} else if (liquid === LEGACY_LIQUID_FROM_TILES) {
+		const tile = group.liquid.tiles.find(tile => (tile & 0xF) !== LIQUID_TILE_NO_RENDER);
+		basic = tile ?? 0;
+	} else if (liquid >= FIRST_NON_BASIC_LIQUID - 1) {
+		return liquid + 1;
+	} else {
+		basic = liquid;
+	}
+
+	basic = Math.max(basic, 0) & 0x3;
+	if (basic === 0 && (group.flags & MOGP_FLAG_WATER_IS_OCEAN))
+		basic = 1;
+
+	return BASIC_LIQUID_TYPES[basic];
+};
+
+/**
+ * Returns true if a WMO group has a liquid plane which is included in exports.
+ * Groups may contain only liquid, with no render batches of their own.
+ * @param {object} group
+ * @returns {boolean}
+ */
+const has_exported_liquid = (group) => core.view.config.modelsExportWMOLiquid && group.liquid?.tileX > 0 && group.liquid?.tileY > 0;
+
+// MOPY flags which decide whether a face collides.
+const MOPY_FLAG_DETAIL = 0x04;
+const MOPY_FLAG_COLLISION = 0x08;
+const MOPY_FLAG_RENDER = 0x20;
+
+// MOBN node flags, split nodes store the axis their plane is perpendicular to.
+const BSP_FLAG_AXIS_MASK = 0x3;
+const BSP_FLAG_LEAF = 0x4;
+const BSP_AXES = ['x', 'y', 'z'];
+
+/**
+ * Returns true if a face with the given MOPY flags collides. Faces collide
+ * if flagged for collision, or if they are rendered and not detail faces.
+ * @param {number} flags
+ * @returns {boolean}
+ */
+const is_collidable_face = (flags) => (flags & MOPY_FLAG_COLLISION) === MOPY_FLAG_COLLISION || ((flags & MOPY_FLAG_RENDER) === MOPY_FLAG_RENDER && (flags & MOPY_FLAG_DETAIL) === 0);
+
+/**
+ * Convert a Z-up WMO root position into the Y-up space used by the model geometry.
+ * @param {Array<number>} position
+ * @returns {Array<number>}
+ */
+const to_gltf_position = (position) => [position[0], position[2], -position[1]];
+
 class WMOExporter {
 	/**
 	 * Construct a new WMOExporter instance.
@@ -57,9 +148,10 @@ class WMOExporter {
 	 * @param {ExportHelper}
 	 * @param {boolean} [raw=false]
 	 * @param {boolean} [glbMode=false]
+	 * @param {string} [texFormat=PNG] PNG, DDS or KTX2.
 	 * @returns {{ textureMap: Map, materialMap: Map, texture_buffers: Map, files_to_cleanup: Array }}
 	 */
-	async exportTextures(out, mtl = null, helper, raw = false, glbMode = false) {
+	async exportTextures(out, mtl = null, helper, raw = false, glbMode = false, texFormat = 'PNG') {
 		const config = core.view.config;
 		const casc = core.view.casc;
 
@@ -76,6 +168,7 @@ class WMOExporter {
 
 		const useAlpha = config.modelsExportAlpha;
 		const usePosix = config.pathFormat === 'posix';
+		const texExt = BLPFile.getFormatExtension(texFormat);
 		const isClassic = !!this.wmo.textureNames;
 		const materialCount = this.wmo.materials.length;
 
@@ -129,7 +222,7 @@ class WMOExporter {
 					continue;
 
 				try {
-					let texFile = fileDataID + (raw ? '.blp' : '.png');
+					let texFile = fileDataID + (raw ? '.blp' : texExt);
 					let texPath = path.join(path.dirname(out), texFile);
 
 					// Default MTl name to the file ID (prefixed for Maya).
@@ -151,9 +244,9 @@ class WMOExporter {
 					// Map texture files relative to shared directory.
 					if (config.enableSharedTextures) {
 						if (fileName !== undefined) {
-							// Replace BLP extension with PNG.
+							// Replace BLP extension with the texture format.
 							if (raw === false)
-								fileName = ExportHelper.replaceExtension(fileName, '.png');
+								fileName = ExportHelper.replaceExtension(fileName, texExt);
 						} else {
 							// Handle unknown files.
 							fileName = listfile.formatUnknownFile(texFile);
@@ -183,7 +276,7 @@ class WMOExporter {
 							await data.writeToFile(texPath);
 						} else {
 							const blp = new BLPFile(data);
-							await blp.saveToPNG(texPath, useAlpha ? 0b1111 : 0b0111);
+							await blp.saveToFormat(texPath, texFormat, useAlpha ? 0b1111 : 0b0111);
 						}
 					} else {
 						log.write('Skipping WMO texture export %s (file exists, overwrite disabled)', texPath);
@@ -209,51 +302,24 @@ class WMOExporter {
 	}
 
 	/**
-	 * Export the WMO model as a GLTF file.
-	 * @param {string} out 
-	 * @param {ExportHelper} helper 
+	 * Build the combined geometry of all enabled groups, with one mesh
+	 * per render batch and one per liquid plane.
+	 * @param {Map} materialMap
+	 * @returns {{ vertices: Array, normals: Array, uv_maps: Array, meshes: Array, liquidTypes: Map }}
 	 */
-	async exportAsGLTF(out, helper, format = 'gltf') {
-		const ext = format === 'glb' ? '.glb' : '.gltf';
-		const outFile = ExportHelper.replaceExtension(out, ext);
-
-		// Skip export if file exists and overwriting is disabled.
-		if (!core.view.config.overwriteFiles && await generics.fileExists(outFile))
-			return log.write('Skipping %s export of %s (already exists, overwrite disabled)', format.toUpperCase(), outFile);
-
-		const wmo_name = path.basename(outFile, ext);
-		const gltf = new GLTFWriter(out, wmo_name);
-
-		const groupMask = this.groupMask;
-
-		log.write('Exporting WMO model %s as %s: %s', wmo_name, format.toUpperCase(), outFile);
-
-		await this.wmo.load();
-
-		helper.setCurrentTaskName(wmo_name + ' textures');
-		const texMaps = await this.exportTextures(out, null, helper, false, format === 'glb');
-
-		if (helper.isCancelled())
-			return;
-
-		const gltf_texture_lookup = new Map();
-		const texture_map_fids = [...texMaps.textureMap.keys()];
-		for (let i = 0; i < texture_map_fids.length; i++)
-			gltf_texture_lookup.set(i, texture_map_fids[i]);
-
-		gltf.setTextureMap(texMaps.textureMap);
-		if (format === 'glb')
-			gltf.setTextureBuffers(texMaps.texture_buffers);
-
+	async buildGLTFGeometry(materialMap) {
 		const groups = [];
+		const liquidGroups = [];
 		let nInd = 0;
 
+		const meshes = [];
+
 		let mask;
 
 		// Map our user-facing group mask to a WMO mask.
-		if (groupMask) {
+		if (this.groupMask) {
 			mask = new Set();
-			for (const group of groupMask) {
+			for (const group of this.groupMask) {
 				if (group.checked) {
 					// Add the group index to the mask.
 					mask.add(group.groupIndex);
@@ -266,14 +332,17 @@ class WMOExporter {
 		for (let i = 0, n = this.wmo.groupCount; i < n; i++) {
 			const group = await this.wmo.getGroup(i);
 
-			// Skip empty groups.
-			if (!group.renderBatches?.length)
-				continue;
-
 			// Skip masked groups.
 			if (mask && !mask?.has(i))
 				continue;
 
+			if (has_exported_liquid(group))
+				liquidGroups.push(group);
+
+			// Skip empty groups.
+			if (!group.renderBatches?.length)
+				continue;
+
 			// 3 vertices per indices.
 			nInd += group.vertices.length / 3;
 
@@ -331,19 +400,440 @@ class WMOExporter {
 					indices[i] = group.indices[batch.firstFace + i] + indOfs;
 
 				const matID = ((batch.flags & 2) === 2) ? batch.possibleBox2[2] : batch.materialID;
-				gltf.addMesh(groupName + bI, indices, texMaps.materialMap.get(matID));
+				meshes.push({ name: groupName + bI, triangles: indices, matName: materialMap.get(matID) });
 			}
 
 			indOfs += indCount;
 		}
 
-		gltf.setVerticesArray(vertices);
-		gltf.setNormalArray(normals);
+		const liquid = await this.buildLiquidGeometry(liquidGroups, indOfs);
+		vertices.push(...liquid.vertices);
+		normals.push(...liquid.normals);
+		meshes.push(...liquid.meshes);
+
+		for (let i = 0; i < uv_maps.length; i++)
+			uv_maps[i].push(...(i === 0 ? liquid.uvs : new Array(liquid.uvs.length).fill(0)));
+
+		return { vertices, normals, uv_maps, meshes, liquidTypes: liquid.liquidTypes };
+	}
+
+	/**
+	 * Build meshes for the liquid planes (MLIQ) of the given groups, with one
+	 * mesh per group using the material of its liquid type.
+	 * @param {Array} groups
+	 * @param {number} vertexBase Index of the first liquid vertex in the combined geometry.
+	 * @returns {{ vertices: Array, normals: Array, uvs: Array, meshes: Array, liquidTypes: Map }}
+	 */
+	async buildLiquidGeometry(groups, vertexBase) {
+		const vertices = [];
+		const normals = [];
+		const uvs = [];
+		const meshes = [];
+		const liquidTypes = new Map();
+
+		if (!core.view.config.modelsExportWMOLiquid)
+			return { vertices, normals, uvs, meshes, liquidTypes };
+
+		for (const group of groups) {
+			const liquid = group.liquid;
+			if (!liquid || liquid.tileX === 0 || liquid.tileY === 0)
+				continue;
+
+			const liquidTypeID = get_group_liquid_type(this.wmo, group);
+			if (!liquidTypes.has(liquidTypeID))
+				liquidTypes.set(liquidTypeID, await getLiquidType(liquidTypeID));
+
+			const base = vertexBase + (vertices.length / 3);
+			const corner = liquid.corner;
+
+			// MLIQ is Z-up, convert into the Y-up space used by the group geometry.
+			for (let y = 0; y < liquid.vertY; y++) {
+				for (let x = 0; x < liquid.vertX; x++) {
+					const vertex = liquid.vertices[y * liquid.vertX + x];
+					vertices.push(corner[0] + x * LIQUID_TILE_SIZE, vertex.height, -(corner[1] + y * LIQUID_TILE_SIZE));
+					normals.push(0, 1, 0);
+					uvs.push(x / 8, y / 8);
+				}
+			}
+
+			const triangles = [];
+			for (let y = 0; y < liquid.tileY; y++) {
+				for (let x = 0; x < liquid.tileX; x++) {
+					if ((liquid.tiles[y * liquid.tileX + x] & 0xF) === LIQUID_TILE_NO_RENDER)
+						continue;
+
+					const a = base + (y * liquid.vertX) + x;
+					const c = a + liquid.vertX;
+					triangles.push(a, a + 1, c + 1);
+					triangles.push(a, c + 1, c);
+				}
+			}
+
+			const matName = liquidTypes.get(liquidTypeID).matName;
+			if (triangles.length > 0)
+				meshes.push({ name: this.wmo.groupNames[group.nameOfs] + '_' + matName, triangles, matName });
+		}
+
+		return { vertices, normals, uvs, meshes, liquidTypes };
+	}
+
+	/**
+	 * Export the textures of the given liquid types.
+	 * @param {string} out
+	 * @param {Map} liquidTypes
+	 * @param {?MTLWriter} mtl
+	 * @param {boolean} [glbMode=false]
+	 * @param {string} [texFormat=PNG] PNG, DDS or KTX2.
+	 * @returns {{ textureMap: Map, texture_buffers: Map }}
+	 */
+	async exportLiquidTextures(out, liquidTypes, mtl = null, glbMode = false, texFormat = 'PNG') {
+		const config = core.view.config;
+		const textureMap = new Map();
+		const texture_buffers = new Map();
+
+		if (!config.modelsExportTextures)
+			return { textureMap, texture_buffers };
+
+		const texExt = BLPFile.getFormatExtension(texFormat);
+		const channels = config.modelsExportAlpha ? 0b1111 : 0b0111;
+
+		for (const liquidType of liquidTypes.values()) {
+			const fileDataID = liquidType.fileDataID;
+			if (fileDataID === 0)
+				continue;
+
+			try {
+				let texFile = fileDataID + texExt;
+				let texPath = path.join(path.dirname(out), texFile);
+
+				if (config.enableSharedTextures) {
+					const fileName = listfile.getByID(fileDataID);
+					texPath = ExportHelper.getExportPath(fileName !== undefined ? ExportHelper.replaceExtension(fileName, texExt) : listfile.formatUnknownFile(fileDataID, texExt));
+					texFile = path.relative(path.dirname(out), texPath);
+				}
+
+				const blp = new BLPFile(await core.view.casc.getFile(fileDataID));
+				if (glbMode)
+					texture_buffers.set(fileDataID, blp.toPNG(channels));
+				else if (config.overwriteFiles || !await generics.fileExists(texPath))
+					await blp.saveToFormat(texPath, texFormat, channels);
+
+				if (config.pathFormat === 'posix')
+					texFile = ExportHelper.win32ToPosix(texFile);
+
+				mtl?.addMaterial(liquidType.matName, texFile);
+				textureMap.set(fileDataID, { matPathRelative: texFile, matPath: texPath, matName: liquidType.matName });
+			} catch (e) {
+				log.write('Failed to export liquid texture %d for WMO: %s', fileDataID, e.message);
+			}
+		}
+
+		return { textureMap, texture_buffers };
+	}
+
+	/**
+	 * Add this WMO to a GLTF writer as an instanceable scene model.
+	 * Textures are exported relative to the given output path.
+	 * @param {GLTFWriter} gltf
+	 * @param {string} out
+	 * @param {ExportHelper} helper
+	 * @param {string} [format='gltf']
+	 * @returns {number|undefined} Index of the scene model.
+	 */
+	async addToGLTFScene(gltf, out, helper, format = 'gltf') {
+		await this.wmo.load();
+
+		const texMaps = await this.exportTextures(out, null, helper, false, format === 'glb');
+		if (helper.isCancelled())
+			return;
+
+		for (const [fileDataID, texInfo] of texMaps.textureMap)
+			gltf.textures.set(fileDataID, texInfo);
+
+		for (const [fileDataID, buffer] of texMaps.texture_buffers)
+			gltf.texture_buffers.set(fileDataID, buffer);
+
+		const geometry = await this.buildGLTFGeometry(texMaps.materialMap);
+		const liquidTexMaps = await this.exportLiquidTextures(out, geometry.liquidTypes, null, format === 'glb');
+
+		for (const [fileDataID, texInfo] of liquidTexMaps.textureMap)
+			gltf.textures.set(fileDataID, texInfo);
+
+		for (const [fileDataID, buffer] of liquidTexMaps.texture_buffers)
+			gltf.texture_buffers.set(fileDataID, buffer);
+
+		return gltf.addSceneModel({
+			name: path.basename(out, path.extname(out)),
+			vertices: geometry.vertices,
+			normals: geometry.normals,
+			uv: geometry.uv_maps[0],
+			meshes: geometry.meshes
+		});
+	}
+
+	/**
+	 * Add the doodads of every enabled doodad set to a GLTF writer. Each set
+	 * becomes a named group node, with every doodad M2 added once as a scene
+	 * model and placed through instances.
+	 * @param {GLTFWriter} gltf
+	 * @param {string} out
+	 * @param {ExportHelper} helper
+	 * @param {string} [format='gltf']
+	 * @param {number} [parent] Scene instance to place the doodad sets under.
+	 * @param {Map} [modelCache] Scene model indices by fileDataID, shared between calls.
+	 */
+	async addDoodadSetsToGLTFScene(gltf, out, helper, format = 'gltf', parent = undefined, modelCache = new Map()) {
+		const casc = core.view.casc;
+		const wmo = this.wmo;
+		const wmoName = path.basename(out, path.extname(out));
+
+		await wmo.load();
+
+		const doodadSets = wmo.doodadSets;
+		for (let i = 0, n = doodadSets.length; i < n; i++) {
+			// Skip disabled doodad sets.
+			if (!this.doodadSetMask?.[i]?.checked)
+				continue;
+
+			const set = doodadSets[i];
+			const count = set.doodadCount;
+			log.write('Exporting WMO doodad set %s with %d doodads...', set.name, count);
+
+			helper.setCurrentTaskName(wmoName + ', doodad set ' + set.name);
+			helper.setCurrentTaskMax(count);
+
+			for (let j = 0; j < count; j++) {
+				// Abort if the export has been cancelled.
+				if (helper.isCancelled())
+					return;
+
+				helper.setCurrentTaskValue(j);
+
+				const doodad = wmo.doodads[set.firstInstanceIndex + j];
+				let fileDataID = 0;
+				let fileName;
+
+				if (wmo.fileDataIDs) {
+					// Retail, use fileDataID and lookup the filename.
+					fileDataID = wmo.fileDataIDs[doodad.offset];
+					fileName = listfile.getByID(fileDataID);
+				} else {
+					// Classic, use fileName and lookup the fileDataID.
+					fileName = wmo.doodadNames[doodad.offset];
+					fileDataID = listfile.getByFilename(fileName) || 0;
+				}
+
+				if (fileDataID === 0)
+					continue;
+
+				if (fileName === undefined)
+					fileName = listfile.formatUnknownFile(fileDataID, '.m2');
+
+				try {
+					if (!modelCache.has(fileDataID)) {
+						let modelIndex;
+
+						const data = await casc.getFile(fileDataID);
+						const modelMagic = data.readUInt32LE();
+						data.seek(0);
+
+						if (modelMagic == constants.MAGIC.MD21) {
+							const m2Export = new M2Exporter(data, undefined, fileDataID);
+							modelIndex = await m2Export.addToGLTFScene(gltf, ExportHelper.replaceFile(out, fileName), helper, format);
+						} else {
+							log.write('Skipping doodad %d for %s, only M2 doodads can be instanced in glTF', fileDataID, set.name);
+						}
+
+						// Abort if the export has been cancelled.
+						if (helper.isCancelled())
+							return;
+
+						modelCache.set(fileDataID, modelIndex);
+					}
+
+					const modelIndex = modelCache.get(fileDataID);
+					if (modelIndex === undefined)
+						continue;
+
+					// MODD placement is Z-up, convert into the Y-up space used by the model geometry.
+					const position = doodad.position;
+					const rotation = doodad.rotation;
+
+					gltf.addSceneInstance({
+						name: path.basename(fileName, path.extname(fileName)),
+						model: modelIndex,
+						translation: [position[0], position[2], -position[1]],
+						rotation: [rotation[0], rotation[2], -rotation[1], rotation[3]],
+						scale: [doodad.scale, doodad.scale, doodad.scale],
+						parent,
+						group: set.name,
+						extras: { fileDataID, doodadSet: set.name }
+					});
+				} catch (e) {
+					log.write('Failed to load doodad %d for %s: %s', fileDataID, set.name, e.message);
+				}
+			}
+		}
+	}
+
+	/**
+	 * Add the lights, fog volumes and portals of the WMO to a GLTF writer.
+	 * Lights are written as KHR_lights_punctual nodes, fog volumes as empty
+	 * nodes carrying their parameters and portals as polygon meshes, each
+	 * under their own group node.
+	 * @param {GLTFWriter} gltf
+	 * @param {number} [parent] Scene instance to place the nodes under.
+	 */
+	addSceneDataToGLTF(gltf, parent = undefined) {
+		const wmo = this.wmo;
+
+		const lights = wmo.lights ?? [];
+		for (let i = 0, n = lights.length; i < n; i++) {
+			const light = lights[i];
+			const name = 'Light_' + i;
+			const type = LIGHT_TYPES[light.type];
+
+			let light_def;
+			if (type) {
+				light_def = { name, type, color: bgra_to_rgb(light.color), intensity: light.intensity };
+				if (type !== 'directional' && light.useAttenuation && light.attenuationEnd > 0)
+					light_def.range = light.attenuationEnd;
+
+				if (type === 'spot')
+					light_def.spot = {};
+			}
+
+			// spot and directional lights shine along the node's -Z axis
+			const rotation = light.rotation;
+			const has_rotation = type !== 'point' && rotation.some(v => v !== 0);
+
+			gltf.addSceneInstance({
+				name,
+				translation: to_gltf_position(light.position),
+				rotation: has_rotation ? [rotation[0], rotation[2], -rotation[1], rotation[3]] : undefined,
+				parent,
+				group: 'Lights',
+				light: light_def,
+				extras: Object.assign({}, light, { type: 'light', lightType: light.type, color: bgra_to_rgb(light.color) })
+			});
+		}
+
+		const fogs = wmo.fogs ?? [];
+		for (let i = 0, n = fogs.length; i < n; i++) {
+			const fog = fogs[i];
+			const is_infinite = (fog.flags & FOG_FLAG_INFINITE) === FOG_FLAG_INFINITE;
+
+			gltf.addSceneInstance({
+				name: 'Fog_' + i,
+				translation: to_gltf_position(fog.position),
+				parent,
+				group: 'Fog',
+				extras: {
+					type: 'fog',
+					flags: fog.flags,
+					infinite: is_infinite,
+					radiusSmall: fog.radiusSmall,
+					radiusLarge: fog.radiusLarge,
+					fog: Object.assign({}, fog.fog, { color: bgra_to_rgb(fog.fog.color) }),
+					underwaterFog: Object.assign({}, fog.underwaterFog, { color: bgra_to_rgb(fog.underwaterFog.color) })
+				}
+			});
+		}
+
+		const portals = wmo.portalInfo ?? [];
+		for (let i = 0, n = portals.length; i < n; i++) {
+			const portal = portals[i];
+			if (portal.count < 3)
+				continue;
+
+			const vertices = [];
+			const normals = [];
+			const normal = to_gltf_position(portal.plane);
+
+			for (let v = 0; v < portal.count; v++) {
+				vertices.push(...to_gltf_position(wmo.portalVertices[portal.startVertex + v]));
+				normals.push(...normal);
+			}
+
+			// portals are convex polygons, written as a triangle fan
+			const triangles = [];
+			for (let v = 1; v < portal.count - 1; v++)
+				triangles.push(0, v, v + 1);
+
+			const name = 'Portal_' + i;
+			const model = gltf.addSceneModel({ name, vertices, normals, meshes: [{ name, triangles }] });
+			const refs = (wmo.mopr ?? []).filter(ref => ref.portalIndex === i);
+
+			gltf.addSceneInstance({
+				name,
+				model,
+				parent,
+				group: 'Portals',
+				extras: { type: 'portal', plane: portal.plane, groups: refs.map(ref => ({ groupIndex: ref.groupIndex, side: ref.side })) }
+			});
+		}
+	}
+
+	/**
+	 * Export the WMO model as a GLTF file.
+	 * @param {string} out 
+	 * @param {ExportHelper} helper 
+	 */
+	async exportAsGLTF(out, helper, format = 'gltf') {
+		const ext = format === 'glb' ? '.glb' : '.gltf';
+		const outFile = ExportHelper.replaceExtension(out, ext);
+
+		// Skip export if file exists and overwriting is disabled.
+		if (!core.view.config.overwriteFiles && await generics.fileExists(outFile))
+			return log.write('Skipping %s export of %s (already exists, overwrite disabled)', format.toUpperCase(), outFile);
+
+		const wmo_name = path.basename(outFile, ext);
+		const gltf = new GLTFWriter(out, wmo_name);
+
+		log.write('Exporting WMO model %s as %s: %s', wmo_name, format.toUpperCase(), outFile);
+
+		await this.wmo.load();
+
+		helper.setCurrentTaskName(wmo_name + ' textures');
+		const texMaps = await this.exportTextures(out, null, helper, false, format === 'glb');
+
+		if (helper.isCancelled())
+			return;
+
+		const gltf_texture_lookup = new Map();
+		const texture_map_fids = [...texMaps.textureMap.keys()];
+		for (let i = 0; i < texture_map_fids.length; i++)
+			gltf_texture_lookup.set(i, texture_map_fids[i]);
+
+		gltf.setTextureMap(texMaps.textureMap);
+		if (format === 'glb')
+			gltf.setTextureBuffers(texMaps.texture_buffers);
+
+		const geometry = await this.buildGLTFGeometry(texMaps.materialMap);
+		for (const mesh of geometry.meshes)
+			gltf.addMesh(mesh.name, mesh.triangles, mesh.matName);
+
+		const liquidTexMaps = await this.exportLiquidTextures(out, geometry.liquidTypes, null, format === 'glb');
+		for (const [fileDataID, texInfo] of liquidTexMaps.textureMap)
+			texMaps.textureMap.set(fileDataID, texInfo);
+
+		for (const [fileDataID, buffer] of liquidTexMaps.texture_buffers)
+			texMaps.texture_buffers.set(fileDataID, buffer);
+
+		gltf.setVerticesArray(geometry.vertices);
+		gltf.setNormalArray(geometry.normals);
 		
-		for (const uv_map of uv_maps)
+		for (const uv_map of geometry.uv_maps)
 			gltf.addUVArray(uv_map);
 
-		// TODO: Add support for exporting doodads inside a GLTF WMO.
+		// Each enabled doodad set becomes a group node, with every doodad M2 written once and instanced.
+		await this.addDoodadSetsToGLTFScene(gltf, out, helper, format);
+
+		if (core.view.config.modelsExportWMOSceneData)
+			this.addSceneDataToGLTF(gltf);
+
+		if (helper.isCancelled())
+			return;
 
 		await gltf.write(core.view.config.overwriteFiles, format);
 	}
@@ -379,7 +869,8 @@ class WMOExporter {
 
 		helper.setCurrentTaskName(wmoName + ' textures');
 
-		const texMaps = await this.exportTextures(out, mtl, helper);
+		const texFormat = config.modelsExportTextureFormat;
+		const texMaps = await this.exportTextures(out, mtl, helper, false, false, texFormat);
 
 		if (helper.isCancelled())
 			return;
@@ -388,9 +879,10 @@ class WMOExporter {
 		const textureMap = texMaps.textureMap;
 
 		for (const [texFileDataID, texInfo] of textureMap)
-			fileManifest?.push({ type: 'PNG', fileDataID: texFileDataID, file: texInfo.matPath });
+			fileManifest?.push({ type: texFormat, fileDataID: texFileDataID, file: texInfo.matPath });
 
 		const groups = [];
+		const liquidGroups = [];
 		let nInd = 0;
 		let maxLayerCount = 0;
 
@@ -421,14 +913,17 @@ class WMOExporter {
 
 			const group = await wmo.getGroup(i);
 
-			// Skip empty groups.
-			if (!group.renderBatches || group.renderBatches.length === 0)
-				continue;
-
 			// Skip masked groups.
 			if (mask && !mask.has(i))
 				continue;
 
+			if (has_exported_liquid(group))
+				liquidGroups.push(group);
+
+			// Skip empty groups.
+			if (!group.renderBatches || group.renderBatches.length === 0)
+				continue;
+
 			// 3 verts per indices.
 			nInd += group.vertices.length / 3;
 
@@ -511,6 +1006,21 @@ class WMOExporter {
 			indOfs += indCount;
 		}
 
+		const liquid = await this.buildLiquidGeometry(liquidGroups, indOfs);
+		vertsArray.push(...liquid.vertices);
+		normalsArray.push(...liquid.normals);
+		colorsArray?.push(...new Array((liquid.vertices.length / 3) * 4).fill(0));
+
+		for (let i = 0; i < maxLayerCount; i++)
+			uvArrays[i].push(...(i === 0 ? liquid.uvs : new Array(liquid.uvs.length).fill(0)));
+
+		for (const mesh of liquid.meshes)
+			obj.addMesh(mesh.name, mesh.triangles, mesh.matName);
+
+		const liquidTexMaps = await this.exportLiquidTextures(out, liquid.liquidTypes, mtl, false, texFormat);
+		for (const [texFileDataID, texInfo] of liquidTexMaps.textureMap)
+			fileManifest?.push({ type: texFormat, fileDataID: texFileDataID, file: texInfo.matPath });
+
 		obj.setVertArray(vertsArray);
 		obj.setNormalArray(normalsArray);
 
@@ -670,6 +1180,7 @@ class WMOExporter {
 			json.addProperty('boundingBox1', wmo.boundingBox1);
 			json.addProperty('boundingBox2', wmo.boundingBox2);
 			json.addProperty('fog', wmo.fogs);
+			json.addProperty('lights', wmo.lights);
 			json.addProperty('flags', wmo.flags);
 
 			const groups = Array(wmo.groups.length);
@@ -754,69 +1265,231 @@ class WMOExporter {
 	}
 
 	/**
-	 * Dedicated method to export WMO collision geometry.
+	 * Build the collision geometry of all enabled groups, with one mesh per
+	 * group containing only its collidable faces. If a simplification cell
+	 * size is configured, vertices within the same cell are merged and the
+	 * resulting degenerate triangles dropped.
+	 * @returns {{ vertices: Array, normals: Array, meshes: Array }}
 	 */
-	async exportCollisionOBJ(out, helper, fileManifest) {
-		const physPath = ExportHelper.replaceExtension(out, '.phys.obj');
-		const obj = new OBJWriter(physPath);
-		obj.setName(path.basename(physPath, '.obj'));
-
+	async buildCollisionGeometry() {
 		await this.wmo.load();
-		const groups = [];
-		let totalIndicesCount = 0;
 
-		// 1. Collect valid groups and calculate size
+		const cellSize = Math.max(0, core.view.config.modelsExportWMOCollisionSimplify || 0);
+		const vertices = [];
+		const normals = [];
+		const meshes = [];
+
 		for (let i = 0; i < this.wmo.groupCount; i++) {
-			const group = await this.wmo.getGroup(i);
-			if (!group.vertices) continue;
 			if (this.groupMask) {
 				const maskEntry = this.groupMask.find(m => m.groupIndex === i);
-				if (maskEntry && !maskEntry.checked) continue;
+				if (maskEntry && !maskEntry.checked)
+					continue;
 			}
-			groups.push(group);
-			totalIndicesCount += group.vertices.length / 3;
-		}
 
-		const vertsArray = new Array(totalIndicesCount * 3);
-		let vertOffset = 0;
+			const group = await this.wmo.getGroup(i);
+			if (!group.vertices || !group.materialInfo)
+				continue;
 
-		// 2. Process groups
-		for (const group of groups) {
-			const groupVertCount = group.vertices.length / 3;
-			
-			// Copy vertices
-			for (let i = 0; i < group.vertices.length; i++) {
-				vertsArray[vertOffset * 3 + i] = group.vertices[i];
-			}
+			// Map group vertices onto collision vertices, merging them per cell when simplifying.
+			const vertexMap = new Map();
+			const cellMap = new Map();
+			const cellCounts = [];
+
+			const getVertex = (index) => {
+				let mapped = vertexMap.get(index);
+				if (mapped !== undefined)
+					return mapped;
 
-			const collisionIndices = [];
-			// 3. Filter faces by MOPY flags
-			// Flag 0x04 = No Collision. We want triangles where (flags & 0x04) === 0.
-			for (let fI = 0; fI < group.materialInfo.length; fI++) {
-				const faceInfo = group.materialInfo[fI];
-				const hasCollision = (faceInfo.flags & 0x04) === 0;
-
-				if (hasCollision) {
-					// Each face consists of 3 indices in the MOVI chunk
-					collisionIndices.push(
-						group.indices[fI * 3] + vertOffset,
-						group.indices[fI * 3 + 1] + vertOffset,
-						group.indices[fI * 3 + 2] + vertOffset
-					);
+				const ofs = index * 3;
+				const position = group.vertices.slice(ofs, ofs + 3);
+
+				if (cellSize > 0) {
+					const key = position.map(v => Math.floor(v / cellSize)).join(',');
+					mapped = cellMap.get(key);
+
+					if (mapped !== undefined) {
+						// Keep merged vertices at the average position of the cell.
+						const count = ++cellCounts[mapped];
+						for (let c = 0; c < 3; c++)
+							vertices[mapped * 3 + c] += (position[c] - vertices[mapped * 3 + c]) / count;
+
+						vertexMap.set(index, mapped);
+						return mapped;
+					}
 				}
-			}
 
-			if (collisionIndices.length > 0) {
-				const groupName = this.wmo.groupNames[group.nameOfs] || `Group_${group.groupID}`;
-				obj.addMesh(groupName + '_collision', collisionIndices);
+				mapped = vertices.length / 3;
+				vertices.push(...position);
+				normals.push(...group.normals.slice(ofs, ofs + 3));
+				cellCounts[mapped] = 1;
+
+				if (cellSize > 0)
+					cellMap.set(position.map(v => Math.floor(v / cellSize)).join(','), mapped);
+
+				vertexMap.set(index, mapped);
+				return mapped;
+			};
+
+			const triangles = [];
+			const faces = [];
+			const seen = new Set();
+
+			for (let f = 0, n = group.materialInfo.length; f < n; f++) {
+				if (!is_collidable_face(group.materialInfo[f].flags))
+					continue;
+
+				const a = getVertex(group.indices[f * 3]);
+				const b = getVertex(group.indices[f * 3 + 1]);
+				const c = getVertex(group.indices[f * 3 + 2]);
+
+				// Simplification can collapse or duplicate triangles.
+				if (a === b || b === c || a === c)
+					continue;
+
+				if (cellSize > 0) {
+					// Rotate to the lowest index so the key keeps the winding; faces with opposite winding are distinct.
+					const min = Math.min(a, b, c);
+					const key = min === a ? [a, b, c] : (min === b ? [b, c, a] : [c, a, b]);
+					if (seen.has(key.join(',')))
+						continue;
+
+					seen.add(key.join(','));
+				}
+
+				triangles.push(a, b, c);
+				faces.push(f);
 			}
 
-			vertOffset += groupVertCount;
+			if (triangles.length > 0) {
+				const groupName = this.wmo.groupNames[group.nameOfs] || 'Group_' + group.groupID;
+				meshes.push({ name: groupName + '_collision', triangles, groupIndex: i, faces });
+			}
 		}
 
-		obj.setVertArray(vertsArray);
+		return { vertices, normals, meshes };
+	}
+
+	/**
+	 * Dedicated method to export WMO collision geometry.
+	 * @returns {{ out: string, geometry: object }}
+	 */
+	async exportCollisionOBJ(out, helper, fileManifest) {
+		const physPath = ExportHelper.replaceExtension(out, '.phys.obj');
+		const obj = new OBJWriter(physPath);
+		obj.setName(path.basename(physPath, '.obj'));
+
+		log.write('Exporting WMO collision %s as OBJ: %s', path.basename(out), physPath);
+		helper.setCurrentTaskName(path.basename(physPath, '.obj'));
+
+		const geometry = await this.buildCollisionGeometry();
+		for (const mesh of geometry.meshes)
+			obj.addMesh(mesh.name, mesh.triangles);
+
+		obj.setVertArray(geometry.vertices);
 		await obj.write(core.view.config.overwriteFiles);
 		fileManifest?.push({ type: 'PHYS_OBJ', fileDataID: this.wmo.fileDataID, file: obj.out });
+
+		return { out: obj.out, geometry };
+	}
+
+	/**
+	 * Export the WMO collision geometry as a GLTF file.
+	 * @param {string} out
+	 * @param {ExportHelper} helper
+	 * @param {Array} fileManifest
+	 * @param {string} [format='gltf']
+	 * @returns {{ out: string, geometry: object }}
+	 */
+	async exportCollisionGLTF(out, helper, fileManifest, format = 'gltf') {
+		const ext = format === 'glb' ? '.glb' : '.gltf';
+		const physPath = ExportHelper.replaceExtension(out, '.phys' + ext);
+		const gltf = new GLTFWriter(physPath, path.basename(physPath, ext));
+
+		log.write('Exporting WMO collision %s as %s: %s', path.basename(out), format.toUpperCase(), physPath);
+		helper.setCurrentTaskName(path.basename(physPath, ext));
+
+		const geometry = await this.buildCollisionGeometry();
+		for (const mesh of geometry.meshes)
+			gltf.addMesh(mesh.name, mesh.triangles);
+
+		gltf.setVerticesArray(geometry.vertices);
+		gltf.setNormalArray(geometry.normals);
+
+		await gltf.write(core.view.config.overwriteFiles, format);
+		fileManifest?.push({ type: 'PHYS_' + format.toUpperCase(), fileDataID: this.wmo.fileDataID, file: physPath });
+
+		return { out: physPath, geometry };
+	}
+
+	/**
+	 * Export the BSP tree (MOBN/MOBR) of every enabled group as JSON. Nodes
+	 * split on the axis of their plane in Z-up WMO space, leaves reference
+	 * faces through the group's face index list.
+	 * @param {string} out
+	 * @param {Array} fileManifest
+	 * @param {object} [geometry] Collision geometry, used to map exported triangles back to faces.
+	 * @returns {string} Path of the written JSON file.
+	 */
+	async exportBSP(out, fileManifest, geometry) {
+		const json = new JSONWriter(ExportHelper.replaceExtension(out, '.bsp.json'));
+		const collisionFaces = new Map(geometry?.meshes.map(mesh => [mesh.groupIndex, mesh.faces]));
+
+		const groups = [];
+		for (let i = 0; i < this.wmo.groupCount; i++) {
+			if (this.groupMask) {
+				const maskEntry = this.groupMask.find(m => m.groupIndex === i);
+				if (maskEntry && !maskEntry.checked)
+					continue;
+			}
+
+			const group = await this.wmo.getGroup(i);
+			if (!group.bspNodes)
+				continue;
+
+			groups.push({
+				groupIndex: i,
+				groupName: this.wmo.groupNames[group.nameOfs],
+				nodes: group.bspNodes.map(node => ({
+					axis: (node.flags & BSP_FLAG_LEAF) ? null : BSP_AXES[node.flags & BSP_FLAG_AXIS_MASK] ?? null,
+					leaf: (node.flags & BSP_FLAG_LEAF) === BSP_FLAG_LEAF,
+					negChild: node.negChild,
+					posChild: node.posChild,
+					planeDist: node.planeDist,
+					faceStart: node.faceStart,
+					faceCount: node.faceCount
+				})),
+				faceIndices: group.bspFaceIndices ?? [],
+				collisionFaces: collisionFaces.get(i)
+			});
+		}
+
+		json.addProperty('fileDataID', this.wmo.fileDataID);
+		json.addProperty('fileName', this.wmo.fileName);
+		json.addProperty('groups', groups);
+
+		await json.write(core.view.config.overwriteFiles);
+		fileManifest?.push({ type: 'BSP', fileDataID: this.wmo.fileDataID, file: json.out });
+
+		return json.out;
+	}
+
+	/**
+	 * Export only the collision geometry of the WMO, along with its BSP tree.
+	 * @param {string} out
+	 * @param {ExportHelper} helper
+	 * @param {Array} fileManifest
+	 * @param {string} [format='obj'] obj, gltf or glb.
+	 * @returns {{ physPath: string, bspPath: string }} Paths of the written files.
+	 */
+	async exportCollision(out, helper, fileManifest, format = 'obj') {
+		let collision;
+		if (format === 'obj')
+			collision = await this.exportCollisionOBJ(out, helper, fileManifest);
+		else
+			collision = await this.exportCollisionGLTF(out, helper, fileManifest, format);
+
+		const bspPath = await this.exportBSP(out, fileManifest, collision.geometry);
+		return { physPath: collision.out, bspPath };
 	}
 
 	/**
@@ -840,6 +1513,7 @@ class WMOExporter {
 		await wmo.load();
 
 		const groups = [];
+		const liquidGroups = [];
 		let nInd = 0;
 
 		let mask;
@@ -865,14 +1539,17 @@ class WMOExporter {
 
 			const group = await wmo.getGroup(i);
 
-			// skip empty groups
-			if (!group.renderBatches || group.renderBatches.length === 0)
-				continue;
-
 			// skip masked groups
 			if (mask && !mask.has(i))
 				continue;
 
+			if (has_exported_liquid(group))
+				liquidGroups.push(group);
+
+			// skip empty groups
+			if (!group.renderBatches || group.renderBatches.length === 0)
+				continue;
+
 			// 3 verts per indices
 			nInd += group.vertices.length / 3;
 
@@ -914,6 +1591,13 @@ class WMOExporter {
 			indOfs += indCount;
 		}
 
+		const liquid = await this.buildLiquidGeometry(liquidGroups, indOfs);
+		vertsArray.push(...liquid.vertices);
+		normalsArray.push(...liquid.normals);
+
+		for (const mesh of liquid.meshes)
+			stl.addMesh(mesh.name, mesh.triangles);
+
 		stl.setVertArray(vertsArray);
 		stl.setNormalArray(normalsArray);
 
@@ -946,7 +1630,8 @@ class WMOExporter {
 		helper.setCurrentTaskName(wmoName + ' textures');
 
 		const sharedMTL = new MTLWriter(ExportHelper.replaceExtension(out, '.mtl'));
-		const texMaps = await this.exportTextures(out, sharedMTL, helper);
+		const texFormat = config.modelsExportTextureFormat;
+		const texMaps = await this.exportTextures(out, sharedMTL, helper, false, false, texFormat);
 
 		if (helper.isCancelled())
 			return;
@@ -955,7 +1640,7 @@ class WMOExporter {
 		const materialMap = texMaps.materialMap;
 
 		for (const [texFileDataID, texInfo] of textureMap)
-			fileManifest?.push({ type: 'PNG', fileDataID: texFileDataID, file: texInfo.matPath });
+			fileManifest?.push({ type: texFormat, fileDataID: texFileDataID, file: texInfo.matPath });
 
 		// build group mask
 		let mask;
@@ -970,6 +1655,9 @@ class WMOExporter {
 		helper.setCurrentTaskName(wmoName + ' groups');
 		helper.setCurrentTaskMax(wmo.groupCount);
 
+		// liquid types used across all groups, their textures are added to the shared mtl
+		const liquidTypes = new Map();
+
 		// export each group separately
 		for (let i = 0, n = wmo.groupCount; i < n; i++) {
 			if (helper.isCancelled())
@@ -979,8 +1667,8 @@ class WMOExporter {
 
 			const group = await wmo.getGroup(i);
 
-			// skip empty groups
-			if (!group.renderBatches || group.renderBatches.length === 0)
+			// skip empty groups, unless they hold liquid
+			if ((!group.renderBatches || group.renderBatches.length === 0) && !has_exported_liquid(group))
 				continue;
 
 			// skip masked groups
@@ -997,21 +1685,28 @@ class WMOExporter {
 
 			log.write('exporting wmo group %s: %s', groupName, groupOut);
 
-			// prepare arrays for this group
-			const indCount = group.vertices.length / 3;
+			// prepare arrays for this group, liquid-only groups have no geometry of their own
+			const groupVerts = group.vertices ?? [];
+			const indCount = groupVerts.length / 3;
 			const vertsArray = new Array(indCount * 3);
 			const normalsArray = new Array(indCount * 3);
 
 			// copy vertices
-			const groupVerts = group.vertices;
 			for (let j = 0, len = groupVerts.length; j < len; j++)
 				vertsArray[j] = groupVerts[j];
 
 			// copy normals
-			const groupNormals = group.normals;
+			const groupNormals = group.normals ?? [];
 			for (let j = 0, len = groupNormals.length; j < len; j++)
 				normalsArray[j] = groupNormals[j];
 
+			const liquid = await this.buildLiquidGeometry([group], indCount);
+			for (const [liquidTypeID, liquidType] of liquid.liquidTypes)
+				liquidTypes.set(liquidTypeID, liquidType);
+
+			vertsArray.push(...liquid.vertices);
+			normalsArray.push(...liquid.normals);
+
 			// handle uv layers
 			const groupUVs = group.uvs ?? [];
 			const uvCount = indCount * 2;
@@ -1023,6 +1718,8 @@ class WMOExporter {
 				const uv = groupUVs[j];
 				for (let k = 0; k < uvCount; k++)
 					uvArrays[j][k] = uv?.[k] ?? 0;
+
+				uvArrays[j].push(...(j === 0 ? liquid.uvs : new Array(liquid.uvs.length).fill(0)));
 			}
 
 			obj.setVertArray(vertsArray);
@@ -1042,12 +1739,15 @@ class WMOExporter {
 					groupColorsArray[di + 2] = src[si] / 255;
 					groupColorsArray[di + 3] = src[si + 3] / 255;
 				}
+
+				groupColorsArray.push(...new Array((liquid.vertices.length / 3) * 4).fill(0));
 				obj.setColorArray(groupColorsArray);
 			}
 
 			// add render batches
-			for (let bI = 0, bC = group.renderBatches.length; bI < bC; bI++) {
-				const batch = group.renderBatches[bI];
+			const renderBatches = group.renderBatches ?? [];
+			for (let bI = 0, bC = renderBatches.length; bI < bC; bI++) {
+				const batch = renderBatches[bI];
 				const indices = new Array(batch.numFaces);
 
 				for (let j = 0; j < batch.numFaces; j++)
@@ -1057,6 +1757,9 @@ class WMOExporter {
 				obj.addMesh(groupName + bI, indices, materialMap.get(matID));
 			}
 
+			for (const mesh of liquid.meshes)
+				obj.addMesh(mesh.name, mesh.triangles, mesh.matName);
+
 			if (!sharedMTL.isEmpty)
 				obj.setMaterialLibrary(path.basename(sharedMTL.out));
 
@@ -1064,6 +1767,10 @@ class WMOExporter {
 			fileManifest?.push({ type: 'OBJ', fileDataID: this.wmo.fileDataID, file: obj.out });
 		}
 
+		const liquidTexMaps = await this.exportLiquidTextures(out, liquidTypes, sharedMTL, false, texFormat);
+		for (const [texFileDataID, texInfo] of liquidTexMaps.textureMap)
+			fileManifest?.push({ type: texFormat, fileDataID: texFileDataID, file: texInfo.matPath });
+
 		// write shared mtl
 		await sharedMTL.write(config.overwriteFiles);
 		fileManifest?.push({ type: 'MTL', fileDataID: this.wmo.fileDataID, file: sharedMTL.out });
@@ -1202,6 +1909,7 @@ class WMOExporter {
 			json.addProperty('boundingBox1', wmo.boundingBox1);
 			json.addProperty('boundingBox2', wmo.boundingBox2);
 			json.addProperty('fog', wmo.fogs);
+			json.addProperty('lights', wmo.lights);
 			json.addProperty('flags', wmo.flags);
 
 			const groups = Array(wmo.groups.length);
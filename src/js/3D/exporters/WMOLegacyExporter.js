@@ -16,6 +16,7 @@ const OBJWriter = require('../writers/OBJWriter');
 const MTLWriter = require('../writers/MTLWriter');
 const STLWriter = require('../writers/STLWriter');
 const CSVWriter = require('../writers/CSVWriter');
+const GLTFWriter = require('../writers/GLTFWriter');
 const BLPFile = require('../../casc/blp');
 const BufferWrapper = require('../../buffer');
 
@@ -44,28 +45,30 @@ class WMOLegacyExporter {
 		this.doodadSetMask = mask;
 	}
 
-	async exportTextures(out, mtl = null, helper) {
+	async exportTextures(out, mtl = null, helper, texFormat = 'PNG', glbMode = false) {
 		const config = core.view.config;
 		const mpq = this.mpq;
 		const outDir = path.dirname(out);
 
 		const textureMap = new Map();
 		const materialMap = new Map();
+		const texture_buffers = new Map();
 
 		if (!config.modelsExportTextures)
-			return { textureMap, materialMap };
+			return { textureMap, materialMap, texture_buffers };
 
 		await this.wmo.load();
 
 		const useAlpha = config.modelsExportAlpha;
 		const usePosix = config.pathFormat === 'posix';
+		const texExt = BLPFile.getFormatExtension(texFormat);
 		const materialCount = this.wmo.materials?.length ?? 0;
 
 		helper?.setCurrentTaskMax?.(materialCount);
 
 		for (let i = 0; i < materialCount; i++) {
 			if (helper?.isCancelled?.())
-				return { textureMap, materialMap };
+				return { textureMap, materialMap, texture_buffers };
 
 			const material = this.wmo.materials[i];
 			helper?.setCurrentTaskValue?.(i);
@@ -85,7 +88,7 @@ class WMOLegacyExporter {
 					}
 
 					let texFile = path.basename(texturePath);
-					texFile = ExportHelper.replaceExtension(texFile, '.png');
+					texFile = ExportHelper.replaceExtension(texFile, texExt);
 
 					let texPath;
 					// legacy mpq exports always use flat textures alongside model for compatibility
@@ -97,10 +100,16 @@ class WMOLegacyExporter {
 
 					const fileExisted = await generics.fileExists(texPath);
 
-					if (config.overwriteFiles || !fileExisted) {
+					if (glbMode) {
+						// glb mode: convert to PNG buffer without writing
+						const blp = new BLPFile(new BufferWrapper(Buffer.from(textureData)));
+						texture_buffers.set(materialTexture, blp.toPNG(useAlpha ? 0b1111 : 0b0111));
+
+						log.write('Buffering legacy WMO texture %s for GLB embedding', texturePath);
+					} else if (config.overwriteFiles || !fileExisted) {
 						const buf = new BufferWrapper(Buffer.from(textureData));
 						const blp = new BLPFile(buf);
-						await blp.saveToPNG(texPath, useAlpha ? 0b1111 : 0b0111);
+						await blp.saveToFormat(texPath, texFormat, useAlpha ? 0b1111 : 0b0111);
 
 						log.write('Exported legacy WMO texture: %s', texPath);
 					} else {
@@ -121,7 +130,7 @@ class WMOLegacyExporter {
 			}
 		}
 
-		return { textureMap, materialMap };
+		return { textureMap, materialMap, texture_buffers };
 	}
 
 	async exportAsOBJ(out, helper, fileManifest) {
@@ -148,7 +157,8 @@ class WMOLegacyExporter {
 
 		helper?.setCurrentTaskName?.(wmoName + ' textures');
 
-		const texMaps = await this.exportTextures(out, mtl, helper);
+		const texFormat = config.modelsExportTextureFormat;
+		const texMaps = await this.exportTextures(out, mtl, helper, texFormat);
 
 		if (helper?.isCancelled?.())
 			return;
@@ -157,7 +167,7 @@ class WMOLegacyExporter {
 		const textureMap = texMaps.textureMap;
 
 		for (const [texOffset, texInfo] of textureMap)
-			fileManifest?.push({ type: 'PNG', file: texInfo.matPath });
+			fileManifest?.push({ type: texFormat, file: texInfo.matPath });
 
 		const groups = [];
 		let nInd = 0;
@@ -387,6 +397,221 @@ class WMOLegacyExporter {
 		}
 	}
 
+	async exportAsGLTF(out, helper, fileManifest, format = 'gltf') {
+		const config = core.view.config;
+		const ext = format === 'glb' ? '.glb' : '.gltf';
+		const outGLTF = ExportHelper.replaceExtension(out, ext);
+
+		// skip export if file exists and overwriting is disabled
+		if (!config.overwriteFiles && await generics.fileExists(outGLTF))
+			return log.write('Skipping %s export of %s (already exists, overwrite disabled)', format.toUpperCase(), outGLTF);
+
+		const wmoName = path.basename(outGLTF, ext);
+		const gltf = new GLTFWriter(out, wmoName);
+
+		log.write('Exporting legacy WMO model %s as %s: %s', wmoName, format.toUpperCase(), outGLTF);
+
+		this.wmo = new WMOLegacyLoader(this.data, this.filePath, false);
+		await this.wmo.load();
+
+		const wmo = this.wmo;
+
+		helper?.setCurrentTaskName?.(wmoName + ' textures');
+		const texMaps = await this.exportTextures(out, null, helper, 'PNG', format === 'glb');
+
+		if (helper?.isCancelled?.())
+			return;
+
+		if (format !== 'glb') {
+			for (const [texOffset, texInfo] of texMaps.textureMap)
+				fileManifest?.push({ type: 'PNG', file: texInfo.matPath });
+		}
+
+		gltf.setTextureMap(texMaps.textureMap);
+		gltf.setTextureBuffers(texMaps.texture_buffers);
+
+		const groups = [];
+		let nInd = 0;
+		let maxLayerCount = 0;
+
+		let mask;
+		if (this.groupMask) {
+			mask = new Set();
+			for (const group of this.groupMask) {
+				if (group.checked)
+					mask.add(group.groupIndex);
+			}
+		}
+
+		helper?.setCurrentTaskName?.(wmoName + ' groups');
+		helper?.setCurrentTaskMax?.(wmo.groupCount);
+
+		for (let i = 0, n = wmo.groupCount; i < n; i++) {
+			if (helper?.isCancelled?.())
+				return;
+
+			helper?.setCurrentTaskValue?.(i);
+
+			const group = await wmo.getGroup(i);
+
+			if (!group.renderBatches || group.renderBatches.length === 0)
+				continue;
+
+			if (mask && !mask.has(i))
+				continue;
+
+			nInd += group.vertices.length / 3;
+			maxLayerCount = Math.max(group.uvs?.length ?? 0, maxLayerCount);
+
+			groups.push(group);
+		}
+
+		const vertsArray = new Array(nInd * 3);
+		const normalsArray = new Array(nInd * 3);
+		const uvArrays = new Array(maxLayerCount);
+
+		for (let i = 0; i < maxLayerCount; i++)
+			uvArrays[i] = new Array(nInd * 2);
+
+		let indOfs = 0;
+		for (const group of groups) {
+			const indCount = group.vertices.length / 3;
+
+			const vertOfs = indOfs * 3;
+			const groupVerts = group.vertices;
+			for (let i = 0, n = groupVerts.length; i < n; i++)
+				vertsArray[vertOfs + i] = groupVerts[i];
+
+			const groupNormals = group.normals;
+			for (let i = 0, n = groupNormals.length; i < n; i++)
+				normalsArray[vertOfs + i] = groupNormals[i];
+
+			const uvsOfs = indOfs * 2;
+			const groupUVs = group.uvs ?? [];
+			const uvCount = indCount * 2;
+
+			for (let i = 0; i < maxLayerCount; i++) {
+				const uv = groupUVs[i];
+				for (let j = 0; j < uvCount; j++)
+					uvArrays[i][uvsOfs + j] = uv?.[j] ?? 0;
+			}
+
+			const groupName = wmo.groupNames?.[group.nameOfs] ?? ('group_' + groups.indexOf(group));
+
+			for (let bI = 0, bC = group.renderBatches.length; bI < bC; bI++) {
+				const batch = group.renderBatches[bI];
+				const indices = new Array(batch.numFaces);
+
+				for (let i = 0; i < batch.numFaces; i++)
+					indices[i] = group.indices[batch.firstFace + i] + indOfs;
+
+				const matID = ((batch.flags & 2) === 2) ? batch.possibleBox2[2] : batch.materialID;
+				gltf.addMesh(groupName + bI, indices, texMaps.materialMap.get(matID));
+			}
+
+			indOfs += indCount;
+		}
+
+		gltf.setVerticesArray(vertsArray);
+		gltf.setNormalArray(normalsArray);
+
+		for (const arr of uvArrays)
+			gltf.addUVArray(arr);
+
+		// each enabled doodad set becomes a group node, with every doodad model written once and instanced
+		await this.addDoodadSetsToGLTFScene(gltf, out, helper, format);
+
+		if (helper?.isCancelled?.())
+			return;
+
+		await gltf.write(config.overwriteFiles, format);
+		fileManifest?.push({ type: format.toUpperCase(), file: outGLTF });
+	}
+
+	/**
+	 * Add the enabled doodad sets of this WMO to a GLTF writer, instancing
+	 * each doodad model once for all of its placements.
+	 * @param {GLTFWriter} gltf
+	 * @param {string} out
+	 * @param {ExportHelper} helper
+	 * @param {string} [format='gltf']
+	 */
+	async addDoodadSetsToGLTFScene(gltf, out, helper, format = 'gltf') {
+		const wmo = this.wmo;
+		const wmoName = path.basename(out, path.extname(out));
+		const modelCache = new Map();
+
+		const doodadSets = wmo.doodadSets ?? [];
+		for (let i = 0, n = doodadSets.length; i < n; i++) {
+			if (!this.doodadSetMask?.[i]?.checked)
+				continue;
+
+			const set = doodadSets[i];
+			const count = set.doodadCount;
+			log.write('Exporting legacy WMO doodad set %s with %d doodads...', set.name, count);
+
+			helper?.setCurrentTaskName?.(wmoName + ', doodad set ' + set.name);
+			helper?.setCurrentTaskMax?.(count);
+
+			for (let j = 0; j < count; j++) {
+				if (helper?.isCancelled?.())
+					return;
+
+				helper?.setCurrentTaskValue?.(j);
+
+				const doodad = wmo.doodads?.[set.firstInstanceIndex + j];
+				if (!doodad)
+					continue;
+
+				const fileName = wmo.doodadNames?.[doodad.offset];
+				if (!fileName)
+					continue;
+
+				try {
+					const cacheKey = fileName.toLowerCase();
+					if (!modelCache.has(cacheKey)) {
+						let modelIndex;
+
+						const m2Data = this.mpq.getFile(fileName);
+						if (m2Data) {
+							const M2LegacyExporter = require('./M2LegacyExporter');
+							const buf = new BufferWrapper(Buffer.from(m2Data));
+							const m2Export = new M2LegacyExporter(buf, fileName, this.mpq);
+							modelIndex = await m2Export.addToGLTFScene(gltf, ExportHelper.replaceFile(out, fileName), helper, format);
+
+							if (helper?.isCancelled?.())
+								return;
+						} else {
+							log.write('Doodad not found in MPQ: %s', fileName);
+						}
+
+						modelCache.set(cacheKey, modelIndex);
+					}
+
+					const modelIndex = modelCache.get(cacheKey);
+					if (modelIndex === undefined)
+						continue;
+
+					// MODD placement is Z-up, convert into the Y-up space used by the model geometry
+					const position = doodad.position;
+					const rotation = doodad.rotation;
+
+					gltf.addSceneInstance({
+						name: path.basename(fileName, path.extname(fileName)),
+						model: modelIndex,
+						translation: [position[0], position[2], -position[1]],
+						rotation: [rotation[0], rotation[2], -rotation[1], rotation[3]],
+						scale: [doodad.scale, doodad.scale, doodad.scale],
+						group: set.name,
+						extras: { fileName, doodadSet: set.name }
+					});
+				} catch (e) {
+					log.write('Failed to export doodad %s for %s: %s', fileName, set.name, e.message);
+				}
+			}
+		}
+	}
+
 	async exportAsSTL(out, helper, fileManifest) {
 		const config = core.view.config;
 		const stl = new STLWriter(out);
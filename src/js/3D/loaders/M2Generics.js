@@ -58,6 +58,14 @@ function read_m2_array_array(data, ofs, dataType, useAnims = false, animFiles =
 						animFiles.get(i).seek(subArrOfs + (j * 2));
 						arr[i][j] = animFiles.get(i).readInt16LE();
 						break;
+					case 'uint16':
+						animFiles.get(i).seek(subArrOfs + (j * 2));
+						arr[i][j] = animFiles.get(i).readUInt16LE();
+						break;
+					case 'float':
+						animFiles.get(i).seek(subArrOfs + (j * 4));
+						arr[i][j] = animFiles.get(i).readFloatLE();
+						break;
 					case 'float3':
 						animFiles.get(i).seek(subArrOfs + (j * 12));
 						arr[i][j] = animFiles.get(i).readFloatLE(3);
@@ -85,6 +93,12 @@ function read_m2_array_array(data, ofs, dataType, useAnims = false, animFiles =
 					case 'int16':
 						arr[i][j] = data.readInt16LE();
 						break;
+					case 'uint16':
+						arr[i][j] = data.readUInt16LE();
+						break;
+					case 'float':
+						arr[i][j] = data.readFloatLE();
+						break;
 					case 'float3':
 						arr[i][j] = data.readFloatLE(3);
 						break;
@@ -97,6 +111,12 @@ function read_m2_array_array(data, ofs, dataType, useAnims = false, animFiles =
 					case 'uint8':
 						arr[i][j] = data.readUInt8();
 						break;
+					case 'spline_float':
+						arr[i][j] = { value: data.readFloatLE(), inTan: data.readFloatLE(), outTan: data.readFloatLE() };
+						break;
+					case 'spline_float3':
+						arr[i][j] = { value: data.readFloatLE(3), inTan: data.readFloatLE(3), outTan: data.readFloatLE(3) };
+						break;
 					default:
 						throw new Error(`Unknown data type: ${dataType}`);
 				}
@@ -141,6 +161,16 @@ function read_m2_track(data, ofs, dataType, useAnims = false, animFiles = new Ma
 	return new M2Track(globalSeq, interpolation, timestamps, values, timestampOffsets, valueOffsets);
 }
 
+// See https://wowdev.wiki/M2#Standard_animation_block
+// Track without values, only the timestamps are stored (used for events).
+function read_m2_track_base(data, ofs, sequences = null) {
+	const interpolation = data.readUInt16LE();
+	const globalSeq = data.readUInt16LE();
+	const timestamps = read_m2_array_array(data, ofs, 'uint32', false, new Map(), false, sequences);
+
+	return new M2Track(globalSeq, interpolation, timestamps, []);
+}
+
 /**
  * Patch a single animation slot in a track using external .anim data.
  * @param {M2Track} track
@@ -159,7 +189,7 @@ function patch_track_animation(track, animIndex, animBuffer, valueType) {
 	const valInfo = track.valueOffsets[animIndex];
 
 	// bounds check: ensure offsets fit within the .anim buffer
-	const VALUE_SIZES = { uint32: 4, int16: 2, float3: 12, float4: 16, compquat: 8, uint8: 1 };
+	const VALUE_SIZES = { uint32: 4, int16: 2, uint16: 2, float: 4, float3: 12, float4: 16, compquat: 8, uint8: 1 };
 	const valElemSize = VALUE_SIZES[valueType] ?? 0;
 	const tsEnd = tsInfo.offset + tsInfo.count * 4;
 	const valEnd = valInfo.offset + valInfo.count * valElemSize;
@@ -195,6 +225,14 @@ function patch_track_animation(track, animIndex, animBuffer, valueType) {
 				animBuffer.seek(valInfo.offset + (j * 2));
 				values[j] = animBuffer.readInt16LE();
 				break;
+			case 'uint16':
+				animBuffer.seek(valInfo.offset + (j * 2));
+				values[j] = animBuffer.readUInt16LE();
+				break;
+			case 'float':
+				animBuffer.seek(valInfo.offset + (j * 4));
+				values[j] = animBuffer.readFloatLE();
+				break;
 			case 'uint32':
 				animBuffer.seek(valInfo.offset + (j * 4));
 				values[j] = animBuffer.readUInt32LE();
@@ -209,9 +247,62 @@ function patch_track_animation(track, animIndex, animBuffer, valueType) {
 	track.values[animIndex] = values;
 }
 
+/**
+ * Read a flat M2Array of values.
+ * @param {BufferWrapper} data
+ * @param {number} ofs
+ * @param {string} dataType
+ * @returns {Array}
+ */
+function read_m2_array(data, ofs, dataType) {
+	const arrCount = data.readUInt32LE();
+	const arrOfs = data.readUInt32LE();
+
+	const base = data.offset;
+	data.seek(ofs + arrOfs);
+
+	const arr = Array(arrCount);
+	for (let i = 0; i < arrCount; i++) {
+		switch (dataType) {
+			case 'uint16':
+				arr[i] = data.readUInt16LE();
+				break;
+			case 'int16':
+				arr[i] = data.readInt16LE();
+				break;
+			case 'fixed16':
+				arr[i] = data.readInt16LE() / 32767;
+				break;
+			case 'float':
+				arr[i] = data.readFloatLE();
+				break;
+			case 'float2':
+				arr[i] = data.readFloatLE(2);
+				break;
+			case 'float3':
+				arr[i] = data.readFloatLE(3);
+				break;
+			default:
+				throw new Error(`Unknown data type: ${dataType}`);
+		}
+	}
+
+	data.seek(base);
+	return arr;
+}
+
+// See https://wowdev.wiki/M2#Fake_animation_block
+function read_m2_fblock(data, ofs, dataType) {
+	// timestamps are fixed16 over the lifetime of the particle (0 to 1)
+	const timestamps = read_m2_array(data, ofs, 'fixed16');
+	const values = read_m2_array(data, ofs, dataType);
+
+	return { timestamps, values };
+}
+
 // See https://wowdev.wiki/Common_Types#CAaBox
 function read_caa_bb(data) {
 	return { min: data.readFloatLE(3), max: data.readFloatLE(3) };
 }
 
-module.exports = { M2Track, read_m2_array_array, read_m2_track, read_caa_bb, patch_track_animation }
\ No newline at end of file
+module.exports = { M2Track, read_m2_array, read_m2_array_array, read_m2_track, read_m2_track_base, read_m2_fblock, read_caa_bb, patch_track_animation }
\ No newline at end of file
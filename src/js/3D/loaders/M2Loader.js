@@ -20,6 +20,35 @@ const CHUNK_SKID = 0x44494B53;
 const CHUNK_BFID = 0x44494642;
 const CHUNK_AFID = 0x44494641;
 
+/**
+ * Convert a WoW position (Z-up) into the Y-up space used for bones.
+ * @param {Array} pos
+ * @returns {Array}
+ */
+const convert_position = (pos) => [pos[0], pos[2], pos[1] * -1];
+
+/**
+ * Read a null-terminated M2Array<char> string.
+ * @param {BufferWrapper} data
+ * @param {number} ofs
+ * @returns {string|null}
+ */
+const read_m2_string = (data, ofs) => {
+	const length = data.readUInt32LE();
+	const stringOfs = data.readUInt32LE();
+
+	if (length === 0)
+		return null;
+
+	const base = data.offset;
+	data.seek(stringOfs + ofs);
+
+	const str = data.readString(length).replace(/\0+$/, '');
+	data.seek(base);
+
+	return str;
+};
+
 class M2Loader {
 	/**
 	 * Construct a new M2Loader instance.
@@ -360,17 +389,16 @@ class M2Loader {
 		this.parseChunk_MD21_collision(ofs);
 		this.parseChunk_MD21_attachments(ofs);
 		this.parseChunk_MD21_attachmentLookup(ofs);
-		// this.data.move(8); // events
-		// this.data.move(8); // lights
-		// this.data.move(8); // cameras
-		// this.data.move(8); // camera_lookup_table
-		// this.data.move(8); // ribbon_emitters
-		// this.data.move(8); // particle_emitters
-		
-		// // if 0x8 is set, textureCombinerCombos
+		this.parseChunk_MD21_events(ofs);
+		this.parseChunk_MD21_lights(ofs);
+		this.parseChunk_MD21_cameras(ofs);
+		this.parseChunk_MD21_cameraLookup(ofs);
+		this.parseChunk_MD21_ribbonEmitters(ofs);
+		this.parseChunk_MD21_particleEmitters(ofs);
+
+		// if 0x8 is set, textureCombinerCombos
 		// if (this.flags & 0x8)
 		// 	this.data.move(8);
-
 	}
 
 	parseChunk_MD21_bones(ofs) {
@@ -566,6 +594,257 @@ class M2Loader {
 		return this.attachments[index];
 	}
 
+	/**
+	 * Parse animation events from an MD21 chunk.
+	 * See https://wowdev.wiki/M2#Events
+	 * @param {number} ofs
+	 */
+	parseChunk_MD21_events(ofs) {
+		const data = this.data;
+		const eventCount = data.readUInt32LE();
+		const eventOfs = data.readUInt32LE();
+
+		const base = data.offset;
+		data.seek(eventOfs + ofs);
+
+		const events = this.events = new Array(eventCount);
+		for (let i = 0; i < eventCount; i++) {
+			events[i] = {
+				identifier: data.readString(4),
+				data: data.readUInt32LE(),
+				bone: data.readUInt32LE(),
+				position: convert_position(data.readFloatLE(3)),
+				enabled: M2Generics.read_m2_track_base(data, ofs, this.animations)
+			};
+		}
+
+		data.seek(base);
+	}
+
+	/**
+	 * Parse lights from an MD21 chunk.
+	 * See https://wowdev.wiki/M2#Lights
+	 * @param {number} ofs
+	 */
+	parseChunk_MD21_lights(ofs) {
+		const data = this.data;
+		const lightCount = data.readUInt32LE();
+		const lightOfs = data.readUInt32LE();
+
+		const base = data.offset;
+		data.seek(lightOfs + ofs);
+
+		const read_track = (type) => M2Generics.read_m2_track(data, ofs, type, false, new Map(), false, this.animations);
+
+		const lights = this.lights = new Array(lightCount);
+		for (let i = 0; i < lightCount; i++) {
+			lights[i] = {
+				type: data.readUInt16LE(),
+				bone: data.readInt16LE(),
+				position: convert_position(data.readFloatLE(3)),
+				ambientColor: read_track('float3'),
+				ambientIntensity: read_track('float'),
+				diffuseColor: read_track('float3'),
+				diffuseIntensity: read_track('float'),
+				attenuationStart: read_track('float'),
+				attenuationEnd: read_track('float'),
+				visibility: read_track('uint8')
+			};
+		}
+
+		data.seek(base);
+	}
+
+	/**
+	 * Parse cameras from an MD21 chunk.
+	 * See https://wowdev.wiki/M2#Cameras
+	 * @param {number} ofs
+	 */
+	parseChunk_MD21_cameras(ofs) {
+		const data = this.data;
+		const cameraCount = data.readUInt32LE();
+		const cameraOfs = data.readUInt32LE();
+
+		const base = data.offset;
+		data.seek(cameraOfs + ofs);
+
+		const read_track = (type) => M2Generics.read_m2_track(data, ofs, type, false, new Map(), false, this.animations);
+
+		// spline keys carry tangents which need converting along with the value
+		const convert_spline_track = (track) => {
+			for (const keys of track.values) {
+				for (const key of keys) {
+					key.value = convert_position(key.value);
+					key.inTan = convert_position(key.inTan);
+					key.outTan = convert_position(key.outTan);
+				}
+			}
+
+			return track;
+		};
+
+		const cameras = this.cameras = new Array(cameraCount);
+		for (let i = 0; i < cameraCount; i++) {
+			cameras[i] = {
+				type: data.readInt32LE(),
+				farClip: data.readFloatLE(),
+				nearClip: data.readFloatLE(),
+				positions: convert_spline_track(read_track('spline_float3')),
+				positionBase: convert_position(data.readFloatLE(3)),
+				targetPositions: convert_spline_track(read_track('spline_float3')),
+				targetPositionBase: convert_position(data.readFloatLE(3)),
+				roll: read_track('spline_float'),
+				fov: read_track('spline_float')
+			};
+		}
+
+		data.seek(base);
+	}
+
+	/**
+	 * Parse camera lookup table from an MD21 chunk.
+	 * @param {number} ofs
+	 */
+	parseChunk_MD21_cameraLookup(ofs) {
+		const lookupCount = this.data.readUInt32LE();
+		const lookupOfs = this.data.readUInt32LE();
+
+		const base = this.data.offset;
+		this.data.seek(lookupOfs + ofs);
+
+		this.cameraLookup = this.data.readInt16LE(lookupCount);
+
+		this.data.seek(base);
+	}
+
+	/**
+	 * Parse ribbon emitters from an MD21 chunk.
+	 * See https://wowdev.wiki/M2#Ribbon_emitters
+	 * @param {number} ofs
+	 */
+	parseChunk_MD21_ribbonEmitters(ofs) {
+		const data = this.data;
+		const ribbonCount = data.readUInt32LE();
+		const ribbonOfs = data.readUInt32LE();
+
+		const base = data.offset;
+		data.seek(ribbonOfs + ofs);
+
+		const read_track = (type) => M2Generics.read_m2_track(data, ofs, type, false, new Map(), false, this.animations);
+
+		const ribbons = this.ribbonEmitters = new Array(ribbonCount);
+		for (let i = 0; i < ribbonCount; i++) {
+			ribbons[i] = {
+				ribbonID: data.readInt32LE(),
+				bone: data.readUInt32LE(),
+				position: convert_position(data.readFloatLE(3)),
+				textureIndices: M2Generics.read_m2_array(data, ofs, 'uint16'),
+				materialIndices: M2Generics.read_m2_array(data, ofs, 'uint16'),
+				color: read_track('float3'),
+				alpha: read_track('int16'),
+				heightAbove: read_track('float'),
+				heightBelow: read_track('float'),
+				edgesPerSecond: data.readFloatLE(),
+				edgeLifetime: data.readFloatLE(),
+				gravity: data.readFloatLE(),
+				textureRows: data.readUInt16LE(),
+				textureCols: data.readUInt16LE(),
+				texSlot: read_track('uint16'),
+				visibility: read_track('uint8'),
+				priorityPlane: data.readInt16LE(),
+				ribbonColorIndex: data.readInt8(),
+				textureTransformLookupIndex: data.readInt8()
+			};
+		}
+
+		data.seek(base);
+	}
+
+	/**
+	 * Parse particle emitters from an MD21 chunk.
+	 * See https://wowdev.wiki/M2#Particle_emitters
+	 * @param {number} ofs
+	 */
+	parseChunk_MD21_particleEmitters(ofs) {
+		const data = this.data;
+		const emitterCount = data.readUInt32LE();
+		const emitterOfs = data.readUInt32LE();
+
+		const base = data.offset;
+		data.seek(emitterOfs + ofs);
+
+		const read_track = (type) => M2Generics.read_m2_track(data, ofs, type, false, new Map(), false, this.animations);
+
+		const emitters = this.particleEmitters = new Array(emitterCount);
+		for (let i = 0; i < emitterCount; i++) {
+			const emitter = {
+				particleID: data.readInt32LE(),
+				flags: data.readUInt32LE(),
+				position: convert_position(data.readFloatLE(3)),
+				bone: data.readUInt16LE(),
+				texture: data.readUInt16LE(),
+				geometryModel: read_m2_string(data, ofs),
+				recursionModel: read_m2_string(data, ofs),
+				blendingType: data.readUInt8(),
+				emitterType: data.readUInt8(),
+				particleColorIndex: data.readUInt16LE(),
+				multiTextureParamX: data.readUInt8(2).map(e => e / 32),
+				textureTileRotation: data.readInt16LE(),
+				textureDimensionsRows: data.readUInt16LE(),
+				textureDimensionsColumns: data.readUInt16LE(),
+				emissionSpeed: read_track('float'),
+				speedVariation: read_track('float'),
+				verticalRange: read_track('float'),
+				horizontalRange: read_track('float'),
+				gravity: read_track('float'),
+				lifespan: read_track('float'),
+				lifespanVary: data.readFloatLE(),
+				emissionRate: read_track('float'),
+				emissionRateVary: data.readFloatLE(),
+				emissionAreaLength: read_track('float'),
+				emissionAreaWidth: read_track('float'),
+				zSource: read_track('float'),
+				color: M2Generics.read_m2_fblock(data, ofs, 'float3'),
+				alpha: M2Generics.read_m2_fblock(data, ofs, 'int16'),
+				scale: M2Generics.read_m2_fblock(data, ofs, 'float2'),
+				scaleVary: data.readFloatLE(2),
+				headCell: M2Generics.read_m2_fblock(data, ofs, 'uint16'),
+				tailCell: M2Generics.read_m2_fblock(data, ofs, 'uint16'),
+				tailLength: data.readFloatLE(),
+				twinkleSpeed: data.readFloatLE(),
+				twinklePercent: data.readFloatLE(),
+				twinkleScale: { min: data.readFloatLE(), max: data.readFloatLE() },
+				burstMultiplier: data.readFloatLE(),
+				drag: data.readFloatLE(),
+				baseSpin: data.readFloatLE(),
+				baseSpinVary: data.readFloatLE(),
+				spin: data.readFloatLE(),
+				spinVary: data.readFloatLE(),
+				tumble: M2Generics.read_caa_bb(data),
+				windVector: convert_position(data.readFloatLE(3)),
+				windTime: data.readFloatLE(),
+				followSpeed1: data.readFloatLE(),
+				followScale1: data.readFloatLE(),
+				followSpeed2: data.readFloatLE(),
+				followScale2: data.readFloatLE(),
+				splinePoints: M2Generics.read_m2_array(data, ofs, 'float3').map(convert_position),
+				enabledIn: read_track('uint8'),
+				multiTextureParam0: data.readUInt16LE(4).map(e => e / 512),
+				multiTextureParam1: data.readUInt16LE(4).map(e => e / 512)
+			};
+
+			// with flag 0x10000000 the texture field packs three 5-bit texture indices
+			if (emitter.flags & 0x10000000)
+				emitter.textureIndices = [emitter.texture & 0x1F, (emitter.texture >> 5) & 0x1F, (emitter.texture >> 10) & 0x1F];
+			else
+				emitter.textureIndices = [emitter.texture];
+
+			emitters[i] = emitter;
+		}
+
+		data.seek(base);
+	}
+
 	/**
 	 * Parse replaceable texture lookups from an MD21 chunk.
 	 * @param {number} ofs
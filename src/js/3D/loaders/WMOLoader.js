@@ -86,16 +86,15 @@ class WMOLoader {
 
 /**
  * Optional chunks that are not required for rendering.
+ * Lights, fog and portals are always read as the renderer can display them as overlays.
  * @type {Array<number>}
  */
 const WMOOptionalChunks = [
 	0x4D4C4951, // MLIQ (Liquid)
-	0x4D464F47, // MFOG (Fog)
-	0x4D4F5056, // MOPV (Portal Vertices)
-	0x4D4F5052, // MOPR (Map Object Portal References)
-	0x4D4F5054, // MOPT (Portal Triangles)
 	0x4D4F4356, // MOCV (Vertex Colors)
 	0x4D44414C, // MDAL (Ambient Color)
+	0x4D4F424E, // MOBN (BSP Nodes)
+	0x4D4F4252, // MOBR (BSP Face Indices)
 ];
 
 const WMOChunkHandlers = {
@@ -212,7 +211,30 @@ const WMOChunkHandlers = {
 				side: data.readInt16LE()
 			}
 
-			data.move(4); // Filler
+			data.move(2); // Filler
+		}
+	},
+
+	// MOLT (Lights) [WMO Root]
+	0x4D4F4C54: function(data, chunkSize) {
+		const count = chunkSize / 48;
+		const lights = this.lights = new Array(count);
+
+		for (let i = 0; i < count; i++) {
+			const type = data.readUInt8();
+			const useAttenuation = data.readUInt8() === 1;
+			data.move(2); // Padding
+
+			lights[i] = {
+				type,
+				useAttenuation,
+				color: data.readUInt32LE(),
+				position: data.readFloatLE(3),
+				intensity: data.readFloatLE(),
+				rotation: data.readFloatLE(4),
+				attenuationStart: data.readFloatLE(),
+				attenuationEnd: data.readFloatLE()
+			};
 		}
 	},
 
@@ -463,6 +485,28 @@ const WMOChunkHandlers = {
 			materialInfo[i] = { flags: data.readUInt8(), materialID: data.readUInt8() };
 	},
 
+	// MOBN (BSP Nodes) [WMO Group]
+	0x4D4F424E: function(data, chunkSize) {
+		const count = chunkSize / 16;
+		const nodes = this.bspNodes = new Array(count);
+
+		for (let i = 0; i < count; i++) {
+			nodes[i] = {
+				flags: data.readUInt16LE(),
+				negChild: data.readInt16LE(),
+				posChild: data.readInt16LE(),
+				faceCount: data.readUInt16LE(),
+				faceStart: data.readUInt32LE(),
+				planeDist: data.readFloatLE()
+			};
+		}
+	},
+
+	// MOBR (BSP Face Indices) [WMO Group]
+	0x4D4F4252: function(data, chunkSize) {
+		this.bspFaceIndices = data.readUInt16LE(chunkSize / 2);
+	},
+
 	// MOC2 (Colors 2) [WMO Group]
 	0x4D4F4332: function(data, chunkSize) {
 		this.colors2 = data.readUInt8(chunkSize)
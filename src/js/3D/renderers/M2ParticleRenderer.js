@@ -0,0 +1,596 @@
+/*!
+	wow.export (https://github.com/Kruithne/wow.export)
+	Authors: Kruithne <kruithne@gmail.com>
+	License: MIT
+*/
+
+const ShaderProgram = require('../gl/ShaderProgram');
+const GLContext = require('../gl/GLContext');
+
+const PARTICLE_VERT_SHADER = `#version 300 es
+precision highp float;
+
+layout(location = 0) in vec3 a_position;
+layout(location = 1) in vec4 a_color;
+layout(location = 2) in float a_size;
+layout(location = 3) in vec2 a_uv;
+
+uniform mat4 u_view_matrix;
+uniform mat4 u_projection_matrix;
+uniform mat4 u_model_matrix;
+uniform float u_viewport_height;
+
+out vec4 v_color;
+out vec2 v_uv;
+
+void main() {
+	gl_Position = u_projection_matrix * u_view_matrix * u_model_matrix * vec4(a_position, 1.0);
+	gl_PointSize = max(1.0, a_size * u_projection_matrix[1][1] * u_viewport_height / gl_Position.w);
+	v_color = a_color;
+	v_uv = a_uv;
+}
+`;
+
+const PARTICLE_FRAG_SHADER = `#version 300 es
+precision highp float;
+
+in vec4 v_color;
+in vec2 v_uv;
+out vec4 frag_color;
+
+uniform sampler2D u_texture;
+uniform int u_point_mode;
+uniform vec2 u_tex_dims;
+uniform float u_alpha_test;
+
+void main() {
+	// point sprites address a single cell of the texture atlas
+	vec2 uv = u_point_mode == 1 ? (v_uv + gl_PointCoord) / u_tex_dims : v_uv;
+	frag_color = texture(u_texture, uv) * v_color;
+
+	if (frag_color.a < u_alpha_test)
+		discard;
+}
+`;
+
+// position (3), color (4), size (1), uv (2)
+const VERTEX_FLOATS = 10;
+const VERTEX_STRIDE = VERTEX_FLOATS * 4;
+
+// safety caps so a broken emitter cannot stall the viewer
+const MAX_PARTICLES_PER_EMITTER = 2000;
+const MAX_RIBBON_EDGES = 512;
+
+// same mapping as M2RendererGL, M2 blend -> renderer blend
+const M2BLEND_TO_EGX = [
+	GLContext.BlendMode.OPAQUE,
+	GLContext.BlendMode.ALPHA_KEY,
+	GLContext.BlendMode.ALPHA,
+	GLContext.BlendMode.NO_ALPHA_ADD,
+	GLContext.BlendMode.ADD,
+	GLContext.BlendMode.MOD,
+	GLContext.BlendMode.MOD2X,
+	GLContext.BlendMode.BLEND_ADD
+];
+
+const IDENTITY_MAT4 = new Float32Array([
+	1, 0, 0, 0,
+	0, 1, 0, 0,
+	0, 0, 1, 0,
+	0, 0, 0, 1
+]);
+
+const rand_signed = () => Math.random() * 2 - 1;
+
+function lerp_value(a, b, t) {
+	if (Array.isArray(a))
+		return a.map((v, i) => v + (b[i] - v) * t);
+
+	return a + (b - a) * t;
+}
+
+/**
+ * Sample an M2Track at the given animation and time.
+ * @param {M2Track} track
+ * @param {number} anim_idx
+ * @param {number} time_ms
+ * @param {Float32Array} global_seq_times
+ * @param {*} def - value returned if the track has no keys
+ * @returns {*}
+ */
+function sample_track(track, anim_idx, time_ms, global_seq_times, def) {
+	if (!track)
+		return def;
+
+	if (track.globalSeq < global_seq_times.length) {
+		anim_idx = 0;
+		time_ms = global_seq_times[track.globalSeq];
+	}
+
+	let timestamps = track.timestamps[anim_idx];
+	let values = track.values[anim_idx];
+
+	// emitters without keys for this animation keep their stand values
+	if (!values?.length) {
+		timestamps = track.timestamps[0];
+		values = track.values[0];
+	}
+
+	if (!values?.length)
+		return def;
+
+	if (values.length === 1 || time_ms <= timestamps[0])
+		return values[0];
+
+	for (let i = 1; i < timestamps.length; i++) {
+		if (time_ms > timestamps[i])
+			continue;
+
+		if (track.interpolation === 0)
+			return values[i - 1];
+
+		const t = (time_ms - timestamps[i - 1]) / (timestamps[i] - timestamps[i - 1]);
+		return lerp_value(values[i - 1], values[i], t);
+	}
+
+	return values[values.length - 1];
+}
+
+/**
+ * Sample a fake animation block over a particle lifetime.
+ * @param {object} fblock
+ * @param {number} t - normalized age (0 to 1)
+ * @param {*} def
+ * @returns {*}
+ */
+function sample_fblock(fblock, t, def) {
+	const values = fblock?.values;
+	if (!values?.length)
+		return def;
+
+	if (values.length === 1)
+		return values[0];
+
+	// missing timestamps are spread evenly over the lifetime
+	let timestamps = fblock.timestamps;
+	if (timestamps.length !== values.length)
+		timestamps = values.map((_, i) => i / (values.length - 1));
+
+	if (t <= timestamps[0])
+		return values[0];
+
+	for (let i = 1; i < timestamps.length; i++) {
+		if (t > timestamps[i])
+			continue;
+
+		const span = timestamps[i] - timestamps[i - 1];
+		return lerp_value(values[i - 1], values[i], span > 0 ? (t - timestamps[i - 1]) / span : 0);
+	}
+
+	return values[values.length - 1];
+}
+
+function transform_point(m, x, y, z) {
+	return [
+		m[0] * x + m[4] * y + m[8] * z + m[12],
+		m[1] * x + m[5] * y + m[9] * z + m[13],
+		m[2] * x + m[6] * y + m[10] * z + m[14]
+	];
+}
+
+function transform_direction(m, x, y, z) {
+	return [
+		m[0] * x + m[4] * y + m[8] * z,
+		m[1] * x + m[5] * y + m[9] * z,
+		m[2] * x + m[6] * y + m[10] * z
+	];
+}
+
+class M2ParticleRenderer {
+	/**
+	 * Simulates and draws the particle and ribbon emitters of an M2.
+	 * Emitter data is expected in the Y-up space produced by M2Loader.
+	 * @param {GLContext} gl_context
+	 * @param {M2Loader} m2
+	 * @param {Map} textures - GLTexture by M2 texture index
+	 * @param {GLTexture} default_texture
+	 */
+	constructor(gl_context, m2, textures, default_texture) {
+		this.ctx = gl_context;
+		this.gl = gl_context.gl;
+		this.m2 = m2;
+		this.textures = textures;
+		this.default_texture = default_texture;
+
+		this.particle_states = (m2.particleEmitters ?? []).map(() => ({ particles: [], accumulator: 0 }));
+		this.ribbon_states = (m2.ribbonEmitters ?? []).map(() => ({ edges: [], accumulator: 0 }));
+
+		this.shader = null;
+		this.vao = null;
+		this.vertex_buffer = null;
+		this.vertex_data = new Float32Array(1024 * VERTEX_FLOATS);
+
+		this._init();
+	}
+
+	_init() {
+		const gl = this.gl;
+
+		this.shader = new ShaderProgram(this.ctx, PARTICLE_VERT_SHADER, PARTICLE_FRAG_SHADER);
+
+		this.vao = gl.createVertexArray();
+		this.ctx.bind_vao(this.vao);
+
+		this.vertex_buffer = gl.createBuffer();
+		gl.bindBuffer(gl.ARRAY_BUFFER, this.vertex_buffer);
+
+		gl.enableVertexAttribArray(0);
+		gl.vertexAttribPointer(0, 3, gl.FLOAT, false, VERTEX_STRIDE, 0);
+
+		gl.enableVertexAttribArray(1);
+		gl.vertexAttribPointer(1, 4, gl.FLOAT, false, VERTEX_STRIDE, 12);
+
+		gl.enableVertexAttribArray(2);
+		gl.vertexAttribPointer(2, 1, gl.FLOAT, false, VERTEX_STRIDE, 28);
+
+		gl.enableVertexAttribArray(3);
+		gl.vertexAttribPointer(3, 2, gl.FLOAT, false, VERTEX_STRIDE, 32);
+
+		this.ctx.bind_vao(null);
+	}
+
+	/**
+	 * Remove all live particles and ribbon edges.
+	 */
+	reset() {
+		for (const state of this.particle_states) {
+			state.particles.length = 0;
+			state.accumulator = 0;
+		}
+
+		for (const state of this.ribbon_states) {
+			state.edges.length = 0;
+			state.accumulator = 0;
+			state.head = null;
+		}
+	}
+
+	/**
+	 * Advance the simulation.
+	 * @param {number} delta_time - time in seconds
+	 * @param {Float32Array|null} bone_matrices
+	 * @param {number} anim_idx
+	 * @param {number} time_ms
+	 * @param {Float32Array} global_seq_times
+	 */
+	update(delta_time, bone_matrices, anim_idx, time_ms, global_seq_times) {
+		// large gaps (tab switches, breakpoints) would otherwise emit a burst
+		const dt = Math.min(delta_time, 0.1);
+
+		const get_bone = (idx) => {
+			if (!bone_matrices || idx * 16 + 16 > bone_matrices.length)
+				return IDENTITY_MAT4;
+
+			return bone_matrices.subarray(idx * 16, idx * 16 + 16);
+		};
+
+		const sample = (track, def) => sample_track(track, anim_idx, time_ms, global_seq_times, def);
+
+		const emitters = this.m2.particleEmitters ?? [];
+		for (let i = 0; i < emitters.length; i++)
+			this._update_emitter(emitters[i], this.particle_states[i], dt, get_bone(emitters[i].bone), sample);
+
+		const ribbons = this.m2.ribbonEmitters ?? [];
+		for (let i = 0; i < ribbons.length; i++)
+			this._update_ribbon(ribbons[i], this.ribbon_states[i], dt, get_bone(ribbons[i].bone), sample);
+	}
+
+	_update_emitter(emitter, state, dt, bone_mat, sample) {
+		const particles = state.particles;
+
+		// age and move existing particles
+		const drag = Math.max(0, 1 - emitter.drag * dt);
+		const gravity = sample(emitter.gravity, 0);
+		const gravity_step = Number.isFinite(gravity) ? gravity * dt : 0;
+
+		for (let i = particles.length - 1; i >= 0; i--) {
+			const p = particles[i];
+			p.age += dt;
+
+			if (p.age >= p.life) {
+				particles[i] = particles[particles.length - 1];
+				particles.pop();
+				continue;
+			}
+
+			p.velocity[1] -= gravity_step;
+			p.velocity[0] *= drag;
+			p.velocity[1] *= drag;
+			p.velocity[2] *= drag;
+
+			p.position[0] += p.velocity[0] * dt;
+			p.position[1] += p.velocity[1] * dt;
+			p.position[2] += p.velocity[2] * dt;
+		}
+
+		if (sample(emitter.enabledIn, 1) === 0)
+			return;
+
+		const rate = sample(emitter.emissionRate, 0) + emitter.emissionRateVary * rand_signed();
+		state.accumulator += Math.max(0, rate) * dt;
+
+		const lifespan = sample(emitter.lifespan, 1);
+		const speed = sample(emitter.emissionSpeed, 0);
+		const speed_var = sample(emitter.speedVariation, 0);
+		const vertical = sample(emitter.verticalRange, 0);
+		const horizontal = sample(emitter.horizontalRange, 0);
+		const area_length = sample(emitter.emissionAreaLength, 0);
+		const area_width = sample(emitter.emissionAreaWidth, 0);
+		const z_source = sample(emitter.zSource, 0);
+
+		while (state.accumulator >= 1) {
+			state.accumulator -= 1;
+
+			if (particles.length >= MAX_PARTICLES_PER_EMITTER)
+				continue;
+
+			let local_pos, dir;
+			if (emitter.emitterType === 2) {
+				// sphere: spawn between the inner and outer radius, moving outward
+				const polar = Math.random() * Math.PI;
+				const azimuth = Math.random() * Math.PI * 2;
+				dir = [Math.sin(polar) * Math.cos(azimuth), Math.cos(polar), -Math.sin(polar) * Math.sin(azimuth)];
+
+				const radius = area_length + (area_width - area_length) * Math.random();
+				local_pos = dir.map(v => v * radius);
+			} else {
+				// plane: WoW XY plane, emitting around the local Z (up) axis
+				local_pos = [rand_signed() * area_length * 0.5, 0, rand_signed() * area_width * 0.5];
+
+				const polar = Math.random() * vertical;
+				const azimuth = Math.random() * horizontal;
+				dir = [Math.sin(polar) * Math.cos(azimuth), Math.cos(polar), -Math.sin(polar) * Math.sin(azimuth)];
+			}
+
+			if (z_source > 0) {
+				const dx = local_pos[0], dy = local_pos[1] - z_source, dz = local_pos[2];
+				const len = Math.hypot(dx, dy, dz) || 1;
+				dir = [dx / len, dy / len, dz / len];
+			}
+
+			const pos = emitter.position;
+			const velocity = speed * (1 + speed_var * rand_signed());
+
+			particles.push({
+				position: transform_point(bone_mat, pos[0] + local_pos[0], pos[1] + local_pos[1], pos[2] + local_pos[2]),
+				velocity: transform_direction(bone_mat, dir[0] * velocity, dir[1] * velocity, dir[2] * velocity),
+				age: 0,
+				life: Math.max(0.01, lifespan + emitter.lifespanVary * rand_signed()),
+				scale_vary: 1 + emitter.scaleVary[0] * rand_signed()
+			});
+		}
+	}
+
+	_update_ribbon(ribbon, state, dt, bone_mat, sample) {
+		const edges = state.edges;
+
+		for (const edge of edges)
+			edge.age += dt;
+
+		while (edges.length > 0 && edges[0].age >= ribbon.edgeLifetime)
+			edges.shift();
+
+		const visible = sample(ribbon.visibility, 1) !== 0;
+		const pos = ribbon.position;
+		const above = sample(ribbon.heightAbove, 0);
+		const below = sample(ribbon.heightBelow, 0);
+
+		const head = {
+			top: transform_point(bone_mat, pos[0], pos[1] + above, pos[2]),
+			bottom: transform_point(bone_mat, pos[0], pos[1] - below, pos[2]),
+			color: sample(ribbon.color, [1, 1, 1]),
+			alpha: sample(ribbon.alpha, 32767) / 32767,
+			age: 0
+		};
+
+		// edges are laid down at edgesPerSecond, the head edge follows the emitter
+		state.accumulator += ribbon.edgesPerSecond * dt;
+		if (visible && state.accumulator >= 1) {
+			state.accumulator %= 1;
+			edges.push(head);
+
+			if (edges.length > MAX_RIBBON_EDGES)
+				edges.shift();
+		}
+
+		state.head = visible ? head : null;
+	}
+
+	_ensure_capacity(vertex_count) {
+		const required = vertex_count * VERTEX_FLOATS;
+		if (this.vertex_data.length >= required)
+			return;
+
+		let size = this.vertex_data.length;
+		while (size < required)
+			size *= 2;
+
+		this.vertex_data = new Float32Array(size);
+	}
+
+	_write_vertex(ofs, position, r, g, b, a, size, u, v) {
+		const data = this.vertex_data;
+		data[ofs] = position[0];
+		data[ofs + 1] = position[1];
+		data[ofs + 2] = position[2];
+		data[ofs + 3] = r;
+		data[ofs + 4] = g;
+		data[ofs + 5] = b;
+		data[ofs + 6] = a;
+		data[ofs + 7] = size;
+		data[ofs + 8] = u;
+		data[ofs + 9] = v;
+		return ofs + VERTEX_FLOATS;
+	}
+
+	/**
+	 * Build vertex data for all emitters and return the draw ranges.
+	 * @returns {Array}
+	 */
+	_build_draws() {
+		const draws = [];
+		const materials = this.m2.materials ?? [];
+
+		let vertex_count = 0;
+		for (const state of this.particle_states)
+			vertex_count += state.particles.length;
+
+		for (const state of this.ribbon_states)
+			vertex_count += (state.edges.length + 1) * 6;
+
+		this._ensure_capacity(vertex_count);
+
+		let ofs = 0;
+		const emitters = this.m2.particleEmitters ?? [];
+		for (let i = 0; i < emitters.length; i++) {
+			const emitter = emitters[i];
+			const particles = this.particle_states[i].particles;
+			if (particles.length === 0)
+				continue;
+
+			const rows = Math.max(1, emitter.textureDimensionsRows);
+			const cols = Math.max(1, emitter.textureDimensionsColumns);
+			const cell_count = rows * cols;
+			const start = ofs / VERTEX_FLOATS;
+
+			for (const p of particles) {
+				const t = p.age / p.life;
+				const color = sample_fblock(emitter.color, t, [255, 255, 255]);
+				const alpha = sample_fblock(emitter.alpha, t, 32767) / 32767;
+				const scale = sample_fblock(emitter.scale, t, [1, 1]);
+				const cell = Math.round(sample_fblock(emitter.headCell, t, 0)) % cell_count;
+
+				ofs = this._write_vertex(ofs, p.position, color[0] / 255, color[1] / 255, color[2] / 255, alpha, scale[0] * p.scale_vary, cell % cols, Math.floor(cell / cols));
+			}
+
+			draws.push({
+				mode: this.gl.POINTS,
+				start,
+				count: particles.length,
+				texture: emitter.textureIndices[0],
+				blend_mode: M2BLEND_TO_EGX[emitter.blendingType] ?? GLContext.BlendMode.ALPHA,
+				tex_dims: [cols, rows]
+			});
+		}
+
+		const ribbons = this.m2.ribbonEmitters ?? [];
+		for (let i = 0; i < ribbons.length; i++) {
+			const ribbon = ribbons[i];
+			const state = this.ribbon_states[i];
+			const edges = state.head ? [...state.edges, state.head] : state.edges;
+			if (edges.length < 2)
+				continue;
+
+			const start = ofs / VERTEX_FLOATS;
+			const last = edges.length - 1;
+
+			for (let e = 0; e < last; e++) {
+				const a = edges[e];
+				const b = edges[e + 1];
+				const ua = 1 - e / last;
+				const ub = 1 - (e + 1) / last;
+
+				ofs = this._write_vertex(ofs, a.top, ...a.color, a.alpha, 0, ua, 0);
+				ofs = this._write_vertex(ofs, a.bottom, ...a.color, a.alpha, 0, ua, 1);
+				ofs = this._write_vertex(ofs, b.top, ...b.color, b.alpha, 0, ub, 0);
+				ofs = this._write_vertex(ofs, b.top, ...b.color, b.alpha, 0, ub, 0);
+				ofs = this._write_vertex(ofs, a.bottom, ...a.color, a.alpha, 0, ua, 1);
+				ofs = this._write_vertex(ofs, b.bottom, ...b.color, b.alpha, 0, ub, 1);
+			}
+
+			const material = materials[ribbon.materialIndices[0]];
+			draws.push({
+				mode: this.gl.TRIANGLES,
+				start,
+				count: last * 6,
+				texture: ribbon.textureIndices[0],
+				blend_mode: M2BLEND_TO_EGX[material?.blendingMode] ?? GLContext.BlendMode.ALPHA,
+				tex_dims: null
+			});
+		}
+
+		return draws;
+	}
+
+	/**
+	 * @param {Float32Array} view_matrix
+	 * @param {Float32Array} projection_matrix
+	 * @param {Float32Array} model_matrix
+	 */
+	render(view_matrix, projection_matrix, model_matrix) {
+		if (!this.shader || !this.shader.is_valid())
+			return;
+
+		const draws = this._build_draws();
+		if (draws.length === 0)
+			return;
+
+		const gl = this.gl;
+		const ctx = this.ctx;
+		const shader = this.shader;
+
+		const last = draws[draws.length - 1];
+		gl.bindBuffer(gl.ARRAY_BUFFER, this.vertex_buffer);
+		gl.bufferData(gl.ARRAY_BUFFER, this.vertex_data.subarray(0, (last.start + last.count) * VERTEX_FLOATS), gl.DYNAMIC_DRAW);
+
+		shader.use();
+		shader.set_uniform_mat4('u_view_matrix', false, view_matrix);
+		shader.set_uniform_mat4('u_projection_matrix', false, projection_matrix);
+		shader.set_uniform_mat4('u_model_matrix', false, model_matrix);
+		shader.set_uniform_1f('u_viewport_height', gl.drawingBufferHeight);
+		shader.set_uniform_1i('u_texture', 0);
+
+		ctx.bind_vao(this.vao);
+		ctx.set_cull_face(false);
+		ctx.set_depth_test(true);
+
+		for (const draw of draws) {
+			ctx.apply_blend_mode(draw.blend_mode);
+			ctx.set_depth_write(false);
+
+			shader.set_uniform_1i('u_point_mode', draw.tex_dims ? 1 : 0);
+			shader.set_uniform_2f('u_tex_dims', ...(draw.tex_dims ?? [1, 1]));
+			shader.set_uniform_1f('u_alpha_test', draw.blend_mode === GLContext.BlendMode.ALPHA_KEY ? 0.501960814 : 0.00392156862);
+
+			const texture = this.textures.get(draw.texture) ?? this.default_texture;
+			texture?.bind(0);
+
+			gl.drawArrays(draw.mode, draw.start, draw.count);
+		}
+
+		ctx.bind_vao(null);
+		ctx.set_blend(false);
+		ctx.set_depth_write(true);
+	}
+
+	dispose() {
+		const gl = this.gl;
+
+		if (this.vao) {
+			gl.deleteVertexArray(this.vao);
+			this.vao = null;
+		}
+
+		if (this.vertex_buffer) {
+			gl.deleteBuffer(this.vertex_buffer);
+			this.vertex_buffer = null;
+		}
+
+		if (this.shader) {
+			this.shader.dispose();
+			this.shader = null;
+		}
+	}
+}
+
+module.exports = M2ParticleRenderer;
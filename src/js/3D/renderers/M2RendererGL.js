@@ -17,6 +17,7 @@ const Shaders = require('../Shaders');
 const GLContext = require('../gl/GLContext');
 const VertexArray = require('../gl/VertexArray');
 const GLTexture = require('../gl/GLTexture');
+const M2ParticleRenderer = require('./M2ParticleRenderer');
 
 const textureRibbon = require('../../ui/texture-ribbon');
 const { create_bones_ubo } = require('./renderer_utils');
@@ -378,6 +379,9 @@ class M2RendererGL {
 		this.close_left_hand = false;
 		this.hands_closed_anim_idx = null;
 
+		// particle and ribbon emitters
+		this.particle_renderer = null;
+
 		// collection model support
 		this.bone_remap_table = null;
 		this.use_external_bones = false;
@@ -419,6 +423,10 @@ class M2RendererGL {
 
 		// load textures
 		await this._load_textures();
+
+		if (this.m2.particleEmitters.length > 0 || this.m2.ribbonEmitters.length > 0)
+			this.particle_renderer = new M2ParticleRenderer(this.ctx, this.m2, this.textures, this.default_texture);
+
 		this.global_seq_times = new Float32Array(this.m2.globalLoops.length);
 		this.submesh_colors = new Float32Array(this.m2.colors.length * 4);
 		this.tex_weights = new Float32Array(this.m2.textureWeights.length);
@@ -780,6 +788,7 @@ class M2RendererGL {
 		this.current_animation = index;
 		this.animation_time = 0;
 		this.global_seq_times = new Float32Array(anim_source.globalLoops.length);
+		this.particle_renderer?.reset();
 	}
 
 	stopAnimation() {
@@ -813,6 +822,8 @@ class M2RendererGL {
 	 * @param {number} delta_time - time in seconds
 	 */
 	updateAnimation(delta_time) {
+		this._update_particles(delta_time);
+
 		if (this.current_animation === null || !this.bones)
 			return;
 
@@ -846,6 +857,23 @@ class M2RendererGL {
 		this._update_tex_weights();
 	}
 
+	/**
+	 * Advance particle and ribbon emitters using the current pose.
+	 * @param {number} delta_time - time in seconds
+	 */
+	_update_particles(delta_time) {
+		if (!this.particle_renderer)
+			return;
+
+		if (!core.view.config.modelViewerShowParticles) {
+			this.particle_renderer.reset();
+			return;
+		}
+
+		const dt = this.animation_paused ? 0 : delta_time;
+		this.particle_renderer.update(dt, this.bone_matrices, this.current_animation ?? 0, this.animation_time * 1000, this.global_seq_times);
+	}
+
 	get_animation_duration() {
 		if (this.current_animation === null)
 			return 0;
@@ -1620,6 +1648,9 @@ class M2RendererGL {
 			}
 		}
 
+		if (this.particle_renderer && core.view.config.modelViewerShowParticles)
+			this.particle_renderer.render(view_matrix, projection_matrix, this.model_matrix);
+
 		// reset state
 		ctx.set_blend(false);
 		ctx.set_depth_test(true);
@@ -1936,6 +1967,9 @@ class M2RendererGL {
 
 		this._dispose_skin();
 
+		this.particle_renderer?.dispose();
+		this.particle_renderer = null;
+
 		// dispose textures
 		for (const tex of this.textures.values())
 			tex.dispose();
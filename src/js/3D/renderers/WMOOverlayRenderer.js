@@ -0,0 +1,229 @@
+/*!
+	wow.export (https://github.com/Kruithne/wow.export)
+	Authors: Kruithne <kruithne@gmail.com>
+	License: MIT
+*/
+
+const ShaderProgram = require('../gl/ShaderProgram');
+const { FOG_FLAG_INFINITE, bgra_to_rgb } = require('../WMOUtil');
+
+const OVERLAY_VERT_SHADER = `#version 300 es
+precision highp float;
+
+layout(location = 0) in vec3 a_position;
+layout(location = 1) in vec3 a_color;
+
+uniform mat4 u_view_matrix;
+uniform mat4 u_projection_matrix;
+uniform mat4 u_model_matrix;
+
+out vec3 v_color;
+
+void main() {
+	gl_Position = u_projection_matrix * u_view_matrix * u_model_matrix * vec4(a_position, 1.0);
+	v_color = a_color;
+}
+`;
+
+const OVERLAY_FRAG_SHADER = `#version 300 es
+precision highp float;
+
+in vec3 v_color;
+out vec4 frag_color;
+
+void main() {
+	frag_color = vec4(v_color, 1.0);
+}
+`;
+
+const PORTAL_COLOR = [1, 0.85, 0.2];
+const LIGHT_MARKER_SIZE = 0.5;
+const CIRCLE_SEGMENTS = 32;
+
+/**
+ * Convert a WoW Z-up position into WebGL Y-up space.
+ * @param {number[]} pos
+ * @returns {number[]}
+ */
+const to_gl_position = (pos) => [pos[0], pos[2], -pos[1]];
+
+/**
+ * Push a line segment into an interleaved position/colour array.
+ */
+const push_line = (out, a, b, color) => out.push(...a, ...color, ...b, ...color);
+
+/**
+ * Push a circle around a centre point on the plane spanned by two axes.
+ */
+const push_circle = (out, center, radius, axis_a, axis_b, color) => {
+	const point = (i) => {
+		const angle = (i / CIRCLE_SEGMENTS) * Math.PI * 2;
+		const ca = Math.cos(angle) * radius;
+		const cb = Math.sin(angle) * radius;
+		return center.map((v, n) => v + axis_a[n] * ca + axis_b[n] * cb);
+	};
+
+	for (let i = 0; i < CIRCLE_SEGMENTS; i++)
+		push_line(out, point(i), point(i + 1), color);
+};
+
+const AXIS_X = [1, 0, 0];
+const AXIS_Y = [0, 1, 0];
+const AXIS_Z = [0, 0, 1];
+
+class WMOOverlayRenderer {
+	/**
+	 * Line overlays showing the lights, fog volumes and portals of a WMO.
+	 * @param {GLContext} gl_context
+	 * @param {WMOLoader} wmo
+	 */
+	constructor(gl_context, wmo) {
+		this.ctx = gl_context;
+		this.gl = gl_context.gl;
+
+		this.shader = new ShaderProgram(this.ctx, OVERLAY_VERT_SHADER, OVERLAY_FRAG_SHADER);
+		this.lights = this._create_lines(this._build_lights(wmo));
+		this.fog = this._create_lines(this._build_fog(wmo));
+		this.portals = this._create_lines(this._build_portals(wmo));
+	}
+
+	_build_lights(wmo) {
+		const vertices = [];
+		for (const light of wmo.lights ?? []) {
+			const pos = to_gl_position(light.position);
+			const color = bgra_to_rgb(light.color);
+
+			for (const axis of [AXIS_X, AXIS_Y, AXIS_Z]) {
+				const a = pos.map((v, i) => v - axis[i] * LIGHT_MARKER_SIZE);
+				const b = pos.map((v, i) => v + axis[i] * LIGHT_MARKER_SIZE);
+				push_line(vertices, a, b, color);
+			}
+
+			// attenuation range on the horizontal plane
+			if (light.useAttenuation && light.attenuationEnd > 0)
+				push_circle(vertices, pos, light.attenuationEnd, AXIS_X, AXIS_Z, color.map(v => v * 0.5));
+		}
+
+		return vertices;
+	}
+
+	_build_fog(wmo) {
+		const vertices = [];
+		for (const fog of wmo.fogs ?? []) {
+			if (fog.flags & FOG_FLAG_INFINITE)
+				continue;
+
+			const pos = to_gl_position(fog.position);
+			const color = bgra_to_rgb(fog.fog.color);
+
+			push_circle(vertices, pos, fog.radiusLarge, AXIS_X, AXIS_Z, color);
+			push_circle(vertices, pos, fog.radiusLarge, AXIS_X, AXIS_Y, color);
+			push_circle(vertices, pos, fog.radiusLarge, AXIS_Y, AXIS_Z, color);
+
+			if (fog.radiusSmall > 0)
+				push_circle(vertices, pos, fog.radiusSmall, AXIS_X, AXIS_Z, color.map(v => v * 0.5));
+		}
+
+		return vertices;
+	}
+
+	_build_portals(wmo) {
+		const vertices = [];
+		for (const portal of wmo.portalInfo ?? []) {
+			for (let i = 0; i < portal.count; i++) {
+				const a = wmo.portalVertices[portal.startVertex + i];
+				const b = wmo.portalVertices[portal.startVertex + ((i + 1) % portal.count)];
+				push_line(vertices, to_gl_position(a), to_gl_position(b), PORTAL_COLOR);
+			}
+		}
+
+		return vertices;
+	}
+
+	/**
+	 * @param {number[]} vertices Interleaved position/colour data.
+	 * @returns {{ vao: WebGLVertexArrayObject, buffer: WebGLBuffer, count: number }|null}
+	 */
+	_create_lines(vertices) {
+		if (vertices.length === 0)
+			return null;
+
+		const gl = this.gl;
+		const vao = gl.createVertexArray();
+		this.ctx.bind_vao(vao);
+
+		const buffer = gl.createBuffer();
+		gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+		gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(vertices), gl.STATIC_DRAW);
+
+		// position attribute (location 0)
+		gl.enableVertexAttribArray(0);
+		gl.vertexAttribPointer(0, 3, gl.FLOAT, false, 24, 0);
+
+		// color attribute (location 1)
+		gl.enableVertexAttribArray(1);
+		gl.vertexAttribPointer(1, 3, gl.FLOAT, false, 24, 12);
+
+		this.ctx.bind_vao(null);
+
+		return { vao, buffer, count: vertices.length / 6 };
+	}
+
+	/**
+	 * @param {Float32Array} view_matrix
+	 * @param {Float32Array} projection_matrix
+	 * @param {Float32Array} model_matrix
+	 * @param {{ lights: boolean, fog: boolean, portals: boolean }} visible
+	 */
+	render(view_matrix, projection_matrix, model_matrix, visible) {
+		if (!this.shader || !this.shader.is_valid())
+			return;
+
+		const sets = [];
+		if (visible.lights && this.lights)
+			sets.push(this.lights);
+
+		if (visible.fog && this.fog)
+			sets.push(this.fog);
+
+		if (visible.portals && this.portals)
+			sets.push(this.portals);
+
+		if (sets.length === 0)
+			return;
+
+		this.shader.use();
+		this.shader.set_uniform_mat4('u_view_matrix', false, view_matrix);
+		this.shader.set_uniform_mat4('u_projection_matrix', false, projection_matrix);
+		this.shader.set_uniform_mat4('u_model_matrix', false, model_matrix);
+
+		this.ctx.set_depth_test(true);
+		this.ctx.set_blend(false);
+
+		for (const set of sets) {
+			this.ctx.bind_vao(set.vao);
+			this.gl.drawArrays(this.gl.LINES, 0, set.count);
+		}
+	}
+
+	dispose() {
+		const gl = this.gl;
+
+		for (const set of [this.lights, this.fog, this.portals]) {
+			if (!set)
+				continue;
+
+			gl.deleteVertexArray(set.vao);
+			gl.deleteBuffer(set.buffer);
+		}
+
+		this.lights = this.fog = this.portals = null;
+
+		if (this.shader) {
+			this.shader.dispose();
+			this.shader = null;
+		}
+	}
+}
+
+module.exports = WMOOverlayRenderer;
@@ -13,6 +13,7 @@ const BLPFile = require('../../casc/blp');
 const Texture = require('../Texture');
 const WMOLoader = require('../loaders/WMOLoader');
 const M2RendererGL = require('./M2RendererGL');
+const WMOOverlayRenderer = require('./WMOOverlayRenderer');
 const listfile = require('../../casc/listfile');
 const WMOShaderMapper = require('../WMOShaderMapper');
 const Shaders = require('../Shaders');
@@ -58,6 +59,9 @@ class WMORendererGL {
 		this.doodadSets = [];
 		this.m2_renderers = new Map();
 
+		// lights, fog and portal overlays
+		this.overlay_renderer = null;
+
 		// reactive state
 		this.groupArray = [];
 		this.setArray = [];
@@ -98,6 +102,9 @@ class WMORendererGL {
 		// setup doodad sets
 		this._setup_doodad_sets();
 
+		// build lights, fog and portal overlays
+		this.overlay_renderer = new WMOOverlayRenderer(this.ctx, this.wmo);
+
 		// setup reactive controls
 		const view = core.view;
 		view[this.wmoGroupKey] = this.groupArray;
@@ -598,6 +605,13 @@ class WMORendererGL {
 				doodad.renderer.render(view_matrix, projection_matrix);
 			}
 		}
+
+		// render lights, fog and portal overlays
+		this.overlay_renderer?.render(view_matrix, projection_matrix, this.model_matrix, {
+			lights: core.view.config.modelViewerShowWMOLights,
+			fog: core.view.config.modelViewerShowWMOFog,
+			portals: core.view.config.modelViewerShowWMOPortals
+		});
 	}
 
 	updateAnimation(delta_time) {
@@ -662,6 +676,10 @@ class WMORendererGL {
 
 		this.m2_renderers.clear();
 
+		// dispose overlays
+		this.overlay_renderer?.dispose();
+		this.overlay_renderer = null;
+
 		// clear arrays
 		if (this.groupArray) this.groupArray.splice(0);
 		if (this.setArray) this.setArray.splice(0);
@@ -0,0 +1,197 @@
+/*!
+	wow.export (https://github.com/Kruithne/wow.export)
+	Authors: Kruithne <kruithne@gmail.com>
+	License: MIT
+ */
+const generics = require('../../generics');
+const path = require('path');
+const fsp = require('fs').promises;
+const FieldType = require('../../db/FieldType');
+
+const DBC_MAGIC = 0x43424457; // 'WDBC'
+const HEADER_SIZE = 20;
+
+/**
+ * Returns the size in bytes of a DBC field type.
+ * @param {symbol} type
+ * @returns {number}
+ */
+const get_field_size = (type) => {
+	switch (type) {
+		case FieldType.Int8: case FieldType.UInt8: return 1;
+		case FieldType.Int16: case FieldType.UInt16: return 2;
+		default: return 4;
+	}
+};
+
+class DBCWriter {
+	/**
+	 * Construct a new DBCWriter instance.
+	 * @param {string} out
+	 * @param {Map} schema Schema of the source table, as used by DBCReader.
+	 * @param {number} localeCount Number of locale columns in each locstring.
+	 * @param {Map} [localeStrings] Per-locale strings of the source rows, from DBCReader.getAllLocaleStrings().
+	 */
+	constructor(out, schema, localeCount, localeStrings = new Map()) {
+		this.out = out;
+		this.schema = schema;
+		this.localeCount = localeCount;
+		this.localeStrings = localeStrings;
+		this.rows = [];
+	}
+
+	/**
+	 * Add a row to the table.
+	 * @param {object} row Field values keyed by field name.
+	 */
+	addRow(row) {
+		this.rows.push(row);
+	}
+
+	/**
+	 * Build the table into a buffer.
+	 * @returns {Buffer}
+	 */
+	build() {
+		let fieldCount = 0;
+		let recordSize = 0;
+		for (const field of this.schema.values()) {
+			const count = field.array_length > 0 ? field.array_length : 1;
+			if (field.is_locstring) {
+				fieldCount += (this.localeCount + 1) * count;
+				recordSize += (this.localeCount + 1) * count * 4;
+			} else {
+				fieldCount += count;
+				recordSize += count * get_field_size(field.type);
+			}
+		}
+
+		const strings = [Buffer.from([0])];
+		const stringOffsets = new Map([['', 0]]);
+		let stringBlockSize = 1;
+
+		const getStringOffset = (value) => {
+			const str = value === null || value === undefined ? '' : String(value);
+			let offset = stringOffsets.get(str);
+			if (offset === undefined) {
+				const encoded = Buffer.from(str + '\0', 'utf8');
+				offset = stringBlockSize;
+				stringOffsets.set(str, offset);
+				strings.push(encoded);
+				stringBlockSize += encoded.length;
+			}
+
+			return offset;
+		};
+
+		// Mask of every locale column, for new rows which give each one the same string.
+		const localeMask = this.localeCount >= 32 ? 0xFFFFFFFF : ((1 << this.localeCount) >>> 0) - 1;
+
+		const records = Buffer.alloc(recordSize * this.rows.length);
+		let ofs = 0;
+
+		for (const row of this.rows) {
+			for (const [name, field] of this.schema.entries()) {
+				const value = row[name];
+
+				if (field.is_locstring) {
+					// Locstring arrays are read as a single value.
+					const count = field.array_length > 0 ? field.array_length : 1;
+					const source = this.localeStrings.get(row.ID)?.[name];
+
+					for (let i = 0; i < count; i++) {
+						const element = source?.[i];
+						if (element === undefined) {
+							const offset = getStringOffset(i === 0 ? value : '');
+							for (let l = 0; l < this.localeCount; l++)
+								ofs = records.writeUInt32LE(offset, ofs);
+
+							ofs = records.writeUInt32LE(offset === 0 ? 0 : localeMask, ofs);
+							continue;
+						}
+
+						// Keep the source strings of every locale, replacing only the one shown in the table.
+						const strings = element.strings.slice();
+						let mask = element.mask;
+
+						if (i === 0) {
+							const str = value === null || value === undefined ? '' : String(value);
+							const shown = Math.max(strings.findIndex(s => s.length > 0), 0);
+
+							if (strings[shown] !== str) {
+								strings[shown] = str;
+								if (str.length > 0)
+									mask = (mask | (1 << shown)) >>> 0;
+							}
+						}
+
+						for (let l = 0; l < this.localeCount; l++)
+							ofs = records.writeUInt32LE(getStringOffset(strings[l]), ofs);
+
+						ofs = records.writeUInt32LE(mask, ofs);
+					}
+					continue;
+				}
+
+				if (field.array_length > 0) {
+					const values = Array.isArray(value) ? value : [value];
+					for (let i = 0; i < field.array_length; i++)
+						ofs = this._writeField(records, ofs, field.type, values[i], getStringOffset);
+				} else {
+					ofs = this._writeField(records, ofs, field.type, value, getStringOffset);
+				}
+			}
+		}
+
+		const header = Buffer.alloc(HEADER_SIZE);
+		header.writeUInt32LE(DBC_MAGIC, 0);
+		header.writeUInt32LE(this.rows.length, 4);
+		header.writeUInt32LE(fieldCount, 8);
+		header.writeUInt32LE(recordSize, 12);
+		header.writeUInt32LE(stringBlockSize, 16);
+
+		return Buffer.concat([header, records, ...strings]);
+	}
+
+	/**
+	 * Write a single field value into a record buffer.
+	 * @param {Buffer} buf
+	 * @param {number} ofs
+	 * @param {symbol} type
+	 * @param {*} value
+	 * @param {function} getStringOffset
+	 * @returns {number} Offset following the field.
+	 */
+	_writeField(buf, ofs, type, value, getStringOffset) {
+		if (type === FieldType.String)
+			return buf.writeUInt32LE(getStringOffset(value), ofs);
+
+		if (type === FieldType.Float)
+			return buf.writeFloatLE(Number(value ?? 0), ofs);
+
+		const number = Number(value ?? 0);
+		const int = Number.isFinite(number) ? Math.trunc(number) : 0;
+
+		switch (type) {
+			case FieldType.Int8: case FieldType.UInt8: return buf.writeUInt8(int & 0xFF, ofs);
+			case FieldType.Int16: case FieldType.UInt16: return buf.writeUInt16LE(int & 0xFFFF, ofs);
+			default: return buf.writeUInt32LE(int >>> 0, ofs);
+		}
+	}
+
+	/**
+	 * Write the table to disk.
+	 * @param {boolean} overwrite
+	 */
+	async write(overwrite = true) {
+		if (!overwrite && await generics.fileExists(this.out))
+			return;
+
+		const data = this.build();
+
+		await generics.createDirectory(path.dirname(this.out));
+		await fsp.writeFile(this.out, data);
+	}
+}
+
+module.exports = DBCWriter;
@@ -0,0 +1,968 @@
+/*!
+	wow.export (https://github.com/Kruithne/wow.export)
+	Authors: Kruithne <kruithne@gmail.com>
+	License: MIT
+ */
+const util = require('util');
+const zlib = require('zlib');
+const path = require('path');
+const core = require('../../core');
+const generics = require('../../generics');
+const ExportHelper = require('../../casc/export-helper');
+const BufferWrapper = require('../../buffer');
+const BoneMapper = require('../BoneMapper');
+const AnimMapper = require('../AnimMapper');
+const log = require('../../log');
+
+const FBX_VERSION = 7400;
+const FBX_MAGIC = Buffer.from('Kaydara FBX Binary  \0\x1a\0', 'binary');
+const FBX_NULL_RECORD = Buffer.alloc(13);
+
+// FileId, CreationTime and footer values must match for the FBX SDK to accept the file.
+// These are the same constants used by other open source exporters.
+const FBX_FILE_ID = Buffer.from([0x28, 0xb3, 0x2a, 0xeb, 0xb6, 0x24, 0xcc, 0xc2, 0xbf, 0xc8, 0xb0, 0x2a, 0xa9, 0x2b, 0xfc, 0xf1]);
+const FBX_CREATION_TIME = '1970-01-01 10:00:00:000';
+const FBX_FOOTER_ID = Buffer.from([0xfa, 0xbc, 0xab, 0x09, 0xd0, 0xc8, 0xd4, 0x66, 0xb1, 0x76, 0xfb, 0x83, 0x1c, 0xf7, 0x26, 0x7e]);
+const FBX_FOOTER_MAGIC = Buffer.from([0xf8, 0x5a, 0x8c, 0x6a, 0xde, 0xf5, 0xd9, 0x7e, 0xec, 0xe9, 0x0c, 0xe3, 0x75, 0x8f, 0x29, 0x0b]);
+
+// Arrays larger than this (in bytes) are stored deflated.
+const FBX_COMPRESS_THRESHOLD = 128;
+
+// FBX time units per millisecond (46186158000 per second).
+const FBX_KTIME_MS = 46186158;
+
+const FBX_KEY_CONSTANT = 0x00000002;
+const FBX_KEY_LINEAR = 0x00000004;
+
+// Nodes which the FBX SDK expects to be terminated even when they have no children.
+const FBX_ALWAYS_TERMINATE = new Set(['AnimationStack', 'AnimationLayer']);
+
+/**
+ * Encode a scalar property.
+ * @param {string} type
+ * @param {number} size
+ * @param {function} write
+ * @returns {Buffer}
+ */
+function encode_scalar(type, size, write) {
+	const buf = Buffer.alloc(size + 1);
+	buf.write(type, 0, 'ascii');
+	write(buf);
+	return buf;
+}
+
+/**
+ * Encode an array property, deflating it when large enough to benefit.
+ * @param {string} type
+ * @param {number} count
+ * @param {Buffer} data
+ * @returns {Buffer}
+ */
+function encode_array(type, count, data) {
+	let encoding = 0;
+	if (data.length > FBX_COMPRESS_THRESHOLD) {
+		data = zlib.deflateSync(data);
+		encoding = 1;
+	}
+
+	const header = Buffer.alloc(13);
+	header.write(type, 0, 'ascii');
+	header.writeUInt32LE(count, 1);
+	header.writeUInt32LE(encoding, 5);
+	header.writeUInt32LE(data.length, 9);
+
+	return Buffer.concat([header, data]);
+}
+
+// Typed property encoders.
+const prop = {
+	bool: (v) => encode_scalar('C', 1, buf => buf.writeUInt8(v ? 1 : 0, 1)),
+	int16: (v) => encode_scalar('Y', 2, buf => buf.writeInt16LE(v, 1)),
+	int32: (v) => encode_scalar('I', 4, buf => buf.writeInt32LE(v, 1)),
+	int64: (v) => encode_scalar('L', 8, buf => buf.writeBigInt64LE(BigInt(v), 1)),
+	float: (v) => encode_scalar('F', 4, buf => buf.writeFloatLE(v, 1)),
+	double: (v) => encode_scalar('D', 8, buf => buf.writeDoubleLE(v, 1)),
+
+	string: (v) => {
+		const str = Buffer.from(v, 'utf8');
+		return Buffer.concat([encode_scalar('S', 4, buf => buf.writeUInt32LE(str.length, 1)), str]);
+	},
+
+	raw: (v) => Buffer.concat([encode_scalar('R', 4, buf => buf.writeUInt32LE(v.length, 1)), v]),
+
+	int32_array: (arr) => {
+		const data = Buffer.alloc(arr.length * 4);
+		for (let i = 0; i < arr.length; i++)
+			data.writeInt32LE(arr[i], i * 4);
+
+		return encode_array('i', arr.length, data);
+	},
+
+	int64_array: (arr) => {
+		const data = Buffer.alloc(arr.length * 8);
+		for (let i = 0; i < arr.length; i++)
+			data.writeBigInt64LE(BigInt(arr[i]), i * 8);
+
+		return encode_array('l', arr.length, data);
+	},
+
+	float_array: (arr) => {
+		const data = Buffer.alloc(arr.length * 4);
+		for (let i = 0; i < arr.length; i++)
+			data.writeFloatLE(arr[i], i * 4);
+
+		return encode_array('f', arr.length, data);
+	},
+
+	double_array: (arr) => {
+		const data = Buffer.alloc(arr.length * 8);
+		for (let i = 0; i < arr.length; i++)
+			data.writeDoubleLE(arr[i], i * 8);
+
+		return encode_array('d', arr.length, data);
+	}
+};
+
+/**
+ * Create an FBX node record.
+ * @param {string} name
+ * @param {Array<Buffer>} [props]
+ * @param {Array<object>} [children]
+ * @returns {object}
+ */
+function node(name, props = [], children = []) {
+	return { name, props, children };
+}
+
+/**
+ * Create a Properties70 'P' entry.
+ * @param {string} name
+ * @param {string} type
+ * @param {string} label
+ * @param {string} flags
+ * @param {Array<Buffer>} values
+ * @returns {object}
+ */
+function p70(name, type, label, flags, ...values) {
+	return node('P', [prop.string(name), prop.string(type), prop.string(label), prop.string(flags), ...values]);
+}
+
+/**
+ * Create a Properties70 'P' entry for a three component vector.
+ * @param {string} name
+ * @param {string} type
+ * @param {Array<number>} value
+ * @returns {object}
+ */
+function p70_vec3(name, type, value) {
+	return p70(name, type, '', 'A', prop.double(value[0]), prop.double(value[1]), prop.double(value[2]));
+}
+
+/**
+ * Calculate the encoded size of a node record, caching it on the node.
+ * @param {object} n
+ * @returns {number}
+ */
+function measure_node(n) {
+	let size = 13 + Buffer.byteLength(n.name, 'ascii');
+
+	for (const p of n.props)
+		size += p.length;
+
+	for (const child of n.children)
+		size += measure_node(child);
+
+	if (n.children.length > 0 || n.props.length === 0 || FBX_ALWAYS_TERMINATE.has(n.name))
+		size += FBX_NULL_RECORD.length;
+
+	n.size = size;
+	return size;
+}
+
+/**
+ * Write a measured node record into a buffer.
+ * @param {Buffer} buf
+ * @param {number} ofs
+ * @param {object} n
+ * @returns {number} Offset after the node.
+ */
+function write_node(buf, ofs, n) {
+	const end = ofs + n.size;
+	const props_length = n.props.reduce((total, p) => total + p.length, 0);
+
+	buf.writeUInt32LE(end, ofs);
+	buf.writeUInt32LE(n.props.length, ofs + 4);
+	buf.writeUInt32LE(props_length, ofs + 8);
+	buf.writeUInt8(n.name.length, ofs + 12);
+	ofs += 13;
+
+	ofs += buf.write(n.name, ofs, 'ascii');
+
+	for (const p of n.props)
+		ofs += p.copy(buf, ofs);
+
+	for (const child of n.children)
+		ofs = write_node(buf, ofs, child);
+
+	if (n.children.length > 0 || n.props.length === 0 || FBX_ALWAYS_TERMINATE.has(n.name))
+		ofs += FBX_NULL_RECORD.copy(buf, ofs);
+
+	return ofs;
+}
+
+/**
+ * Encode a list of top-level nodes into a binary FBX document.
+ * @param {Array<object>} nodes
+ * @returns {BufferWrapper}
+ */
+function encode_document(nodes) {
+	let size = FBX_MAGIC.length + 4;
+	for (const n of nodes)
+		size += measure_node(n);
+
+	size += FBX_NULL_RECORD.length + FBX_FOOTER_ID.length;
+
+	// Footer is padded to a 16-byte boundary (a full block if already aligned).
+	const padding = 16 - (size % 16);
+	size += padding + 4 + 120 + FBX_FOOTER_MAGIC.length;
+
+	const buf = Buffer.alloc(size);
+	let ofs = FBX_MAGIC.copy(buf, 0);
+	ofs = buf.writeUInt32LE(FBX_VERSION, ofs);
+
+	for (const n of nodes)
+		ofs = write_node(buf, ofs, n);
+
+	ofs += FBX_NULL_RECORD.copy(buf, ofs);
+	ofs += FBX_FOOTER_ID.copy(buf, ofs);
+	ofs += padding;
+	ofs = buf.writeUInt32LE(FBX_VERSION, ofs);
+	ofs += 120;
+	FBX_FOOTER_MAGIC.copy(buf, ofs);
+
+	return new BufferWrapper(buf);
+}
+
+/**
+ * Build a column-major translation matrix.
+ * @param {Array<number>} v
+ * @returns {Array<number>}
+ */
+function translation_matrix(v) {
+	return [
+		1, 0, 0, 0,
+		0, 1, 0, 0,
+		0, 0, 1, 0,
+		v[0], v[1], v[2], 1
+	];
+}
+
+/**
+ * Convert a quaternion [x, y, z, w] into XYZ Euler angles in degrees.
+ * @param {Array<number>} q
+ * @returns {Array<number>}
+ */
+function quat_to_euler(q) {
+	const [x, y, z, w] = q;
+	const RAD_TO_DEG = 180 / Math.PI;
+
+	const m00 = 1 - 2 * (y * y + z * z);
+	const m10 = 2 * (x * y + w * z);
+	const m20 = 2 * (x * z - w * y);
+	const m21 = 2 * (y * z + w * x);
+	const m22 = 1 - 2 * (x * x + y * y);
+
+	const sy = Math.max(-1, Math.min(1, -m20));
+	if (Math.abs(sy) > 0.99999) {
+		// Gimbal lock, fold the Z rotation into X.
+		const m11 = 1 - 2 * (x * x + z * z);
+		const m12 = 2 * (y * z - w * x);
+		return [Math.atan2(-m12, m11) * RAD_TO_DEG, Math.asin(sy) * RAD_TO_DEG, 0];
+	}
+
+	return [Math.atan2(m21, m22) * RAD_TO_DEG, Math.asin(sy) * RAD_TO_DEG, Math.atan2(m10, m00) * RAD_TO_DEG];
+}
+
+class FBXWriter {
+	/**
+	 * Construct a new FBX writer instance.
+	 * @param {string} out
+	 * @param {string} name
+	 */
+	constructor(out, name) {
+		this.out = out;
+		this.name = name;
+
+		this.vertices = [];
+		this.normals = [];
+		this.uvs = [];
+		this.boneWeights = [];
+		this.boneIndices = [];
+		this.bones = [];
+		this.animations = [];
+
+		this.textures = new Map();
+		this.texture_buffers = new Map();
+		this.meshes = [];
+
+		// equipment models to append
+		this.equipment_models = [];
+
+		this.next_id = 1000000;
+	}
+
+	/**
+	 * Set the texture map used for this writer.
+	 * @param {Map} textures
+	 */
+	setTextureMap(textures) {
+		this.textures = textures;
+	}
+
+	/**
+	 * Set the bones array for this writer.
+	 * @param {Array} bones
+	 */
+	setBonesArray(bones) {
+		this.bones = bones;
+	}
+
+	/**
+	 * Set the vertices array for this writer.
+	 * @param {Array} vertices
+	 */
+	setVerticesArray(vertices) {
+		this.vertices = vertices;
+	}
+
+	/**
+	 * Set the normals array for this writer.
+	 * @param {Array} normals
+	 */
+	setNormalArray(normals) {
+		this.normals = normals;
+	}
+
+	/**
+	 * Add a UV array for this writer.
+	 * @param {Array} uvs
+	 */
+	addUVArray(uvs) {
+		this.uvs.push(uvs);
+	}
+
+	/**
+	 * Set the bone weights array for this writer.
+	 * @param {Array} boneWeights
+	 */
+	setBoneWeightArray(boneWeights) {
+		this.boneWeights = boneWeights;
+	}
+
+	/**
+	 * Set the bone indicies array for this writer.
+	 * @param {Array} boneIndices
+	 */
+	setBoneIndexArray(boneIndices) {
+		this.boneIndices = boneIndices;
+	}
+
+	/**
+	 * Set the animations array for this writer.
+	 * @param {Array} animations
+	 */
+	setAnimations(animations) {
+		this.animations = animations;
+	}
+
+	/**
+	 * Add a mesh to this writer.
+	 * @param {string} name
+	 * @param {Array} triangles
+	 * @param {string} matName
+	 */
+	addMesh(name, triangles, matName) {
+		this.meshes.push({ name, triangles, matName });
+	}
+
+	/**
+	 * Add an equipment model to be exported alongside the main model.
+	 * Accepts the same structure as GLTFWriter.addEquipmentModel().
+	 * @param {object} equip
+	 */
+	addEquipmentModel(equip) {
+		this.equipment_models.push(equip);
+	}
+
+	/**
+	 * Allocate a new unique object ID.
+	 * @returns {number}
+	 */
+	_id() {
+		return this.next_id++;
+	}
+
+	/**
+	 * Build the FBX geometry arrays for a mesh, only including referenced vertices.
+	 * @param {object} src Source arrays { vertices, normals, uvs, boneIndices, boneWeights }
+	 * @param {Array} triangles
+	 * @returns {object}
+	 */
+	_build_geometry(src, triangles) {
+		const remap = new Map();
+		const positions = [];
+		const normals = [];
+		const uvs = src.uvs.map(() => []);
+		const polygons = new Array(triangles.length);
+		const weights = new Map();
+
+		for (let i = 0; i < triangles.length; i++) {
+			const index = triangles[i];
+			let local = remap.get(index);
+
+			if (local === undefined) {
+				local = remap.size;
+				remap.set(index, local);
+
+				positions.push(src.vertices[index * 3], src.vertices[index * 3 + 1], src.vertices[index * 3 + 2]);
+				normals.push(src.normals[index * 3], src.normals[index * 3 + 1], src.normals[index * 3 + 2]);
+
+				// FBX texture space has its origin at the bottom left.
+				for (let u = 0; u < src.uvs.length; u++)
+					uvs[u].push(src.uvs[u][index * 2], 1 - src.uvs[u][index * 2 + 1]);
+
+				if (src.boneIndices && src.boneWeights) {
+					for (let j = 0; j < 4; j++) {
+						const weight = src.boneWeights[index * 4 + j];
+						if (weight === 0)
+							continue;
+
+						const bone = src.boneIndices[index * 4 + j];
+						let cluster = weights.get(bone);
+						if (!cluster) {
+							cluster = { indices: [], weights: [] };
+							weights.set(bone, cluster);
+						}
+
+						cluster.indices.push(local);
+						cluster.weights.push(weight / 255);
+					}
+				}
+			}
+
+			// The final index of each polygon is stored as a bitwise negation.
+			polygons[i] = (i % 3 === 2) ? ~local : local;
+		}
+
+		return { positions, normals, uvs, polygons, weights, vertex_count: remap.size };
+	}
+
+	async write(overwrite = true) {
+		const outFBX = ExportHelper.replaceExtension(this.out, '.fbx');
+		const out_dir = path.dirname(outFBX);
+
+		// If overwriting is disabled, check file existence.
+		if (!overwrite && await generics.fileExists(outFBX))
+			return;
+
+		const objects = [];
+		const connections = [];
+		const definitions = new Map();
+
+		const add_object = (type, n) => {
+			objects.push(n);
+			definitions.set(type, (definitions.get(type) ?? 0) + 1);
+		};
+
+		const connect = (child, parent, property) => {
+			if (property)
+				connections.push(node('C', [prop.string('OP'), prop.int64(child), prop.int64(parent), prop.string(property)]));
+			else
+				connections.push(node('C', [prop.string('OO'), prop.int64(child), prop.int64(parent)]));
+		};
+
+		const add_model = (name, type, parent, translation = [0, 0, 0]) => {
+			const id = this._id();
+			add_object('Model', node('Model', [prop.int64(id), prop.string(name + '\0\x01Model'), prop.string(type)], [
+				node('Version', [prop.int32(232)]),
+				node('Properties70', [], [
+					p70_vec3('Lcl Translation', 'Lcl Translation', translation),
+					p70('DefaultAttributeIndex', 'int', 'Integer', '', prop.int32(0)),
+					p70('InheritType', 'enum', '', '', prop.int32(1))
+				]),
+				node('Shading', [prop.bool(true)]),
+				node('Culling', [prop.string('CullingOff')])
+			]));
+
+			connect(id, parent);
+			return id;
+		};
+
+		const pose_nodes = [];
+		const root_id = add_model(this.name, 'Null', 0);
+		pose_nodes.push({ id: root_id, matrix: translation_matrix([0, 0, 0]) });
+
+		const null_attr = this._id();
+		add_object('NodeAttribute', node('NodeAttribute', [prop.int64(null_attr), prop.string('\0\x01NodeAttribute'), prop.string('Null')], [
+			node('TypeFlags', [prop.string('Null')])
+		]));
+		connect(null_attr, root_id);
+
+		// Bones
+		const bones = this.bones;
+		const bone_ids = new Array(bones.length);
+		const bone_names = new Set();
+
+		for (let bi = 0; bi < bones.length; bi++) {
+			const bone = bones[bi];
+			let bone_name = bone.retargetName ?? BoneMapper.get_bone_name(bone.boneID, bi, bone.boneNameCRC);
+
+			// Duplicate names confuse skeleton matching in most importers.
+			if (bone_names.has(bone_name))
+				bone_name += '_' + bi;
+
+			bone_names.add(bone_name);
+			bone.fbx_name = bone_name;
+		}
+
+		// Parents must exist before their children are connected.
+		const add_bone = (bi) => {
+			if (bone_ids[bi] !== undefined)
+				return bone_ids[bi];
+
+			const bone = bones[bi];
+			let parent_id = root_id;
+			let parent_pos = [0, 0, 0];
+
+			if (bone.parentBone > -1 && bone.parentBone < bones.length && bone.parentBone !== bi) {
+				parent_id = add_bone(bone.parentBone);
+				parent_pos = bones[bone.parentBone].pivot;
+			}
+
+			const id = add_model(bone.fbx_name, 'LimbNode', parent_id, bone.pivot.map((v, i) => v - parent_pos[i]));
+			bone_ids[bi] = id;
+
+			const attr = this._id();
+			add_object('NodeAttribute', node('NodeAttribute', [prop.int64(attr), prop.string(bone.fbx_name + '\0\x01NodeAttribute'), prop.string('LimbNode')], [
+				node('TypeFlags', [prop.string('Skeleton')])
+			]));
+			connect(attr, id);
+
+			pose_nodes.push({ id, matrix: translation_matrix(bone.pivot) });
+			return id;
+		};
+
+		for (let bi = 0; bi < bones.length; bi++)
+			add_bone(bi);
+
+		// Materials
+		const use_absolute = core.view.config.enableAbsoluteGLTFPaths;
+		const material_ids = new Map();
+
+		for (const texFile of this.textures.values()) {
+			if (material_ids.has(texFile.matName))
+				continue;
+
+			const mat_name = path.basename(texFile.matName, path.extname(texFile.matName));
+			const material_id = this._id();
+
+			add_object('Material', node('Material', [prop.int64(material_id), prop.string(mat_name + '\0\x01Material'), prop.string('')], [
+				node('Version', [prop.int32(102)]),
+				node('ShadingModel', [prop.string('phong')]),
+				node('MultiLayer', [prop.int32(0)]),
+				node('Properties70', [], [
+					p70_vec3('DiffuseColor', 'Color', [1, 1, 1]),
+					p70('DiffuseFactor', 'double', 'Number', '', prop.double(1)),
+					p70('SpecularFactor', 'double', 'Number', '', prop.double(0))
+				])
+			]));
+
+			material_ids.set(texFile.matName, material_id);
+
+			// Materials without a texture are still written so their names are kept.
+			if (texFile.matPathRelative === undefined)
+				continue;
+
+			const tex_path = use_absolute ? path.resolve(out_dir, texFile.matPathRelative) : texFile.matPathRelative;
+			const abs_path = texFile.matPath ?? path.resolve(out_dir, texFile.matPathRelative);
+
+			const video_id = this._id();
+			add_object('Video', node('Video', [prop.int64(video_id), prop.string(mat_name + '\0\x01Video'), prop.string('Clip')], [
+				node('Type', [prop.string('Clip')]),
+				node('Properties70', [], [
+					p70('Path', 'KString', 'XRefUrl', '', prop.string(abs_path))
+				]),
+				node('UseMipMap', [prop.int32(0)]),
+				node('Filename', [prop.string(abs_path)]),
+				node('RelativeFilename', [prop.string(tex_path)])
+			]));
+
+			const texture_id = this._id();
+			add_object('Texture', node('Texture', [prop.int64(texture_id), prop.string(mat_name + '\0\x01Texture'), prop.string('')], [
+				node('Type', [prop.string('TextureVideoClip')]),
+				node('Version', [prop.int32(202)]),
+				node('TextureName', [prop.string(mat_name + '\0\x01Texture')]),
+				node('Properties70', [], [
+					p70('UseMaterial', 'bool', '', '', prop.int32(1))
+				]),
+				node('Media', [prop.string(mat_name + '\0\x01Video')]),
+				node('FileName', [prop.string(abs_path)]),
+				node('RelativeFilename', [prop.string(tex_path)]),
+				node('ModelUVTranslation', [prop.double(0), prop.double(0)]),
+				node('ModelUVScaling', [prop.double(1), prop.double(1)]),
+				node('Texture_Alpha_Source', [prop.string('None')]),
+				node('Cropping', [prop.int32(0), prop.int32(0), prop.int32(0), prop.int32(0)])
+			]));
+
+			connect(video_id, texture_id);
+			connect(texture_id, material_id, 'DiffuseColor');
+		}
+
+		// Meshes
+		const add_mesh = (mesh_name, src, triangles, mat_name) => {
+			const geom = this._build_geometry(src, triangles);
+			if (geom.vertex_count === 0)
+				return;
+
+			const geometry_id = this._id();
+			const layer_elements = [
+				node('LayerElement', [], [node('Type', [prop.string('LayerElementNormal')]), node('TypedIndex', [prop.int32(0)])])
+			];
+
+			const geometry_children = [
+				node('Vertices', [prop.double_array(geom.positions)]),
+				node('PolygonVertexIndex', [prop.int32_array(geom.polygons)]),
+				node('GeometryVersion', [prop.int32(124)]),
+				node('LayerElementNormal', [prop.int32(0)], [
+					node('Version', [prop.int32(101)]),
+					node('Name', [prop.string('')]),
+					node('MappingInformationType', [prop.string('ByVertice')]),
+					node('ReferenceInformationType', [prop.string('Direct')]),
+					node('Normals', [prop.double_array(geom.normals)])
+				])
+			];
+
+			// UVs are mapped per polygon vertex, indexing into the per-vertex array.
+			const uv_index = geom.polygons.map(idx => idx < 0 ? ~idx : idx);
+			for (let u = 0; u < geom.uvs.length; u++) {
+				geometry_children.push(node('LayerElementUV', [prop.int32(u)], [
+					node('Version', [prop.int32(101)]),
+					node('Name', [prop.string('UVMap' + (u > 0 ? u : ''))]),
+					node('MappingInformationType', [prop.string('ByPolygonVertex')]),
+					node('ReferenceInformationType', [prop.string('IndexToDirect')]),
+					node('UV', [prop.double_array(geom.uvs[u])]),
+					node('UVIndex', [prop.int32_array(uv_index)])
+				]));
+			}
+
+			if (geom.uvs.length > 0)
+				layer_elements.push(node('LayerElement', [], [node('Type', [prop.string('LayerElementUV')]), node('TypedIndex', [prop.int32(0)])]));
+
+			const material_id = material_ids.get(mat_name);
+			if (material_id !== undefined) {
+				geometry_children.push(node('LayerElementMaterial', [prop.int32(0)], [
+					node('Version', [prop.int32(101)]),
+					node('Name', [prop.string('')]),
+					node('MappingInformationType', [prop.string('AllSame')]),
+					node('ReferenceInformationType', [prop.string('IndexToDirect')]),
+					node('Materials', [prop.int32_array([0])])
+				]));
+
+				layer_elements.push(node('LayerElement', [], [node('Type', [prop.string('LayerElementMaterial')]), node('TypedIndex', [prop.int32(0)])]));
+			}
+
+			geometry_children.push(node('Layer', [prop.int32(0)], [node('Version', [prop.int32(100)]), ...layer_elements]));
+
+			// Secondary UV sets live on their own layers.
+			for (let u = 1; u < geom.uvs.length; u++) {
+				geometry_children.push(node('Layer', [prop.int32(u)], [
+					node('Version', [prop.int32(100)]),
+					node('LayerElement', [], [node('Type', [prop.string('LayerElementUV')]), node('TypedIndex', [prop.int32(u)])])
+				]));
+			}
+
+			add_object('Geometry', node('Geometry', [prop.int64(geometry_id), prop.string(mesh_name + '\0\x01Geometry'), prop.string('Mesh')], geometry_children));
+
+			const model_id = add_model(mesh_name, 'Mesh', root_id);
+			connect(geometry_id, model_id);
+			pose_nodes.push({ id: model_id, matrix: translation_matrix([0, 0, 0]) });
+
+			if (material_id !== undefined)
+				connect(material_id, model_id);
+
+			if (geom.weights.size === 0)
+				return;
+
+			const skin_id = this._id();
+			add_object('Deformer', node('Deformer', [prop.int64(skin_id), prop.string(mesh_name + '\0\x01Deformer'), prop.string('Skin')], [
+				node('Version', [prop.int32(101)]),
+				node('Link_DeformAcuracy', [prop.double(50)])
+			]));
+			connect(skin_id, geometry_id);
+
+			for (const [bone_index, cluster] of geom.weights) {
+				const bone = bones[bone_index];
+				if (!bone)
+					continue;
+
+				const cluster_id = this._id();
+				add_object('Deformer', node('Deformer', [prop.int64(cluster_id), prop.string(bone.fbx_name + '\0\x01SubDeformer'), prop.string('Cluster')], [
+					node('Version', [prop.int32(100)]),
+					node('UserData', [prop.string(''), prop.string('')]),
+					node('Indexes', [prop.int32_array(cluster.indices)]),
+					node('Weights', [prop.double_array(cluster.weights)]),
+					node('Transform', [prop.double_array(translation_matrix(bone.pivot.map(v => -v)))]),
+					node('TransformLink', [prop.double_array(translation_matrix(bone.pivot))])
+				]));
+
+				connect(cluster_id, skin_id);
+				connect(bone_ids[bone_index], cluster_id);
+			}
+		};
+
+		const skinned = bones.length > 0;
+		const main_src = {
+			vertices: this.vertices,
+			normals: this.normals,
+			uvs: this.uvs,
+			boneIndices: skinned ? this.boneIndices : null,
+			boneWeights: skinned ? this.boneWeights : null
+		};
+
+		for (const mesh of this.meshes)
+			add_mesh(`${this.name}_${mesh.name}`, main_src, mesh.triangles, mesh.matName);
+
+		for (const equip of this.equipment_models) {
+			const equip_src = {
+				vertices: equip.vertices,
+				normals: equip.normals,
+				uvs: [equip.uv, equip.uv2].filter(uv => uv !== undefined && uv !== null),
+				boneIndices: skinned ? equip.boneIndices : null,
+				boneWeights: skinned ? equip.boneWeights : null
+			};
+
+			for (const mesh of equip.meshes)
+				add_mesh(`${equip.name}_${mesh.name}`, equip_src, mesh.triangles, mesh.matName);
+		}
+
+		if (skinned) {
+			const pose_id = this._id();
+			add_object('Pose', node('Pose', [prop.int64(pose_id), prop.string(this.name + '\0\x01Pose'), prop.string('BindPose')], [
+				node('Type', [prop.string('BindPose')]),
+				node('Version', [prop.int32(100)]),
+				node('NbPoseNodes', [prop.int32(pose_nodes.length)]),
+				...pose_nodes.map(pose => node('PoseNode', [], [
+					node('Node', [prop.int64(pose.id)]),
+					node('Matrix', [prop.double_array(pose.matrix)])
+				]))
+			]));
+		}
+
+		// Animations
+		const takes = [];
+		if (core.view.config.modelsExportAnimations) {
+			for (let ai = 0; ai < this.animations.length; ai++) {
+				const animation = this.animations[ai];
+				const anim_name = AnimMapper.get_anim_name(animation.id) + ' (ID ' + animation.id + ' variation ' + animation.variationIndex + ')';
+				const stop_time = Math.max(animation.duration, 1) * FBX_KTIME_MS;
+
+				const stack_id = this._id();
+				add_object('AnimationStack', node('AnimationStack', [prop.int64(stack_id), prop.string(anim_name + '\0\x01AnimStack'), prop.string('')], [
+					node('Properties70', [], [
+						p70('LocalStop', 'KTime', 'Time', '', prop.int64(stop_time)),
+						p70('ReferenceStop', 'KTime', 'Time', '', prop.int64(stop_time))
+					])
+				]));
+
+				const layer_id = this._id();
+				add_object('AnimationLayer', node('AnimationLayer', [prop.int64(layer_id), prop.string('BaseLayer\0\x01AnimLayer'), prop.string('')]));
+				connect(layer_id, stack_id);
+
+				takes.push(node('Take', [prop.string(anim_name)], [
+					node('FileName', [prop.string(anim_name.replace(/[^\w]/g, '_') + '.tak')]),
+					node('LocalTime', [prop.int64(0), prop.int64(stop_time)]),
+					node('ReferenceTime', [prop.int64(0), prop.int64(stop_time)])
+				]));
+
+				for (let bi = 0; bi < bones.length; bi++)
+					this._add_bone_curves(bones[bi], bi, ai, animation, bone_ids[bi], layer_id, add_object, connect);
+			}
+		}
+
+		const manifest = nw.App.manifest;
+		const creator = util.format('wow.export v%s %s [%s]', manifest.version, manifest.flavour, manifest.guid);
+		const now = new Date();
+
+		const definition_nodes = [node('ObjectType', [prop.string('GlobalSettings')], [node('Count', [prop.int32(1)])])];
+		for (const [type, count] of definitions)
+			definition_nodes.push(node('ObjectType', [prop.string(type)], [node('Count', [prop.int32(count)])]));
+
+		const document_id = this._id();
+		const nodes = [
+			node('FBXHeaderExtension', [], [
+				node('FBXHeaderVersion', [prop.int32(1003)]),
+				node('FBXVersion', [prop.int32(FBX_VERSION)]),
+				node('EncryptionType', [prop.int32(0)]),
+				node('CreationTimeStamp', [], [
+					node('Version', [prop.int32(1000)]),
+					node('Year', [prop.int32(now.getFullYear())]),
+					node('Month', [prop.int32(now.getMonth() + 1)]),
+					node('Day', [prop.int32(now.getDate())]),
+					node('Hour', [prop.int32(now.getHours())]),
+					node('Minute', [prop.int32(now.getMinutes())]),
+					node('Second', [prop.int32(now.getSeconds())]),
+					node('Millisecond', [prop.int32(now.getMilliseconds())])
+				]),
+				node('Creator', [prop.string(creator)])
+			]),
+			node('FileId', [prop.raw(FBX_FILE_ID)]),
+			node('CreationTime', [prop.string(FBX_CREATION_TIME)]),
+			node('Creator', [prop.string(creator)]),
+			node('GlobalSettings', [], [
+				node('Version', [prop.int32(1000)]),
+				node('Properties70', [], [
+					p70('UpAxis', 'int', 'Integer', '', prop.int32(1)),
+					p70('UpAxisSign', 'int', 'Integer', '', prop.int32(1)),
+					p70('FrontAxis', 'int', 'Integer', '', prop.int32(2)),
+					p70('FrontAxisSign', 'int', 'Integer', '', prop.int32(1)),
+					p70('CoordAxis', 'int', 'Integer', '', prop.int32(0)),
+					p70('CoordAxisSign', 'int', 'Integer', '', prop.int32(1)),
+					p70('OriginalUpAxis', 'int', 'Integer', '', prop.int32(1)),
+					p70('OriginalUpAxisSign', 'int', 'Integer', '', prop.int32(1)),
+					// Model units are metres, FBX units are centimetres.
+					p70('UnitScaleFactor', 'double', 'Number', '', prop.double(100)),
+					p70('OriginalUnitScaleFactor', 'double', 'Number', '', prop.double(100)),
+					p70('TimeMode', 'enum', '', '', prop.int32(6)),
+					p70('CustomFrameRate', 'double', 'Number', '', prop.double(30))
+				])
+			]),
+			node('Documents', [], [
+				node('Count', [prop.int32(1)]),
+				node('Document', [prop.int64(document_id), prop.string('Scene'), prop.string('Scene')], [
+					node('Properties70', [], [
+						p70('SourceObject', 'object', '', ''),
+						p70('ActiveAnimStackName', 'KString', '', '', prop.string(''))
+					]),
+					node('RootNode', [prop.int64(0)])
+				])
+			]),
+			node('References'),
+			node('Definitions', [], [
+				node('Version', [prop.int32(100)]),
+				node('Count', [prop.int32(definition_nodes.length)]),
+				...definition_nodes
+			]),
+			node('Objects', [], objects),
+			node('Connections', [], connections),
+			node('Takes', [], [node('Current', [prop.string('')]), ...takes])
+		];
+
+		const buf = encode_document(nodes);
+		await buf.writeToFile(outFBX);
+
+		log.write('Wrote FBX %s (%d objects, %d animations)', outFBX, objects.length, takes.length);
+	}
+
+	/**
+	 * Add animation curves for a single bone and animation.
+	 * @param {object} bone
+	 * @param {number} bi
+	 * @param {number} ai
+	 * @param {object} animation
+	 * @param {number} bone_id
+	 * @param {number} layer_id
+	 * @param {function} add_object
+	 * @param {function} connect
+	 */
+	_add_bone_curves(bone, bi, ai, animation, bone_id, layer_id, add_object, connect) {
+		const parent = this.bones[bone.parentBone];
+		const rest = parent && bone.parentBone !== bi ? bone.pivot.map((v, i) => v - parent.pivot[i]) : bone.pivot;
+
+		const tracks = [
+			{ track: bone.translation, name: 'T', property: 'Lcl Translation', convert: v => [v[0] + rest[0], v[1] + rest[1], v[2] + rest[2]], rest },
+			{ track: bone.rotation, name: 'R', property: 'Lcl Rotation', convert: quat_to_euler, rest: [0, 0, 0] },
+			{ track: bone.scale, name: 'S', property: 'Lcl Scaling', convert: v => v, rest: [1, 1, 1] }
+		];
+
+		for (const { track, name, property, convert, rest } of tracks) {
+			const timestamps = track.timestamps[ai];
+			const values = track.values[ai];
+
+			if (!timestamps || timestamps.length === 0 || !values || values.length !== timestamps.length)
+				continue;
+
+			// Only NONE (0) and LINEAR (1) interpolation are supported, matching the glTF export.
+			if (track.interpolation > 1) {
+				log.write('Bone %d has unsupported interpolation type %d for %s, skipping.', bi, track.interpolation, property);
+				continue;
+			}
+
+			const duration = animation.duration;
+			const keys = [];
+			for (let i = 0; i < timestamps.length; i++) {
+				const raw_ts = timestamps[i];
+				let norm_ts = raw_ts;
+				if (duration > 0) {
+					norm_ts = raw_ts % duration;
+
+					// preserve end-of-loop keyframe instead of wrapping to 0
+					if (norm_ts === 0 && raw_ts > 0)
+						norm_ts = duration;
+				}
+
+				keys.push({ time: norm_ts, value: convert(values[i]) });
+			}
+
+			keys.sort((a, b) => a.time - b.time);
+
+			// FBX requires strictly increasing key times.
+			const unique = [];
+			for (const key of keys) {
+				if (unique.length > 0 && unique[unique.length - 1].time === key.time)
+					unique[unique.length - 1] = key;
+				else
+					unique.push(key);
+			}
+
+			// Unwrap Euler angles so interpolation takes the shortest path.
+			if (name === 'R') {
+				for (let i = 1; i < unique.length; i++) {
+					const prev = unique[i - 1].value;
+					unique[i].value = unique[i].value.map((v, axis) => v - 360 * Math.round((v - prev[axis]) / 360));
+				}
+			}
+
+			const curve_node_id = this._id();
+			add_object('AnimationCurveNode', node('AnimationCurveNode', [prop.int64(curve_node_id), prop.string(name + '\0\x01AnimCurveNode'), prop.string('')], [
+				node('Properties70', [], [
+					p70('d|X', 'Number', '', 'A', prop.double(rest[0])),
+					p70('d|Y', 'Number', '', 'A', prop.double(rest[1])),
+					p70('d|Z', 'Number', '', 'A', prop.double(rest[2]))
+				])
+			]));
+
+			connect(curve_node_id, layer_id);
+			connect(curve_node_id, bone_id, property);
+
+			const key_times = unique.map(key => Math.round(key.time * FBX_KTIME_MS));
+			const key_flags = track.interpolation === 0 ? FBX_KEY_CONSTANT : FBX_KEY_LINEAR;
+
+			for (let axis = 0; axis < 3; axis++) {
+				const curve_id = this._id();
+				add_object('AnimationCurve', node('AnimationCurve', [prop.int64(curve_id), prop.string('\0\x01AnimCurve'), prop.string('')], [
+					node('Default', [prop.double(rest[axis])]),
+					node('KeyVer', [prop.int32(4008)]),
+					node('KeyTime', [prop.int64_array(key_times)]),
+					node('KeyValueFloat', [prop.float_array(unique.map(key => key.value[axis]))]),
+					node('KeyAttrFlags', [prop.int32_array([key_flags])]),
+					node('KeyAttrDataFloat', [prop.float_array([0, 0, 0, 0])]),
+					node('KeyAttrRefCount', [prop.int32_array([unique.length])])
+				]));
+
+				connect(curve_id, curve_node_id, 'd|' + 'XYZ'[axis]);
+			}
+		}
+	}
+}
+
+module.exports = FBXWriter;
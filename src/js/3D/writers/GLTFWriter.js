@@ -89,6 +89,16 @@ class GLTFWriter {
 
 		// equipment models to append
 		this.equipment_models = [];
+
+		// instanced models and the nodes placing them
+		this.scene_models = [];
+		this.scene_instances = [];
+
+		// empties attached to bones
+		this.bone_nodes = [];
+
+		this.retarget = null;
+		this.animation_only = false;
 	}
 
 	/**
@@ -115,6 +125,24 @@ class GLTFWriter {
 		this.bones = bones;
 	}
 
+	/**
+	 * Set the retargeting applied to the bones of this writer. Retargeted
+	 * skeletons are written without prefix nodes and list their IK chains in the skin extras.
+	 * @param {Retarget} retarget
+	 */
+	setRetarget(retarget) {
+		this.retarget = retarget;
+	}
+
+	/**
+	 * Set if this writer only writes the skeleton and its animations, used
+	 * for animation clips which are applied to a separately exported mesh.
+	 * @param {boolean} animation_only
+	 */
+	setAnimationOnly(animation_only) {
+		this.animation_only = animation_only;
+	}
+
 	/**
 	 * Set the vertices array for this writer.
 	 * @param {Array} vertices 
@@ -191,6 +219,55 @@ class GLTFWriter {
 		this.equipment_models.push(equip);
 	}
 
+	/**
+	 * Add a static model which can be placed any number of times using
+	 * addSceneInstance(). Geometry is only written once into the buffer.
+	 * @param {object} model
+	 * @param {string} model.name - Model name, used for the glTF mesh
+	 * @param {Array} model.vertices - Vertex positions
+	 * @param {Array} model.normals - Vertex normals
+	 * @param {Array} [model.uv] - UV coordinates
+	 * @param {Array} model.meshes - Array of {name, triangles, matName}
+	 * @returns {number} Index of the scene model.
+	 */
+	addSceneModel(model) {
+		return this.scene_models.push(model) - 1;
+	}
+
+	/**
+	 * Add a node to the scene, optionally instancing a scene model.
+	 * @param {object} instance
+	 * @param {string} instance.name - Node name
+	 * @param {number} [instance.model] - Index returned by addSceneModel()
+	 * @param {Array} [instance.translation] - Translation vector
+	 * @param {Array} [instance.rotation] - Rotation quaternion (x, y, z, w)
+	 * @param {Array} [instance.scale] - Scale vector
+	 * @param {number} [instance.parent] - Index of a parent scene instance
+	 * @param {string} [instance.group] - Name of a group node to place this node under
+	 * @param {object} [instance.light] - KHR_lights_punctual light definition
+	 * @param {object} [instance.extras] - Application specific data attached to the node
+	 * @returns {number} Index of the scene instance.
+	 */
+	addSceneInstance(instance) {
+		return this.scene_instances.push(instance) - 1;
+	}
+
+	/**
+	 * Add an empty node attached to a bone of the skeleton.
+	 * @param {object} bone_node
+	 * @param {string} bone_node.name - Node name
+	 * @param {number} bone_node.bone - Index into the bones array, nodes with an invalid bone are placed at the root
+	 * @param {Array} bone_node.position - Model space position
+	 * @param {Array} [bone_node.rotation] - Rotation quaternion (x, y, z, w)
+	 * @param {object} [bone_node.translation_track] - Animated model space position {interpolation, timestamps, values}
+	 * @param {object} [bone_node.light] - KHR_lights_punctual light definition
+	 * @param {object} [bone_node.camera] - glTF camera definition
+	 * @param {object} [bone_node.extras] - Application specific data attached to the node
+	 */
+	addBoneNode(bone_node) {
+		this.bone_nodes.push(bone_node);
+	}
+
 	async write(overwrite = true, format = 'gltf') {
 		const outGLTF = ExportHelper.replaceExtension(this.out, format === 'glb' ? '.glb' : '.gltf');
 		const outBIN = ExportHelper.replaceExtension(this.out, '.bin');
@@ -273,6 +350,12 @@ class GLTFWriter {
 			NORMAL: 1
 		};
 
+		// animation clips carry no geometry, only the skeleton and its inverse bind matrices
+		if (this.animation_only) {
+			root.bufferViews = [];
+			root.accessors = [];
+		}
+
 		const add_scene_node = (node) => {
 			root.nodes.push(node);
 			root.nodes[0].children.push(root.nodes.length - 1);
@@ -302,26 +385,35 @@ class GLTFWriter {
 		let idx_bone_joints = -1
 		let idx_bone_weights = -1;
 		const animationBufferMap = new Map();
+		const bone_lookup_map = new Map();
+		const animation_buffer_lookup_map = new Map();
+		const export_animations = core.view.config.modelsExportAnimations && this.animations.length > 0;
+
+		// prefix nodes would sit between the joints of a retargeted skeleton
+		const use_bone_prefix = core.view.config.modelsExportWithBonePrefix && this.retarget === null;
 
 		if (bones.length > 0) {
-			idx_bone_joints = add_buffered_accessor({
-				// Bone joints/indices (Byte)
-				name: 'JOINTS_0',
-				byteOffset: 0,
-				componentType: GLTF_UNSIGNED_BYTE,
-				count: 0,
-				type: 'VEC4'
-			}, GLTF_ARRAY_BUFFER, true);
+			// animation clips have no vertices to weight
+			if (!this.animation_only) {
+				idx_bone_joints = add_buffered_accessor({
+					// Bone joints/indices (Byte)
+					name: 'JOINTS_0',
+					byteOffset: 0,
+					componentType: GLTF_UNSIGNED_BYTE,
+					count: 0,
+					type: 'VEC4'
+				}, GLTF_ARRAY_BUFFER, true);
 
-			idx_bone_weights = add_buffered_accessor({
-				// Bone weights (Byte)
-				name: 'WEIGHTS_0',
-				byteOffset: 0,
-				componentType: GLTF_UNSIGNED_BYTE,
-				count: 0,
-				normalized: true,
-				type: 'VEC4'
-			}, GLTF_ARRAY_BUFFER, true);
+				idx_bone_weights = add_buffered_accessor({
+					// Bone weights (Byte)
+					name: 'WEIGHTS_0',
+					byteOffset: 0,
+					componentType: GLTF_UNSIGNED_BYTE,
+					count: 0,
+					normalized: true,
+					type: 'VEC4'
+				}, GLTF_ARRAY_BUFFER, true);
+			}
 
 			idx_inv_bind = add_buffered_accessor({
 				// Inverse matrices (Float)
@@ -339,6 +431,18 @@ class GLTFWriter {
 				skeleton: 0
 			};
 
+			if (this.retarget) {
+				skin.extras = {
+					retarget: {
+						profile: this.retarget.profile,
+						race: this.retarget.race,
+						root: this.retarget.root,
+						pelvis: this.retarget.pelvis,
+						chains: this.retarget.chains
+					}
+				};
+			}
+
 			root.skins = [skin];
 
 			const skeleton = add_scene_node({
@@ -346,11 +450,8 @@ class GLTFWriter {
 				children: []
 			});
 
-			const bone_lookup_map = new Map();
-
-			const animation_buffer_lookup_map = new Map();
 
-			if (core.view.config.modelsExportAnimations) {
+			if (export_animations) {
 				for (var animationIndex = 0; animationIndex < this.animations.length; animationIndex++) {
 					var requiredBufferSize = 0;
 					for (const bone of this.bones) {
@@ -400,6 +501,12 @@ class GLTFWriter {
 						}
 					}
 
+					for (const bone_node of this.bone_nodes) {
+						const track = bone_node.translation_track;
+						if (track?.interpolation < 2 && track.timestamps[animationIndex]?.length > 0)
+							requiredBufferSize += track.timestamps[animationIndex].length * 4 * 4;
+					}
+
 					if (requiredBufferSize > 0) {
 						animationBufferMap.set(this.animations[animationIndex].id + "-" + this.animations[animationIndex].variationIndex, BufferWrapper.alloc(requiredBufferSize, true));
 
@@ -448,7 +555,7 @@ class GLTFWriter {
 					skeleton.children.push(nodeIndex);
 				}
 
-				const bone_name = BoneMapper.get_bone_name(bone.boneID, bi, bone.boneNameCRC);
+				const bone_name = bone.retargetName ?? BoneMapper.get_bone_name(bone.boneID, bi, bone.boneNameCRC);
 
 				const prefix_node = {
 					name: bone_name + '_p',
@@ -457,13 +564,13 @@ class GLTFWriter {
 				};
 
 				// Define how node acts, if we don't use prefixes we need to add position translation
-				const node = core.view.config.modelsExportWithBonePrefix ?
+				const node = use_bone_prefix ?
 				{ name: bone_name } :
 				{ name: bone_name, translation: bone.pivot.map((v, i) => v - parent_pos[i])};
 				
 				bone_lookup_map.set(bi, node);
 
-				if (core.view.config.modelsExportWithBonePrefix){
+				if (use_bone_prefix){
 					nodes.push(prefix_node);
 					nodes.push(node);
 				}
@@ -474,7 +581,7 @@ class GLTFWriter {
 				this.inverseBindMatrices.push(...vec3_to_mat4x4(bone.pivot));
 
 				// We need to wrap this in ifelse or we will create race condition due to the node push above (what)
-				if (core.view.config.modelsExportWithBonePrefix){
+				if (use_bone_prefix){
 					skin.joints.push(nodeIndex + 1);
 				}
 				else{
@@ -483,9 +590,13 @@ class GLTFWriter {
 					skin.joints.push(nodeIndex);
 				}
 
+				// Without a prefix node the joint itself carries the rest translation, so animated translations are offset by it.
+				const joint_index = use_bone_prefix ? nodeIndex + 1 : nodeIndex;
+				const joint_rest = use_bone_prefix ? [0, 0, 0] : node.translation;
+
 				
 				// Skip rest of the bone logic if we're not exporting animations.
-				if (!core.view.config.modelsExportAnimations)
+				if (!export_animations)
 					continue;
 
 				// Check interpolation, right now we only support NONE (0, hopefully matches glTF STEP), LINEAR (1). The rest (2 - bezier spline, 3 - hermite spline) will require... well, math.
@@ -522,7 +633,7 @@ class GLTFWriter {
 									norm_ts = anim_duration;
 							}
 							const time = norm_ts / 1000;
-							paired.push({ time, value: bone.translation.values[i][j] });
+							paired.push({ time, value: bone.translation.values[i][j].map((v, k) => v + joint_rest[k]) });
 						}
 
 						// sort by time to ensure strictly increasing timestamps (required by gltf 2.0 spec)
@@ -621,7 +732,7 @@ class GLTFWriter {
 							{	
 								"sampler": root.animations[i].samplers.length - 1, 
 								"target": {
-									"node": nodeIndex + 1,
+									"node": joint_index,
 									"path": "translation"
 								}
 							}
@@ -758,7 +869,7 @@ class GLTFWriter {
 							{	
 								"sampler": root.animations[i].samplers.length - 1, 
 								"target": {
-									"node": nodeIndex + 1,
+									"node": joint_index,
 									"path": "rotation"
 								}
 							}
@@ -888,7 +999,7 @@ class GLTFWriter {
 							{	
 								"sampler": root.animations[i].samplers.length - 1, 
 								"target": {
-									"node": nodeIndex + 1,
+									"node": joint_index,
 									"path": "scale"
 								}
 							}
@@ -914,9 +1025,23 @@ class GLTFWriter {
 			const textureIndex = root.textures.length;
 			const materialIndex = root.materials.length;
 
+			// Materials without a texture are still written so their names are kept.
+			if (texFile.matPathRelative === undefined && !this.texture_buffers.has(fileDataID)) {
+				root.materials.push({
+					name: texFile.matName,
+					emissiveFactor: [0, 0, 0],
+					pbrMetallicRoughness: {
+						metallicFactor: 0
+					}
+				});
+
+				materialMap.set(texFile.matName, materialIndex);
+				continue;
+			}
+
 			if (format === 'glb' && this.texture_buffers.has(fileDataID)) {
 				// glb mode with embedded textures: use bufferView reference
-				texture_buffer_views.push({ fileDataID, buffer: this.texture_buffers.get(fileDataID) });
+				texture_buffer_views.push({ fileDataID, buffer: this.texture_buffers.get(fileDataID), image_index: imageIndex });
 				root.images.push({
 					bufferView: -1,
 					mimeType: 'image/png'
@@ -945,6 +1070,12 @@ class GLTFWriter {
 			materialMap.set(texFile.matName, materialIndex);
 		}
 
+		// glTF does not permit empty arrays, which occurs when no material has a texture.
+		if (root.images?.length === 0) {
+			delete root.images;
+			delete root.textures;
+		}
+
 		const mesh_component_meta = Array(this.meshes.length);
 		for (let i = 0, n = this.meshes.length; i < n; i++) {
 			const mesh = this.meshes[i];
@@ -1014,15 +1145,19 @@ class GLTFWriter {
 			bins.push(buffer);
 		};
 
-		writeData(0, this.vertices, 3, GLTF_FLOAT);
-		writeData(1, this.normals, 3, GLTF_FLOAT);
+		if (!this.animation_only) {
+			writeData(0, this.vertices, 3, GLTF_FLOAT);
+			writeData(1, this.normals, 3, GLTF_FLOAT);
 
-		if (bones.length > 0) {
-			writeData(idx_bone_joints, this.boneIndices, 4, GLTF_UNSIGNED_BYTE);
-			writeData(idx_bone_weights, this.boneWeights, 4, GLTF_UNSIGNED_BYTE);
-			writeData(idx_inv_bind, this.inverseBindMatrices, 16, GLTF_FLOAT);
+			if (bones.length > 0) {
+				writeData(idx_bone_joints, this.boneIndices, 4, GLTF_UNSIGNED_BYTE);
+				writeData(idx_bone_weights, this.boneWeights, 4, GLTF_UNSIGNED_BYTE);
+			}
 		}
 
+		if (bones.length > 0)
+			writeData(idx_inv_bind, this.inverseBindMatrices, 16, GLTF_FLOAT);
+
 		for (let i = 0, n = this.uvs.length; i < n; i++)  {
 			const uv = this.uvs[i];
 			const index = root.bufferViews.length;
@@ -1410,6 +1545,287 @@ class GLTFWriter {
 			}
 		}
 
+		// write a vertex attribute for scene models, returning the accessor index
+		const write_scene_attribute = (name, arr, stride, type) => {
+			const misalignment = bin_ofs % 4;
+			const padding = misalignment > 0 ? 4 - misalignment : 0;
+			bin_ofs += padding;
+
+			const buffer_length = arr.length * 4;
+			const buffer_view_index = root.bufferViews.push({
+				buffer: 0,
+				byteLength: buffer_length,
+				byteOffset: bin_ofs,
+				target: GLTF_ARRAY_BUFFER
+			}) - 1;
+
+			const accessor = {
+				name,
+				bufferView: buffer_view_index,
+				byteOffset: 0,
+				componentType: GLTF_FLOAT,
+				count: arr.length / stride,
+				type
+			};
+
+			calculate_min_max(arr, stride, accessor);
+			bin_ofs += buffer_length;
+
+			const buffer = BufferWrapper.alloc(buffer_length + padding, true);
+			if (padding > 0)
+				buffer.fill(0, padding);
+
+			for (const value of arr)
+				buffer.writeFloatLE(value);
+
+			bins.push(buffer);
+			return root.accessors.push(accessor) - 1;
+		};
+
+		// write a triangle index list for scene models, returning the accessor index
+		const write_scene_indices = (triangles) => {
+			let component_type = GLTF_UNSIGNED_BYTE;
+			for (const idx of triangles) {
+				if (idx > 65535) {
+					component_type = GLTF_UNSIGNED_INT;
+					break;
+				} else if (idx > 255) {
+					component_type = GLTF_UNSIGNED_SHORT;
+				}
+			}
+
+			const component_size = component_sizes[component_type];
+			const misalignment = bin_ofs % component_size;
+			const padding = misalignment > 0 ? component_size - misalignment : 0;
+			bin_ofs += padding;
+
+			const byte_length = triangles.length * component_size;
+			const buffer_view_index = root.bufferViews.push({
+				buffer: 0,
+				byteLength: byte_length,
+				byteOffset: bin_ofs,
+				target: GLTF_ELEMENT_ARRAY_BUFFER
+			}) - 1;
+
+			bin_ofs += byte_length;
+
+			const buffer = BufferWrapper.alloc(byte_length + padding, true);
+			if (padding > 0)
+				buffer.fill(0, padding);
+
+			for (const idx of triangles) {
+				if (component_type === GLTF_UNSIGNED_BYTE)
+					buffer.writeUInt8(idx);
+				else if (component_type === GLTF_UNSIGNED_SHORT)
+					buffer.writeUInt16LE(idx);
+				else
+					buffer.writeUInt32LE(idx);
+			}
+
+			bins.push(buffer);
+			return root.accessors.push({
+				bufferView: buffer_view_index,
+				byteOffset: 0,
+				componentType: component_type,
+				count: triangles.length,
+				type: 'SCALAR'
+			}) - 1;
+		};
+
+		// export instanced scene models, each as a single multi-primitive mesh
+		const scene_model_meshes = new Array(this.scene_models.length);
+		for (let smIdx = 0; smIdx < this.scene_models.length; smIdx++) {
+			const model = this.scene_models[smIdx];
+			const meshes = model.meshes.filter(mesh => mesh.triangles.length > 0);
+
+			if (meshes.length === 0 || model.vertices.length === 0)
+				continue;
+
+			const attributes = {
+				POSITION: write_scene_attribute('SM_POSITION_' + smIdx, model.vertices, 3, 'VEC3'),
+				NORMAL: write_scene_attribute('SM_NORMAL_' + smIdx, model.normals, 3, 'VEC3')
+			};
+
+			if (model.uv?.length > 0)
+				attributes.TEXCOORD_0 = write_scene_attribute('SM_TEXCOORD_0_' + smIdx, model.uv, 2, 'VEC2');
+
+			const primitives = meshes.map(mesh => ({
+				attributes,
+				indices: write_scene_indices(mesh.triangles),
+				mode: GLTF_TRIANGLES,
+				material: materialMap.get(mesh.matName)
+			}));
+
+			scene_model_meshes[smIdx] = root.meshes.push({ name: model.name, primitives }) - 1;
+		}
+
+		// register a KHR_lights_punctual light and attach it to a node
+		const add_node_light = (node, light) => {
+			if (!root.extensions) {
+				root.extensionsUsed = ['KHR_lights_punctual'];
+				root.extensions = { KHR_lights_punctual: { lights: [] } };
+			}
+
+			const light_idx = root.extensions.KHR_lights_punctual.lights.push(light) - 1;
+			node.extensions = { KHR_lights_punctual: { light: light_idx } };
+		};
+
+		// place scene instances, creating named group nodes as required
+		const scene_instance_nodes = new Array(this.scene_instances.length);
+		const scene_group_nodes = new Map();
+
+		const get_scene_parent = (instance) => {
+			const parent_node = instance.parent !== undefined ? nodes[scene_instance_nodes[instance.parent]] : nodes[0];
+			if (!instance.group)
+				return parent_node;
+
+			const group_key = (instance.parent ?? -1) + '/' + instance.group;
+			let group_node = scene_group_nodes.get(group_key);
+			if (group_node === undefined) {
+				group_node = { name: instance.group, children: [] };
+				nodes.push(group_node);
+
+				parent_node.children ? parent_node.children.push(nodes.length - 1) : parent_node.children = [nodes.length - 1];
+				scene_group_nodes.set(group_key, group_node);
+			}
+
+			return group_node;
+		};
+
+		for (let siIdx = 0; siIdx < this.scene_instances.length; siIdx++) {
+			const instance = this.scene_instances[siIdx];
+			const parent_node = get_scene_parent(instance);
+
+			const node = { name: instance.name };
+			if (instance.model !== undefined && scene_model_meshes[instance.model] !== undefined)
+				node.mesh = scene_model_meshes[instance.model];
+
+			if (instance.translation)
+				node.translation = instance.translation;
+
+			if (instance.rotation)
+				node.rotation = instance.rotation;
+
+			if (instance.scale)
+				node.scale = instance.scale;
+
+			if (instance.light)
+				add_node_light(node, instance.light);
+
+			if (instance.extras)
+				node.extras = instance.extras;
+
+			scene_instance_nodes[siIdx] = nodes.push(node) - 1;
+			parent_node.children ? parent_node.children.push(scene_instance_nodes[siIdx]) : parent_node.children = [scene_instance_nodes[siIdx]];
+		}
+
+		// bone nodes are positioned relative to the pivot of their bone
+		for (let bnIdx = 0; bnIdx < this.bone_nodes.length; bnIdx++) {
+			const bone_node = this.bone_nodes[bnIdx];
+			const bone = bones[bone_node.bone];
+			const parent_node = bone ? bone_lookup_map.get(bone_node.bone) : nodes[0];
+			const origin = bone ? bone.pivot : [0, 0, 0];
+
+			const node = { name: bone_node.name, translation: bone_node.position.map((v, i) => v - origin[i]) };
+			if (bone_node.rotation)
+				node.rotation = bone_node.rotation;
+
+			if (bone_node.camera)
+				node.camera = (root.cameras ??= []).push(bone_node.camera) - 1;
+
+			if (bone_node.light)
+				add_node_light(node, bone_node.light);
+
+			if (bone_node.extras)
+				node.extras = bone_node.extras;
+
+			const node_idx = nodes.push(node) - 1;
+			parent_node.children ? parent_node.children.push(node_idx) : parent_node.children = [node_idx];
+
+			const track = bone_node.translation_track;
+			if (!track || !root.animations || track.interpolation >= 2)
+				continue;
+
+			for (let i = 0; i < track.timestamps.length && i < this.animations.length; i++) {
+				const timestamps = track.timestamps[i];
+				if (!timestamps?.length)
+					continue;
+
+				const animation = this.animations[i];
+				const animName = animation.id + '-' + animation.variationIndex;
+				const animationBuffer = animationBufferMap.get(animName);
+				if (!animationBuffer)
+					continue;
+
+				// same time normalization as bone tracks, keeping the end-of-loop keyframe
+				const paired = timestamps.map((raw_ts, j) => {
+					let norm_ts = raw_ts;
+					if (animation.duration > 0) {
+						norm_ts = raw_ts % animation.duration;
+						if (norm_ts === 0 && raw_ts > 0)
+							norm_ts = animation.duration;
+					}
+
+					return { time: norm_ts / 1000, value: track.values[i][j].map((v, k) => v - origin[k]) };
+				}).sort((a, b) => a.time - b.time);
+
+				const buffer_idx = animation_buffer_lookup_map.get(animName);
+
+				// buffer view names follow the TRANS_<type>_<node>_<anim> scheme used for glb offset patching
+				root.bufferViews.push({
+					buffer: buffer_idx,
+					byteLength: paired.length * 4,
+					byteOffset: animationBuffer.offset,
+					name: 'TRANS_NODETIMESTAMPS_' + bnIdx + '_' + i
+				});
+
+				for (const entry of paired)
+					animationBuffer.writeFloatLE(entry.time);
+
+				const input = root.accessors.push({
+					name: 'TRANS_NODETIMESTAMPS_' + bnIdx + '_' + i,
+					bufferView: root.bufferViews.length - 1,
+					byteOffset: 0,
+					type: 'SCALAR',
+					componentType: GLTF_FLOAT,
+					count: paired.length,
+					min: [paired[0].time],
+					max: [paired[paired.length - 1].time]
+				}) - 1;
+
+				root.bufferViews.push({
+					buffer: buffer_idx,
+					byteLength: paired.length * 3 * 4,
+					byteOffset: animationBuffer.offset,
+					name: 'TRANS_NODEVALUES_' + bnIdx + '_' + i
+				});
+
+				const min = [Infinity, Infinity, Infinity];
+				const max = [-Infinity, -Infinity, -Infinity];
+				for (const entry of paired) {
+					for (let k = 0; k < 3; k++) {
+						animationBuffer.writeFloatLE(entry.value[k]);
+						min[k] = Math.min(min[k], entry.value[k]);
+						max[k] = Math.max(max[k], entry.value[k]);
+					}
+				}
+
+				const output = root.accessors.push({
+					name: 'TRANS_NODEVALUES_' + bnIdx + '_' + i,
+					bufferView: root.bufferViews.length - 1,
+					byteOffset: 0,
+					type: 'VEC3',
+					componentType: GLTF_FLOAT,
+					count: paired.length,
+					min,
+					max
+				}) - 1;
+
+				const sampler = root.animations[i].samplers.push({ input, interpolation: track.interpolation === 0 ? 'STEP' : 'LINEAR', output }) - 1;
+				root.animations[i].channels.push({ sampler, target: { node: node_idx, path: 'translation' } });
+			}
+		}
+
 		// pack texture buffers into binary for glb mode
 		if (format === 'glb' && texture_buffer_views.length > 0) {
 			for (let i = 0; i < texture_buffer_views.length; i++) {
@@ -1425,7 +1841,7 @@ class GLTFWriter {
 				});
 
 				// update the image's bufferView reference
-				root.images[i].bufferView = buffer_view_index;
+				root.images[tex_view.image_index].bufferView = buffer_view_index;
 
 				bin_ofs += tex_buffer.byteLength;
 				bins.push(tex_buffer);
@@ -1463,6 +1879,10 @@ class GLTFWriter {
 			}
 		}
 
+		// glTF does not permit empty arrays, which occurs for animation clips.
+		if (root.meshes.length === 0)
+			delete root.meshes;
+
 		const bin_combined = BufferWrapper.concat(bins);
 		root.buffers[0].byteLength = bin_combined.byteLength;
 
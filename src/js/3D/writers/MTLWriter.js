@@ -57,6 +57,10 @@ class MTLWriter {
 			await writer.writeLine('newmtl ' + material.name);
 			await writer.writeLine('illum 1');
 
+			// Materials without a texture only carry a name.
+			if (material.file === undefined)
+				continue;
+
 			let materialFile = material.file;
 			if (useAbsolute)
 				materialFile = path.resolve(mtlDir, materialFile);
@@ -0,0 +1,465 @@
+/*!
+	wow.export (https://github.com/Kruithne/wow.export)
+	Authors: Kruithne <kruithne@gmail.com>
+	License: MIT
+ */
+const generics = require('../../generics');
+const path = require('path');
+const fsp = require('fs').promises;
+const FieldType = require('../../db/FieldType');
+
+// See https://www.sqlite.org/fileformat2.html
+const SQLITE_MAGIC = 'SQLite format 3\0';
+const SQLITE_HEADER_SIZE = 100;
+const SQLITE_PAGE_SIZE = 4096;
+const SQLITE_VERSION_NUMBER = 3046000;
+const SQLITE_TEXT_ENCODING_UTF8 = 1;
+const SQLITE_SCHEMA_FORMAT = 4;
+
+const PAGE_TYPE_TABLE_INTERIOR = 0x05;
+const PAGE_TYPE_TABLE_LEAF = 0x0D;
+
+// Maximum payload stored on a table leaf page before spilling into overflow pages.
+const MAX_LOCAL = SQLITE_PAGE_SIZE - 35;
+const MIN_LOCAL = Math.floor((SQLITE_PAGE_SIZE - 12) * 32 / 255) - 23;
+
+const SERIAL_NULL = 0;
+const SERIAL_FLOAT = 7;
+const SERIAL_ZERO = 8;
+const SERIAL_ONE = 9;
+
+// [serial type, byte length, minimum, maximum] for integer storage classes.
+const INTEGER_SERIALS = [
+	[1, 1, -0x80, 0x7F],
+	[2, 2, -0x8000, 0x7FFF],
+	[3, 3, -0x800000, 0x7FFFFF],
+	[4, 4, -0x80000000, 0x7FFFFFFF],
+	[5, 6, -0x800000000000, 0x7FFFFFFFFFFF]
+];
+
+/**
+ * Encode a SQLite variable-length integer.
+ * @param {number|bigint} value
+ * @returns {Buffer}
+ */
+const encode_varint = (value) => {
+	if (typeof value === 'number' && value >= 0 && value <= 0x7F)
+		return Buffer.from([value]);
+
+	let v = BigInt.asUintN(64, BigInt(value));
+
+	// Values using the top 8 bits need the full 9-byte form.
+	if (v >> 56n) {
+		const buf = Buffer.alloc(9);
+		buf[8] = Number(v & 0xFFn);
+		v >>= 8n;
+
+		for (let i = 7; i >= 0; i--) {
+			buf[i] = Number(v & 0x7Fn) | 0x80;
+			v >>= 7n;
+		}
+
+		return buf;
+	}
+
+	const bytes = [];
+	do {
+		bytes.unshift(Number(v & 0x7Fn) | (bytes.length > 0 ? 0x80 : 0));
+		v >>= 7n;
+	} while (v > 0n);
+
+	return Buffer.from(bytes);
+};
+
+/**
+ * Encode a list of values as a SQLite record.
+ * @param {Array} values
+ * @param {Array<boolean>} [real_columns] Columns which should always be stored as floats.
+ * @returns {Buffer}
+ */
+const encode_record = (values, real_columns) => {
+	const types = [];
+	const bodies = [];
+
+	for (let i = 0; i < values.length; i++) {
+		const value = values[i];
+
+		if (value === null || value === undefined) {
+			types.push(SERIAL_NULL);
+		} else if (typeof value === 'string') {
+			const str = Buffer.from(value, 'utf8');
+			types.push(str.length * 2 + 13);
+			bodies.push(str);
+		} else if (typeof value === 'boolean') {
+			types.push(value ? SERIAL_ONE : SERIAL_ZERO);
+		} else if (typeof value === 'bigint') {
+			const buf = Buffer.alloc(8);
+			buf.writeBigInt64BE(BigInt.asIntN(64, value));
+			types.push(6);
+			bodies.push(buf);
+		} else if (!Number.isInteger(value) || real_columns?.[i]) {
+			const buf = Buffer.alloc(8);
+			buf.writeDoubleBE(value);
+			types.push(SERIAL_FLOAT);
+			bodies.push(buf);
+		} else if (value === 0 || value === 1) {
+			types.push(value === 0 ? SERIAL_ZERO : SERIAL_ONE);
+		} else {
+			const serial = INTEGER_SERIALS.find(s => value >= s[2] && value <= s[3]);
+			if (serial) {
+				const buf = Buffer.alloc(serial[1]);
+				buf.writeIntBE(value, 0, serial[1]);
+				types.push(serial[0]);
+				bodies.push(buf);
+			} else {
+				const buf = Buffer.alloc(8);
+				buf.writeBigInt64BE(BigInt(value));
+				types.push(6);
+				bodies.push(buf);
+			}
+		}
+	}
+
+	const type_bytes = Buffer.concat(types.map(encode_varint));
+
+	// The header size includes its own varint, which may grow the header.
+	let size_length = 1;
+	while (encode_varint(type_bytes.length + size_length).length > size_length)
+		size_length++;
+
+	return Buffer.concat([encode_varint(type_bytes.length + size_length), type_bytes, ...bodies]);
+};
+
+/**
+ * Escape a SQLite identifier.
+ * @param {string} name
+ * @returns {string}
+ */
+const escape_identifier = (name) => '"' + name.replace(/"/g, '""') + '"';
+
+/**
+ * Convert a FieldType to a SQLite column type.
+ * @param {Symbol} field_type
+ * @returns {string}
+ */
+const field_type_to_sqlite = (field_type) => {
+	switch (field_type) {
+		case FieldType.String:
+			return 'TEXT';
+
+		case FieldType.Float:
+			return 'REAL';
+
+		case FieldType.Int8:
+		case FieldType.UInt8:
+		case FieldType.Int16:
+		case FieldType.UInt16:
+		case FieldType.Int32:
+		case FieldType.UInt32:
+		case FieldType.Int64:
+		case FieldType.UInt64:
+		case FieldType.Relation:
+		case FieldType.NonInlineID:
+			return 'INTEGER';
+
+		default:
+			return '';
+	}
+};
+
+class SQLiteWriter {
+	/**
+	 * Construct a new SQLiteWriter instance.
+	 * @param {string} out
+	 */
+	constructor(out) {
+		this.out = out;
+
+		// Page 1 is reserved for the schema table, which is built last.
+		this.pages = [null];
+		this.schema_rows = [];
+	}
+
+	/**
+	 * Allocate a new page, returning its 1-based page number.
+	 * @returns {number}
+	 */
+	_allocPage() {
+		this.pages.push(null);
+		return this.pages.length;
+	}
+
+	/**
+	 * Build a table leaf cell, spilling into overflow pages if required.
+	 * @param {number|bigint} rowid
+	 * @param {Buffer} payload
+	 * @returns {Buffer}
+	 */
+	_buildCell(rowid, payload) {
+		const prefix = Buffer.concat([encode_varint(payload.length), encode_varint(rowid)]);
+		if (payload.length <= MAX_LOCAL)
+			return Buffer.concat([prefix, payload]);
+
+		let local = MIN_LOCAL + ((payload.length - MIN_LOCAL) % (SQLITE_PAGE_SIZE - 4));
+		if (local > MAX_LOCAL)
+			local = MIN_LOCAL;
+
+		// Overflow pages are a linked list of [next page, content].
+		const chunk_size = SQLITE_PAGE_SIZE - 4;
+		const first_overflow = this._allocPage();
+		let page_no = first_overflow;
+
+		for (let ofs = local; ofs < payload.length; ofs += chunk_size) {
+			const page = Buffer.alloc(SQLITE_PAGE_SIZE);
+			const is_last = ofs + chunk_size >= payload.length;
+			const next = is_last ? 0 : this._allocPage();
+
+			page.writeUInt32BE(next, 0);
+			payload.copy(page, 4, ofs, Math.min(ofs + chunk_size, payload.length));
+
+			this.pages[page_no - 1] = page;
+			page_no = next;
+		}
+
+		const pointer = Buffer.alloc(4);
+		pointer.writeUInt32BE(first_overflow);
+
+		return Buffer.concat([prefix, payload.subarray(0, local), pointer]);
+	}
+
+	/**
+	 * Write a b-tree page containing the given cells.
+	 * @param {number} page_no
+	 * @param {number} type
+	 * @param {Array<Buffer>} cells
+	 * @param {number} [right_child]
+	 */
+	_writePage(page_no, type, cells, right_child = 0) {
+		const page = Buffer.alloc(SQLITE_PAGE_SIZE);
+		const header_ofs = page_no === 1 ? SQLITE_HEADER_SIZE : 0;
+		const header_size = type === PAGE_TYPE_TABLE_LEAF ? 8 : 12;
+
+		let content = SQLITE_PAGE_SIZE;
+		let pointer = header_ofs + header_size;
+
+		for (const cell of cells) {
+			content -= cell.length;
+			cell.copy(page, content);
+			page.writeUInt16BE(content, pointer);
+			pointer += 2;
+		}
+
+		page.writeUInt8(type, header_ofs);
+		page.writeUInt16BE(0, header_ofs + 1); // First freeblock
+		page.writeUInt16BE(cells.length, header_ofs + 3);
+		page.writeUInt16BE(content === 65536 ? 0 : content, header_ofs + 5);
+		page.writeUInt8(0, header_ofs + 7); // Fragmented free bytes
+
+		if (type === PAGE_TYPE_TABLE_INTERIOR)
+			page.writeUInt32BE(right_child, header_ofs + 8);
+
+		this.pages[page_no - 1] = page;
+	}
+
+	/**
+	 * Split entries into page-sized groups.
+	 * @param {Array<object>} entries Objects with a cell buffer.
+	 * @param {number} header_size
+	 * @param {boolean} interior Whether the last entry of each group becomes the right child.
+	 * @returns {Array<Array<object>>}
+	 */
+	_groupEntries(entries, header_size, interior) {
+		const groups = [];
+		let group = [];
+		let used = header_size;
+
+		for (const entry of entries) {
+			const size = entry.cell.length + 2;
+			if (group.length > 0 && used + size > SQLITE_PAGE_SIZE) {
+				groups.push(group);
+				group = [];
+				used = header_size;
+			}
+
+			group.push(entry);
+			used += size;
+		}
+
+		groups.push(group);
+
+		// An interior page needs at least one cell besides its right child.
+		if (interior && groups.length > 1 && groups[groups.length - 1].length < 2)
+			groups[groups.length - 1].unshift(groups[groups.length - 2].pop());
+
+		return groups;
+	}
+
+	/**
+	 * Build a table b-tree from rows sorted by rowid.
+	 * @param {Array<object>} cells Objects of { rowid, cell }.
+	 * @param {number} [root_page] Page to use as the root, otherwise one is allocated.
+	 * @returns {number} Root page number.
+	 */
+	_buildTree(cells, root_page) {
+		const root_capacity = SQLITE_PAGE_SIZE - (root_page === 1 ? SQLITE_HEADER_SIZE : 0);
+		const fits_root = (entries, header_size) => entries.reduce((total, e) => total + e.cell.length + 2, header_size) <= root_capacity;
+
+		if (fits_root(cells, 8)) {
+			root_page = root_page ?? this._allocPage();
+			this._writePage(root_page, PAGE_TYPE_TABLE_LEAF, cells.map(e => e.cell));
+			return root_page;
+		}
+
+		// Each level is a list of { page, rowid } where rowid is the largest key in that page.
+		let level = this._groupEntries(cells, 8, false).map(group => {
+			const page = this._allocPage();
+			this._writePage(page, PAGE_TYPE_TABLE_LEAF, group.map(e => e.cell));
+			return { page, rowid: group[group.length - 1].rowid };
+		});
+
+		for (;;) {
+			const entries = level.map(child => {
+				const page_ptr = Buffer.alloc(4);
+				page_ptr.writeUInt32BE(child.page);
+				return { ...child, cell: Buffer.concat([page_ptr, encode_varint(child.rowid)]) };
+			});
+
+			// The right-most child is stored in the header rather than as a cell.
+			if (fits_root(entries.slice(0, -1), 12)) {
+				root_page = root_page ?? this._allocPage();
+				this._writePage(root_page, PAGE_TYPE_TABLE_INTERIOR, entries.slice(0, -1).map(e => e.cell), entries[entries.length - 1].page);
+				return root_page;
+			}
+
+			level = this._groupEntries(entries, 12, true).map(group => {
+				const page = this._allocPage();
+				const right = group[group.length - 1];
+				this._writePage(page, PAGE_TYPE_TABLE_INTERIOR, group.slice(0, -1).map(e => e.cell), right.page);
+				return { page, rowid: right.rowid };
+			});
+		}
+	}
+
+	/**
+	 * Add a table to this database.
+	 * Array fields are expanded into one column per element.
+	 * @param {string} table_name
+	 * @param {Array<string>} fields
+	 * @param {Array<Array>} rows Rows of values, in field order.
+	 * @param {Map} [schema] WDCReader schema map.
+	 * @param {Map} [foreign_keys] Map of field name to { table, column }.
+	 */
+	addTable(table_name, fields, rows, schema, foreign_keys) {
+		const columns = [];
+		for (let i = 0; i < fields.length; i++) {
+			const field = fields[i];
+			const field_type = schema?.get(field);
+			const foreign_key = foreign_keys?.get(field) ?? null;
+
+			if (Array.isArray(field_type)) {
+				for (let j = 0; j < field_type[1]; j++)
+					columns.push({ name: field + '_' + j, type: field_type_to_sqlite(field_type[0]), index: i, element: j, foreign_key });
+			} else {
+				columns.push({ name: field, type: field_type_to_sqlite(field_type), index: i, element: -1, foreign_key });
+			}
+		}
+
+		// Unique integer IDs are stored as the rowid, otherwise rows are numbered sequentially.
+		const id_index = fields.findIndex(field => field.toUpperCase() === 'ID');
+		const id_column = columns.findIndex(column => column.index === id_index && column.element === -1);
+
+		let use_rowid = id_column > -1;
+		if (use_rowid) {
+			const seen = new Set();
+			for (const row of rows) {
+				const id = row[id_index];
+				if (!Number.isSafeInteger(id) || seen.has(id)) {
+					use_rowid = false;
+					break;
+				}
+
+				seen.add(id);
+			}
+		}
+
+		const column_defs = columns.map((column, i) => {
+			let def = escape_identifier(column.name);
+			if (column.type.length > 0)
+				def += ' ' + column.type;
+
+			if (use_rowid && i === id_column)
+				def += ' PRIMARY KEY';
+			else if (column.foreign_key !== null)
+				def += ' REFERENCES ' + escape_identifier(column.foreign_key.table) + '(' + escape_identifier(column.foreign_key.column) + ')';
+
+			return def;
+		});
+
+		const real_columns = columns.map(column => column.type === 'REAL');
+		const cells = new Array(rows.length);
+
+		for (let r = 0; r < rows.length; r++) {
+			const row = rows[r];
+			const values = columns.map((column, i) => {
+				// A rowid alias is stored as NULL in the record itself.
+				if (use_rowid && i === id_column)
+					return null;
+
+				const value = row[column.index];
+				return column.element > -1 ? value?.[column.element] : value;
+			});
+
+			const rowid = use_rowid ? row[id_index] : r + 1;
+			cells[r] = { rowid, payload: encode_record(values, real_columns) };
+		}
+
+		if (use_rowid)
+			cells.sort((a, b) => a.rowid - b.rowid);
+
+		for (const entry of cells) {
+			entry.cell = this._buildCell(entry.rowid, entry.payload);
+			entry.payload = null;
+		}
+
+		const root_page = this._buildTree(cells);
+		const sql = 'CREATE TABLE ' + escape_identifier(table_name) + ' (\n\t' + column_defs.join(',\n\t') + '\n)';
+
+		this.schema_rows.push(['table', table_name, table_name, root_page, sql]);
+	}
+
+	/**
+	 * Write the database to disk.
+	 * @param {boolean} overwrite
+	 */
+	async write(overwrite = true) {
+		if (!overwrite && await generics.fileExists(this.out))
+			return;
+
+		const schema_cells = this.schema_rows.map((row, i) => ({ rowid: i + 1, cell: this._buildCell(i + 1, encode_record(row)) }));
+		this._buildTree(schema_cells, 1);
+
+		const page_count = this.pages.length;
+		const header = this.pages[0];
+
+		header.write(SQLITE_MAGIC, 0, 'latin1');
+		header.writeUInt16BE(SQLITE_PAGE_SIZE, 16);
+		header.writeUInt8(1, 18); // File format write version (legacy)
+		header.writeUInt8(1, 19); // File format read version (legacy)
+		header.writeUInt8(0, 20); // Reserved space per page
+		header.writeUInt8(64, 21); // Maximum embedded payload fraction
+		header.writeUInt8(32, 22); // Minimum embedded payload fraction
+		header.writeUInt8(32, 23); // Leaf payload fraction
+		header.writeUInt32BE(1, 24); // File change counter
+		header.writeUInt32BE(page_count, 28);
+		header.writeUInt32BE(1, 40); // Schema cookie
+		header.writeUInt32BE(SQLITE_SCHEMA_FORMAT, 44);
+		header.writeUInt32BE(SQLITE_TEXT_ENCODING_UTF8, 56);
+		header.writeUInt32BE(1, 92); // Version valid for
+		header.writeUInt32BE(SQLITE_VERSION_NUMBER, 96);
+
+		await generics.createDirectory(path.dirname(this.out));
+		await fsp.writeFile(this.out, Buffer.concat(this.pages));
+	}
+}
+
+module.exports = SQLiteWriter;
@@ -0,0 +1,592 @@
+/*!
+	wow.export (https://github.com/Kruithne/wow.export)
+	Authors: Kruithne <kruithne@gmail.com>
+	License: MIT
+ */
+const generics = require('../../generics');
+const path = require('path');
+const fsp = require('fs').promises;
+const CompressionType = require('../../db/CompressionType');
+
+const WDC5_MAGIC = 0x35434457; // 'WDC5'
+const WDC5_VERSION = 5;
+const WDC5_SCHEMA_STRING_SIZE = 128;
+
+const HEADER_SIZE = 204;
+const SECTION_HEADER_SIZE = 40;
+const FIELD_STRUCTURE_SIZE = 4;
+const FIELD_STORAGE_INFO_SIZE = 24;
+
+const FLAG_HAS_OFFSET_MAP = 0x1;
+
+// Bit-packed fields are read as a 64-bit window, so never pack more than this.
+const MAX_BITPACKED_BITS = 32;
+
+const float_cast = Buffer.alloc(4);
+
+/**
+ * Returns the number of bits needed to store an unsigned value.
+ * @param {bigint} value
+ * @returns {number}
+ */
+const bit_length = (value) => {
+	let bits = 1;
+	while ((value >> BigInt(bits)) > 0n)
+		bits++;
+
+	return bits;
+};
+
+/**
+ * Returns the size in bits of a single element of a DBD field.
+ * @param {DBDField} field
+ * @returns {number}
+ */
+const get_field_bits = (field) => {
+	if (field.type === 'int')
+		return field.size;
+
+	// floats and string table offsets
+	return 32;
+};
+
+/**
+ * Returns the raw 32-bit pattern of a value, as stored in common and pallet data.
+ * @param {DBDField} field
+ * @param {*} value
+ * @returns {number}
+ */
+const get_value_bits = (field, value) => {
+	if (field.type === 'float') {
+		float_cast.writeFloatLE(Number(value ?? 0));
+		return float_cast.readUInt32LE();
+	}
+
+	return Number(BigInt.asUintN(32, to_bigint(value)));
+};
+
+/**
+ * Convert a field value to a BigInt, treating missing values as zero.
+ * @param {*} value
+ * @returns {bigint}
+ */
+const to_bigint = (value) => {
+	if (typeof value === 'bigint')
+		return value;
+
+	if (typeof value === 'boolean')
+		return value ? 1n : 0n;
+
+	// 64-bit values which do not fit in a number are held as strings.
+	if (typeof value === 'string' && /^-?\d+$/.test(value.trim()))
+		return BigInt(value.trim());
+
+	const number = Number(value ?? 0);
+	return Number.isFinite(number) ? BigInt(Math.trunc(number)) : 0n;
+};
+
+/**
+ * Returns the elements of a field value, padded to the array length of the field.
+ * @param {DBDField} field
+ * @param {*} value
+ * @returns {Array}
+ */
+const get_elements = (field, value) => {
+	if (field.arrayLength === -1)
+		return [value];
+
+	const elements = Array.isArray(value) ? value.slice(0, field.arrayLength) : [value];
+	while (elements.length < field.arrayLength)
+		elements.push(field.type === 'int' || field.type === 'float' ? 0 : '');
+
+	return elements;
+};
+
+/**
+ * Write a single element of a field into a buffer.
+ * @param {Buffer} buf
+ * @param {number} ofs
+ * @param {DBDField} field
+ * @param {*} value
+ * @returns {number} Number of bytes written.
+ */
+const write_element = (buf, ofs, field, value) => {
+	if (field.type === 'float') {
+		buf.writeFloatLE(Number(value ?? 0), ofs);
+		return 4;
+	}
+
+	const bits = get_field_bits(field);
+	const raw = BigInt.asUintN(bits, to_bigint(value));
+
+	switch (bits) {
+		case 8: buf.writeUInt8(Number(raw), ofs); break;
+		case 16: buf.writeUInt16LE(Number(raw), ofs); break;
+		case 32: buf.writeUInt32LE(Number(raw), ofs); break;
+		case 64: buf.writeBigUInt64LE(raw, ofs); break;
+		default: throw new Error('Unsupported field size ' + bits + ' for ' + field.name);
+	}
+
+	return bits / 8;
+};
+
+class WDCWriter {
+	/**
+	 * Construct a new WDCWriter instance.
+	 * @param {string} out
+	 * @param {DBDEntry} structure Table definition for the build being written.
+	 */
+	constructor(out, structure) {
+		this.out = out;
+		this.fields = [...structure.fields];
+		this.rows = [];
+
+		this.tableHash = 0;
+		this.layoutHash = 0;
+		this.locale = 0;
+		this.flags = 0;
+		this.schemaVersion = WDC5_VERSION;
+		this.schemaString = null;
+	}
+
+	/**
+	 * Set the header information of the table, usually taken from the source file.
+	 * @param {object} info { tableHash, layoutHash, locale, flags, schemaVersion, schemaString }
+	 */
+	setTableInfo(info) {
+		this.tableHash = info.tableHash ?? this.tableHash;
+		this.layoutHash = typeof info.layoutHash === 'string' ? parseInt(info.layoutHash, 16) : (info.layoutHash ?? this.layoutHash);
+		this.locale = info.locale ?? this.locale;
+		this.flags = info.flags ?? this.flags;
+		this.schemaVersion = info.schemaVersion ?? this.schemaVersion;
+		this.schemaString = info.schemaString ?? this.schemaString;
+	}
+
+	/**
+	 * Add a row to the table.
+	 * @param {object} row Field values keyed by field name.
+	 */
+	addRow(row) {
+		this.rows.push(row);
+	}
+
+	/**
+	 * Returns true if this table uses variable-length records with inline strings.
+	 * @returns {boolean}
+	 */
+	get isSparse() {
+		return (this.flags & FLAG_HAS_OFFSET_MAP) !== 0;
+	}
+
+	/**
+	 * Choose the storage of each inline field, picking whichever layout is the
+	 * smallest for the data. Fields stored in the record without bit-packing must
+	 * precede bit-packed fields, so bit-packing is not used for fields before the
+	 * last uncompressed field.
+	 * @param {Array<DBDField>} fields
+	 * @param {Array<object>} rows
+	 * @returns {Array<object>}
+	 */
+	_planFields(fields, rows) {
+		const plans = fields.map(field => {
+			const count = field.arrayLength === -1 ? 1 : field.arrayLength;
+			const bits = get_field_bits(field);
+			const none = { field, compression: CompressionType.None, count, sizeBits: bits * count, cost: bits * count * rows.length / 8 };
+
+			const options = [none];
+			const compressible = !this.isSparse && rows.length > 0 && field.type !== 'string' && field.type !== 'locstring' && bits <= 32;
+
+			if (compressible && count === 1) {
+				// Most common value becomes the default, other values are stored per record.
+				const frequency = new Map();
+				for (const row of rows) {
+					const value = get_value_bits(field, row[field.name]);
+					frequency.set(value, (frequency.get(value) ?? 0) + 1);
+				}
+
+				let defaultValue = 0;
+				let defaultCount = 0;
+				for (const [value, total] of frequency) {
+					if (total > defaultCount) {
+						defaultValue = value;
+						defaultCount = total;
+					}
+				}
+
+				options.push({ field, compression: CompressionType.CommonData, count, sizeBits: 0, defaultValue, cost: (rows.length - defaultCount) * 8 });
+
+				const palletBits = bit_length(BigInt(Math.max(frequency.size - 1, 0)));
+				options.push({ field, compression: CompressionType.BitpackedIndexed, count, sizeBits: palletBits, pallet: [...frequency.keys()], cost: (frequency.size * 4) + (palletBits * rows.length / 8), bitLevel: true });
+
+				if (field.type === 'int') {
+					let min = null;
+					let max = null;
+					for (const row of rows) {
+						const value = BigInt.asIntN(bits, to_bigint(row[field.name]));
+						const normalized = field.isSigned ? value : BigInt.asUintN(bits, value);
+						if (min === null || normalized < min) min = normalized;
+						if (max === null || normalized > max) max = normalized;
+					}
+
+					const signed = min < 0n;
+					const packedBits = signed ? Math.max(bit_length(-min - 1n), bit_length(max < 0n ? 0n : max)) + 1 : bit_length(max);
+					if (packedBits <= MAX_BITPACKED_BITS) {
+						const compression = signed ? CompressionType.BitpackedSigned : CompressionType.Bitpacked;
+						options.push({ field, compression, count, sizeBits: packedBits, cost: packedBits * rows.length / 8, bitLevel: true });
+					}
+				}
+			} else if (compressible) {
+				const tuples = new Map();
+				for (const row of rows) {
+					const tuple = get_elements(field, row[field.name]).map(value => get_value_bits(field, value));
+					const key = tuple.join(',');
+					if (!tuples.has(key))
+						tuples.set(key, tuple);
+				}
+
+				const palletBits = bit_length(BigInt(Math.max(tuples.size - 1, 0)));
+				options.push({ field, compression: CompressionType.BitpackedIndexedArray, count, sizeBits: palletBits, pallet: [...tuples.values()], cost: (tuples.size * count * 4) + (palletBits * rows.length / 8), bitLevel: true });
+			}
+
+			return options.reduce((best, option) => option.cost < best.cost ? option : best);
+		});
+
+		// Uncompressed fields are read sequentially from the start of the record.
+		let lastNone = -1;
+		for (let i = 0; i < plans.length; i++) {
+			if (plans[i].compression === CompressionType.None)
+				lastNone = i;
+		}
+
+		for (let i = 0; i < lastNone; i++) {
+			if (plans[i].bitLevel) {
+				const field = plans[i].field;
+				const count = plans[i].count;
+				const bits = get_field_bits(field);
+				plans[i] = { field, compression: CompressionType.None, count, sizeBits: bits * count };
+			}
+		}
+
+		// Assign record offsets, uncompressed fields first, then bit-packed fields.
+		let offsetBits = 0;
+		for (const plan of plans) {
+			plan.offsetBits = offsetBits;
+			if (plan.compression !== CompressionType.CommonData)
+				offsetBits += plan.sizeBits;
+		}
+
+		return plans;
+	}
+
+	/**
+	 * Build the table into a buffer.
+	 * @returns {Buffer}
+	 */
+	build() {
+		const idField = this.fields.find(field => field.isID);
+		if (!idField)
+			throw new Error('Table definition has no ID field');
+
+		const relationField = this.fields.find(field => field.isRelation && !field.isInline);
+		const inlineFields = this.fields.filter(field => field.isInline);
+
+		const rows = [...this.rows].sort((a, b) => Number(to_bigint(a[idField.name]) - to_bigint(b[idField.name])));
+		const ids = rows.map(row => Number(to_bigint(row[idField.name])));
+
+		for (let i = 1; i < ids.length; i++) {
+			if (ids[i] === ids[i - 1])
+				throw new Error('Duplicate row ID ' + ids[i]);
+		}
+
+		const plans = this._planFields(inlineFields, rows);
+		const recordCount = rows.length;
+
+		const pallet = [];
+		const common = [];
+		let palletDataSize = 0;
+		let commonDataSize = 0;
+
+		for (const plan of plans) {
+			if (plan.compression === CompressionType.BitpackedIndexed) {
+				plan.palletIndex = new Map(plan.pallet.map((value, index) => [value, index]));
+				plan.additionalDataSize = plan.pallet.length * 4;
+				palletDataSize += plan.additionalDataSize;
+			} else if (plan.compression === CompressionType.BitpackedIndexedArray) {
+				plan.palletIndex = new Map(plan.pallet.map((tuple, index) => [tuple.join(','), index]));
+				plan.additionalDataSize = plan.pallet.length * plan.count * 4;
+				palletDataSize += plan.additionalDataSize;
+			} else if (plan.compression === CompressionType.CommonData) {
+				plan.values = [];
+				for (let i = 0; i < recordCount; i++) {
+					const value = get_value_bits(plan.field, rows[i][plan.field.name]);
+					if (value !== plan.defaultValue)
+						plan.values.push([ids[i], value]);
+				}
+
+				plan.additionalDataSize = plan.values.length * 8;
+				commonDataSize += plan.additionalDataSize;
+			} else {
+				plan.additionalDataSize = 0;
+			}
+		}
+
+		// Records and strings.
+		let records;
+		let recordSize;
+		let offsetMap = null;
+		const strings = [Buffer.from([0])];
+		let stringTableSize = 1;
+		const stringOffsets = new Map([['', 0]]);
+
+		const get_string_offset = (value) => {
+			const str = value === null || value === undefined ? '' : String(value);
+			let offset = stringOffsets.get(str);
+			if (offset === undefined) {
+				const encoded = Buffer.from(str + '\0', 'utf8');
+				offset = stringTableSize;
+				stringOffsets.set(str, offset);
+				strings.push(encoded);
+				stringTableSize += encoded.length;
+			}
+
+			return offset;
+		};
+
+		const totalBits = plans.reduce((total, plan) => plan.compression === CompressionType.CommonData ? total : total + plan.sizeBits, 0);
+		const bitpackedPlan = plans.find(plan => plan.bitLevel && plan.compression !== CompressionType.None);
+		const bitpackedDataOffset = bitpackedPlan ? bitpackedPlan.offsetBits >> 3 : 0;
+
+		if (this.isSparse) {
+			// Variable-length records with strings stored inline.
+			offsetMap = [];
+			const parts = [];
+			recordSize = 0;
+
+			for (const row of rows) {
+				const chunks = [];
+				for (const plan of plans) {
+					for (const value of get_elements(plan.field, row[plan.field.name])) {
+						if (plan.field.type === 'string' || plan.field.type === 'locstring') {
+							chunks.push(Buffer.from((value === null || value === undefined ? '' : String(value)) + '\0', 'utf8'));
+						} else {
+							const buf = Buffer.alloc(8);
+							chunks.push(buf.subarray(0, write_element(buf, 0, plan.field, value)));
+						}
+					}
+				}
+
+				const record = Buffer.concat(chunks);
+				offsetMap.push(record.length);
+				parts.push(record);
+				recordSize = Math.max(recordSize, record.length);
+			}
+
+			records = Buffer.concat(parts);
+			stringTableSize = 0;
+		} else {
+			recordSize = Math.ceil(totalBits / 8);
+
+			// Padding allows bit-packed values to be written as a 64-bit window.
+			records = Buffer.alloc((recordSize * recordCount) + 8);
+
+			for (let i = 0; i < recordCount; i++) {
+				const row = rows[i];
+				const recordOfs = i * recordSize;
+
+				for (const plan of plans) {
+					const field = plan.field;
+					const value = row[field.name];
+					const byteOfs = recordOfs + (plan.offsetBits >> 3);
+
+					switch (plan.compression) {
+						case CompressionType.None: {
+							const elements = get_elements(field, value);
+							for (let e = 0; e < elements.length; e++) {
+								const elementOfs = byteOfs + (e * 4);
+								if (field.type === 'string' || field.type === 'locstring') {
+									// Offsets are relative to the position of the field in the record.
+									const fieldPos = recordOfs + (plan.offsetBits >> 3) + (e * 4);
+									const stringOfs = get_string_offset(elements[e]) + (recordCount * recordSize) - fieldPos;
+									records.writeUInt32LE(stringOfs >>> 0, elementOfs);
+								} else {
+									write_element(records, byteOfs + (e * (get_field_bits(field) / 8)), field, elements[e]);
+								}
+							}
+							break;
+						}
+
+						case CompressionType.CommonData:
+							break;
+
+						case CompressionType.BitpackedIndexed:
+						case CompressionType.BitpackedIndexedArray:
+						case CompressionType.Bitpacked:
+						case CompressionType.BitpackedSigned: {
+							let packed;
+							if (plan.compression === CompressionType.BitpackedIndexed)
+								packed = BigInt(plan.palletIndex.get(get_value_bits(field, value)));
+							else if (plan.compression === CompressionType.BitpackedIndexedArray)
+								packed = BigInt(plan.palletIndex.get(get_elements(field, value).map(element => get_value_bits(field, element)).join(',')));
+							else
+								packed = BigInt.asUintN(plan.sizeBits, BigInt.asIntN(get_field_bits(field), to_bigint(value)));
+
+							const shift = BigInt(plan.offsetBits & 7);
+							const window = records.readBigUInt64LE(byteOfs);
+							records.writeBigUInt64LE(window | (packed << shift), byteOfs);
+							break;
+						}
+					}
+				}
+			}
+
+			records = records.subarray(0, recordSize * recordCount);
+		}
+
+		const stringTable = this.isSparse ? Buffer.alloc(0) : Buffer.concat(strings);
+
+		// Header and field information.
+		const sectionOffset = HEADER_SIZE + SECTION_HEADER_SIZE + (inlineFields.length * (FIELD_STRUCTURE_SIZE + FIELD_STORAGE_INFO_SIZE)) + palletDataSize + commonDataSize;
+
+		const header = Buffer.alloc(HEADER_SIZE);
+		let ofs = 0;
+		ofs = header.writeUInt32LE(WDC5_MAGIC, ofs);
+		ofs = header.writeUInt32LE(this.schemaVersion, ofs);
+
+		if (this.schemaString)
+			Buffer.from(this.schemaString).copy(header, ofs, 0, WDC5_SCHEMA_STRING_SIZE);
+
+		ofs += WDC5_SCHEMA_STRING_SIZE;
+
+		const idIndex = idField.isInline ? inlineFields.indexOf(idField) : 0;
+
+		ofs = header.writeUInt32LE(recordCount, ofs);
+		ofs = header.writeUInt32LE(inlineFields.length, ofs);
+		ofs = header.writeUInt32LE(recordSize, ofs);
+		ofs = header.writeUInt32LE(stringTable.length, ofs);
+		ofs = header.writeUInt32LE(this.tableHash >>> 0, ofs);
+		ofs = header.writeUInt32LE(this.layoutHash >>> 0, ofs);
+		ofs = header.writeInt32LE(ids.length > 0 ? ids[0] : 0, ofs);
+		ofs = header.writeInt32LE(ids.length > 0 ? ids[ids.length - 1] : 0, ofs);
+		ofs = header.writeInt32LE(this.locale, ofs);
+		ofs = header.writeUInt16LE(this.flags & 0xFFFF, ofs);
+		ofs = header.writeUInt16LE(idIndex, ofs);
+		ofs = header.writeUInt32LE(inlineFields.length, ofs);
+		ofs = header.writeUInt32LE(bitpackedDataOffset, ofs);
+		ofs = header.writeUInt32LE(relationField ? 1 : 0, ofs); // lookup column count
+		ofs = header.writeUInt32LE(plans.length * FIELD_STORAGE_INFO_SIZE, ofs);
+		ofs = header.writeUInt32LE(commonDataSize, ofs);
+		ofs = header.writeUInt32LE(palletDataSize, ofs);
+		header.writeUInt32LE(1, ofs); // section count
+
+		const fieldStructures = Buffer.alloc(plans.length * FIELD_STRUCTURE_SIZE);
+		const fieldStorage = Buffer.alloc(plans.length * FIELD_STORAGE_INFO_SIZE);
+		for (let i = 0; i < plans.length; i++) {
+			const plan = plans[i];
+			fieldStructures.writeInt16LE(32 - get_field_bits(plan.field), i * FIELD_STRUCTURE_SIZE);
+			fieldStructures.writeUInt16LE(plan.offsetBits >> 3, (i * FIELD_STRUCTURE_SIZE) + 2);
+
+			const infoOfs = i * FIELD_STORAGE_INFO_SIZE;
+			fieldStorage.writeUInt16LE(plan.offsetBits, infoOfs);
+			fieldStorage.writeUInt16LE(plan.sizeBits, infoOfs + 2);
+			fieldStorage.writeUInt32LE(plan.additionalDataSize, infoOfs + 4);
+			fieldStorage.writeUInt32LE(plan.compression, infoOfs + 8);
+
+			if (plan.compression === CompressionType.CommonData) {
+				fieldStorage.writeUInt32LE(plan.defaultValue, infoOfs + 12);
+			} else if (plan.compression !== CompressionType.None) {
+				fieldStorage.writeUInt32LE(plan.offsetBits - (bitpackedDataOffset * 8), infoOfs + 12);
+				fieldStorage.writeUInt32LE(plan.sizeBits, infoOfs + 16);
+				if (plan.compression === CompressionType.BitpackedIndexedArray)
+					fieldStorage.writeUInt32LE(plan.count, infoOfs + 20);
+				else if (plan.compression === CompressionType.BitpackedSigned)
+					fieldStorage.writeUInt32LE(1, infoOfs + 20);
+			}
+		}
+
+		const palletData = Buffer.alloc(palletDataSize);
+		const commonData = Buffer.alloc(commonDataSize);
+		let palletOfs = 0;
+		let commonOfs = 0;
+		for (const plan of plans) {
+			if (plan.compression === CompressionType.BitpackedIndexed) {
+				for (const value of plan.pallet)
+					palletOfs = palletData.writeUInt32LE(value, palletOfs);
+			} else if (plan.compression === CompressionType.BitpackedIndexedArray) {
+				for (const tuple of plan.pallet) {
+					for (const value of tuple)
+						palletOfs = palletData.writeUInt32LE(value, palletOfs);
+				}
+			} else if (plan.compression === CompressionType.CommonData) {
+				for (const [id, value] of plan.values) {
+					commonOfs = commonData.writeUInt32LE(id, commonOfs);
+					commonOfs = commonData.writeUInt32LE(value, commonOfs);
+				}
+			}
+		}
+
+		// Section data following the records and string table.
+		const idList = Buffer.alloc(recordCount * 4);
+		for (let i = 0; i < recordCount; i++)
+			idList.writeUInt32LE(ids[i] >>> 0, i * 4);
+
+		let offsetMapData = Buffer.alloc(0);
+		let offsetMapIDList = Buffer.alloc(0);
+		if (offsetMap !== null) {
+			offsetMapData = Buffer.alloc(recordCount * 6);
+			let recordOfs = sectionOffset;
+			for (let i = 0; i < recordCount; i++) {
+				offsetMapData.writeUInt32LE(recordOfs, i * 6);
+				offsetMapData.writeUInt16LE(offsetMap[i], (i * 6) + 4);
+				recordOfs += offsetMap[i];
+			}
+
+			offsetMapIDList = idList;
+		}
+
+		let relationshipData = Buffer.alloc(0);
+		if (relationField) {
+			const foreignIDs = rows.map(row => Number(BigInt.asUintN(32, to_bigint(row[relationField.name]))));
+			relationshipData = Buffer.alloc(12 + (recordCount * 8));
+			relationshipData.writeUInt32LE(recordCount, 0);
+			relationshipData.writeUInt32LE(recordCount > 0 ? Math.min(...foreignIDs) : 0, 4);
+			relationshipData.writeUInt32LE(recordCount > 0 ? Math.max(...foreignIDs) : 0, 8);
+
+			for (let i = 0; i < recordCount; i++) {
+				relationshipData.writeUInt32LE(foreignIDs[i], 12 + (i * 8));
+				relationshipData.writeUInt32LE(i, 16 + (i * 8));
+			}
+		}
+
+		const sectionHeader = Buffer.alloc(SECTION_HEADER_SIZE);
+		sectionHeader.writeBigUInt64LE(0n, 0); // tact key hash
+		sectionHeader.writeUInt32LE(sectionOffset, 8);
+		sectionHeader.writeUInt32LE(recordCount, 12);
+		sectionHeader.writeUInt32LE(stringTable.length, 16);
+		sectionHeader.writeUInt32LE(offsetMap !== null ? sectionOffset + records.length : 0, 20); // offset records end
+		sectionHeader.writeUInt32LE(idList.length, 24);
+		sectionHeader.writeUInt32LE(relationshipData.length, 28);
+		sectionHeader.writeUInt32LE(offsetMap !== null ? recordCount : 0, 32); // offset map ID count
+		sectionHeader.writeUInt32LE(0, 36); // copy table count
+
+		return Buffer.concat([
+			header, sectionHeader, fieldStructures, fieldStorage, palletData, commonData,
+			records, stringTable, idList, offsetMapData, relationshipData, offsetMapIDList
+		]);
+	}
+
+	/**
+	 * Write the table to disk.
+	 * @param {boolean} overwrite
+	 */
+	async write(overwrite = true) {
+		if (!overwrite && await generics.fileExists(this.out))
+			return;
+
+		const data = this.build();
+
+		await generics.createDirectory(path.dirname(this.out));
+		await fsp.writeFile(this.out, data);
+	}
+}
+
+module.exports = WDCWriter;
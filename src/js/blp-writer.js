@@ -0,0 +1,430 @@
+/*!
+	wow.export (https://github.com/Kruithne/wow.export)
+	Authors: Kruithne <kruithne@gmail.com>
+	License: MIT
+ */
+const BufferWrapper = require('./buffer');
+
+const BLP_MAGIC = 0x32504c42;
+const BLP_HEADER_SIZE = 148 + (256 * 4);
+const BLP_MAX_MIPMAPS = 16;
+
+// Encoding and alpha encoding values written into the header for each format.
+const FORMATS = {
+	DXT1: { encoding: 2, alphaEncoding: 0, blockBytes: 8 },
+	DXT3: { encoding: 2, alphaEncoding: 1, blockBytes: 16 },
+	DXT5: { encoding: 2, alphaEncoding: 7, blockBytes: 16 },
+	BGRA: { encoding: 3, alphaEncoding: 8 }
+};
+
+/**
+ * Pack an RGB colour into a 565 value.
+ * @param {number} r
+ * @param {number} g
+ * @param {number} b
+ * @returns {number}
+ */
+const packColour = (r, g, b) => {
+	return (Math.round(r * 31 / 255) << 11) | (Math.round(g * 63 / 255) << 5) | Math.round(b * 31 / 255);
+};
+
+/**
+ * Expand a 565 value into an RGB colour, matching the decoder in BLPFile.
+ * @param {number} value
+ * @param {Array} colour
+ * @param {number} colourOfs
+ */
+const unpackColour = (value, colour, colourOfs) => {
+	const r = (value >> 11) & 0x1F;
+	const g = (value >> 5) & 0x3F;
+	const b = value & 0x1F;
+
+	colour[colourOfs] = (r << 3) | (r >> 2);
+	colour[colourOfs + 1] = (g << 2) | (g >> 4);
+	colour[colourOfs + 2] = (b << 3) | (b >> 2);
+};
+
+/**
+ * Copy a 4x4 block of RGBA pixels, clamping at the image edges.
+ * @param {Uint8Array} data
+ * @param {number} width
+ * @param {number} height
+ * @param {number} x
+ * @param {number} y
+ * @param {Uint8Array} block
+ */
+const readBlock = (data, width, height, x, y, block) => {
+	for (let pY = 0; pY < 4; pY++) {
+		const sY = Math.min(y + pY, height - 1);
+		for (let pX = 0; pX < 4; pX++) {
+			const sX = Math.min(x + pX, width - 1);
+			const src = 4 * (sY * width + sX);
+			const dest = 4 * (pY * 4 + pX);
+
+			block[dest] = data[src];
+			block[dest + 1] = data[src + 1];
+			block[dest + 2] = data[src + 2];
+			block[dest + 3] = data[src + 3];
+		}
+	}
+};
+
+/**
+ * Encode the colour portion of a DXT block.
+ * @param {Uint8Array} block
+ * @param {Buffer} out
+ * @param {number} ofs
+ * @param {boolean} punchAlpha Use DXT1 1-bit alpha for transparent pixels.
+ */
+const encodeColourBlock = (block, out, ofs, punchAlpha) => {
+	const min = [255, 255, 255];
+	const max = [0, 0, 0];
+	let hasTransparent = false;
+
+	for (let i = 0; i < 16; i++) {
+		if (punchAlpha && block[i * 4 + 3] < 128) {
+			hasTransparent = true;
+			continue;
+		}
+
+		for (let c = 0; c < 3; c++) {
+			const value = block[i * 4 + c];
+			if (value < min[c]) min[c] = value;
+			if (value > max[c]) max[c] = value;
+		}
+	}
+
+	// Inset the bounding box slightly to reduce the error of the end points.
+	for (let c = 0; c < 3; c++) {
+		if (min[c] > max[c]) {
+			min[c] = max[c] = 0;
+			continue;
+		}
+
+		const inset = (max[c] - min[c]) >> 4;
+		min[c] += inset;
+		max[c] -= inset;
+	}
+
+	let a = packColour(max[0], max[1], max[2]);
+	let b = packColour(min[0], min[1], min[2]);
+
+	// Four colour mode requires a > b, three colour (with transparency) requires a <= b.
+	if ((hasTransparent && a > b) || (!hasTransparent && a < b))
+		[a, b] = [b, a];
+
+	const isThreeColour = a <= b;
+	const colours = new Array(16);
+	unpackColour(a, colours, 0);
+	unpackColour(b, colours, 4);
+
+	for (let i = 0; i < 3; i++) {
+		const c = colours[i];
+		const d = colours[i + 4];
+
+		if (isThreeColour) {
+			colours[i + 8] = (c + d) / 2;
+			colours[i + 12] = 0;
+		} else {
+			colours[i + 8] = (2 * c + d) / 3;
+			colours[i + 12] = (c + 2 * d) / 3;
+		}
+	}
+
+	const paletteSize = isThreeColour ? 3 : 4;
+
+	out.writeUInt16LE(a, ofs);
+	out.writeUInt16LE(b, ofs + 2);
+
+	for (let row = 0; row < 4; row++) {
+		let packed = 0;
+		for (let col = 0; col < 4; col++) {
+			const pixel = (row * 4 + col) * 4;
+			let index = 3;
+
+			if (!(punchAlpha && block[pixel + 3] < 128)) {
+				let best = Infinity;
+				for (let p = 0; p < paletteSize; p++) {
+					const dR = block[pixel] - colours[p * 4];
+					const dG = block[pixel + 1] - colours[p * 4 + 1];
+					const dB = block[pixel + 2] - colours[p * 4 + 2];
+					const dist = dR * dR + dG * dG + dB * dB;
+
+					if (dist < best) {
+						best = dist;
+						index = p;
+					}
+				}
+			}
+
+			packed |= index << (col * 2);
+		}
+
+		out[ofs + 4 + row] = packed;
+	}
+};
+
+/**
+ * Encode explicit 4-bit alpha for a DXT3 block.
+ * @param {Uint8Array} block
+ * @param {Buffer} out
+ * @param {number} ofs
+ */
+const encodeAlphaDXT3 = (block, out, ofs) => {
+	for (let i = 0; i < 8; i++) {
+		const low = Math.round(block[(i * 2) * 4 + 3] / 17);
+		const high = Math.round(block[(i * 2 + 1) * 4 + 3] / 17);
+		out[ofs + i] = low | (high << 4);
+	}
+};
+
+/**
+ * Encode interpolated alpha for a DXT5 block.
+ * @param {Uint8Array} block
+ * @param {Buffer} out
+ * @param {number} ofs
+ */
+const encodeAlphaDXT5 = (block, out, ofs) => {
+	let a0 = 0;
+	let a1 = 255;
+
+	for (let i = 0; i < 16; i++) {
+		const alpha = block[i * 4 + 3];
+		if (alpha > a0) a0 = alpha;
+		if (alpha < a1) a1 = alpha;
+	}
+
+	out[ofs] = a0;
+	out[ofs + 1] = a1;
+
+	// Equal end points decode to a constant alpha with all indices at zero.
+	const alphas = [a0, a1];
+	if (a0 > a1) {
+		for (let i = 1; i < 7; i++)
+			alphas[i + 1] = (((7 - i) * a0 + i * a1) / 7) | 0;
+	}
+
+	for (let group = 0; group < 2; group++) {
+		let value = 0;
+		for (let j = 0; j < 8; j++) {
+			const alpha = block[(group * 8 + j) * 4 + 3];
+			let index = 0;
+			let best = Infinity;
+
+			for (let p = 0; p < alphas.length; p++) {
+				const dist = Math.abs(alpha - alphas[p]);
+				if (dist < best) {
+					best = dist;
+					index = p;
+				}
+			}
+
+			value |= index << (3 * j);
+		}
+
+		for (let j = 0; j < 3; j++)
+			out[ofs + 2 + group * 3 + j] = (value >> (8 * j)) & 0xFF;
+	}
+};
+
+/**
+ * Halve the dimensions of RGBA pixel data using a box filter.
+ * @param {Uint8Array} data
+ * @param {number} width
+ * @param {number} height
+ * @returns {{ data: Uint8Array, width: number, height: number }}
+ */
+const downsample = (data, width, height) => {
+	const newWidth = Math.max(1, width >> 1);
+	const newHeight = Math.max(1, height >> 1);
+	const out = new Uint8Array(newWidth * newHeight * 4);
+
+	for (let y = 0; y < newHeight; y++) {
+		const y0 = Math.min(y * 2, height - 1);
+		const y1 = Math.min(y * 2 + 1, height - 1);
+
+		for (let x = 0; x < newWidth; x++) {
+			const x0 = Math.min(x * 2, width - 1);
+			const x1 = Math.min(x * 2 + 1, width - 1);
+
+			for (let c = 0; c < 4; c++) {
+				const sum = data[4 * (y0 * width + x0) + c] + data[4 * (y0 * width + x1) + c] +
+					data[4 * (y1 * width + x0) + c] + data[4 * (y1 * width + x1) + c];
+
+				out[4 * (y * newWidth + x) + c] = (sum + 2) >> 2;
+			}
+		}
+	}
+
+	return { data: out, width: newWidth, height: newHeight };
+};
+
+class BLPWriter {
+	/**
+	 * Construct a new BLPWriter instance.
+	 * @param {number} width
+	 * @param {number} height
+	 * @param {string} [format=DXT5] DXT1, DXT3, DXT5 or BGRA.
+	 */
+	constructor(width, height, format = 'DXT5') {
+		if (!FORMATS[format])
+			throw new Error('Unsupported BLP encoding: ' + format);
+
+		// BLP mipmaps are addressed by halving dimensions, which requires powers of two.
+		if (!BLPWriter.isPowerOfTwo(width) || !BLPWriter.isPowerOfTwo(height))
+			throw new Error('BLP dimensions must be powers of two, got ' + width + 'x' + height);
+
+		this.width = width;
+		this.height = height;
+		this.format = format;
+		this.mipmaps = true;
+		this.data = new Uint8Array(width * height * 4);
+	}
+
+	/**
+	 * Get the internal RGBA pixel data for this BLP.
+	 * @returns {Uint8Array}
+	 */
+	getPixelData() {
+		return this.data;
+	}
+
+	/**
+	 * Calculate the alpha depth required to store the pixel data.
+	 * @returns {number}
+	 */
+	getAlphaDepth() {
+		if (this.format === 'DXT3' || this.format === 'DXT5')
+			return 8;
+
+		let minAlpha = 255;
+		for (let i = 3, n = this.data.length; i < n; i += 4) {
+			if (this.data[i] < minAlpha)
+				minAlpha = this.data[i];
+		}
+
+		if (this.format === 'DXT1')
+			return minAlpha < 128 ? 1 : 0;
+
+		return minAlpha < 255 ? 8 : 0;
+	}
+
+	/**
+	 * Encode a single mipmap level.
+	 * @param {Uint8Array} data
+	 * @param {number} width
+	 * @param {number} height
+	 * @param {number} alphaDepth
+	 * @returns {Buffer}
+	 */
+	_encodeMipmap(data, width, height, alphaDepth) {
+		const format = FORMATS[this.format];
+
+		if (format.encoding === 3) {
+			const out = Buffer.alloc(width * height * 4);
+			for (let i = 0, n = width * height * 4; i < n; i += 4) {
+				out[i] = data[i + 2];
+				out[i + 1] = data[i + 1];
+				out[i + 2] = data[i];
+				out[i + 3] = alphaDepth > 0 ? data[i + 3] : 255;
+			}
+
+			return out;
+		}
+
+		const blocksX = Math.ceil(width / 4);
+		const blocksY = Math.ceil(height / 4);
+		const out = Buffer.alloc(blocksX * blocksY * format.blockBytes);
+		const block = new Uint8Array(64);
+
+		let ofs = 0;
+		for (let y = 0; y < height; y += 4) {
+			for (let x = 0; x < width; x += 4) {
+				readBlock(data, width, height, x, y, block);
+
+				if (this.format === 'DXT1') {
+					encodeColourBlock(block, out, ofs, alphaDepth > 0);
+				} else {
+					if (this.format === 'DXT3')
+						encodeAlphaDXT3(block, out, ofs);
+					else
+						encodeAlphaDXT5(block, out, ofs);
+
+					encodeColourBlock(block, out, ofs + 8, false);
+				}
+
+				ofs += format.blockBytes;
+			}
+		}
+
+		return out;
+	}
+
+	/**
+	 * @returns {BufferWrapper}
+	 */
+	getBuffer() {
+		const format = FORMATS[this.format];
+		const alphaDepth = this.getAlphaDepth();
+
+		const mipmaps = [];
+		let level = { data: this.data, width: this.width, height: this.height };
+
+		while (true) {
+			mipmaps.push(this._encodeMipmap(level.data, level.width, level.height, alphaDepth));
+
+			if (!this.mipmaps || mipmaps.length === BLP_MAX_MIPMAPS || (level.width === 1 && level.height === 1))
+				break;
+
+			level = downsample(level.data, level.width, level.height);
+		}
+
+		const dataSize = mipmaps.reduce((total, mipmap) => total + mipmap.byteLength, 0);
+		const buf = BufferWrapper.alloc(BLP_HEADER_SIZE + dataSize, true);
+
+		buf.writeUInt32LE(BLP_MAGIC);
+		buf.writeUInt32LE(1); // Type
+		buf.writeUInt8(format.encoding);
+		buf.writeUInt8(alphaDepth);
+		buf.writeUInt8(format.alphaEncoding);
+		buf.writeUInt8(mipmaps.length > 1 ? 1 : 0);
+		buf.writeUInt32LE(this.width);
+		buf.writeUInt32LE(this.height);
+
+		let mipmapOfs = BLP_HEADER_SIZE;
+		for (let i = 0; i < BLP_MAX_MIPMAPS; i++) {
+			buf.writeUInt32LE(i < mipmaps.length ? mipmapOfs : 0);
+			mipmapOfs += mipmaps[i]?.byteLength ?? 0;
+		}
+
+		for (let i = 0; i < BLP_MAX_MIPMAPS; i++)
+			buf.writeUInt32LE(mipmaps[i]?.byteLength ?? 0);
+
+		// Palette is unused for DXT/BGRA encodings but is always present in BLP2.
+		buf.seek(BLP_HEADER_SIZE);
+		for (const mipmap of mipmaps)
+			buf.writeBuffer(mipmap);
+
+		buf.seek(0);
+		return buf;
+	}
+
+	/**
+	 * Write this BLP to a file.
+	 * @param {string} file
+	 */
+	async write(file) {
+		return await this.getBuffer().writeToFile(file);
+	}
+
+	/**
+	 * Check if a dimension is a power of two.
+	 * @param {number} value
+	 * @returns {boolean}
+	 */
+	static isPowerOfTwo(value) {
+		return value > 0 && (value & (value - 1)) === 0;
+	}
+}
+
+module.exports = BLPWriter;
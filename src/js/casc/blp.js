@@ -5,6 +5,8 @@
  */
 const BufferWrapper = require('../buffer');
 const PNGWriter = require('../png-writer');
+const DDSWriter = require('../dds-writer');
+const KTX2Writer = require('../ktx2-writer');
 const webp = require('webp-wasm');
 
 const DXT1 = 0x1;
@@ -193,6 +195,117 @@ class BLPImage {
 		await new BufferWrapper(webpBuffer).writeToFile(file);
 	}
 
+	/**
+	 * Get the mipmap chain of this BLP for use in a texture container.
+	 * Compressed and BGRA data is copied as-is, palette data is expanded to BGRA.
+	 * @returns {{ format: string, alpha: boolean, mipmaps: Buffer[] }}
+	 */
+	getMipmapChain() {
+		const mipmaps = [];
+
+		if (this.encoding === 1) {
+			for (let i = 0; i < this.mapCount; i++) {
+				// Stop once a level no longer has whole-pixel dimensions.
+				const scale = Math.pow(2, i);
+				if (this.width % scale !== 0 || this.height % scale !== 0)
+					break;
+
+				const pixels = this.toUInt8Array(i);
+				const data = Buffer.alloc(pixels.length);
+				for (let ofs = 0, n = pixels.length; ofs < n; ofs += 4) {
+					data[ofs] = pixels[ofs + 2];
+					data[ofs + 1] = pixels[ofs + 1];
+					data[ofs + 2] = pixels[ofs];
+					data[ofs + 3] = pixels[ofs + 3];
+				}
+
+				mipmaps.push(data);
+			}
+
+			return { format: 'BGRA', alpha: this.alphaDepth > 0, mipmaps };
+		}
+
+		for (let i = 0; i < this.mapCount; i++)
+			mipmaps.push(this.getRawMipmap(i));
+
+		if (this.encoding === 3)
+			return { format: 'BGRA', alpha: this.alphaDepth > 0, mipmaps };
+
+		const format = this.alphaDepth > 1 ? (this.alphaEncoding === 7 ? 'DXT5' : 'DXT3') : 'DXT1';
+		return { format, alpha: this.alphaDepth > 0, mipmaps };
+	}
+
+	/**
+	 * Retrieve this BLP as a DDS image, retaining the original encoding and mipmaps.
+	 * @returns {BufferWrapper}
+	 */
+	toDDS() {
+		const chain = this.getMipmapChain();
+		const dds = new DDSWriter(this.width, this.height, chain.format, chain.alpha);
+
+		for (const mipmap of chain.mipmaps)
+			dds.addMipmap(mipmap);
+
+		return dds.getBuffer();
+	}
+
+	/**
+	 * Save this BLP as DDS file.
+	 * @param {string} file
+	 */
+	async saveToDDS(file) {
+		return await this.toDDS().writeToFile(file);
+	}
+
+	/**
+	 * Retrieve this BLP as a KTX2 image, retaining the original encoding and mipmaps.
+	 * @returns {BufferWrapper}
+	 */
+	toKTX2() {
+		const chain = this.getMipmapChain();
+		const ktx = new KTX2Writer(this.width, this.height, chain.format, chain.alpha);
+
+		for (const mipmap of chain.mipmaps)
+			ktx.addMipmap(mipmap);
+
+		return ktx.getBuffer();
+	}
+
+	/**
+	 * Save this BLP as KTX2 file.
+	 * @param {string} file
+	 */
+	async saveToKTX2(file) {
+		return await this.toKTX2().writeToFile(file);
+	}
+
+	/**
+	 * Save this BLP as the given texture format.
+	 * @param {string} file
+	 * @param {string} format PNG, DDS or KTX2.
+	 * @param {number} mask Channel mask, only applied to PNG.
+	 */
+	async saveToFormat(file, format = 'PNG', mask = 0b1111) {
+		switch (format) {
+			case 'DDS': return await this.saveToDDS(file);
+			case 'KTX2': return await this.saveToKTX2(file);
+			default: return await this.saveToPNG(file, mask);
+		}
+	}
+
+	/**
+	 * Get the file extension for a texture format accepted by saveToFormat().
+	 * @param {string} format
+	 * @returns {string}
+	 */
+	static getFormatExtension(format) {
+		switch (format) {
+			case 'DDS': return '.dds';
+			case 'KTX2': return '.ktx2';
+			default: return '.png';
+		}
+	}
+
 	/**
 	 * Prepare BLP for processing.
 	 * @param {number} mipmap 
@@ -0,0 +1,79 @@
+/*!
+	wow.export (https://github.com/Kruithne/wow.export)
+	Authors: Kruithne <kruithne@gmail.com>
+	License: MIT
+ */
+const core = require('../core');
+const log = require('../log');
+const CASCRemote = require('./casc-source-remote');
+
+// Build index used to refer to the currently loaded install.
+const CURRENT_BUILD = -1;
+
+// Remote source used only to list available CDN builds.
+let build_list_source = null;
+
+// build index -> CASCRemote loaded for comparison
+const loaded_sources = new Map();
+
+/**
+ * Get the CDN builds which can be loaded for comparison.
+ * @returns {Array<object>} Array of { label, buildIndex }
+ */
+const get_remote_builds = async () => {
+	if (build_list_source === null) {
+		const source = new CASCRemote(core.view.selectedCDNRegion.tag);
+		await source.init();
+		build_list_source = source;
+	}
+
+	return build_list_source.getProductList();
+};
+
+/**
+ * Get the CASC source for a build, loading CDN builds on first use.
+ * @param {number} build_index Index from get_remote_builds(), or CURRENT_BUILD.
+ * @returns {CASC}
+ */
+const get_source = async (build_index) => {
+	if (build_index === CURRENT_BUILD)
+		return core.view.casc;
+
+	let source = loaded_sources.get(build_index);
+	if (source === undefined) {
+		source = new CASCRemote(build_list_source.region);
+		source.builds = build_list_source.builds;
+		source.host = build_list_source.host;
+
+		await source.loadStandalone(build_index);
+		loaded_sources.set(build_index, source);
+
+		log.write('Loaded comparison build %s', source.getBuildName());
+	}
+
+	return source;
+};
+
+/**
+ * Get a display name for a build.
+ * @param {number} build_index
+ * @returns {string}
+ */
+const get_build_name = (build_index) => {
+	if (build_index === CURRENT_BUILD)
+		return core.view.casc.getBuildName();
+
+	return build_list_source.builds[build_index].VersionsName;
+};
+
+/**
+ * Release all CDN builds loaded for comparison.
+ */
+const unload = () => {
+	for (const source of loaded_sources.values())
+		source.cleanup();
+
+	loaded_sources.clear();
+};
+
+module.exports = { CURRENT_BUILD, get_remote_builds, get_source, get_build_name, unload };
@@ -296,6 +296,23 @@ class CASCRemote extends CASC {
 		core.hideLoadingScreen();
 	}
 
+	/**
+	 * Load the given build without making it the active CASC source.
+	 * Used to read files from a second build for comparison.
+	 * @param {number} buildIndex
+	 */
+	async loadStandalone(buildIndex) {
+		core.showLoadingScreen(8);
+
+		try {
+			await this.preload(buildIndex);
+			await this.loadEncoding();
+			await this.loadRoot();
+		} finally {
+			core.hideLoadingScreen();
+		}
+	}
+
 	/**
 	 * Download and parse the encoding file.
 	 */
@@ -63,6 +63,26 @@ class CASC {
 		return entries;
 	}
 
+	/**
+	 * Get the content key of a file for the current locale.
+	 * Returns null if the file is not present for this locale.
+	 * @param {number} fileDataID
+	 * @returns {?string}
+	 */
+	getContentKey(fileDataID) {
+		const root = this.rootEntries.get(fileDataID);
+		if (root === undefined)
+			return null;
+
+		for (const [rootTypeIdx, key] of root.entries()) {
+			const rootType = this.rootTypes[rootTypeIdx];
+			if ((rootType.localeFlags & this.locale) && ((rootType.contentFlags & ContentFlag.LowViolence) === 0))
+				return key;
+		}
+
+		return null;
+	}
+
 	/**
 	 * Retrieves the install manifest for this CASC instance.
 	 * @returns {InstallManifest}
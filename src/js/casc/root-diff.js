@@ -0,0 +1,83 @@
+/*!
+	wow.export (https://github.com/Kruithne/wow.export)
+	Authors: Kruithne <kruithne@gmail.com>
+	License: MIT
+ */
+const path = require('path');
+const log = require('../log');
+const listfile = require('./listfile');
+
+const STATUS_ADDED = 'added';
+const STATUS_REMOVED = 'removed';
+const STATUS_CHANGED = 'changed';
+
+/**
+ * Compare the root manifests of two builds for the current locale.
+ * @param {CASC} old_casc
+ * @param {CASC} new_casc
+ * @returns {Array<object>} Array of { fileDataID, status, fileName, ext, dir }
+ */
+const diff_root = (old_casc, new_casc) => {
+	const entries = [];
+
+	const add_entry = (fileDataID, status) => {
+		// Files which are not in the active build are not in the listfile lookup.
+		const fileName = listfile.getByIDOrUnknown(fileDataID);
+		const ext = path.extname(fileName).toLowerCase();
+		const separator = fileName.search(/[\\/]/);
+		const dir = separator > 0 ? fileName.substring(0, separator).toLowerCase() : '(root)';
+		entries.push({ fileDataID, status, fileName, ext: ext.length > 0 ? ext : 'unknown', dir });
+	};
+
+	for (const fileDataID of new_casc.rootEntries.keys()) {
+		const new_key = new_casc.getContentKey(fileDataID);
+		if (new_key === null)
+			continue;
+
+		const old_key = old_casc.getContentKey(fileDataID);
+		if (old_key === null)
+			add_entry(fileDataID, STATUS_ADDED);
+		else if (old_key !== new_key)
+			add_entry(fileDataID, STATUS_CHANGED);
+	}
+
+	for (const fileDataID of old_casc.rootEntries.keys()) {
+		if (old_casc.getContentKey(fileDataID) !== null && new_casc.getContentKey(fileDataID) === null)
+			add_entry(fileDataID, STATUS_REMOVED);
+	}
+
+	entries.sort((a, b) => a.fileName < b.fileName ? -1 : a.fileName > b.fileName ? 1 : 0);
+
+	log.write('Compared root manifests of %s and %s: %d files differ', old_casc.getBuildName(), new_casc.getBuildName(), entries.length);
+	return entries;
+};
+
+/**
+ * Count entries by the value of a property, most common first.
+ * @param {Array<object>} entries
+ * @param {string} key
+ * @returns {Map<string, number>}
+ */
+const count_by = (entries, key) => {
+	const counts = new Map();
+	for (const entry of entries)
+		counts.set(entry[key], (counts.get(entry[key]) ?? 0) + 1);
+
+	return new Map([...counts.entries()].sort((a, b) => b[1] - a[1]));
+};
+
+/**
+ * Count entries by file extension.
+ * @param {Array<object>} entries
+ * @returns {Map<string, number>}
+ */
+const count_extensions = (entries) => count_by(entries, 'ext');
+
+/**
+ * Count entries by the top-level directory of their listfile path.
+ * @param {Array<object>} entries
+ * @returns {Map<string, number>}
+ */
+const count_directories = (entries) => count_by(entries, 'dir');
+
+module.exports = { diff_root, count_extensions, count_directories, STATUS_ADDED, STATUS_REMOVED, STATUS_CHANGED };
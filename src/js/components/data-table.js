@@ -3,12 +3,14 @@
 	Authors: Kruithne <kruithne@gmail.com>, Marlamin <marlamin@marlamin.com>
 	License: MIT
  */
+const DBQuery = require('../db/DBQuery');
+
 module.exports = {
 	/**
 	 * selectedOption: An array of strings denoting options shown in the menu.
 	 */
-	props: ['headers', 'rows', 'filter', 'regex', 'selection', 'copyheader', 'tablename'],
-	emits: ['update:selection', 'contextmenu', 'copy'],
+	props: ['headers', 'rows', 'filter', 'regex', 'selection', 'copyheader', 'tablename', 'foreignkeys', 'querymode', 'rowclass', 'cellclass', 'editable'],
+	emits: ['update:selection', 'contextmenu', 'copy', 'foreignkey', 'edit'],
 
 	data: function() {
 		return {
@@ -38,6 +40,8 @@ module.exports = {
 			targetColumnWidth: 0,
 			lastSelectItem: null,
 			forceHorizontalUpdate: 0,
+			editCell: null,
+			editValue: '',
 		}
 	},
 
@@ -121,26 +125,61 @@ module.exports = {
 			return new Set(this.selection);
 		},
 
+		/**
+		 * Foreign key for each column index, or null for plain columns.
+		 */
+		columnForeignKeys: function() {
+			if (!this.headers)
+				return [];
+
+			return this.headers.map(header => this.foreignkeys?.get(header) ?? null);
+		},
+
+		/**
+		 * Compiled query when in query mode, or the error from compiling it.
+		 */
+		compiledQuery: function() {
+			if (!this.querymode || !this.filter || !this.filter.trim() || !this.headers)
+				return null;
+
+			try {
+				return { query: DBQuery.compile(this.filter.trim(), this.headers), error: null };
+			} catch (e) {
+				return { query: null, error: e.message };
+			}
+		},
+
 		/**
 		 * Reactively filtered version of the underlying data array.
 		 * Automatically refilters when the filter input is changed.
 		 * Supports both column-specific filters (e.g., "id:5000 name:test") and general filters.
+		 * In query mode, the filter is evaluated as a query expression instead (see DBQuery).
 		 */
 		filteredItems: function() {
 			// Skip filtering if no filter is set.
 			if (!this.filter)
 				return this.rows;
 
-			const { columnFilters, generalFilter } = this.parseFilterInput(this.filter.trim());
-			if (Object.keys(columnFilters).length === 0 && !generalFilter)
-				return this.rows;
+			let res;
+			if (this.querymode) {
+				// Invalid queries leave the table unfiltered while the error is shown.
+				const compiled = this.compiledQuery;
+				if (compiled === null || compiled.query === null)
+					return this.rows;
 
-			let res = this.rows.filter(row => {
-				const passesColumnFilters = this.matchesColumnFilters(row, columnFilters, this.regex);
-				const passesGeneralFilter = this.matchesGeneralFilter(row, generalFilter, this.regex);
-				
-				return passesColumnFilters && passesGeneralFilter;
-			});
+				res = DBQuery.execute(compiled.query, this.rows);
+			} else {
+				const { columnFilters, generalFilter } = this.parseFilterInput(this.filter.trim());
+				if (Object.keys(columnFilters).length === 0 && !generalFilter)
+					return this.rows;
+
+				res = this.rows.filter(row => {
+					const passesColumnFilters = this.matchesColumnFilters(row, columnFilters, this.regex);
+					const passesGeneralFilter = this.matchesGeneralFilter(row, generalFilter, this.regex);
+					
+					return passesColumnFilters && passesGeneralFilter;
+				});
+			}
 
 			// Remove anything from the user selection that has now been filtered out.
 			// Iterate backwards here due to re-indexing as elements are spliced.
@@ -746,7 +785,7 @@ module.exports = {
 		 */
 		handleFilterIconClick: function(columnIndex, e) {
 			const columnName = this.headers[columnIndex].toLowerCase();
-			const filterPrefix = columnName + ':';
+			const filterPrefix = this.querymode ? (this.filter ? 'AND ' : '') + this.headers[columnIndex] + ' ' : columnName + ':';
 			
 			const currentFilter = this.filter || '';
 			const newFilter = currentFilter ? currentFilter + ' ' + filterPrefix : filterPrefix;
@@ -869,6 +908,43 @@ module.exports = {
 			this.$emit('update:selection', newSelection);
 		},
 
+		/**
+		 * Returns true if a cell value can be followed as a foreign key.
+		 * @param {number} columnIndex
+		 * @param {*} value
+		 * @returns {boolean}
+		 */
+		isForeignKeyCell: function(columnIndex, value) {
+			return this.columnForeignKeys[columnIndex] !== null && typeof value === 'number' && value !== 0;
+		},
+
+		/**
+		 * Invoked when a user clicks on a foreign key cell.
+		 * @param {number} columnIndex
+		 * @param {number} value
+		 */
+		followForeignKey: function(columnIndex, value) {
+			this.$emit('foreignkey', { column: this.headers[columnIndex], foreignKey: this.columnForeignKeys[columnIndex], value });
+		},
+
+		/**
+		 * Scroll the table so that the given row is visible.
+		 * @param {Array} row
+		 */
+		scrollToRow: function(row) {
+			const index = this.sortedItems.indexOf(row);
+			if (index === -1)
+				return;
+
+			const range = this.sortedItems.length - this.slotCount;
+			const availableHeight = this.$refs.root.clientHeight - this.$refs.datatableheader.clientHeight;
+			const max = availableHeight - (this.$refs.dtscroller.clientHeight);
+
+			this.scroll = range > 0 ? (Math.min(index, range) / range) * max : 0;
+			this.recalculateBounds();
+			this.lastSelectItem = index;
+		},
+
 		/**
 		 * Invoked when a user right-clicks on a row in the table.
 		 * @param {number} rowIndex - Index of the row in sortedItems
@@ -897,6 +973,69 @@ module.exports = {
 			});
 		},
 
+		/**
+		 * Check if a cell is currently being edited.
+		 * @param {Array} row
+		 * @param {number} index
+		 * @returns {boolean}
+		 */
+		isEditing: function(row, index) {
+			return this.editCell !== null && this.editCell.row === row && this.editCell.index === index;
+		},
+
+		/**
+		 * Invoked when a user double-clicks a cell, opening an editor for it.
+		 * Arrays are edited as comma-separated values.
+		 * @param {Array} row
+		 * @param {number} index
+		 */
+		startEdit: function(row, index) {
+			if (!this.editable)
+				return;
+
+			const value = row[index];
+			this.editCell = { row, index };
+			this.editValue = Array.isArray(value) ? value.join(', ') : String(value ?? '');
+
+			this.$nextTick(() => {
+				const editor = this.$refs.cellEditor;
+				const input = Array.isArray(editor) ? editor[0] : editor;
+				input?.focus();
+				input?.select();
+			});
+		},
+
+		/**
+		 * Close the cell editor, emitting the new value if it was changed.
+		 */
+		commitEdit: function() {
+			if (this.editCell === null)
+				return;
+
+			const { row, index } = this.editCell;
+			const value = row[index];
+			const original = Array.isArray(value) ? value.join(', ') : String(value ?? '');
+			this.editCell = null;
+
+			if (this.editValue !== original)
+				this.$emit('edit', { row, index, value: this.editValue });
+		},
+
+		/**
+		 * Close the cell editor without changing the value.
+		 */
+		cancelEdit: function() {
+			this.editCell = null;
+		},
+
+		/**
+		 * Get all rows passing the current filter or query, in display order.
+		 * @returns {Array}
+		 */
+		getFilteredRows: function() {
+			return this.sortedItems;
+		},
+
 		/**
 		 * Get selected rows as CSV string.
 		 * @returns {string} CSV formatted string
@@ -1008,14 +1147,15 @@ module.exports = {
 				<tbody>
 					<tr v-for="(row, rowIndex) in displayItems"
 						@click="selectRow(scrollIndex + rowIndex, $event)"
-						:class="{ selected: selectionSet.has(row) }">
-						<td v-for="(field, index) in row" :style="columnStyles['col-' + index] || {}" @contextmenu="handleContextMenu(scrollIndex + rowIndex, index, $event)">{{field}}</td>
+						:class="[{ selected: selectionSet.has(row) }, rowclass ? rowclass(row) : null]">
+						<td v-for="(field, index) in row" :class="cellclass ? cellclass(row, index) : null" :style="columnStyles['col-' + index] || {}" @contextmenu="handleContextMenu(scrollIndex + rowIndex, index, $event)" @dblclick="startEdit(row, index)"><input v-if="isEditing(row, index)" ref="cellEditor" type="text" class="cell-editor" v-model="editValue" @keydown.enter="commitEdit" @keydown.esc="cancelEdit" @blur="commitEdit" @click.stop/><span v-else-if="isForeignKeyCell(index, field)" class="fk-link" :title="'Go to ' + columnForeignKeys[index].table + ' ' + columnForeignKeys[index].column + ' ' + field" @click.stop="followForeignKey(index, field)">{{field}}</span><template v-else>{{field}}</template></td>
 					</tr>
 				</tbody>
 			</table>
 		</div>
 		<div class="list-status" v-if="rows && rows.length > 0">
-			<span v-if="filteredItems.length !== rows.length">Showing {{ filteredItems.length.toLocaleString() }} of {{ rows.length.toLocaleString() }} rows</span>
+			<span v-if="compiledQuery && compiledQuery.error" class="query-error">Invalid query: {{ compiledQuery.error }}</span>
+			<span v-else-if="filteredItems.length !== rows.length">Showing {{ filteredItems.length.toLocaleString() }} of {{ rows.length.toLocaleString() }} rows</span>
 			<span v-else>{{ rows.length.toLocaleString() }} rows</span>
 		</div></div>`
 };
\ No newline at end of file
@@ -30,6 +30,9 @@ const CAMERA_FIT_DISTANCE_MULTIPLIER = 2;
 const CAMERA_FIT_ELEVATION_FACTOR = 0.3;
 const CAMERA_FIT_CENTER_OFFSET_Y = -0.5;
 
+// largest render target used for turntable captures
+const CAPTURE_MAX_SIZE = 4096;
+
 // simple perspective camera implementation
 class PerspectiveCamera {
 	constructor(fov, aspect, near, far) {
@@ -212,6 +215,12 @@ module.exports = {
 			if (!this.isRendering)
 				return;
 
+			// turntable captures draw the scene themselves
+			if (this.is_capturing) {
+				requestAnimationFrame(() => this.render());
+				return;
+			}
+
 			const currentTime = performance.now() * 0.001;
 			if (this.lastTime === undefined)
 				this.lastTime = currentTime;
@@ -249,9 +258,22 @@ module.exports = {
 			// update controls
 			this.controls.update();
 
+			this.draw_scene(false);
+
+			requestAnimationFrame(() => this.render());
+		},
+
+		/**
+		 * Draw the active renderer and its equipment with the current camera.
+		 * @param {boolean} is_capture - Skip the grid, and the background and shadow when transparent.
+		 * @param {boolean} transparent
+		 */
+		draw_scene: function(is_capture, transparent = false) {
+			const activeRenderer = this.context.getActiveRenderer?.();
+
 			// clear with appropriate background
 			const is_chr = this.context.useCharacterControls;
-			const show_bg = is_chr ? core.view.config.chrShowBackground : core.view.config.modelViewerShowBackground;
+			const show_bg = !transparent && (is_chr ? core.view.config.chrShowBackground : core.view.config.modelViewerShowBackground);
 			const bg_color = is_chr ? core.view.config.chrBackgroundColor : core.view.config.modelViewerBackgroundColor;
 
 			if (show_bg) {
@@ -263,11 +285,11 @@ module.exports = {
 			this.gl_context.clear(true, true);
 
 			// render shadow plane (before model, for character mode)
-			if (this.shadow_renderer && this.shadow_renderer.visible)
+			if (this.shadow_renderer && this.shadow_renderer.visible && !transparent)
 				this.shadow_renderer.render(this.camera.view_matrix, this.camera.projection_matrix);
 
 			// render grid (not in character mode)
-			if (core.view.config.modelViewerShowGrid && this.grid_renderer && !this.context.useCharacterControls)
+			if (core.view.config.modelViewerShowGrid && this.grid_renderer && !this.context.useCharacterControls && !is_capture)
 				this.grid_renderer.render(this.camera.view_matrix, this.camera.projection_matrix);
 
 			// render equipment models at attachment points (character mode only)
@@ -362,8 +384,87 @@ module.exports = {
 					}
 				}
 			}
+		},
 
-			requestAnimationFrame(() => this.render());
+		/**
+		 * Render the active model from evenly spaced yaw angles around the camera
+		 * target, optionally sampling animation frames at each angle. The canvas is
+		 * resized to the requested resolution for the duration of the capture.
+		 * @param {object} options
+		 * @param {number} options.width
+		 * @param {number} options.height
+		 * @param {number} options.angles - Number of yaw angles.
+		 * @param {number} options.frames - Number of animation frames per angle.
+		 * @param {boolean} options.transparent
+		 * @param {function} options.on_frame - Called with (canvas, angle_index, frame_index), may be async.
+		 */
+		capture_frames: async function(options) {
+			const active_renderer = this.context.getActiveRenderer?.();
+			if (!active_renderer)
+				throw new Error('no model is being previewed');
+
+			const width = Math.min(Math.max(1, Math.floor(options.width)), CAPTURE_MAX_SIZE);
+			const height = Math.min(Math.max(1, Math.floor(options.height)), CAPTURE_MAX_SIZE);
+			const angles = Math.max(1, Math.floor(options.angles));
+
+			// animation sampling only applies when an animation is playing
+			const can_sample = active_renderer.set_animation_frame && active_renderer.get_animation_duration?.() > 0;
+			const frames = can_sample ? Math.max(1, Math.floor(options.frames)) : 1;
+			const frame_count = can_sample ? active_renderer.get_animation_frame_count() : 1;
+			const animation_time = active_renderer.animation_time;
+
+			const camera = this.camera;
+			const position = [...camera.position];
+			const target = [...camera.target];
+			const offset_x = position[0] - target[0];
+			const offset_z = position[2] - target[2];
+
+			this.is_capturing = true;
+
+			try {
+				this.canvas.width = width;
+				this.canvas.height = height;
+				this.gl_context.set_viewport(width, height);
+
+				camera.aspect = width / height;
+				camera.update_projection();
+
+				for (let angle_index = 0; angle_index < angles; angle_index++) {
+					// orbit the camera so every renderer type is supported
+					const yaw = (angle_index / angles) * Math.PI * 2;
+					const cos = Math.cos(yaw);
+					const sin = Math.sin(yaw);
+
+					camera.position[0] = target[0] + offset_x * cos + offset_z * sin;
+					camera.position[1] = position[1];
+					camera.position[2] = target[2] - offset_x * sin + offset_z * cos;
+					camera.lookAt(target[0], target[1], target[2]);
+
+					for (let frame_index = 0; frame_index < frames; frame_index++) {
+						if (can_sample)
+							active_renderer.set_animation_frame(Math.floor(frame_index * frame_count / frames));
+
+						this.draw_scene(true, options.transparent);
+						await options.on_frame(this.canvas, angle_index, frame_index);
+					}
+				}
+			} finally {
+				camera.position[0] = position[0];
+				camera.position[1] = position[1];
+				camera.position[2] = position[2];
+				camera.lookAt(target[0], target[1], target[2]);
+
+				if (can_sample) {
+					active_renderer.animation_time = animation_time;
+					active_renderer.updateAnimation(0);
+				}
+
+				this.onResize();
+				this.is_capturing = false;
+
+				// avoid a large animation step on the next live frame
+				this.lastTime = undefined;
+			}
 		},
 
 		recreate_controls: function() {
@@ -447,12 +548,14 @@ module.exports = {
 		// model rotation
 		this.model_rotation_y = 0;
 		this.use_character_controls = false;
+		this.is_capturing = false;
 
 		// create controls
 		this.recreate_controls();
 
 		// expose fit_camera on context
 		this.context.fitCamera = () => this.fit_camera();
+		this.context.captureFrames = (options) => this.capture_frames(options);
 
 		// create grid renderer
 		this.grid_renderer = new GridRenderer(this.gl_context, 100, 100);
@@ -211,6 +211,8 @@ module.exports = {
 		'runtime-log',
 		'tab_raw',
 		'tab_install',
+		'tab_data_diff',
+		'tab_build_diff',
 		'settings',
 		'restart',
 		'reload-shaders',
@@ -117,6 +117,9 @@ const makeNewView = () => {
 		installTags: [], // Install manifest tags.
 		tableBrowserHeaders: [], // DB2 headers
 		tableBrowserRows: [], // DB2 rows
+		tableBrowserForeignKeys: null, // DB2 foreign keys (column -> { table, column })
+		tableBrowserHotfixes: null, // IDs of DB2 rows replaced by hotfixes
+		tableBrowserModified: null, // IDs of data table rows changed by editing or CSV import
 		availableLocale: Locale, // Available CASC locale.
 		fileDropPrompt: null, // Prompt to display for file drag/drops.
 		whatsNewHTML: '', // HTML content for What's New section.
@@ -293,10 +296,15 @@ const makeNewView = () => {
 			{ label: 'Export as PNG', value: 'PNG' },
 			{ label: 'Export as WebP', value: 'WEBP' },
 			{ label: 'Export as BLP (Raw)', value: 'BLP' },
+			{ label: 'Export as BLP (Re-encoded)', value: 'BLP_ENCODED' },
+			{ label: 'Export as DDS', value: 'DDS' },
+			{ label: 'Export as KTX2', value: 'KTX2' },
 			{ label: 'Copy to Clipboard', value: 'CLIPBOARD' }
 		],
 		menuButtonMapExport: [
 			{ label: 'Export OBJ', value: 'OBJ' },
+			{ label: 'Export glTF', value: 'GLTF' },
+			{ label: 'Export GLB', value: 'GLB' },
 			{ label: 'Export PNG', value: 'PNG' },
 			{ label: 'Export Raw', value: 'RAW' },
 			{ label: 'Export Heightmaps', value: 'HEIGHTMAPS' }
@@ -329,13 +337,17 @@ const makeNewView = () => {
 			{ label: 'Export STL', value: 'STL' },
 			{ label: 'Export glTF', value: 'GLTF' },
 			{ label: 'Export GLB', value: 'GLB' },
+			{ label: 'Export FBX', value: 'FBX' },
 			{ label: 'Export M2 / WMO (Raw)', value: 'RAW' },
 			{ label: 'Export PNG (3D Preview)', value: 'PNG' },
 			{ label: 'Copy to Clipboard (3D Preview)', value: 'CLIPBOARD' },
+			{ label: 'Export Turntable (3D Preview)', value: 'TURNTABLE' },
 		],
 		menuButtonLegacyModels: [
 			{ label: 'Export OBJ', value: 'OBJ' },
 			{ label: 'Export STL', value: 'STL' },
+			{ label: 'Export glTF', value: 'GLTF' },
+			{ label: 'Export GLB', value: 'GLB' },
 			{ label: 'Export Raw', value: 'RAW' },
 			{ label: 'Export PNG (3D Preview)', value: 'PNG' },
 			{ label: 'Copy to Clipboard (3D Preview)', value: 'CLIPBOARD' },
@@ -348,6 +360,7 @@ const makeNewView = () => {
 			{ label: 'Export M2 / WMO (Raw)', value: 'RAW' },
 			{ label: 'Export PNG (3D Preview)', value: 'PNG' },
 			{ label: 'Copy to Clipboard (3D Preview)', value: 'CLIPBOARD' },
+			{ label: 'Export Turntable (3D Preview)', value: 'TURNTABLE' },
 		],
 		menuButtonCreatures: [
 			{ label: 'Export OBJ', value: 'OBJ' },
@@ -357,14 +370,19 @@ const makeNewView = () => {
 			{ label: 'Export M2 / WMO (Raw)', value: 'RAW' },
 			{ label: 'Export PNG (3D Preview)', value: 'PNG' },
 			{ label: 'Copy to Clipboard (3D Preview)', value: 'CLIPBOARD' },
+			{ label: 'Export Turntable (3D Preview)', value: 'TURNTABLE' },
 		],
 		menuButtonCharacterExport: [
 			{ label: 'Export glTF', value: 'GLTF' },
 			{ label: 'Export GLB', value: 'GLB' },
+			{ label: 'Export FBX', value: 'FBX' },
 			{ label: 'Export OBJ (Posed)', value: 'OBJ' },
 			{ label: 'Export STL (Posed)', value: 'STL' },
 			{ label: 'Export PNG (3D Preview)', value: 'PNG' },
 			{ label: 'Copy to Clipboard (3D Preview)', value: 'CLIPBOARD' },
+			{ label: 'Export Turntable (3D Preview)', value: 'TURNTABLE' },
+			{ label: 'Copy Wowhead URL', value: 'WOWHEAD' },
+			{ label: 'Export WMV (.chr)', value: 'WMV' },
 		],
 		menuButtonVideos: [
 			{ label: 'Export MP4 (Video + Audio)', value: 'MP4' },
@@ -375,7 +393,10 @@ const makeNewView = () => {
 		menuButtonData: [
 			{ label: 'Export as CSV', value: 'CSV' },
 			{ label: 'Export as SQL', value: 'SQL' },
-			{ label: 'Export DB2 (Raw)', value: 'DB2' }
+			{ label: 'Export as JSON', value: 'JSON' },
+			{ label: 'Export as SQLite', value: 'SQLITE' },
+			{ label: 'Export DB2 (Raw)', value: 'DB2' },
+			{ label: 'Export DB2 (Edited)', value: 'DB2_EDITED' }
 		],
 		helpArticles: [],
 		helpFilteredArticles: [],
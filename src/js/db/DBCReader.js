@@ -66,6 +66,9 @@ class DBCReader {
 		this.schema = new Map();
 		this.is_loaded = false;
 
+		// false when no table definition matched and raw field names are used
+		this.has_definition = false;
+
 		this.rows = null;
 		this.data = null;
 		this.string_block = null;
@@ -143,6 +146,53 @@ class DBCReader {
 		return rows;
 	}
 
+	/**
+	 * Returns the strings of every locale for the locstring fields of all rows,
+	 * keyed the same way as getAllRows(). Rows only hold the first non-empty locale.
+	 * @returns {Map<number, object>}
+	 */
+	getAllLocaleStrings() {
+		if (!this.is_loaded)
+			throw new Error('Attempted to read a data table rows before table was loaded.');
+
+		const out = new Map();
+		for (let i = 0; i < this.record_count; i++) {
+			this.data.seek(20 + (i * this.record_size));
+
+			const locstrings = {};
+			let id = i;
+
+			for (const [name, field_info] of this.schema.entries()) {
+				const array_length = field_info.array_length ?? -1;
+
+				if (field_info.is_locstring) {
+					const elements = Array(array_length > 0 ? array_length : 1);
+					for (let e = 0; e < elements.length; e++) {
+						const locale_offsets = this.data.readUInt32LE(this.locale_count);
+						const mask = this.data.readUInt32LE();
+
+						// restore position after reading strings
+						const pos = this.data.offset;
+						elements[e] = { strings: locale_offsets.map(offset => this._read_string(offset)), mask };
+						this.data.seek(pos);
+					}
+
+					locstrings[name] = elements;
+				} else if (array_length > -1) {
+					this._read_field_array(field_info.type, array_length);
+				} else {
+					const value = this._read_field(field_info.type);
+					if (name === 'ID')
+						id = value;
+				}
+			}
+
+			out.set(id, locstrings);
+		}
+
+		return out;
+	}
+
 	/**
 	 * Preload all rows into memory cache.
 	 */
@@ -213,6 +263,8 @@ class DBCReader {
 	 * @param {DBDEntry} structure
 	 */
 	_build_schema_from_dbd(structure) {
+		this.has_definition = true;
+
 		for (const field of structure.fields) {
 			const field_type = convert_dbd_to_schema_type(field);
 
@@ -231,6 +283,8 @@ class DBCReader {
 	 * Builds a fallback schema when no DBD is available.
 	 */
 	_build_fallback_schema() {
+		this.has_definition = false;
+
 		for (let i = 0; i < this.field_count; i++) {
 			const name = i === 0 ? 'ID' : `field_${i}`;
 			this.schema.set(name, { type: FieldType.UInt32 });
@@ -357,8 +411,9 @@ class DBCReader {
 					}
 				}
 
-				// restore position after reading string
-				const next_offset = record_offset + ((field_index + locstring_field_count) * 4);
+				// restore position after reading string, skipping any further array elements
+				const element_count = array_length > 0 ? array_length : 1;
+				const next_offset = record_offset + ((field_index + locstring_field_count * element_count) * 4);
 				this.data.seek(next_offset);
 
 				if (array_length > -1) {
@@ -368,7 +423,7 @@ class DBCReader {
 					out[name] = value;
 				}
 
-				field_index += locstring_field_count;
+				field_index += locstring_field_count * element_count;
 			} else if (array_length > -1) {
 				out[name] = this._read_field_array(field_type, array_length);
 				field_index += array_length;
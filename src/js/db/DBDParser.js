@@ -8,7 +8,7 @@
  * Pattern to match column definitions in a DBD document.
  * @type {RegExp}
  */
-const PATTERN_COLUMN = /^(int|float|locstring|string)(<[^:]+::[^>]+>)?\s([^\s]+)/;
+const PATTERN_COLUMN = /^(int|float|locstring|string)(<([^:]+)::([^>]+)>)?\s([^\s]+)/;
 
 /**
  * Pattern to match build identifiers in a DBD document.
@@ -109,6 +109,7 @@ class DBDField {
 		this.isRelation = false;
 		this.arrayLength = -1;
 		this.size = -1;
+		this.foreignKey = null;
 	}
 }
 
@@ -185,6 +186,7 @@ class DBDParser {
 	constructor(data) {
 		this.entries = new Set();
 		this.columns = new Map();
+		this.foreignKeys = new Map();
 
 		this.parse(data);
 	}
@@ -280,6 +282,7 @@ class DBDParser {
 						throw new Error('Invalid DBD: No field type defined for ' + fieldName);
 
 					const field = new DBDField(fieldName, fieldType);
+					field.foreignKey = this.foreignKeys.get(fieldName) ?? null;
 
 					// Parse annotations, (eg 'id,noninline,relation').
 					if (fieldMatch[2] !== undefined) {
@@ -335,10 +338,11 @@ class DBDParser {
 			const match = entry.match(PATTERN_COLUMN);
 			if (match !== null) {
 				const columnType = match[1]; // int|float|locstring|string
-				//const columnForeignKey = match[2]; // <TableName::ColumnName> or undefined
-				const columnName = match[3].replace('?', ''); // Field_6_0_1_18179_000?
+				const columnName = match[5].replace('?', ''); // Field_6_0_1_18179_000?
 
-				// TODO: Support foreign key support.
+				// <TableName::ColumnName> or undefined
+				if (match[2] !== undefined)
+					this.foreignKeys.set(columnName, { table: match[3], column: match[4] });
 
 				this.columns.set(columnName, columnType);
 			}
@@ -0,0 +1,139 @@
+/*!
+	wow.export (https://github.com/Kruithne/wow.export)
+	Authors: Kruithne <kruithne@gmail.com>
+	License: MIT
+ */
+const log = require('../log');
+const WDCReader = require('./WDCReader');
+
+const STATUS_ADDED = 'added';
+const STATUS_REMOVED = 'removed';
+const STATUS_CHANGED = 'changed';
+
+/**
+ * Normalize a field value for comparison and display.
+ * @param {*} value
+ * @returns {*}
+ */
+const normalize_value = (value) => {
+	if (typeof value === 'bigint')
+		return Number(value);
+
+	if (Array.isArray(value))
+		return value.map(normalize_value);
+
+	return value ?? null;
+};
+
+/**
+ * Check if two normalized field values are equal.
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+const values_equal = (a, b) => {
+	if (Array.isArray(a) || Array.isArray(b)) {
+		if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length)
+			return false;
+
+		return a.every((value, index) => values_equal(value, b[index]));
+	}
+
+	// NaN is stored in some float columns and should compare as unchanged.
+	if (typeof a === 'number' && typeof b === 'number' && isNaN(a) && isNaN(b))
+		return true;
+
+	return a === b;
+};
+
+/**
+ * Load a table from the given CASC source.
+ * @param {string} table_name
+ * @param {CASC} casc
+ * @returns {WDCReader}
+ */
+const load_table = async (table_name, casc) => {
+	const reader = new WDCReader('DBFilesClient/' + table_name + '.db2', casc);
+	await reader.parse();
+	return reader;
+};
+
+/**
+ * Compare a table between two builds.
+ *
+ * Each build is read with its own table definition, so fields which only exist in
+ * one build are included and reported as added or removed fields.
+ *
+ * @param {string} table_name
+ * @param {CASC} old_casc
+ * @param {CASC} new_casc
+ * @returns {object} { headers, addedFields, removedFields, rows, counts }
+ */
+const diff_table = async (table_name, old_casc, new_casc) => {
+	const old_reader = await load_table(table_name, old_casc);
+	const new_reader = await load_table(table_name, new_casc);
+
+	const new_fields = [...new_reader.schema.keys()];
+	const old_fields = [...old_reader.schema.keys()];
+
+	const added_fields = new_fields.filter(field => !old_reader.schema.has(field));
+	const removed_fields = old_fields.filter(field => !new_reader.schema.has(field));
+	const headers = [...new_fields, ...removed_fields];
+
+	const old_rows = await old_reader.getAllRows();
+	const new_rows = await new_reader.getAllRows();
+
+	const ids = new Set([...old_rows.keys(), ...new_rows.keys()]);
+	const sorted_ids = [...ids].sort((a, b) => a - b);
+
+	const rows = [];
+	const counts = { added: 0, removed: 0, changed: 0, unchanged: 0 };
+
+	for (const id of sorted_ids) {
+		const old_row = old_rows.get(id);
+		const new_row = new_rows.get(id);
+
+		if (old_row === undefined) {
+			rows.push({ id, status: STATUS_ADDED, values: headers.map(field => normalize_value(new_row[field])), changes: [] });
+			counts.added++;
+			continue;
+		}
+
+		if (new_row === undefined) {
+			rows.push({ id, status: STATUS_REMOVED, values: headers.map(field => normalize_value(old_row[field])), changes: [] });
+			counts.removed++;
+			continue;
+		}
+
+		// Fields added or removed between builds are not counted as row changes.
+		const values = [];
+		const changes = [];
+		for (let i = 0; i < headers.length; i++) {
+			const field = headers[i];
+			const in_old = old_reader.schema.has(field);
+			const in_new = new_reader.schema.has(field);
+
+			const old_value = normalize_value(old_row[field]);
+			const new_value = normalize_value(new_row[field]);
+
+			values.push(in_new ? new_value : old_value);
+
+			if (in_old && in_new && !values_equal(old_value, new_value))
+				changes.push({ index: i, field, old: old_value, new: new_value });
+		}
+
+		if (changes.length > 0) {
+			rows.push({ id, status: STATUS_CHANGED, values, changes });
+			counts.changed++;
+		} else {
+			counts.unchanged++;
+		}
+	}
+
+	log.write('Compared %s between %s and %s: %d added, %d removed, %d changed', table_name,
+		old_casc.getBuildName(), new_casc.getBuildName(), counts.added, counts.removed, counts.changed);
+
+	return { headers, addedFields: added_fields, removedFields: removed_fields, rows, counts };
+};
+
+module.exports = { diff_table, STATUS_ADDED, STATUS_REMOVED, STATUS_CHANGED };
@@ -0,0 +1,266 @@
+/*!
+	wow.export (https://github.com/Kruithne/wow.export)
+	Authors: Kruithne <kruithne@gmail.com>
+	License: MIT
+ */
+const util = require('util');
+const FieldType = require('./FieldType');
+
+const INTEGER_RANGES = new Map([
+	[FieldType.Int8, [-0x80n, 0x7Fn]],
+	[FieldType.UInt8, [0n, 0xFFn]],
+	[FieldType.Int16, [-0x8000n, 0x7FFFn]],
+	[FieldType.UInt16, [0n, 0xFFFFn]],
+	[FieldType.Int32, [-0x80000000n, 0x7FFFFFFFn]],
+	[FieldType.UInt32, [0n, 0xFFFFFFFFn]],
+	[FieldType.Relation, [0n, 0xFFFFFFFFn]],
+	[FieldType.NonInlineID, [0n, 0xFFFFFFFFn]],
+	[FieldType.Int64, [-0x8000000000000000n, 0x7FFFFFFFFFFFFFFFn]],
+	[FieldType.UInt64, [0n, 0xFFFFFFFFFFFFFFFFn]]
+]);
+
+const PATTERN_INTEGER = /^-?(?:0x[0-9a-f]+|\d+)$/i;
+
+/**
+ * Parse a single value for a column.
+ * 64-bit values which do not fit in a number are kept as strings.
+ * @param {string} text
+ * @param {object} column { name, type, count }
+ * @returns {*}
+ */
+const parse_scalar = (text, column) => {
+	if (column.type === FieldType.String)
+		return text;
+
+	const trimmed = text.trim();
+	if (column.type === FieldType.Float) {
+		const value = Number(trimmed);
+		if (trimmed.length === 0 || (isNaN(value) && trimmed.toLowerCase() !== 'nan'))
+			throw new Error(util.format('%s must be a number', column.name));
+
+		return value;
+	}
+
+	if (!PATTERN_INTEGER.test(trimmed))
+		throw new Error(util.format('%s must be an integer', column.name));
+
+	const negative = trimmed.startsWith('-');
+	const value = negative ? -BigInt(trimmed.substring(1)) : BigInt(trimmed);
+
+	const [min, max] = INTEGER_RANGES.get(column.type) ?? INTEGER_RANGES.get(FieldType.UInt32);
+	if (value < min || value > max)
+		throw new Error(util.format('%s must be between %s and %s', column.name, min.toString(), max.toString()));
+
+	const number = Number(value);
+	return Number.isSafeInteger(number) ? number : value.toString();
+};
+
+/**
+ * Parse the text of an edited cell for a column.
+ * Array values are given as comma-separated values.
+ * @param {string} text
+ * @param {object} column { name, type, count }
+ * @returns {*}
+ */
+const parse_value = (text, column) => {
+	if (column.count > 0) {
+		const parts = String(text).split(',');
+		if (parts.length !== column.count)
+			throw new Error(util.format('%s expects %d comma-separated values', column.name, column.count));
+
+		return parts.map(part => parse_scalar(column.type === FieldType.String ? part.trim() : part, column));
+	}
+
+	return parse_scalar(String(text), column);
+};
+
+/**
+ * Returns the value stored in a table row for a parsed value.
+ * Columns with the flatten flag display arrays as a single string.
+ * @param {object} column
+ * @param {*} value
+ * @returns {*}
+ */
+const to_cell_value = (column, value) => {
+	if (column.flatten && Array.isArray(value))
+		return value.join(', ');
+
+	return value;
+};
+
+/**
+ * Returns the default value of a column for newly added rows.
+ * @param {object} column
+ * @returns {*}
+ */
+const get_default_value = (column) => {
+	const value = column.type === FieldType.String ? '' : 0;
+	return to_cell_value(column, column.count > 0 ? new Array(column.count).fill(value) : value);
+};
+
+/**
+ * Convert a table row into an object keyed by column name, suitable for writing.
+ * @param {Array<object>} columns
+ * @param {Array} row
+ * @returns {object}
+ */
+const to_row_object = (columns, row) => {
+	const out = {};
+	for (let i = 0; i < columns.length; i++) {
+		const column = columns[i];
+		const value = row[i];
+
+		if (column.flatten && column.count > 0 && !Array.isArray(value))
+			out[column.name] = parse_value(value, column);
+		else
+			out[column.name] = value;
+	}
+
+	return out;
+};
+
+/**
+ * Apply an edit to a single cell of a row.
+ * @param {Array<object>} columns
+ * @param {Array} row
+ * @param {number} index
+ * @param {string} text
+ * @returns {boolean} True if the value of the cell changed.
+ */
+const apply_edit = (columns, row, index, text) => {
+	const value = to_cell_value(columns[index], parse_value(text, columns[index]));
+	if (JSON.stringify(value) === JSON.stringify(row[index]))
+		return false;
+
+	row[index] = value;
+	return true;
+};
+
+/**
+ * Parse CSV text into rows of fields. The delimiter is detected from the
+ * header line, as exported tables use semicolons.
+ * @param {string} text
+ * @returns {Array<Array<string>>}
+ */
+const parse_csv = (text) => {
+	text = text.replace(/^\uFEFF/, '');
+
+	const header_end = text.search(/\r?\n/);
+	const header_line = header_end === -1 ? text : text.substring(0, header_end);
+	const delimiter = header_line.includes(';') ? ';' : ',';
+
+	const rows = [];
+	let row = [];
+	let field = '';
+	let quoted = false;
+
+	for (let i = 0; i < text.length; i++) {
+		const char = text[i];
+
+		if (quoted) {
+			if (char === '"') {
+				if (text[i + 1] === '"') {
+					field += '"';
+					i++;
+				} else {
+					quoted = false;
+				}
+			} else {
+				field += char;
+			}
+		} else if (char === '"') {
+			quoted = true;
+		} else if (char === delimiter) {
+			row.push(field);
+			field = '';
+		} else if (char === '\n' || char === '\r') {
+			if (char === '\r' && text[i + 1] === '\n')
+				i++;
+
+			row.push(field);
+			rows.push(row);
+			row = [];
+			field = '';
+		} else {
+			field += char;
+		}
+	}
+
+	if (field.length > 0 || row.length > 0) {
+		row.push(field);
+		rows.push(row);
+	}
+
+	return rows.filter(fields => fields.length > 1 || fields[0] !== '');
+};
+
+/**
+ * Merge rows from CSV text into a table. Rows are matched on the ID column,
+ * which must be the first column of the table. Rows with an unknown ID are added.
+ * @param {Array<object>} columns
+ * @param {Array<Array>} rows Table rows, modified in place.
+ * @param {string} text
+ * @returns {object} { changed: Array of changed or added IDs, added: number }
+ */
+const import_csv = (columns, rows, text) => {
+	const [csv_headers, ...csv_rows] = parse_csv(text);
+	if (csv_headers === undefined)
+		throw new Error('CSV file is empty');
+
+	// csv column index -> table column index
+	const column_map = csv_headers.map(header => columns.findIndex(column => column.name.toLowerCase() === header.trim().toLowerCase()));
+	const id_column = column_map.indexOf(0);
+	if (columns[0]?.name.toUpperCase() !== 'ID' || id_column === -1)
+		throw new Error('CSV file has no ID column');
+
+	// parse every line before changing the table, so an invalid file leaves it untouched
+	const updates = csv_rows.map((fields, line) => {
+		try {
+			const id = parse_value(fields[id_column] ?? '', columns[0]);
+			const values = [];
+			for (let i = 0; i < fields.length; i++) {
+				const index = column_map[i];
+				if (index > 0)
+					values.push([index, parse_value(fields[i], columns[index])]);
+			}
+
+			return { id, values };
+		} catch (e) {
+			throw new Error(util.format('Line %d: %s', line + 2, e.message));
+		}
+	});
+
+	const row_lookup = new Map(rows.map(row => [Number(row[0]), row]));
+	const changed = [];
+	let added = 0;
+
+	for (const { id, values } of updates) {
+		let row = row_lookup.get(Number(id));
+		let is_changed = false;
+
+		if (row === undefined) {
+			row = columns.map(get_default_value);
+			row[0] = id;
+			rows.push(row);
+			row_lookup.set(Number(id), row);
+
+			is_changed = true;
+			added++;
+		}
+
+		for (const [index, value] of values) {
+			const cell_value = to_cell_value(columns[index], value);
+			if (JSON.stringify(cell_value) !== JSON.stringify(row[index])) {
+				row[index] = cell_value;
+				is_changed = true;
+			}
+		}
+
+		if (is_changed)
+			changed.push(row[0]);
+	}
+
+	return { changed, added };
+};
+
+module.exports = { parse_value, to_row_object, apply_edit, parse_csv, import_csv };
@@ -0,0 +1,145 @@
+/*!
+	wow.export (https://github.com/Kruithne/wow.export)
+	Authors: Kruithne <kruithne@gmail.com>
+	License: MIT
+ */
+const path = require('path');
+const fsp = require('fs').promises;
+const log = require('../log');
+const BufferWrapper = require('../buffer');
+const LocaleFlag = require('../casc/locale-flags').flags;
+const HotfixReader = require('./HotfixReader');
+
+// CASC source the hotfix cache was located for, and the pending lookup of its path.
+let loaded_casc = null;
+let path_promise = null;
+
+// Modification stamp of the loaded hotfix cache, and the pending load of its reader.
+let loaded_stamp = null;
+let load_promise = null;
+
+/**
+ * Find the flavor directory (e.g. _retail_) of a local install for the loaded product.
+ * @param {CASCLocal} casc
+ * @returns {?string}
+ */
+const find_flavor_dir = async (casc) => {
+	const entries = await fsp.readdir(casc.dir, { withFileTypes: true });
+	for (const entry of entries) {
+		if (!entry.isDirectory() || !entry.name.startsWith('_') || !entry.name.endsWith('_'))
+			continue;
+
+		try {
+			const flavor_info = await fsp.readFile(path.join(casc.dir, entry.name, '.flavor.info'), 'utf8');
+			if (flavor_info.trim().split('\n').pop()?.trim() === casc.build.Product)
+				return path.join(casc.dir, entry.name);
+		} catch {
+			continue;
+		}
+	}
+
+	return null;
+};
+
+/**
+ * Locate DBCache.bin for a CASC source.
+ * Returns NULL if the source is not a local client.
+ * @param {CASC} casc
+ * @returns {?string}
+ */
+const find_cache_path = async (casc) => {
+	// Hotfix caches only exist alongside a local client.
+	if (casc.dir === undefined || casc.build?.Product === undefined)
+		return null;
+
+	const flavor_dir = await find_flavor_dir(casc);
+	if (flavor_dir === null) {
+		log.write('No client directory found for %s, hotfixes unavailable', casc.build.Product);
+		return null;
+	}
+
+	const locale = Object.keys(LocaleFlag).find(key => LocaleFlag[key] === casc.locale) ?? 'enUS';
+	return path.join(flavor_dir, 'Cache', 'ADB', locale, 'DBCache.bin');
+};
+
+/**
+ * Get a stamp which changes whenever a file is rewritten, or NULL if it does not exist.
+ * @param {string} file
+ * @returns {?string}
+ */
+const get_file_stamp = async (file) => {
+	try {
+		const stats = await fsp.stat(file);
+		return stats.mtimeMs + ':' + stats.size;
+	} catch {
+		return null;
+	}
+};
+
+/**
+ * Parse DBCache.bin for a CASC source.
+ * Returns NULL if the source has no usable hotfix cache.
+ * @param {CASC} casc
+ * @param {string} cache_path
+ * @returns {?HotfixReader}
+ */
+const load_reader = async (casc, cache_path) => {
+	let data;
+	try {
+		data = await BufferWrapper.readFile(cache_path);
+	} catch {
+		log.write('No hotfix cache found at %s', cache_path);
+		return null;
+	}
+
+	const reader = new HotfixReader(data);
+	const entry_count = reader.parse();
+
+	// Hotfix records are written against the table layouts of the build that received them.
+	const build_number = parseInt(casc.getBuildName().split('.').pop());
+	if (reader.build !== build_number) {
+		log.write('Ignoring hotfix cache %s for build %d (loaded build is %d)', cache_path, reader.build, build_number);
+		return null;
+	}
+
+	log.write('Loaded %d hotfix entries for %d tables from %s', entry_count, reader.tables.size, cache_path);
+	return reader;
+};
+
+/**
+ * Get the hotfixes for a table from the hotfix cache of the given source.
+ * Returns NULL if the table has no hotfixes or no hotfix cache is available.
+ * @param {CASC} casc
+ * @param {number} table_hash
+ * @returns {?Map<number, object>} recordID -> { pushID, isDeleted, data }
+ */
+const get_table_hotfixes = async (casc, table_hash) => {
+	if (loaded_casc !== casc) {
+		loaded_casc = casc;
+		loaded_stamp = null;
+		load_promise = null;
+		path_promise = find_cache_path(casc).catch(e => {
+			log.write('Failed to locate hotfix cache: %s', e.message);
+			return null;
+		});
+	}
+
+	const cache_path = await path_promise;
+	if (cache_path === null)
+		return null;
+
+	// The client rewrites the cache while running, so it is reloaded whenever it changes.
+	const stamp = await get_file_stamp(cache_path);
+	if (load_promise === null || stamp !== loaded_stamp) {
+		loaded_stamp = stamp;
+		load_promise = load_reader(casc, cache_path).catch(e => {
+			log.write('Failed to load hotfix cache: %s', e.message);
+			return null;
+		});
+	}
+
+	const reader = await load_promise;
+	return reader?.getTable(table_hash) ?? null;
+};
+
+module.exports = { get_table_hotfixes };
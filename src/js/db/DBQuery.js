@@ -0,0 +1,528 @@
+/*!
+	wow.export (https://github.com/Kruithne/wow.export)
+	Authors: Kruithne <kruithne@gmail.com>
+	License: MIT
+ */
+
+/*
+	Query syntax, evaluated against rows of the data table:
+
+	EffectType = 6 AND BasePoints > 100
+	ID BETWEEN 100 AND 200 OR Name LIKE '%sword%'
+	DisplayID IN (1, 2, 3) AND NOT Flags & 0x4
+	ModelID[2] != 0 ORDER BY ID DESC LIMIT 50
+
+	Array columns match when any element matches, or can be indexed with [n].
+*/
+
+const KEYWORDS = new Set(['AND', 'OR', 'NOT', 'IN', 'BETWEEN', 'LIKE', 'IS', 'NULL', 'TRUE', 'FALSE', 'ORDER', 'BY', 'ASC', 'DESC', 'LIMIT']);
+const COMPARISON_OPERATORS = new Set(['=', '==', '!=', '<>', '<', '<=', '>', '>=']);
+
+const PATTERN_WHITESPACE = /\s+/y;
+const PATTERN_NUMBER = /-?(?:0x[0-9a-f]+|\d+(?:\.\d+)?(?:e[+-]?\d+)?)/iy;
+const PATTERN_IDENTIFIER = /[a-z_][\w.]*/iy;
+const PATTERN_QUOTED_IDENTIFIER = /`([^`]+)`/y;
+const PATTERN_STRING = /'((?:[^']|'')*)'|"((?:[^"]|"")*)"/y;
+const PATTERN_OPERATOR = /==|!=|<>|<=|>=|[=<>&|^+\-*/%(),[\]~]/y;
+
+class QueryError extends Error {
+	constructor(message) {
+		super(message);
+		this.name = 'QueryError';
+	}
+}
+
+/**
+ * Split a query into tokens.
+ * @param {string} query
+ * @returns {Array<object>}
+ */
+const tokenize = (query) => {
+	const tokens = [];
+	let offset = 0;
+
+	const match = (pattern) => {
+		pattern.lastIndex = offset;
+		const result = pattern.exec(query);
+		if (result !== null)
+			offset = pattern.lastIndex;
+
+		return result;
+	};
+
+	while (offset < query.length) {
+		if (match(PATTERN_WHITESPACE))
+			continue;
+
+		let result;
+		const previous = tokens[tokens.length - 1];
+
+		// A leading minus is only part of a number when it can't be a subtraction.
+		const allow_negative = !previous || previous.type === 'keyword' || (previous.type === 'operator' && previous.value !== ')' && previous.value !== ']');
+		if ((allow_negative || query[offset] !== '-') && (result = match(PATTERN_NUMBER))) {
+			tokens.push({ type: 'number', value: Number(result[0]) });
+		} else if ((result = match(PATTERN_STRING))) {
+			const value = result[1] !== undefined ? result[1].replace(/''/g, '\'') : result[2].replace(/""/g, '"');
+			tokens.push({ type: 'string', value });
+		} else if ((result = match(PATTERN_QUOTED_IDENTIFIER))) {
+			tokens.push({ type: 'identifier', value: result[1] });
+		} else if ((result = match(PATTERN_IDENTIFIER))) {
+			const upper = result[0].toUpperCase();
+			if (KEYWORDS.has(upper))
+				tokens.push({ type: 'keyword', value: upper });
+			else
+				tokens.push({ type: 'identifier', value: result[0] });
+		} else if ((result = match(PATTERN_OPERATOR))) {
+			tokens.push({ type: 'operator', value: result[0] });
+		} else {
+			throw new QueryError('Unexpected character "' + query[offset] + '" at position ' + (offset + 1));
+		}
+	}
+
+	return tokens;
+};
+
+/**
+ * Convert a value to a BigInt for bitwise operations.
+ * @param {*} value
+ * @returns {bigint}
+ */
+const to_bigint = (value) => BigInt(Math.trunc(Number(value)) || 0);
+
+/**
+ * Compare two values, numerically where both are numeric.
+ * @param {*} a
+ * @param {*} b
+ * @returns {number}
+ */
+const compare_values = (a, b) => {
+	if (typeof a === 'number' && typeof b === 'number')
+		return a - b;
+
+	const a_num = Number(a);
+	const b_num = Number(b);
+	if (a !== '' && b !== '' && !isNaN(a_num) && !isNaN(b_num))
+		return a_num - b_num;
+
+	return String(a).localeCompare(String(b));
+};
+
+/**
+ * Check if a value is considered true by a query.
+ * @param {*} value
+ * @returns {boolean}
+ */
+const is_truthy = (value) => {
+	if (Array.isArray(value))
+		return value.some(is_truthy);
+
+	return value !== null && value !== undefined && value !== 0 && value !== '' && value !== false;
+};
+
+/**
+ * Test a value against a predicate, matching any element of arrays.
+ * @param {*} value
+ * @param {function} predicate
+ * @returns {boolean}
+ */
+const match_any = (value, predicate) => Array.isArray(value) ? value.some(predicate) : predicate(value);
+
+/**
+ * Convert a SQL LIKE pattern to a regular expression.
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+const like_to_regex = (pattern) => {
+	const source = String(pattern).replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*').replace(/_/g, '.');
+	return new RegExp('^' + source + '$', 'is');
+};
+
+const ARITHMETIC = {
+	'+': (a, b) => Number(a) + Number(b),
+	'-': (a, b) => Number(a) - Number(b),
+	'*': (a, b) => Number(a) * Number(b),
+	'/': (a, b) => Number(a) / Number(b),
+	'%': (a, b) => Number(a) % Number(b),
+	'&': (a, b) => Number(to_bigint(a) & to_bigint(b)),
+	'|': (a, b) => Number(to_bigint(a) | to_bigint(b)),
+	'^': (a, b) => Number(to_bigint(a) ^ to_bigint(b))
+};
+
+const COMPARISON = {
+	'=': (a, b) => compare_values(a, b) === 0,
+	'==': (a, b) => compare_values(a, b) === 0,
+	'!=': (a, b) => compare_values(a, b) !== 0,
+	'<>': (a, b) => compare_values(a, b) !== 0,
+	'<': (a, b) => compare_values(a, b) < 0,
+	'<=': (a, b) => compare_values(a, b) <= 0,
+	'>': (a, b) => compare_values(a, b) > 0,
+	'>=': (a, b) => compare_values(a, b) >= 0
+};
+
+/**
+ * Apply a binary operator, spreading over array operands.
+ * @param {function} fn
+ * @param {*} a
+ * @param {*} b
+ * @returns {*}
+ */
+const apply_binary = (fn, a, b) => {
+	if (Array.isArray(a))
+		return a.map(v => apply_binary(fn, v, b));
+
+	if (Array.isArray(b))
+		return b.map(v => apply_binary(fn, a, v));
+
+	if (a === null || a === undefined || b === null || b === undefined)
+		return null;
+
+	return fn(a, b);
+};
+
+/**
+ * Compile a query into a row predicate and ordering.
+ * @param {string} query
+ * @param {Array<string>} headers
+ * @returns {object} { test: function(row): boolean, order: Array<{ index, desc }>, limit: ?number }
+ */
+const compile = (query, headers) => {
+	const tokens = tokenize(query);
+	const columns = new Map(headers.map((header, index) => [header.toLowerCase(), index]));
+	const groups = new Map();
+	let position = 0;
+
+	const peek = () => tokens[position];
+	const next = () => tokens[position++];
+
+	const is = (type, value) => {
+		const token = peek();
+		return token !== undefined && token.type === type && (value === undefined || token.value === value);
+	};
+
+	const accept = (type, value) => {
+		if (is(type, value)) {
+			position++;
+			return true;
+		}
+
+		return false;
+	};
+
+	const expect = (type, value) => {
+		if (!accept(type, value)) {
+			const token = peek();
+			throw new QueryError('Expected ' + (value ?? type) + (token ? ' but found "' + token.value + '"' : ' at end of query'));
+		}
+	};
+
+	const resolve_column = (name) => {
+		const index = columns.get(name.toLowerCase());
+		if (index === undefined)
+			throw new QueryError('Unknown column: ' + name);
+
+		return index;
+	};
+
+	const parse_primary = () => {
+		const token = next();
+		if (token === undefined)
+			throw new QueryError('Unexpected end of query');
+
+		if (token.type === 'number' || token.type === 'string') {
+			const value = token.value;
+			return () => value;
+		}
+
+		if (token.type === 'keyword') {
+			if (token.value === 'NULL')
+				return () => null;
+
+			if (token.value === 'TRUE')
+				return () => 1;
+
+			if (token.value === 'FALSE')
+				return () => 0;
+		}
+
+		if (token.type === 'identifier') {
+			const index = resolve_column(token.value);
+
+			if (accept('operator', '[')) {
+				const element = next();
+				if (element?.type !== 'number' || !Number.isInteger(element.value))
+					throw new QueryError('Expected array index after ' + token.value + '[');
+
+				expect('operator', ']');
+				const element_index = element.value;
+				return row => Array.isArray(row[index]) ? row[index][element_index] ?? null : null;
+			}
+
+			return row => row[index];
+		}
+
+		if (token.type === 'operator') {
+			if (token.value === '(') {
+				// Groups are memoised by position, otherwise the operand attempt below
+				// re-parses every nested group and nesting costs exponential time.
+				const start = position;
+				let group = groups.get(start);
+				if (group === undefined) {
+					try {
+						group = { node: parse_group(), end: position };
+					} catch (e) {
+						if (!(e instanceof QueryError))
+							throw e;
+
+						group = { error: e };
+					}
+
+					groups.set(start, group);
+				}
+
+				if (group.error)
+					throw group.error;
+
+				position = group.end;
+				return group.node;
+			}
+
+			if (token.value === '~') {
+				const operand = parse_primary();
+				return row => apply_binary((a) => Number(~to_bigint(a) & 0xFFFFFFFFn), operand(row), 0);
+			}
+
+			if (token.value === '-') {
+				const operand = parse_primary();
+				return row => apply_binary(a => -Number(a), operand(row), 0);
+			}
+		}
+
+		throw new QueryError('Unexpected "' + token.value + '"');
+	};
+
+	// Parses the contents of a group after its opening parenthesis. A parenthesised
+	// value such as "(Flags & 4) = 4" is read as an operand, anything else such as
+	// "(a OR b) AND c" is a boolean group.
+	const parse_group = () => {
+		const start = position;
+		try {
+			const inner = parse_bitwise();
+			if (accept('operator', ')'))
+				return inner;
+		} catch (e) {
+			if (!(e instanceof QueryError))
+				throw e;
+		}
+
+		position = start;
+		const inner = parse_or();
+		expect('operator', ')');
+		return inner;
+	};
+
+	const parse_binary = (operators, parse_operand) => () => {
+		let left = parse_operand();
+		while (is('operator') && operators.includes(peek().value)) {
+			const fn = ARITHMETIC[next().value];
+			const lhs = left;
+			const rhs = parse_operand();
+			left = row => apply_binary(fn, lhs(row), rhs(row));
+		}
+
+		return left;
+	};
+
+	const parse_multiplicative = parse_binary(['*', '/', '%'], parse_primary);
+	const parse_additive = parse_binary(['+', '-'], parse_multiplicative);
+	const parse_bitwise = parse_binary(['&', '|', '^'], parse_additive);
+
+	const parse_value_list = () => {
+		expect('operator', '(');
+		const values = [];
+		do {
+			values.push(parse_bitwise());
+		} while (accept('operator', ','));
+		expect('operator', ')');
+		return values;
+	};
+
+	const parse_comparison = () => {
+		const left = parse_bitwise();
+
+		if (is('operator') && COMPARISON_OPERATORS.has(peek().value)) {
+			const fn = COMPARISON[next().value];
+			const right = parse_bitwise();
+
+			return row => {
+				const rhs = right(row);
+				if (rhs === null)
+					return false;
+
+				return match_any(left(row), v => v !== null && v !== undefined && fn(v, rhs));
+			};
+		}
+
+		if (accept('keyword', 'IS')) {
+			const negate = accept('keyword', 'NOT');
+			expect('keyword', 'NULL');
+			return row => {
+				const value = left(row);
+				return (value === null || value === undefined) !== negate;
+			};
+		}
+
+		const negate = accept('keyword', 'NOT');
+
+		if (accept('keyword', 'BETWEEN')) {
+			const low = parse_bitwise();
+			expect('keyword', 'AND');
+			const high = parse_bitwise();
+
+			return row => {
+				const lo = low(row);
+				const hi = high(row);
+				return match_any(left(row), v => v !== null && compare_values(v, lo) >= 0 && compare_values(v, hi) <= 0) !== negate;
+			};
+		}
+
+		if (accept('keyword', 'IN')) {
+			const values = parse_value_list();
+			return row => {
+				const list = values.map(value => value(row));
+				return match_any(left(row), v => list.some(entry => compare_values(v, entry) === 0)) !== negate;
+			};
+		}
+
+		if (accept('keyword', 'LIKE')) {
+			const pattern = parse_bitwise();
+			let cached_source = null;
+			let cached_regex = null;
+
+			return row => {
+				const source = pattern(row);
+				if (source !== cached_source) {
+					cached_source = source;
+					cached_regex = like_to_regex(source);
+				}
+
+				return match_any(left(row), v => v !== null && cached_regex.test(String(v))) !== negate;
+			};
+		}
+
+		if (negate)
+			throw new QueryError('Expected BETWEEN, IN or LIKE after NOT');
+
+		// A bare operand such as "Flags & 0x4" tests for a non-zero value.
+		return row => is_truthy(left(row));
+	};
+
+	const parse_not = () => {
+		if (accept('keyword', 'NOT')) {
+			const operand = parse_not();
+			return row => !operand(row);
+		}
+
+		return parse_comparison();
+	};
+
+	const parse_and = () => {
+		let left = parse_not();
+		while (accept('keyword', 'AND')) {
+			const lhs = left;
+			const rhs = parse_not();
+			left = row => lhs(row) && rhs(row);
+		}
+
+		return left;
+	};
+
+	const parse_or = () => {
+		let left = parse_and();
+		while (accept('keyword', 'OR')) {
+			const lhs = left;
+			const rhs = parse_and();
+			left = row => lhs(row) || rhs(row);
+		}
+
+		return left;
+	};
+
+	let test = () => true;
+	if (!is('keyword', 'ORDER') && !is('keyword', 'LIMIT') && peek() !== undefined) {
+		const predicate = parse_or();
+		test = row => !!predicate(row);
+	}
+
+	const order = [];
+	if (accept('keyword', 'ORDER')) {
+		expect('keyword', 'BY');
+		do {
+			const token = next();
+			if (token?.type !== 'identifier')
+				throw new QueryError('Expected column name after ORDER BY');
+
+			const index = resolve_column(token.value);
+			const desc = accept('keyword', 'DESC');
+			if (!desc)
+				accept('keyword', 'ASC');
+
+			order.push({ index, desc });
+		} while (accept('operator', ','));
+	}
+
+	let limit = null;
+	if (accept('keyword', 'LIMIT')) {
+		const token = next();
+		if (token?.type !== 'number' || !Number.isInteger(token.value) || token.value < 0)
+			throw new QueryError('Expected a row count after LIMIT');
+
+		limit = token.value;
+	}
+
+	if (peek() !== undefined)
+		throw new QueryError('Unexpected "' + peek().value + '"');
+
+	return { test, order, limit };
+};
+
+/**
+ * Run a compiled query over a set of rows.
+ * @param {object} compiled Result of compile().
+ * @param {Array<Array>} rows
+ * @returns {Array<Array>}
+ */
+const execute = (compiled, rows) => {
+	let result = rows.filter(compiled.test);
+
+	if (compiled.order.length > 0) {
+		result.sort((a, b) => {
+			for (const { index, desc } of compiled.order) {
+				const a_value = a[index];
+				const b_value = b[index];
+
+				if (a_value == null && b_value == null)
+					continue;
+
+				let diff;
+				if (a_value == null)
+					diff = -1;
+				else if (b_value == null)
+					diff = 1;
+				else
+					diff = compare_values(a_value, b_value);
+
+				if (diff !== 0)
+					return desc ? -diff : diff;
+			}
+
+			return 0;
+		});
+	}
+
+	if (compiled.limit !== null)
+		result = result.slice(0, compiled.limit);
+
+	return result;
+};
+
+module.exports = { compile, execute, QueryError };
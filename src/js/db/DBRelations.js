@@ -0,0 +1,394 @@
+/*!
+	wow.export (https://github.com/Kruithne/wow.export)
+	Authors: Kruithne <kruithne@gmail.com>
+	License: MIT
+ */
+const util = require('util');
+const core = require('../core');
+const log = require('../log');
+const generics = require('../generics');
+const constants = require('../constants');
+const WDCReader = require('./WDCReader');
+const DBDParser = require('./DBDParser');
+
+// Prefix used to list saved join views alongside tables.
+const VIEW_PREFIX = '[view] ';
+
+// Pattern for valid join view names, which are also used as export file names.
+const PATTERN_VIEW_NAME = /^[\w\- ]+$/;
+
+// Maximum number of referencing rows reported per column.
+const MAX_REFERENCE_ROWS = 100;
+
+// Maximum number of parsed tables kept for reference searches and join views.
+const MAX_CACHED_TABLES = 4;
+
+// lower-case target table -> [{ table, column, target_column }]
+const references = new Map();
+const indexed_tables = new Set();
+
+// table name -> Promise<{ reader, rows }>, least recently used first
+const table_cache = new Map();
+let table_cache_source = null;
+
+/**
+ * Coerce BigInt values to numbers, matching the data table display.
+ * @param {*} value
+ * @returns {*}
+ */
+const coerce_value = (value) => {
+	if (typeof value === 'bigint')
+		return Number(value);
+
+	if (Array.isArray(value))
+		return value.map(v => typeof v === 'bigint' ? Number(v) : v);
+
+	return value;
+};
+
+/**
+ * Check if two field values are equal, comparing numerically.
+ * @param {*} field
+ * @param {number} value
+ * @returns {boolean}
+ */
+const field_matches = (field, value) => {
+	if (Array.isArray(field))
+		return field.some(v => Number(v) === value);
+
+	return field !== undefined && field !== null && Number(field) === value;
+};
+
+/**
+ * Add the foreign keys of a table to the reverse reference index.
+ * @param {string} table_name
+ * @param {Map} foreign_keys Map of column name to { table, column }.
+ */
+const index_foreign_keys = (table_name, foreign_keys) => {
+	if (indexed_tables.has(table_name))
+		return;
+
+	indexed_tables.add(table_name);
+
+	for (const [column, foreign_key] of foreign_keys) {
+		const key = foreign_key.table.toLowerCase();
+		let entries = references.get(key);
+		if (!entries) {
+			entries = [];
+			references.set(key, entries);
+		}
+
+		entries.push({ table: table_name, column, target_column: foreign_key.column });
+	}
+};
+
+/**
+ * Load the DBD definition for a table from the cache, optionally downloading it.
+ * @param {string} table_name
+ * @param {boolean} allow_download
+ * @returns {?DBDParser}
+ */
+const load_definition = async (table_name, allow_download) => {
+	const casc = core.view.casc;
+	const dbd_name = table_name + '.dbd';
+
+	let raw_dbd = await casc.cache.getFile(dbd_name, constants.CACHE.DIR_DBD);
+	if (raw_dbd === null) {
+		if (!allow_download)
+			return null;
+
+		const dbd_url = util.format(core.view.config.dbdURL, table_name);
+		const dbd_url_fallback = util.format(core.view.config.dbdFallbackURL, table_name);
+
+		raw_dbd = await generics.downloadFile([dbd_url, dbd_url_fallback]);
+		await casc.cache.storeFile(dbd_name, raw_dbd, constants.CACHE.DIR_DBD);
+	}
+
+	return new DBDParser(raw_dbd);
+};
+
+/**
+ * Index the foreign keys of the given tables from their DBD definitions.
+ * Returns the number of tables which could not be indexed.
+ * @param {Array<string>} table_names
+ * @param {boolean} [allow_download=false] Download definitions which are not cached.
+ * @param {function} [on_progress] Invoked with the table name before each download.
+ * @returns {number}
+ */
+const index_definitions = async (table_names, allow_download = false, on_progress = null) => {
+	let missing = 0;
+
+	for (const table_name of table_names) {
+		if (indexed_tables.has(table_name))
+			continue;
+
+		try {
+			if (allow_download && on_progress !== null)
+				await on_progress(table_name);
+
+			const parser = await load_definition(table_name, allow_download);
+			if (parser === null) {
+				missing++;
+				continue;
+			}
+
+			index_foreign_keys(table_name, parser.foreignKeys);
+		} catch (e) {
+			missing++;
+			log.write('Unable to index definition for %s: %s', table_name, e.message);
+		}
+	}
+
+	return missing;
+};
+
+/**
+ * Get all known columns in other tables which reference the given table.
+ * @param {string} table_name
+ * @returns {Array<object>} Array of { table, column, target_column }
+ */
+const get_referencing_columns = (table_name) => {
+	return references.get(table_name.toLowerCase()) ?? [];
+};
+
+/**
+ * Parse a table and read all of its rows. Unlike the shared db2 cache, only the
+ * most recently used tables are kept, and only for the current source and hotfix setting.
+ * @param {string} table_name
+ * @returns {Promise<object>} { reader, rows }
+ */
+const read_table = async (table_name) => {
+	const casc = core.view.casc;
+	const apply_hotfixes = core.view.config.applyHotfixes;
+
+	if (table_cache_source?.casc !== casc || table_cache_source?.apply_hotfixes !== apply_hotfixes) {
+		table_cache.clear();
+		table_cache_source = { casc, apply_hotfixes };
+	}
+
+	let entry = table_cache.get(table_name);
+	if (entry !== undefined) {
+		table_cache.delete(table_name);
+	} else {
+		entry = (async () => {
+			const reader = new WDCReader('DBFilesClient/' + table_name + '.db2');
+			await reader.parse();
+			return { reader, rows: await reader.getAllRows() };
+		})();
+
+		// failed reads are not kept, so the table can be retried
+		entry.catch(() => {
+			if (table_cache.get(table_name) === entry)
+				table_cache.delete(table_name);
+		});
+
+		if (table_cache.size >= MAX_CACHED_TABLES)
+			table_cache.delete(table_cache.keys().next().value);
+	}
+
+	table_cache.set(table_name, entry);
+	return entry;
+};
+
+/**
+ * Find rows in other tables which reference the given row.
+ * @param {string} table_name
+ * @param {object} row Row object keyed by column name.
+ * @returns {Array<object>} Array of { table, column, ids, total }
+ */
+const find_referencing_rows = async (table_name, row) => {
+	const results = [];
+
+	for (const ref of get_referencing_columns(table_name)) {
+		const value = Number(row[ref.target_column]);
+
+		// Zero is used throughout the client data to mean "no reference".
+		if (isNaN(value) || value === 0)
+			continue;
+
+		try {
+			const ids = [];
+			let total = 0;
+
+			const { rows } = await read_table(ref.table);
+			for (const [id, source_row] of rows) {
+				if (!field_matches(source_row[ref.column], value))
+					continue;
+
+				if (total++ < MAX_REFERENCE_ROWS)
+					ids.push(id);
+			}
+
+			if (total > 0)
+				results.push({ table: ref.table, column: ref.column, ids, total });
+		} catch (e) {
+			log.write('Unable to search %s for references to %s: %s', ref.table, table_name, e.message);
+		}
+	}
+
+	return results;
+};
+
+/**
+ * Returns true if the given list item refers to a join view.
+ * @param {string} item
+ * @returns {boolean}
+ */
+const is_view_item = (item) => item.startsWith(VIEW_PREFIX);
+
+/**
+ * Get the list item for a join view name.
+ * @param {string} name
+ * @returns {string}
+ */
+const get_view_item = (name) => VIEW_PREFIX + name;
+
+/**
+ * Get a saved join view by list item.
+ * @param {string} item
+ * @returns {?object}
+ */
+const get_view = (item) => {
+	const name = item.substring(VIEW_PREFIX.length);
+	return core.view.config.dataJoinViews.find(view => view.name === name) ?? null;
+};
+
+/**
+ * Parse a join view definition such as "ItemModifiedAppearance.ItemAppearanceID > ItemAppearance.ItemDisplayInfoID > ItemDisplayInfo".
+ * Each step joins the named column to the key column of the next table.
+ * @param {string} definition
+ * @returns {Array<object>} Array of { table, column }
+ */
+const parse_view_definition = (definition) => {
+	const parts = definition.split(/-?>/).map(part => part.trim()).filter(part => part.length > 0);
+	if (parts.length < 2)
+		throw new Error('A join view needs at least two tables');
+
+	return parts.map((part, index) => {
+		const [table, column, ...rest] = part.split('.');
+		const is_last = index === parts.length - 1;
+
+		if (!table || rest.length > 0 || (!is_last && !column))
+			throw new Error('Invalid join step: ' + part);
+
+		return { table, column: is_last ? null : column };
+	});
+};
+
+/**
+ * Validate and save a join view, replacing any existing view with the same name.
+ * @param {string} name
+ * @param {string} definition
+ */
+const save_view = (name, definition) => {
+	name = name.trim();
+	if (!PATTERN_VIEW_NAME.test(name))
+		throw new Error('View names may only contain letters, numbers, spaces, dashes and underscores');
+
+	parse_view_definition(definition);
+
+	const views = core.view.config.dataJoinViews;
+	const existing = views.findIndex(view => view.name === name);
+	const view = { name, definition: definition.trim() };
+
+	if (existing > -1)
+		views.splice(existing, 1, view);
+	else
+		views.push(view);
+};
+
+/**
+ * Delete a saved join view.
+ * @param {string} name
+ */
+const delete_view = (name) => {
+	const views = core.view.config.dataJoinViews;
+	const index = views.findIndex(view => view.name === name);
+	if (index > -1)
+		views.splice(index, 1);
+};
+
+/**
+ * Build the rows for a join view.
+ * Every row of the first table is kept, with joined columns left empty when no match is found.
+ * @param {object} view
+ * @returns {object} { headers, rows, schema, foreignKeys }
+ */
+const build_view = async (view) => {
+	const steps = parse_view_definition(view.definition);
+	const tables = [];
+
+	for (const step of steps) {
+		const { reader, rows } = await read_table(step.table);
+		tables.push({ ...step, reader, rows, fields: [...reader.schema.keys()] });
+	}
+
+	const headers = [];
+	const schema = new Map();
+	const foreign_keys = new Map();
+
+	for (const table of tables) {
+		for (const field of table.fields) {
+			const header = table.table + '.' + field;
+			headers.push(header);
+			schema.set(header, table.reader.schema.get(field));
+
+			const foreign_key = table.reader.foreignKeys.get(field);
+			if (foreign_key)
+				foreign_keys.set(header, foreign_key);
+		}
+	}
+
+	// Resolve the key column each step joins against, indexing non-ID columns.
+	for (let i = 1; i < tables.length; i++) {
+		const source = tables[i - 1];
+		const table = tables[i];
+		const key = source.reader.foreignKeys.get(source.column)?.column ?? 'ID';
+
+		if (key.toUpperCase() !== 'ID') {
+			table.index = new Map();
+			for (const row of table.rows.values()) {
+				const value = Number(row[key]);
+				if (!table.index.has(value))
+					table.index.set(value, row);
+			}
+		}
+	}
+
+	const rows = [];
+	for (const base_row of tables[0].rows.values()) {
+		const values = [];
+		let row = base_row;
+
+		for (let i = 0; i < tables.length; i++) {
+			const table = tables[i];
+
+			if (i > 0 && row !== null) {
+				const value = Number(row[tables[i - 1].column]);
+				row = (table.index ?? table.rows).get(value) ?? null;
+			}
+
+			for (const field of table.fields)
+				values.push(row !== null ? coerce_value(row[field]) ?? null : null);
+		}
+
+		rows.push(values);
+	}
+
+	log.write('Built join view %s with %d rows across %d tables', view.name, rows.length, tables.length);
+	return { headers, rows, schema, foreignKeys: foreign_keys };
+};
+
+module.exports = {
+	index_foreign_keys,
+	index_definitions,
+	get_referencing_columns,
+	find_referencing_rows,
+	is_view_item,
+	get_view_item,
+	get_view,
+	parse_view_definition,
+	save_view,
+	delete_view,
+	build_view
+};
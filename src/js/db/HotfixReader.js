@@ -0,0 +1,163 @@
+/*!
+	wow.export (https://github.com/Kruithne/wow.export)
+	Authors: Kruithne <kruithne@gmail.com>
+	License: MIT
+ */
+const FieldType = require('./FieldType');
+
+const MAGIC_XFTH = 0x48544658;
+
+const HotfixStatus = {
+	Valid: 1,
+	Deleted: 2,
+	Invalidated: 3,
+	NotPublic: 4
+};
+
+/**
+ * Reader for the client hotfix cache (Cache/ADB/<locale>/DBCache.bin).
+ *
+ * Entries are grouped by the table hash found in the header of the DB2 file
+ * they apply to. When a record is hotfixed more than once, the entry with
+ * the highest push ID is kept.
+ */
+class HotfixReader {
+	/**
+	 * Construct a new HotfixReader instance.
+	 * @param {BufferWrapper} data
+	 */
+	constructor(data) {
+		this.data = data;
+
+		this.version = 0;
+		this.build = 0;
+
+		// tableHash -> Map(recordID -> { pushID, isDeleted, data })
+		this.tables = new Map();
+	}
+
+	/**
+	 * Parse the hotfix cache.
+	 */
+	parse() {
+		const data = this.data;
+
+		if (data.readUInt32LE() !== MAGIC_XFTH)
+			throw new Error('Invalid DBCache magic');
+
+		this.version = data.readUInt32LE();
+		this.build = data.readUInt32LE();
+
+		if (this.version < 7 || this.version > 9)
+			throw new Error('Unsupported DBCache version ' + this.version);
+
+		data.move(32); // verification hash
+
+		let entryCount = 0;
+		while (data.remainingBytes > 0) {
+			if (data.readUInt32LE() !== MAGIC_XFTH)
+				throw new Error('Invalid DBCache entry magic at offset ' + (data.offset - 4));
+
+			if (this.version >= 9)
+				data.move(4); // regionID
+
+			const pushID = data.readInt32LE();
+
+			if (this.version >= 8)
+				data.move(4); // uniqueID
+
+			const tableHash = data.readUInt32LE();
+			const recordID = data.readUInt32LE();
+			const dataSize = data.readUInt32LE();
+
+			// Version 7 stores an is-valid flag, later versions store a status.
+			let status = data.readUInt8();
+			if (this.version === 7)
+				status = status === 1 ? HotfixStatus.Valid : HotfixStatus.Deleted;
+
+			data.move(3); // padding
+
+			const recordData = data.readBuffer(dataSize);
+			entryCount++;
+
+			if (status !== HotfixStatus.Valid && status !== HotfixStatus.Deleted)
+				continue;
+
+			let table = this.tables.get(tableHash);
+			if (table === undefined) {
+				table = new Map();
+				this.tables.set(tableHash, table);
+			}
+
+			const existing = table.get(recordID);
+			if (existing === undefined || pushID >= existing.pushID)
+				table.set(recordID, { pushID, isDeleted: status === HotfixStatus.Deleted, data: recordData });
+		}
+
+		return entryCount;
+	}
+
+	/**
+	 * Get the hotfixes for a table.
+	 * Returns NULL if the table has no hotfixes.
+	 * @param {number} tableHash
+	 * @returns {?Map<number, object>}
+	 */
+	getTable(tableHash) {
+		return this.tables.get(tableHash) ?? null;
+	}
+
+	/**
+	 * Read a hotfixed record using a table schema.
+	 * Hotfix records are stored uncompressed with inline strings.
+	 * @param {BufferWrapper} data
+	 * @param {Map} schema
+	 * @param {number} recordID
+	 * @returns {object}
+	 */
+	static readRecord(data, schema, recordID) {
+		data.seek(0);
+
+		const out = {};
+		for (const [prop, type] of schema.entries()) {
+			if (type === FieldType.NonInlineID) {
+				out[prop] = recordID;
+				continue;
+			}
+
+			let count;
+			let fieldType = type;
+			if (Array.isArray(type))
+				[fieldType, count] = type;
+
+			switch (fieldType) {
+				case FieldType.String:
+					if (count > 0) {
+						out[prop] = new Array(count);
+						for (let i = 0; i < count; i++)
+							out[prop][i] = data.readNullTerminatedString();
+					} else {
+						out[prop] = data.readNullTerminatedString();
+					}
+					break;
+
+				case FieldType.Int8: out[prop] = data.readInt8(count); break;
+				case FieldType.UInt8: out[prop] = data.readUInt8(count); break;
+				case FieldType.Int16: out[prop] = data.readInt16LE(count); break;
+				case FieldType.UInt16: out[prop] = data.readUInt16LE(count); break;
+				case FieldType.Int32: out[prop] = data.readInt32LE(count); break;
+				case FieldType.UInt32: case FieldType.Relation: out[prop] = data.readUInt32LE(count); break;
+				case FieldType.Int64: out[prop] = data.readInt64LE(count); break;
+				case FieldType.UInt64: out[prop] = data.readUInt64LE(count); break;
+				case FieldType.Float: out[prop] = data.readFloatLE(count); break;
+			}
+		}
+
+		if (data.remainingBytes > 0)
+			throw new Error('Hotfix record size does not match table definition');
+
+		return out;
+	}
+}
+
+module.exports = HotfixReader;
@@ -13,6 +13,8 @@ const constants = require('../constants');
 
 const ExportHelper = require('../casc/export-helper');
 const DBDParser = require('./DBDParser');
+const DBHotfixes = require('./DBHotfixes');
+const HotfixReader = require('./HotfixReader');
 
 const FieldType = require('./FieldType');
 const CompressionType = require('./CompressionType');
@@ -67,13 +69,16 @@ class WDCReader {
 	/**
 	 * Construct a new WDCReader instance.
 	 * @param {string} fileName
+	 * @param {CASC} [casc=null] Source to read from, defaults to the active source.
 	 */
-	constructor(fileName) {
+	constructor(fileName, casc = null) {
 		this.fileName = fileName;
+		this.casc = casc;
 
 		this.copyTable = new Map();
 
 		this.schema = new Map();
+		this.foreignKeys = new Map();
 
 		this.isLoaded = false;
 		this.idField = null;
@@ -81,6 +86,9 @@ class WDCReader {
 
 		this.relationshipLookup = new Map();
 
+		// recordID -> hotfixed row, or null if the row was deleted by a hotfix
+		this.hotfixes = new Map();
+
 		// preloaded rows cache (null = not preloaded)
 		this.rows = null;
 
@@ -98,6 +106,14 @@ class WDCReader {
 		this.minID = 0;
 		this.maxID = 0;
 		this.totalRecordCount = 0;
+		this.tableHash = 0;
+
+		// header and definition information, retained for writing tables back out
+		this.structure = null;
+		this.layoutHash = null;
+		this.locale = 0;
+		this.schemaVersion = 0;
+		this.schemaString = null;
 	}
 
 	/**
@@ -118,6 +134,10 @@ class WDCReader {
 
 		recordID = parseInt(recordID);
 
+		const hotfix = this.hotfixes.get(recordID);
+		if (hotfix !== undefined)
+			return hotfix !== null ? Object.assign({}, hotfix) : null;
+
 		// check copy table first
 		const copyID = this.copyTable.get(recordID);
 		if (copyID !== undefined) {
@@ -189,6 +209,14 @@ class WDCReader {
 			}
 		}
 
+		// apply hotfixes
+		for (const [recordID, hotfix] of this.hotfixes) {
+			if (hotfix === null)
+				rows.delete(recordID);
+			else
+				rows.set(recordID, Object.assign({}, hotfix));
+		}
+
 		return rows;
 	}
 
@@ -225,7 +253,9 @@ class WDCReader {
 
 		const results = [];
 		for (const recordID of recordIDs) {
-			const row = this._readRecord(recordID);
+			// hotfixed rows are shared by the reader, so callers get a copy as with getRow()
+			const hotfix = this.hotfixes.get(recordID);
+			const row = hotfix !== undefined ? (hotfix !== null ? Object.assign({}, hotfix) : null) : this._readRecord(recordID);
 			if (row !== null)
 				results.push(row);
 		}
@@ -238,7 +268,7 @@ class WDCReader {
 	 * @param {string} layoutHash
 	 */
 	async loadSchema(layoutHash) {
-		const casc = core.view.casc;
+		const casc = this.casc ?? core.view.casc;
 		const buildID = casc.getBuildName();
 
 		const tableName = ExportHelper.replaceExtension(path.basename(this.fileName));
@@ -273,6 +303,7 @@ class WDCReader {
 		if (structure === null)
 			throw new Error('No table definition available for ' + tableName);
 
+		this.structure = structure;
 		this.buildSchemaFromDBDStructure(structure);
 	}
 
@@ -287,6 +318,9 @@ class WDCReader {
 				this.schema.set(field.name, [fieldType, field.arrayLength]);
 			else
 				this.schema.set(field.name, fieldType);
+
+			if (field.foreignKey !== null)
+				this.foreignKeys.set(field.name, field.foreignKey);
 		}
 	}
 
@@ -303,7 +337,7 @@ class WDCReader {
 	async parse() {
 		log.write('Loading DB file %s from CASC', this.fileName);
 
-		const data = await core.view.casc.getVirtualFileByName(this.fileName, false);
+		const data = await (this.casc ?? core.view.casc).getVirtualFileByName(this.fileName, false);
 		this.data = data;
 
 		// store reference for lazy-loading
@@ -319,10 +353,10 @@ class WDCReader {
 		const wdcVersion = format.wdcVersion;
 		log.write('Processing DB file %s as %s', this.fileName, format.name);
 
-		// Skip over WDC5 specific information for now
+		// WDC5 specific information
 		if (wdcVersion === 5) {
-			data.readUInt32LE(); // Schema version?
-			data.readUInt8(128); // Schema build string
+			this.schemaVersion = data.readUInt32LE();
+			this.schemaString = data.readBuffer(128, false);
 		}
 
 		// wdc_db2_header
@@ -330,11 +364,12 @@ class WDCReader {
 		data.move(4); // fieldCount
 		this.recordSize = data.readUInt32LE();
 		data.move(4); // stringTableSize
-		data.move(4); // tableHash
+		this.tableHash = data.readUInt32LE();
 		const layoutHash = data.readUInt8(4).reverse().map(e => e.toString(16).padStart(2, '0')).join('').toUpperCase();
+		this.layoutHash = layoutHash;
 		this.minID = data.readUInt32LE();
 		this.maxID = data.readUInt32LE();
-		data.move(4); // locale
+		this.locale = data.readInt32LE();
 		this.flags = data.readUInt16LE();
 		const idIndex = data.readUInt16LE();
 		this.idFieldIndex = idIndex;
@@ -559,10 +594,51 @@ class WDCReader {
 			this.totalRecordCount += header.recordCount;
 		}
 
+		await this.loadHotfixes();
+
 		log.write('Parsed %s with %d rows', this.fileName, this.size);
 		this.isLoaded = true;
 	}
 
+	/**
+	 * Load hotfixes for this table from the client hotfix cache.
+	 * Hotfixes are only applied to tables read from the active source.
+	 */
+	async loadHotfixes() {
+		if (this.casc !== null || !core.view.config.applyHotfixes)
+			return;
+
+		const hotfixes = await DBHotfixes.get_table_hotfixes(core.view.casc, this.tableHash);
+		if (hotfixes === null)
+			return;
+
+		let failed = 0;
+		for (const [recordID, entry] of hotfixes) {
+			if (entry.isDeleted) {
+				this.hotfixes.set(recordID, null);
+				continue;
+			}
+
+			try {
+				this.hotfixes.set(recordID, HotfixReader.readRecord(entry.data, this.schema, recordID));
+			} catch {
+				failed++;
+			}
+		}
+
+		log.write('Applied %d hotfixes to %s (%d could not be read)', this.hotfixes.size, this.fileName, failed);
+	}
+
+	/**
+	 * Check if a row has been replaced by a hotfix.
+	 * @param {number} recordID
+	 * @returns {boolean}
+	 */
+	isHotfixed(recordID) {
+		const hotfix = this.hotfixes.get(recordID);
+		return hotfix !== undefined && hotfix !== null;
+	}
+
 	/**
 	 * Lazy-read string from string table by offset
 	 * @param {number} stringTableIndex
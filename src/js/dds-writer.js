@@ -0,0 +1,131 @@
+/*!
+	wow.export (https://github.com/Kruithne/wow.export)
+	Authors: Kruithne <kruithne@gmail.com>
+	License: MIT
+ */
+const BufferWrapper = require('./buffer');
+
+const DDS_MAGIC = 0x20534444;
+const DDS_HEADER_SIZE = 124;
+const DDS_PIXELFORMAT_SIZE = 32;
+
+const DDSD_CAPS = 0x1;
+const DDSD_HEIGHT = 0x2;
+const DDSD_WIDTH = 0x4;
+const DDSD_PITCH = 0x8;
+const DDSD_PIXELFORMAT = 0x1000;
+const DDSD_MIPMAPCOUNT = 0x20000;
+const DDSD_LINEARSIZE = 0x80000;
+
+const DDPF_ALPHAPIXELS = 0x1;
+const DDPF_FOURCC = 0x4;
+const DDPF_RGB = 0x40;
+
+const DDSCAPS_COMPLEX = 0x8;
+const DDSCAPS_TEXTURE = 0x1000;
+const DDSCAPS_MIPMAP = 0x400000;
+
+// FourCC codes and block sizes for each supported format; BGRA is stored uncompressed.
+const FORMATS = {
+	DXT1: { fourCC: 0x31545844, blockBytes: 8 },
+	DXT3: { fourCC: 0x33545844, blockBytes: 16 },
+	DXT5: { fourCC: 0x35545844, blockBytes: 16 },
+	BGRA: { fourCC: 0 }
+};
+
+class DDSWriter {
+	/**
+	 * Construct a new DDSWriter instance.
+	 * @param {number} width
+	 * @param {number} height
+	 * @param {string} format DXT1, DXT3, DXT5 or BGRA.
+	 * @param {boolean} [alpha=true] Whether uncompressed data carries alpha.
+	 */
+	constructor(width, height, format, alpha = true) {
+		if (!FORMATS[format])
+			throw new Error('Unsupported DDS format: ' + format);
+
+		this.width = width;
+		this.height = height;
+		this.format = format;
+		this.alpha = alpha;
+		this.mipmaps = [];
+	}
+
+	/**
+	 * Add the next mipmap level, largest first. Data is copied verbatim.
+	 * @param {Buffer} data
+	 */
+	addMipmap(data) {
+		this.mipmaps.push(data);
+	}
+
+	/**
+	 * @returns {BufferWrapper}
+	 */
+	getBuffer() {
+		if (this.mipmaps.length === 0)
+			throw new Error('DDS requires at least one mipmap');
+
+		const format = FORMATS[this.format];
+		const isCompressed = format.fourCC !== 0;
+		const hasMipmaps = this.mipmaps.length > 1;
+
+		const dataSize = this.mipmaps.reduce((total, mipmap) => total + mipmap.byteLength, 0);
+		const buf = BufferWrapper.alloc(4 + DDS_HEADER_SIZE + dataSize, true);
+
+		let flags = DDSD_CAPS | DDSD_HEIGHT | DDSD_WIDTH | DDSD_PIXELFORMAT;
+		flags |= isCompressed ? DDSD_LINEARSIZE : DDSD_PITCH;
+		if (hasMipmaps)
+			flags |= DDSD_MIPMAPCOUNT;
+
+		const pitchOrLinearSize = isCompressed
+			? Math.max(1, Math.ceil(this.width / 4)) * Math.max(1, Math.ceil(this.height / 4)) * format.blockBytes
+			: this.width * 4;
+
+		buf.writeUInt32LE(DDS_MAGIC);
+		buf.writeUInt32LE(DDS_HEADER_SIZE);
+		buf.writeUInt32LE(flags);
+		buf.writeUInt32LE(this.height);
+		buf.writeUInt32LE(this.width);
+		buf.writeUInt32LE(pitchOrLinearSize);
+		buf.writeUInt32LE(0); // Depth
+		buf.writeUInt32LE(this.mipmaps.length);
+		buf.move(11 * 4); // Reserved
+
+		// Pixel format.
+		buf.writeUInt32LE(DDS_PIXELFORMAT_SIZE);
+		if (isCompressed) {
+			buf.writeUInt32LE(DDPF_FOURCC);
+			buf.writeUInt32LE(format.fourCC);
+			buf.move(5 * 4); // Bit count and masks are unused.
+		} else {
+			buf.writeUInt32LE(DDPF_RGB | (this.alpha ? DDPF_ALPHAPIXELS : 0));
+			buf.writeUInt32LE(0); // FourCC
+			buf.writeUInt32LE(32);
+			buf.writeUInt32LE(0x00FF0000); // R
+			buf.writeUInt32LE(0x0000FF00); // G
+			buf.writeUInt32LE(0x000000FF); // B
+			buf.writeUInt32LE(this.alpha ? 0xFF000000 : 0); // A
+		}
+
+		buf.writeUInt32LE(DDSCAPS_TEXTURE | (hasMipmaps ? DDSCAPS_COMPLEX | DDSCAPS_MIPMAP : 0));
+		buf.move(4 * 4); // Caps2, Caps3, Caps4, Reserved2
+
+		for (const mipmap of this.mipmaps)
+			buf.writeBuffer(mipmap);
+
+		buf.seek(0);
+		return buf;
+	}
+
+	/**
+	 * Write this DDS to a file.
+	 * @param {string} file
+	 */
+	async write(file) {
+		return await this.getBuffer().writeToFile(file);
+	}
+}
+
+module.exports = DDSWriter;
@@ -0,0 +1,187 @@
+/*!
+	wow.export (https://github.com/Kruithne/wow.export)
+	Authors: Kruithne <kruithne@gmail.com>
+	License: MIT
+ */
+const BufferWrapper = require('./buffer');
+
+const KTX2_IDENTIFIER = Buffer.from([0xAB, 0x4B, 0x54, 0x58, 0x20, 0x32, 0x30, 0xBB, 0x0D, 0x0A, 0x1A, 0x0A]);
+const KTX2_HEADER_SIZE = 80;
+const KTX2_LEVEL_INDEX_SIZE = 24;
+
+const KHR_DF_MODEL_RGBSDA = 1;
+const KHR_DF_MODEL_BC1A = 128;
+const KHR_DF_MODEL_BC2 = 129;
+const KHR_DF_MODEL_BC3 = 130;
+
+const KHR_DF_PRIMARIES_BT709 = 1;
+const KHR_DF_TRANSFER_SRGB = 2;
+
+const KHR_DF_CHANNEL_RED = 0;
+const KHR_DF_CHANNEL_GREEN = 1;
+const KHR_DF_CHANNEL_BLUE = 2;
+const KHR_DF_CHANNEL_COLOR = 0;
+const KHR_DF_CHANNEL_ALPHAPRESENT = 1;
+const KHR_DF_CHANNEL_ALPHA = 15;
+const KHR_DF_SAMPLE_DATATYPE_LINEAR = 0x80;
+
+// Game textures are authored in sRGB, so the sRGB variant of each Vulkan format is used.
+const FORMATS = {
+	DXT1: { vkFormat: 134, vkFormatOpaque: 132, model: KHR_DF_MODEL_BC1A, blockBytes: 8 },
+	DXT3: { vkFormat: 136, model: KHR_DF_MODEL_BC2, blockBytes: 16 },
+	DXT5: { vkFormat: 138, model: KHR_DF_MODEL_BC3, blockBytes: 16 },
+	BGRA: { vkFormat: 50, model: KHR_DF_MODEL_RGBSDA, blockBytes: 4 }
+};
+
+/**
+ * Build the samples for the basic data format descriptor of a format.
+ * @param {string} format
+ * @param {boolean} alpha
+ * @returns {Array<object>}
+ */
+const getSamples = (format, alpha) => {
+	if (format === 'DXT1')
+		return [{ offset: 0, length: 64, channel: alpha ? KHR_DF_CHANNEL_ALPHAPRESENT : KHR_DF_CHANNEL_COLOR, upper: 0xFFFFFFFF }];
+
+	if (format === 'DXT3' || format === 'DXT5') {
+		return [
+			{ offset: 0, length: 64, channel: KHR_DF_CHANNEL_ALPHA | KHR_DF_SAMPLE_DATATYPE_LINEAR, upper: 0xFFFFFFFF },
+			{ offset: 64, length: 64, channel: KHR_DF_CHANNEL_COLOR, upper: 0xFFFFFFFF }
+		];
+	}
+
+	return [
+		{ offset: 0, length: 8, channel: KHR_DF_CHANNEL_BLUE, upper: 0xFF },
+		{ offset: 8, length: 8, channel: KHR_DF_CHANNEL_GREEN, upper: 0xFF },
+		{ offset: 16, length: 8, channel: KHR_DF_CHANNEL_RED, upper: 0xFF },
+		{ offset: 24, length: 8, channel: KHR_DF_CHANNEL_ALPHA | KHR_DF_SAMPLE_DATATYPE_LINEAR, upper: 0xFF }
+	];
+};
+
+/**
+ * Round a value up to the next multiple of alignment.
+ * @param {number} value
+ * @param {number} alignment
+ * @returns {number}
+ */
+const align = (value, alignment) => Math.ceil(value / alignment) * alignment;
+
+class KTX2Writer {
+	/**
+	 * Construct a new KTX2Writer instance.
+	 * @param {number} width
+	 * @param {number} height
+	 * @param {string} format DXT1, DXT3, DXT5 or BGRA.
+	 * @param {boolean} [alpha=true] Whether DXT1 data uses 1-bit alpha.
+	 */
+	constructor(width, height, format, alpha = true) {
+		if (!FORMATS[format])
+			throw new Error('Unsupported KTX2 format: ' + format);
+
+		this.width = width;
+		this.height = height;
+		this.format = format;
+		this.alpha = alpha;
+		this.mipmaps = [];
+	}
+
+	/**
+	 * Add the next mipmap level, largest first. Data is copied verbatim.
+	 * @param {Buffer} data
+	 */
+	addMipmap(data) {
+		this.mipmaps.push(data);
+	}
+
+	/**
+	 * @returns {BufferWrapper}
+	 */
+	getBuffer() {
+		const levelCount = this.mipmaps.length;
+		if (levelCount === 0)
+			throw new Error('KTX2 requires at least one mipmap');
+
+		const format = FORMATS[this.format];
+		const isCompressed = this.format !== 'BGRA';
+		const samples = getSamples(this.format, this.alpha);
+
+		const dfdOffset = KTX2_HEADER_SIZE + levelCount * KTX2_LEVEL_INDEX_SIZE;
+		const dfdBlockSize = 24 + samples.length * 16;
+		const dfdLength = 4 + dfdBlockSize;
+
+		// Levels are stored smallest first, each aligned to the texel block size.
+		const levelOffsets = new Array(levelCount);
+		let dataEnd = dfdOffset + dfdLength;
+		for (let i = levelCount - 1; i >= 0; i--) {
+			levelOffsets[i] = align(dataEnd, format.blockBytes);
+			dataEnd = levelOffsets[i] + this.mipmaps[i].byteLength;
+		}
+
+		const buf = BufferWrapper.alloc(dataEnd, true);
+
+		buf.writeBuffer(KTX2_IDENTIFIER);
+		buf.writeUInt32LE(this.format === 'DXT1' && !this.alpha ? format.vkFormatOpaque : format.vkFormat);
+		buf.writeUInt32LE(1); // typeSize
+		buf.writeUInt32LE(this.width);
+		buf.writeUInt32LE(this.height);
+		buf.writeUInt32LE(0); // pixelDepth
+		buf.writeUInt32LE(0); // layerCount
+		buf.writeUInt32LE(1); // faceCount
+		buf.writeUInt32LE(levelCount);
+		buf.writeUInt32LE(0); // supercompressionScheme
+
+		buf.writeUInt32LE(dfdOffset);
+		buf.writeUInt32LE(dfdLength);
+		buf.writeUInt32LE(0); // kvdByteOffset
+		buf.writeUInt32LE(0); // kvdByteLength
+		buf.writeBigUInt64LE(0n); // sgdByteOffset
+		buf.writeBigUInt64LE(0n); // sgdByteLength
+
+		for (let i = 0; i < levelCount; i++) {
+			const length = BigInt(this.mipmaps[i].byteLength);
+			buf.writeBigUInt64LE(BigInt(levelOffsets[i]));
+			buf.writeBigUInt64LE(length);
+			buf.writeBigUInt64LE(length);
+		}
+
+		// Basic data format descriptor.
+		buf.writeUInt32LE(dfdLength);
+		buf.writeUInt32LE(0); // vendorId / descriptorType
+		buf.writeUInt16LE(2); // versionNumber
+		buf.writeUInt16LE(dfdBlockSize);
+		buf.writeUInt8(format.model);
+		buf.writeUInt8(KHR_DF_PRIMARIES_BT709);
+		buf.writeUInt8(KHR_DF_TRANSFER_SRGB);
+		buf.writeUInt8(0); // flags
+		buf.writeUInt32LE(isCompressed ? 0x0303 : 0); // texelBlockDimension
+		buf.writeUInt8(format.blockBytes); // bytesPlane0
+		buf.move(7);
+
+		for (const sample of samples) {
+			buf.writeUInt16LE(sample.offset);
+			buf.writeUInt8(sample.length - 1);
+			buf.writeUInt8(sample.channel);
+			buf.writeUInt32LE(0); // samplePosition
+			buf.writeUInt32LE(0); // sampleLower
+			buf.writeUInt32LE(sample.upper);
+		}
+
+		for (let i = 0; i < levelCount; i++) {
+			buf.seek(levelOffsets[i]);
+			buf.writeBuffer(this.mipmaps[i]);
+		}
+
+		buf.seek(0);
+		return buf;
+	}
+
+	/**
+	 * Write this KTX2 to a file.
+	 * @param {string} file
+	 */
+	async write(file) {
+		return await this.getBuffer().writeToFile(file);
+	}
+}
+
+module.exports = KTX2Writer;
@@ -33,6 +33,8 @@ const MODULES = {
 	tab_maps: require('./modules/tab_maps'),
 	tab_zones: require('./modules/tab_zones'),
 	tab_data: require('./modules/tab_data'),
+	tab_data_diff: require('./modules/tab_data_diff'),
+	tab_build_diff: require('./modules/tab_build_diff'),
 	tab_raw: require('./modules/tab_raw'),
 	tab_install: require('./modules/tab_install'),
 	tab_text: require('./modules/tab_text'),
@@ -2,6 +2,7 @@ const log = require('../log');
 const path = require('path');
 const fsp = require('fs').promises;
 const DBCReader = require('../db/DBCReader');
+const DBEdit = require('../db/DBEdit');
 const dataExporter = require('../ui/data-exporter');
 const InstallType = require('../install-type');
 const ExportHelper = require('../casc/export-helper');
@@ -10,6 +11,9 @@ const BufferWrapper = require('../buffer');
 let selected_file = null;
 let selected_file_path = null;
 let selected_file_schema = null;
+let selected_file_locale_count = 0;
+let selected_file_locale_strings = new Map();
+let selected_file_has_definition = false;
 let dbc_listfile = [];
 let dbc_path_map = new Map(); // table_name -> full_path
 
@@ -104,9 +108,13 @@ const load_table = async (core, table_name) => {
 		}
 
 		core.view.tableBrowserRows = parsed;
+		core.view.tableBrowserModified = new Set();
 		selected_file = table_name;
 		selected_file_path = full_path;
 		selected_file_schema = dbc_reader.schema;
+		selected_file_locale_count = dbc_reader.locale_count;
+		selected_file_locale_strings = dbc_reader.getAllLocaleStrings();
+		selected_file_has_definition = dbc_reader.has_definition;
 	} catch (e) {
 		core.setToast('error', 'Unable to open DBC file ' + table_name, { 'View Log': () => log.openRuntimeLog() }, -1);
 		log.write('Failed to open DBC file: %s', e.message);
@@ -118,6 +126,20 @@ const get_build_version = (core) => {
 	return core.view.mpq?.build_id ?? '1.12.1.5875';
 };
 
+/**
+ * Get the column descriptors of the loaded table, used to parse edited values.
+ * Array values are displayed as a single comma-separated string.
+ * @param {Array<string>} headers
+ * @returns {Array<object>}
+ */
+const get_edit_columns = (headers) => {
+	return headers.map(name => {
+		const field = selected_file_schema.get(name);
+		const count = field.is_locstring ? -1 : (field.array_length ?? -1);
+		return { name, type: field.type, count, flatten: true };
+	});
+};
+
 module.exports = {
 	register() {
 		this.registerNavButton('Data', 'database.svg', InstallType.MPQ);
@@ -135,7 +157,7 @@ module.exports = {
 				<input type="text" v-model="$core.view.userInputFilterDB2s" placeholder="Filter DBCs.." />
 			</div>
 			<div class="list-container">
-				<component ref="dataTable" :is="$components.DataTable" :headers="$core.view.tableBrowserHeaders" :rows="$core.view.tableBrowserRows" :filter="$core.view.userInputFilterDataTable" :regex="$core.view.config.regexFilters" :selection="$core.view.selectionDataTable" :copyheader="$core.view.config.dataCopyHeader" :tablename="$core.view.selectionDB2s[0]" @update:filter="$core.view.userInputFilterDataTable = $event" @update:selection="$core.view.selectionDataTable = $event" @contextmenu="handle_context_menu" @copy="copy_rows_csv"></component>
+				<component ref="dataTable" :is="$components.DataTable" :headers="$core.view.tableBrowserHeaders" :rows="$core.view.tableBrowserRows" :filter="$core.view.userInputFilterDataTable" :regex="$core.view.config.regexFilters" :selection="$core.view.selectionDataTable" :copyheader="$core.view.config.dataCopyHeader" :tablename="$core.view.selectionDB2s[0]" :rowclass="get_row_class" :editable="$core.view.config.dataEditMode && selected_file_loaded" @edit="edit_cell" @update:filter="$core.view.userInputFilterDataTable = $event" @update:selection="$core.view.selectionDataTable = $event" @contextmenu="handle_context_menu" @copy="copy_rows_csv"></component>
 				<component :is="$components.ContextMenu" :node="$core.view.contextMenus.nodeDataTable" v-slot:default="context" @close="$core.view.contextMenus.nodeDataTable = null">
 					<span @click.self="copy_rows_csv">Copy {{ context.node.selectedCount }} row{{ context.node.selectedCount !== 1 ? 's' : '' }} as CSV</span>
 					<span @click.self="copy_rows_sql">Copy {{ context.node.selectedCount }} row{{ context.node.selectedCount !== 1 ? 's' : '' }} as SQL</span>
@@ -155,12 +177,17 @@ module.exports = {
 					<input type="checkbox" v-model="$core.view.config.dataExportAll"/>
 					<span>Export all rows</span>
 				</label>
+				<label class="ui-checkbox" title="Double-click cells to edit them, edited tables can be exported with Export DBC (Edited)">
+					<input type="checkbox" v-model="$core.view.config.dataEditMode"/>
+					<span>Edit Mode<template v-if="$core.view.tableBrowserModified?.size > 0"> ({{ $core.view.tableBrowserModified.size }})</template></span>
+				</label>
 			</div>
 			<div id="tab-data-tray">
 				<div class="filter">
 					<div class="regex-info" v-if="$core.view.config.regexFilters" :title="$core.view.regexTooltip">Regex Enabled</div>
 					<input type="text" id="data-table-filter-input" v-model="$core.view.userInputFilterDataTable" placeholder="Filter data table rows..." />
 				</div>
+				<input type="button" value="Import CSV" v-if="$core.view.config.dataEditMode" :class="{ disabled: $core.view.isBusy || !selected_file_loaded }" title="Update rows from a CSV file, matched by ID" @click="import_csv"/>
 				<component :is="$components.MenuButton" :options="menuButtonDataLegacy" :default="$core.view.config.exportDataFormat" @change="$core.view.config.exportDataFormat = $event" class="upward" :disabled="$core.view.isBusy || !$core.view.tableBrowserHeaders || $core.view.tableBrowserHeaders.length === 0" @click="export_data"></component>
 			</div>
 		</div>
@@ -169,15 +196,67 @@ module.exports = {
 	data() {
 		return {
 			dbcListfile: [],
+			selected_file_loaded: selected_file !== null,
 			menuButtonDataLegacy: [
 				{ label: 'Export as CSV', value: 'CSV' },
 				{ label: 'Export as SQL', value: 'SQL' },
-				{ label: 'Export DBC (Raw)', value: 'DBC' }
+				{ label: 'Export DBC (Raw)', value: 'DBC' },
+				{ label: 'Export DBC (Edited)', value: 'DBC_EDITED' }
 			]
 		};
 	},
 
 	methods: {
+		get_row_class(row) {
+			return this.$core.view.tableBrowserModified?.has(row[0]) ? 'modified' : null;
+		},
+
+		edit_cell(event) {
+			if (event.index === 0) {
+				this.$core.setToast('info', 'Row IDs cannot be edited, import a CSV file to add rows.', null, 3000);
+				return;
+			}
+
+			try {
+				const columns = get_edit_columns(this.$core.view.tableBrowserHeaders);
+				if (DBEdit.apply_edit(columns, event.row, event.index, event.value))
+					this.$core.view.tableBrowserModified.add(event.row[0]);
+			} catch (e) {
+				this.$core.setToast('error', 'Invalid value: ' + e.message, null, 4000);
+			}
+		},
+
+		import_csv() {
+			if (this.$core.view.isBusy || !this.selected_file_loaded)
+				return;
+
+			const file_input = document.createElement('input');
+			file_input.setAttribute('accept', '.csv');
+			file_input.type = 'file';
+
+			file_input.onchange = async () => {
+				const file_path = file_input.value;
+				if (!file_path)
+					return;
+
+				try {
+					const text = await fsp.readFile(file_path, 'utf8');
+					const columns = get_edit_columns(this.$core.view.tableBrowserHeaders);
+					const result = DBEdit.import_csv(columns, this.$core.view.tableBrowserRows, text);
+
+					for (const id of result.changed)
+						this.$core.view.tableBrowserModified.add(id);
+
+					this.$core.setToast('success', `Imported ${result.changed.length} changed rows (${result.added} added) from CSV.`, null, 4000);
+				} catch (e) {
+					log.write('Failed to import CSV %s: %s', file_path, e.message);
+					this.$core.setToast('error', 'Unable to import CSV: ' + e.message, null, -1);
+				}
+			};
+
+			file_input.click();
+		},
+
 		handle_context_menu(data) {
 			this.$core.view.contextMenus.nodeDataTable = data;
 		},
@@ -228,6 +307,8 @@ module.exports = {
 				await this.export_sql();
 			else if (format === 'DBC')
 				await this.export_dbc();
+			else if (format === 'DBC_EDITED')
+				await this.export_dbc_edited();
 		},
 
 		async export_csv() {
@@ -298,6 +379,24 @@ module.exports = {
 			}
 
 			await dataExporter.exportRawDBC(selected_file, selected_file_path, this.$core.view.mpq);
+		},
+
+		async export_dbc_edited() {
+			if (!selected_file || !selected_file_schema) {
+				this.$core.setToast('info', 'No DBC file selected to export.');
+				return;
+			}
+
+			// without a definition, string fields are unknown and their offsets cannot be rebuilt
+			if (!selected_file_has_definition) {
+				this.$core.setToast('info', 'No table definition is available for ' + selected_file + ', it cannot be exported as an edited DBC.');
+				return;
+			}
+
+			const columns = get_edit_columns(this.$core.view.tableBrowserHeaders);
+			const rows = this.$core.view.tableBrowserRows.map(row => DBEdit.to_row_object(columns, row));
+
+			await dataExporter.exportEditedDBC(selected_file, selected_file_schema, selected_file_locale_count, selected_file_locale_strings, rows);
 		}
 	},
 
@@ -318,8 +417,10 @@ module.exports = {
 
 		this.$core.view.$watch('selectionDB2s', async selection => {
 			const first = selection[0];
-			if (!this.$core.view.isBusy && first && selected_file !== first)
+			if (!this.$core.view.isBusy && first && selected_file !== first) {
 				await load_table(this.$core, first);
+				this.selected_file_loaded = selected_file !== null;
+			}
 		});
 	}
 };
@@ -70,6 +70,65 @@ module.exports = {
 					<span>Enable</span>
 				</label>
 			</div>
+			<div>
+				<h1>Animation Export Range</h1>
+				<p>Start and end time (in milliseconds) applied to every exported animation. Leave the end at 0 to export up to the end of each animation.</p>
+				<p>Start <input type="number" min="0" v-model.number="$core.view.configEdit.modelsExportAnimStart"/> End <input type="number" min="0" v-model.number="$core.view.configEdit.modelsExportAnimEnd"/></p>
+			</div>
+			<div>
+				<h1>Animation Frame Rate</h1>
+				<p>Resample exported animations to a fixed frame rate. Native keeps the original keyframes.</p>
+				<ul class="ui-multi-button">
+					<li :class="{ selected: $core.view.configEdit.modelsExportAnimFrameRate == 0 }" @click.stop="$core.view.configEdit.modelsExportAnimFrameRate = 0">Native</li>
+					<li :class="{ selected: $core.view.configEdit.modelsExportAnimFrameRate == 30 }" @click.stop="$core.view.configEdit.modelsExportAnimFrameRate = 30">30 FPS</li>
+					<li :class="{ selected: $core.view.configEdit.modelsExportAnimFrameRate == 60 }" @click.stop="$core.view.configEdit.modelsExportAnimFrameRate = 60">60 FPS</li>
+				</ul>
+			</div>
+			<div>
+				<h1>Bake Global Sequences</h1>
+				<p>If enabled, looping global sequences (such as idle effects) are baked into the keyframes of every exported animation.</p>
+				<label class="ui-checkbox">
+					<input type="checkbox" v-model="$core.view.configEdit.modelsExportAnimBakeGlobalSequences"/>
+					<span>Enable</span>
+				</label>
+			</div>
+			<div>
+				<h1>Animation Key Reduction</h1>
+				<p>Remove animation keys which differ from their interpolated neighbours by no more than this tolerance. Leave at 0 to keep every key.</p>
+				<input type="number" min="0" step="0.0001" v-model.number="$core.view.configEdit.modelsExportAnimKeyTolerance"/>
+			</div>
+			<div>
+				<h1>Turntable Output</h1>
+				<p>Output of the "Export Turntable" option: numbered PNG images, a single sprite sheet with a JSON atlas, or an animated WebP.</p>
+				<ul class="ui-multi-button">
+					<li :class="{ selected: $core.view.configEdit.modelsTurntableOutput == 'PNG' }" @click.stop="$core.view.configEdit.modelsTurntableOutput = 'PNG'">PNG Sequence</li>
+					<li :class="{ selected: $core.view.configEdit.modelsTurntableOutput == 'SPRITESHEET' }" @click.stop="$core.view.configEdit.modelsTurntableOutput = 'SPRITESHEET'">Sprite Sheet</li>
+					<li :class="{ selected: $core.view.configEdit.modelsTurntableOutput == 'WEBP' }" @click.stop="$core.view.configEdit.modelsTurntableOutput = 'WEBP'">Animated WebP</li>
+				</ul>
+			</div>
+			<div>
+				<h1>Turntable Angles and Frames</h1>
+				<p>Number of evenly spaced angles rendered around the model, and the number of animation frames sampled at each angle while an animation is playing.</p>
+				<p>Angles <input type="number" min="1" v-model.number="$core.view.configEdit.modelsTurntableAngles"/> Frames <input type="number" min="1" v-model.number="$core.view.configEdit.modelsTurntableFrames"/></p>
+			</div>
+			<div>
+				<h1>Turntable Resolution</h1>
+				<p>Size in pixels of each rendered frame, independent of the size of the preview window.</p>
+				<p>Width <input type="number" min="1" max="4096" v-model.number="$core.view.configEdit.modelsTurntableWidth"/> Height <input type="number" min="1" max="4096" v-model.number="$core.view.configEdit.modelsTurntableHeight"/></p>
+			</div>
+			<div>
+				<h1>Turntable Frame Duration</h1>
+				<p>Duration in milliseconds of each frame in animated WebP output.</p>
+				<input type="number" min="1" v-model.number="$core.view.configEdit.modelsTurntableFrameDuration"/>
+			</div>
+			<div>
+				<h1>Transparent Turntable Background</h1>
+				<p>If enabled, turntable renders are drawn without the background colour or shadow.</p>
+				<label class="ui-checkbox">
+					<input type="checkbox" v-model="$core.view.configEdit.modelsTurntableTransparent"/>
+					<span>Enable</span>
+				</label>
+			</div>
 			<div>
 				<h1>Enable Shared Textures (Recommended)</h1>
 				<p>If enabled, exported textures will be exported to their own path rather than with their parent.</p>
@@ -155,6 +214,27 @@ module.exports = {
 				<p>Quality setting for WebP exports. Range is 1-100 (100 is lossless)</p>
 				<input type="number" min="1" max="100" v-model.number="$core.view.configEdit.exportWebPQuality"/>
 			</div>
+			<div>
+				<h1>BLP Encoding</h1>
+				<p>Encoding used when re-encoding textures or converting PNG files to BLP. Mipmaps are always generated.</p>
+				<p>DXT1 supports only 1-bit alpha, DXT3 and DXT5 support full alpha, BGRA is uncompressed.</p>
+				<ul class="ui-multi-button">
+					<li :class="{ selected: $core.view.configEdit.exportBLPEncoding == 'DXT1' }" @click.stop="$core.view.configEdit.exportBLPEncoding = 'DXT1'">DXT1</li>
+					<li :class="{ selected: $core.view.configEdit.exportBLPEncoding == 'DXT3' }" @click.stop="$core.view.configEdit.exportBLPEncoding = 'DXT3'">DXT3</li>
+					<li :class="{ selected: $core.view.configEdit.exportBLPEncoding == 'DXT5' }" @click.stop="$core.view.configEdit.exportBLPEncoding = 'DXT5'">DXT5</li>
+					<li :class="{ selected: $core.view.configEdit.exportBLPEncoding == 'BGRA' }" @click.stop="$core.view.configEdit.exportBLPEncoding = 'BGRA'">BGRA</li>
+				</ul>
+			</div>
+			<div>
+				<h1>Model Texture Format</h1>
+				<p>Format of textures exported alongside OBJ models. glTF exports always use PNG.</p>
+				<p>DDS and KTX2 keep the original block compression and mipmaps of the BLP.</p>
+				<ul class="ui-multi-button">
+					<li :class="{ selected: $core.view.configEdit.modelsExportTextureFormat == 'PNG' }" @click.stop="$core.view.configEdit.modelsExportTextureFormat = 'PNG'">PNG</li>
+					<li :class="{ selected: $core.view.configEdit.modelsExportTextureFormat == 'DDS' }" @click.stop="$core.view.configEdit.modelsExportTextureFormat = 'DDS'">DDS</li>
+					<li :class="{ selected: $core.view.configEdit.modelsExportTextureFormat == 'KTX2' }" @click.stop="$core.view.configEdit.modelsExportTextureFormat = 'KTX2'">KTX2</li>
+				</ul>
+			</div>
 			<div>
     			<h1>Export Model Collision</h1>
     			<p>If enabled, M2 models exported as OBJ will also have their collision exported into a .phys.obj file.</p>
@@ -171,6 +251,11 @@ module.exports = {
         			</label>
     			</div>
 			</div>
+			<div>
+				<h1>WMO Collision Simplification</h1>
+				<p>When exporting WMO collision, merge vertices which fall within the same cell of this size (in yards) to reduce the triangle count. Leave at 0 to keep the original geometry.</p>
+				<input type="number" min="0" step="0.1" v-model.number="$core.view.configEdit.modelsExportWMOCollisionSimplify"/>
+			</div>
 			<div>
 				<h1>Export Additional UV Layers</h1>
 				<p>If enabled, additional UV layers will be exported for M2/WMO models, included as non-standard properties (vt2, vt3, etc) in OBJ files.</p>
@@ -282,6 +367,15 @@ module.exports = {
 					<span>Enable</span>
 				</label>
 			</div>
+			<div>
+				<h1>Apply Hotfixes</h1>
+				<p>When enabled, hotfixes from the client cache (DBCache.bin) are applied to data tables loaded from a local installation.</p>
+				<p>Tables which are already loaded, such as item and creature lists, are not updated until restart.</p>
+				<label class="ui-checkbox">
+					<input type="checkbox" v-model="$core.view.configEdit.applyHotfixes"/>
+					<span>Enable</span>
+				</label>
+			</div>
 			<div>
 				<h1>Cache Expiry</h1>
 				<p>After how many days of inactivity is cached data deleted. Setting to zero disables cache clean-up (not recommended).</p>
@@ -0,0 +1,312 @@
+const util = require('util');
+const path = require('path');
+const log = require('../log');
+const constants = require('../constants');
+const generics = require('../generics');
+const ExportHelper = require('../casc/export-helper');
+const BuildCompare = require('../casc/build-compare');
+const RootDiff = require('../casc/root-diff');
+
+const MODEL_EXTENSIONS = ['.m2', '.m3', '.wmo'];
+const TEXTURE_EXTENSIONS = ['.blp'];
+
+let entries = [];
+
+// fileDataID -> entry
+let entry_lookup = new Map();
+
+// sources the current comparison was made between
+let compared_sources = null;
+
+/**
+ * Resolve listbox selection strings to comparison entries.
+ * @param {Array<string>} selection
+ * @returns {Array<object>}
+ */
+const get_selected_entries = (selection) => {
+	const result = [];
+	for (const item of selection) {
+		const match = item.match(/\[(\d+)\]$/);
+		const entry = match ? entry_lookup.get(parseInt(match[1])) : undefined;
+		if (entry !== undefined)
+			result.push(entry);
+	}
+
+	return result;
+};
+
+/**
+ * Export the files of the given entries. Removed files are exported from the old build,
+ * everything else from the new build.
+ * @param {object} core
+ * @param {Array<object>} export_entries
+ */
+const export_entries = async (core, export_entries) => {
+	if (export_entries.length === 0) {
+		core.hideToast();
+		return;
+	}
+
+	const helper = new ExportHelper(export_entries.length, 'file');
+	helper.start();
+
+	const overwrite_files = core.view.config.overwriteFiles;
+	for (const entry of export_entries) {
+		if (helper.isCancelled())
+			return;
+
+		let export_file_name = entry.fileName;
+		if (!core.view.config.exportNamedFiles) {
+			const dir = path.dirname(entry.fileName);
+			const file_data_id_name = entry.fileDataID + path.extname(entry.fileName);
+			export_file_name = dir === '.' ? file_data_id_name : path.join(dir, file_data_id_name);
+		}
+
+		try {
+			const export_path = ExportHelper.getExportPath(export_file_name);
+			if (overwrite_files || !await generics.fileExists(export_path)) {
+				const source = entry.status === RootDiff.STATUS_REMOVED ? compared_sources.old : compared_sources.new;
+				const data = await source.getFile(entry.fileDataID, true);
+				await data.writeToFile(export_path);
+			} else {
+				log.write('Skipping file export %s (file exists, overwrite disabled)', export_path);
+			}
+
+			helper.mark(export_file_name, true);
+		} catch (e) {
+			helper.mark(export_file_name, false, e.message, e.stack);
+		}
+	}
+
+	helper.finish();
+};
+
+module.exports = {
+	register() {
+		this.registerContextMenuOption('Compare Files Between Builds', 'timeline.svg');
+	},
+
+	data() {
+		return {
+			remote_builds: [],
+			old_build: BuildCompare.CURRENT_BUILD,
+			new_build: BuildCompare.CURRENT_BUILD,
+			compared_old_build: '',
+			compared_new_build: '',
+			selection: [],
+			filter: '',
+			show_added: true,
+			show_removed: true,
+			show_changed: true,
+			counts: null,
+			extensions: [],
+			directories: [],
+			revision: 0
+		};
+	},
+
+	computed: {
+		listed_files() {
+			// Entries are held outside of reactive state, so depend on the revision.
+			if (this.revision === 0)
+				return [];
+
+			const enabled_exts = new Set(this.extensions.filter(ext => ext.checked).map(ext => ext.ext));
+			const enabled_dirs = new Set(this.directories.filter(dir => dir.checked).map(dir => dir.dir));
+			const statuses = new Set([
+				this.show_added && RootDiff.STATUS_ADDED,
+				this.show_removed && RootDiff.STATUS_REMOVED,
+				this.show_changed && RootDiff.STATUS_CHANGED
+			]);
+
+			return entries.filter(entry => statuses.has(entry.status) && enabled_exts.has(entry.ext) && enabled_dirs.has(entry.dir)).map(entry => `${entry.fileName} [${entry.fileDataID}]`);
+		}
+	},
+
+	template: `
+		<div class="tab list-tab" id="tab-build-diff">
+			<div class="list-container">
+				<component :is="$components.Listbox" v-model:selection="selection" :items="listed_files" :filter="filter" :keyinput="true" :regex="$core.view.config.regexFilters" :copymode="$core.view.config.copyMode" :pasteselection="$core.view.config.pasteSelection" :copytrimwhitespace="$core.view.config.removePathSpacesCopy" :includefilecount="true" unittype="file"></component>
+			</div>
+			<div id="tab-build-diff-tray">
+				<div class="filter">
+					<div class="regex-info" v-if="$core.view.config.regexFilters" :title="$core.view.regexTooltip">Regex Enabled</div>
+					<input type="text" v-model="filter" placeholder="Filter files..."/>
+				</div>
+				<input type="button" value="Open in Models" @click="open_models" :class="{ disabled: $core.view.isBusy || selection.length === 0 }"/>
+				<input type="button" value="Open in Textures" @click="open_textures" :class="{ disabled: $core.view.isBusy || selection.length === 0 }"/>
+				<input type="button" value="Export Selected" @click="export_selected" :class="{ disabled: $core.view.isBusy || selection.length === 0 }"/>
+				<input type="button" value="Export All Listed" @click="export_listed" :class="{ disabled: $core.view.isBusy || listed_files.length === 0 }"/>
+			</div>
+			<div id="build-diff-sidebar" class="sidebar">
+				<span class="header">Old Build</span>
+				<select class="ui-select" v-model.number="old_build">
+					<option :value="-1">Current ({{ $core.view.casc?.getBuildName() }})</option>
+					<option v-for="build in remote_builds" :value="build.buildIndex">{{ build.label }}</option>
+				</select>
+				<span class="header">New Build</span>
+				<select class="ui-select" v-model.number="new_build">
+					<option :value="-1">Current ({{ $core.view.casc?.getBuildName() }})</option>
+					<option v-for="build in remote_builds" :value="build.buildIndex">{{ build.label }}</option>
+				</select>
+				<input type="button" v-if="remote_builds.length === 0" value="List CDN Builds" @click="list_remote_builds" :class="{ disabled: $core.view.isBusy }"/>
+				<input type="button" value="Compare" @click="compare" :class="{ disabled: $core.view.isBusy }"/>
+				<template v-if="counts">
+					<span class="header">{{ compared_old_build }} → {{ compared_new_build }}</span>
+					<label class="ui-checkbox diff-added">
+						<input type="checkbox" v-model="show_added"/>
+						<span>Added ({{ counts.added }})</span>
+					</label>
+					<label class="ui-checkbox diff-removed">
+						<input type="checkbox" v-model="show_removed"/>
+						<span>Removed ({{ counts.removed }})</span>
+					</label>
+					<label class="ui-checkbox diff-changed">
+						<input type="checkbox" v-model="show_changed"/>
+						<span>Changed ({{ counts.changed }})</span>
+					</label>
+					<span class="header">File Types</span>
+					<component :is="$components.Checkboxlist" :items="extensions"></component>
+					<div class="list-toggles">
+						<a @click="set_all_extensions(true)">Enable All</a> / <a @click="set_all_extensions(false)">Disable All</a>
+					</div>
+					<span class="header">Directories</span>
+					<component :is="$components.Checkboxlist" :items="directories"></component>
+					<div class="list-toggles">
+						<a @click="set_all_directories(true)">Enable All</a> / <a @click="set_all_directories(false)">Disable All</a>
+					</div>
+				</template>
+			</div>
+		</div>
+	`,
+
+	methods: {
+		async list_remote_builds() {
+			if (this.$core.view.isBusy)
+				return;
+
+			using _lock = this.$core.create_busy_lock();
+			this.$core.setToast('progress', 'Retrieving available CDN builds...', null, -1, false);
+
+			try {
+				this.remote_builds = await BuildCompare.get_remote_builds();
+				this.$core.hideToast();
+			} catch (e) {
+				this.$core.setToast('error', 'Unable to retrieve CDN builds: ' + e.message, { 'View Log': () => log.openRuntimeLog() }, -1);
+				log.write('Failed to retrieve CDN builds for comparison: %s', e.message);
+			}
+		},
+
+		async compare() {
+			if (this.$core.view.isBusy)
+				return;
+
+			if (this.old_build === this.new_build) {
+				this.$core.setToast('info', 'Select two different builds to compare.', null, 3000);
+				return;
+			}
+
+			using _lock = this.$core.create_busy_lock();
+
+			try {
+				const old_casc = await BuildCompare.get_source(this.old_build);
+				const new_casc = await BuildCompare.get_source(this.new_build);
+
+				this.$core.setToast('progress', 'Comparing root manifests...', null, -1, false);
+				await generics.redraw();
+
+				entries = RootDiff.diff_root(old_casc, new_casc);
+				entry_lookup = new Map(entries.map(entry => [entry.fileDataID, entry]));
+				compared_sources = { old: old_casc, new: new_casc };
+
+				const counts = { added: 0, removed: 0, changed: 0 };
+				for (const entry of entries)
+					counts[entry.status]++;
+
+				this.counts = counts;
+				this.extensions = [...RootDiff.count_extensions(entries)].map(([ext, count]) => ({ label: util.format('%s (%d)', ext, count), ext, checked: true }));
+				this.directories = [...RootDiff.count_directories(entries)].map(([dir, count]) => ({ label: util.format('%s (%d)', dir, count), dir, checked: true }));
+				this.compared_old_build = BuildCompare.get_build_name(this.old_build);
+				this.compared_new_build = BuildCompare.get_build_name(this.new_build);
+				this.selection = [];
+				this.revision++;
+
+				this.$core.setToast('success', util.format('%d files added, %d removed and %d changed.', counts.added, counts.removed, counts.changed), null, 4000);
+			} catch (e) {
+				this.$core.setToast('error', 'Unable to compare builds: ' + e.message, { 'View Log': () => log.openRuntimeLog() }, -1);
+				log.write('Failed to compare root manifests: %s', e.message);
+			}
+		},
+
+		set_all_extensions(state) {
+			for (const ext of this.extensions)
+				ext.checked = state;
+		},
+
+		set_all_directories(state) {
+			for (const dir of this.directories)
+				dir.checked = state;
+		},
+
+		/**
+		 * Get selected entries which can be opened from the current install.
+		 * @param {Array<string>} extensions
+		 * @returns {Array<string>}
+		 */
+		get_openable_selection(extensions) {
+			const casc = this.$core.view.casc;
+			return get_selected_entries(this.selection)
+				.filter(entry => extensions.includes(entry.ext) && casc.getContentKey(entry.fileDataID) !== null)
+				.filter(entry => entry.ext !== '.wmo' || !constants.LISTFILE_MODEL_FILTER.test(entry.fileName))
+				.map(entry => `${entry.fileName} [${entry.fileDataID}]`);
+		},
+
+		open_models() {
+			if (this.$core.view.isBusy)
+				return;
+
+			const list = this.get_openable_selection(MODEL_EXTENSIONS);
+			if (list.length === 0) {
+				this.$core.setToast('info', 'None of the selected files are models in the current install.', null, 3000);
+				return;
+			}
+
+			this.$modules.tab_models.setActive();
+			this.$core.view.userInputFilterModels = '';
+			this.$core.view.overrideModelList = list;
+			this.$core.view.selectionModels = list;
+			this.$core.view.overrideModelName = 'Build comparison';
+		},
+
+		open_textures() {
+			if (this.$core.view.isBusy)
+				return;
+
+			const list = this.get_openable_selection(TEXTURE_EXTENSIONS);
+			if (list.length === 0) {
+				this.$core.setToast('info', 'None of the selected files are textures in the current install.', null, 3000);
+				return;
+			}
+
+			this.$modules.tab_textures.setActive();
+			this.$core.view.userInputFilterTextures = '';
+			this.$core.view.overrideTextureList = list;
+			this.$core.view.selectionTextures = list;
+			this.$core.view.overrideTextureName = 'Build comparison';
+		},
+
+		async export_selected() {
+			if (this.$core.view.isBusy || this.selection.length === 0)
+				return;
+
+			await export_entries(this.$core, get_selected_entries(this.selection));
+		},
+
+		async export_listed() {
+			if (this.$core.view.isBusy || this.listed_files.length === 0)
+				return;
+
+			await export_entries(this.$core, get_selected_entries(this.listed_files));
+		}
+	}
+};
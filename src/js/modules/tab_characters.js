@@ -18,11 +18,12 @@ const db2 = require('../casc/db2');
 const ExportHelper = require('../casc/export-helper');
 const listfile = require('../casc/listfile');
 const realmlist = require('../casc/realmlist');
-const { wmv_parse } = require('../wmv');
-const { wowhead_parse } = require('../wowhead');
+const { wmv_parse, wmv_encode } = require('../wmv');
+const { wowhead_parse, wowhead_encode } = require('../wowhead');
 const InstallType = require('../install-type');
 const charTextureOverlay = require('../ui/char-texture-overlay');
 const PNGWriter = require('../png-writer');
+const JSONWriter = require('../3D/writers/JSONWriter');
 const { EQUIPMENT_SLOTS, SHOULDER_SLOT_L, SHOULDER_SLOT_R, ATTACHMENT_ID, get_slot_name, get_attachment_ids_for_slot, get_slot_layer } = require('../wow/EquipmentSlots');
 const DBItems = require('../db/caches/DBItems');
 const DBItemCharTextures = require('../db/caches/DBItemCharTextures');
@@ -32,6 +33,7 @@ const DBItemList = require('../db/caches/DBItemList');
 const DBGuildTabard = require('../db/caches/DBGuildTabard');
 const DBCharacterCustomization = require('../db/caches/DBCharacterCustomization');
 const character_appearance = require('../ui/character-appearance');
+const modelViewerUtils = require('../ui/model-viewer-utils');
 
 
 // geoset group constants (CG enum from DBItemGeosets)
@@ -1587,6 +1589,104 @@ async function export_saved_character(core, character) {
 	file_input.click();
 }
 
+async function read_saved_character(core, character) {
+	const dir = get_saved_characters_dir(core);
+	const content = await fsp.readFile(path.join(dir, character.file_name), 'utf8');
+	return JSON.parse(content);
+}
+
+/**
+ * Convert saved character data into the shape used by the wowhead and WMV encoders.
+ * @param {object} data - character data as produced by get_current_character_data()
+ * @returns {object|null}
+ */
+function get_character_share_data(data) {
+	const models = DBCharacterCustomization.get_race_models(data.race_id);
+	if (!models)
+		return null;
+
+	let gender = null;
+	for (const [sex, model_id] of models) {
+		if (model_id === data.model_id)
+			gender = sex;
+	}
+
+	if (gender === null)
+		return null;
+
+	const equipment = { ...data.equipment };
+	if (!data.version || data.version < 2)
+		expand_shoulder_slots(equipment, {});
+
+	return {
+		race: data.race_id,
+		gender,
+		model_path: listfile.getByID(DBCharacterCustomization.get_model_file_data_id(data.model_id)) ?? '',
+		customizations: (data.choices || []).map(c => ({ option_id: c.optionID, choice_id: c.choiceID })),
+		equipment
+	};
+}
+
+function copy_wowhead_url(core, data) {
+	const share_data = get_character_share_data(data);
+	if (!share_data) {
+		core.setToast('error', 'Unable to resolve the race and gender of this character.', null, -1);
+		return;
+	}
+
+	const url = wowhead_encode(share_data);
+	nw.Clipboard.get().set(url, 'text');
+
+	log.write('copied wowhead dressing room url: %s', url);
+	core.setToast('success', 'Wowhead dressing room URL has been copied to the clipboard', null, 3000);
+}
+
+function export_wmv_character(core, data, name) {
+	const share_data = get_character_share_data(data);
+	if (!share_data?.model_path) {
+		core.setToast('error', 'Unable to resolve the model of this character.', null, -1);
+		return;
+	}
+
+	const file_input = document.createElement('input');
+	file_input.setAttribute('nwsaveas', name + '.chr');
+	file_input.setAttribute('accept', '.chr');
+	file_input.setAttribute('nwworkingdir', core.view.config.lastWMVImportPath || '');
+	file_input.type = 'file';
+
+	file_input.onchange = async () => {
+		const file_path = file_input.value;
+		if (!file_path)
+			return;
+
+		try {
+			await fsp.writeFile(file_path, wmv_encode(share_data));
+			core.setToast('success', 'Character exported to WoW Model Viewer successfully.', null, 3000);
+		} catch (e) {
+			log.write('failed to export .chr file: %s', e.message);
+			core.setToast('error', `Failed to export .chr file: ${e.message}`, null, -1);
+		}
+	};
+
+	file_input.click();
+}
+
+async function export_saved_character_as(core, character, format) {
+	let data;
+	try {
+		data = await read_saved_character(core, character);
+	} catch (e) {
+		log.write('failed to read character for export: %s', e.message);
+		core.setToast('error', `Failed to read character: ${e.message}`, null, -1);
+		return;
+	}
+
+	if (format === 'WOWHEAD')
+		copy_wowhead_url(core, data);
+	else
+		export_wmv_character(core, data, character.name);
+}
+
 async function import_json_character(core, save_to_my_characters) {
 	const file_input = document.createElement('input');
 	file_input.setAttribute('accept', '.json');
@@ -1736,9 +1836,34 @@ function update_chr_race_list(core) {
 
 //region export
 const export_char_model = async (core) => {
-	const export_paths = core.openLastExportStream();
 	const format = core.view.config.exportCharacterFormat;
 
+	if (format === 'WOWHEAD' || format === 'WMV') {
+		const data = get_current_character_data(core);
+		if (!data.race_id || !data.model_id) {
+			core.setToast('error', 'No character loaded to export.', null, 3000);
+			return;
+		}
+
+		if (format === 'WOWHEAD')
+			copy_wowhead_url(core, data);
+		else
+			export_wmv_character(core, data, 'character');
+
+		return;
+	}
+
+	if (format === 'TURNTABLE') {
+		if (active_model)
+			await modelViewerUtils.export_turntable(core, core.view.chrModelViewerContext, listfile.getByID(active_model));
+		else
+			core.setToast('error', 'the selected export option only works for character previews. preview something first!', null, -1);
+
+		return;
+	}
+
+	const export_paths = core.openLastExportStream();
+
 	if (format === 'PNG' || format === 'CLIPBOARD') {
 		if (active_model) {
 			core.setToast('progress', 'saving preview, hold on...', null, -1, false);
@@ -1860,7 +1985,7 @@ const export_char_model = async (core) => {
 		} else {
 			const casc = core.view.casc;
 			const data = await casc.getFile(file_data_id);
-			const mark_file_name = ExportHelper.replaceExtension(file_name, '.gltf');
+			const mark_file_name = ExportHelper.replaceExtension(file_name, format === 'FBX' ? '.fbx' : '.gltf');
 			const export_path = ExportHelper.getExportPath(mark_file_name);
 			const exporter = new M2Exporter(data, [], file_data_id);
 
@@ -1868,6 +1993,7 @@ const export_char_model = async (core) => {
 				exporter.addURITexture(chr_model_texture_target, chr_material.getURI());
 
 			exporter.setGeosetMask(core.view.chrCustGeosets);
+			exporter.setRetargetProfile(core.view.config.modelsExportRetargetProfile);
 
 			// collect equipment models for GLTF export (with bone data for rigging)
 			const char_exporter = new CharacterExporter(
@@ -1904,8 +2030,10 @@ const export_char_model = async (core) => {
 				log.write('Exporting GLTF character with %d equipment models', equipment_data.length);
 			}
 
-			const format_lower = format.toLowerCase();
-			await exporter.exportAsGLTF(export_path, helper, format_lower);
+			if (format === 'FBX')
+				await exporter.exportAsFBX(export_path, helper);
+			else
+				await exporter.exportAsGLTF(export_path, helper, format.toLowerCase());
 			await export_paths?.writeLine('M2_' + format + ':' + export_path);
 
 			if (helper.isCancelled())
@@ -1973,6 +2101,201 @@ const export_chr_texture = async (core) => {
 	export_paths?.close();
 };
 
+/**
+ * Returns the texture types and source textures a customization choice applies
+ * for the given set of active choices.
+ * @param {number} choice_id
+ * @param {Array} active_choices
+ * @returns {Array}
+ */
+function get_choice_texture_targets(choice_id, active_choices) {
+	const targets = [];
+	const chr_cust_mat_ids = DBCharacterCustomization.get_choice_materials(choice_id);
+	if (!chr_cust_mat_ids)
+		return targets;
+
+	for (const chr_cust_mat_id of chr_cust_mat_ids) {
+		if (chr_cust_mat_id.RelatedChrCustomizationChoiceID != 0 && !active_choices.some(c => c.choiceID === chr_cust_mat_id.RelatedChrCustomizationChoiceID))
+			continue;
+
+		const chr_cust_mat = DBCharacterCustomization.get_chr_cust_material(chr_cust_mat_id.ChrCustomizationMaterialID);
+		if (!chr_cust_mat)
+			continue;
+
+		const layer = DBCharacterCustomization.get_model_texture_layer(current_char_component_texture_layout_id, chr_cust_mat.ChrModelTextureTargetID);
+		if (!layer)
+			continue;
+
+		targets.push({ textureType: layer.TextureType, textureTargetID: chr_cust_mat.ChrModelTextureTargetID, fileDataID: chr_cust_mat.FileDataID ?? 0 });
+	}
+
+	return targets;
+}
+
+// model formats which can be written for every customization choice
+const BATCH_EXPORT_FORMATS = ['OBJ', 'STL', 'GLTF', 'GLB', 'FBX'];
+
+/**
+ * Export every customization choice of the selected race/gender as separate
+ * geoset pieces and baked textures, alongside a JSON index of the choices.
+ * @param {object} core
+ */
+const export_customization_batch = async (core) => {
+	const format = core.view.config.exportCharacterFormat;
+	if (!BATCH_EXPORT_FORMATS.includes(format)) {
+		core.setToast('error', 'batch customization export requires a model export format (OBJ, STL, GLTF, GLB or FBX)', null, -1);
+		return;
+	}
+
+	const char_info = get_current_race_gender(core);
+	const chr_model_id = core.view.chrCustModelSelection[0]?.id;
+	const options = DBCharacterCustomization.get_options_for_model(chr_model_id);
+	if (!active_renderer || !char_info || !options) {
+		core.setToast('error', 'no character model loaded to export', null, -1);
+		return;
+	}
+
+	const jobs = [];
+	for (const option of options) {
+		for (const choice of DBCharacterCustomization.get_choices_for_option(option.id) ?? [])
+			jobs.push({ option, choice });
+	}
+
+	const export_paths = core.openLastExportStream();
+	const helper = new ExportHelper(jobs.length, 'customization choice');
+	helper.start();
+
+	try {
+		const file_data_id = active_model;
+		const file_name = listfile.getByID(file_data_id);
+		const model_ext = { OBJ: '.obj', STL: '.stl', FBX: '.fbx', GLB: '.glb' }[format] ?? '.gltf';
+		const out_dir = path.join(path.dirname(file_name), 'customizations');
+		const base_choices = core.view.chrCustActiveChoices.map(c => ({ optionID: c.optionID, choiceID: c.choiceID }));
+		const geosets = core.view.chrCustGeosets;
+		const data = await core.view.casc.getFile(file_data_id);
+
+		const index_options = new Map();
+		for (const option of options)
+			index_options.set(option.id, { optionID: option.id, name: option.label, choices: [] });
+
+		for (const { option, choice } of jobs) {
+			if (helper.isCancelled())
+				break;
+
+			const choice_dir = path.join(out_dir, ExportHelper.sanitizeFilename(option.label) + '_' + option.id, ExportHelper.sanitizeFilename(choice.label) + '_' + choice.id);
+			const mark_name = option.label + ' / ' + choice.label;
+			helper.setCurrentTaskName(mark_name);
+
+			try {
+				// every other option keeps its current choice, so textures composite the same way as the preview
+				const active_choices = base_choices.filter(c => c.optionID !== option.id);
+				active_choices.push({ optionID: option.id, choiceID: choice.id });
+
+				const entry = {
+					choiceID: choice.id,
+					name: choice.label,
+					geosets: [],
+					textures: [],
+					model: null
+				};
+
+				const cond_file_data_id = DBCharacterCustomization.get_choice_cond_model_file_data_id(choice.id);
+				if (cond_file_data_id !== undefined)
+					entry.condModelFileDataID = cond_file_data_id;
+
+				// baked textures
+				const targets = get_choice_texture_targets(choice.id, active_choices);
+				if (targets.length > 0) {
+					await character_appearance.apply_customization_textures(active_renderer, active_choices, current_char_component_texture_layout_id, chr_materials, core.view.chrCustBakedNPCTexture || null);
+
+					for (const texture_type of new Set(targets.map(t => t.textureType))) {
+						const chr_material = chr_materials.get(texture_type);
+						if (!chr_material)
+							continue;
+
+						await chr_material.update();
+
+						const texture_file = path.join(choice_dir, 'texture_' + texture_type + '.png');
+						const export_path = ExportHelper.getExportPath(texture_file);
+						if (core.view.config.overwriteFiles || !await generics.fileExists(export_path)) {
+							const png = new PNGWriter(chr_material.glCanvas.width, chr_material.glCanvas.height);
+							png.getPixelData().set(chr_material.getRawPixels());
+
+							await png.getBuffer().writeToFile(export_path);
+							await export_paths?.writeLine('PNG:' + export_path);
+						} else {
+							log.write('Skipping export of %s (file exists, overwrite disabled)', export_path);
+						}
+
+						entry.textures.push({
+							textureType: texture_type,
+							file: ExportHelper.win32ToPosix(path.relative(out_dir, texture_file)),
+							sources: targets.filter(t => t.textureType === texture_type).map(t => ({ textureTargetID: t.textureTargetID, fileDataID: t.fileDataID }))
+						});
+					}
+				}
+
+				// geoset piece
+				const geoset_id = DBCharacterCustomization.get_choice_geoset_id(choice.id);
+				if (geoset_id !== undefined && geosets.some(g => g.id === geoset_id)) {
+					entry.geosets.push(geoset_id);
+
+					const model_file = path.join(choice_dir, path.basename(file_name, path.extname(file_name)) + model_ext);
+					const export_path = ExportHelper.getExportPath(model_file);
+
+					// the loader reads the model to the end, so rewind it for every piece
+					data.seek(0);
+					const exporter = new M2Exporter(data, [], file_data_id);
+
+					for (const [chr_model_texture_target, chr_material] of chr_materials)
+						exporter.addURITexture(chr_model_texture_target, chr_material.getURI());
+
+					exporter.setGeosetMask(geosets.map(g => ({ id: g.id, checked: g.id === geoset_id })));
+
+					exporter.setRetargetProfile(core.view.config.modelsExportRetargetProfile);
+
+					if (format === 'STL')
+						await exporter.exportAsSTL(export_path, false, helper, []);
+					else if (format === 'OBJ')
+						await exporter.exportAsOBJ(export_path, false, helper, []);
+					else if (format === 'FBX')
+						await exporter.exportAsFBX(export_path, helper);
+					else
+						await exporter.exportAsGLTF(export_path, helper, format.toLowerCase());
+
+					await export_paths?.writeLine('M2_' + format + ':' + export_path);
+					entry.model = ExportHelper.win32ToPosix(path.relative(out_dir, model_file));
+				}
+
+				index_options.get(option.id).choices.push(entry);
+				helper.mark(mark_name, true);
+			} catch (e) {
+				helper.mark(mark_name, false, e.message, e.stack);
+			}
+		}
+
+		// a cancelled export would leave an incomplete index behind
+		if (!helper.isCancelled()) {
+			const json = new JSONWriter(ExportHelper.getExportPath(path.join(out_dir, 'customizations.json')));
+			json.addProperty('raceID', char_info.raceID);
+			json.addProperty('race', DBCharacterCustomization.get_chr_race_map().get(char_info.raceID)?.name);
+			json.addProperty('gender', char_info.genderIndex);
+			json.addProperty('chrModelID', chr_model_id);
+			json.addProperty('fileDataID', file_data_id);
+			json.addProperty('baseChoices', base_choices);
+			json.addProperty('options', [...index_options.values()].filter(o => o.choices.length > 0));
+			await json.write(core.view.config.overwriteFiles);
+		}
+	} finally {
+		helper.clearCurrentTask();
+		helper.finish();
+		export_paths?.close();
+
+		// restore the previewed textures
+		await update_textures(core);
+	}
+};
+
 //endregion
 
 //region utils
@@ -2021,6 +2344,8 @@ module.exports = {
 						<div class="saved-character-thumb" :style="{ backgroundImage: character.thumb ? 'url(' + character.thumb + ')' : 'none' }">
 							<div class="saved-character-actions">
 								<input type="button" value="" title="Export Character" class="ui-image-button saved-char-export-btn" @click.stop="on_export_character(character)"/>
+								<input type="button" value="" title="Copy Wowhead Dressing Room URL" class="ui-image-button saved-char-wowhead-btn" @click.stop="on_export_character_as(character, 'WOWHEAD')"/>
+								<input type="button" value="" title="Export to WoW Model Viewer" class="ui-image-button saved-char-wmv-btn" @click.stop="on_export_character_as(character, 'WMV')"/>
 								<input type="button" value="" title="Delete Character" class="ui-image-button saved-char-delete-btn" @click.stop="on_delete_character(character)"/>
 							</div>
 						</div>
@@ -2185,6 +2510,7 @@ module.exports = {
 					<template v-if="!$core.view.chrShowGeosetControl">
 						<span class="chr-randomize-toggle" @click="randomize_customization">Randomize Customization</span>
 						<span @click="$core.view.chrShowGeosetControl = true">Custom Geoset Control</span>
+						<span @click="export_customizations" title="Export every customization choice as separate geoset pieces and textures">Export All Customizations</span>
 					</template>
 					<span v-else class="chr-geoset-return" @click="$core.view.chrShowGeosetControl = false">Return to Customization</span>
 				</div>
@@ -2200,10 +2526,20 @@ module.exports = {
 				<div class="character-export-container">
 					<div class="character-export-controls">
 						<div class="character-export-menu" v-show="$core.view.chrExportMenu == 'export'">
-							<label class="ui-checkbox" v-show="$core.view.config.exportCharacterFormat === 'GLTF' || $core.view.config.exportCharacterFormat === 'GLB'" title="Include Animations in Export">
+							<label class="ui-checkbox" v-show="$core.view.config.exportCharacterFormat === 'GLTF' || $core.view.config.exportCharacterFormat === 'GLB' || $core.view.config.exportCharacterFormat === 'FBX'" title="Include Animations in Export">
 								<input type="checkbox" v-model="$core.view.config.modelsExportAnimations"/>
 								<span>Export animations</span>
 							</label>
+							<label class="ui-checkbox" v-show="($core.view.config.exportCharacterFormat === 'GLTF' || $core.view.config.exportCharacterFormat === 'GLB') && $core.view.config.modelsExportAnimations" title="Export each animation as its own clip file">
+								<input type="checkbox" v-model="$core.view.config.modelsExportAnimationClips"/>
+								<span>Separate clips</span>
+							</label>
+							<select class="ui-select" v-show="$core.view.config.exportCharacterFormat === 'GLTF' || $core.view.config.exportCharacterFormat === 'GLB' || $core.view.config.exportCharacterFormat === 'FBX'" v-model="$core.view.config.modelsExportRetargetProfile" title="Rename the skeleton, add a root bone and convert facing and scale for a target rig. The bind pose is kept as the rest pose.">
+								<option value="none">Retarget: None</option>
+								<option value="ue5_mannequin">Retarget: UE5 Mannequin</option>
+								<option value="mixamo">Retarget: Mixamo</option>
+								<option value="humanoid">Retarget: Humanoid</option>
+							</select>
 							<label class="ui-checkbox" v-show="$core.view.config.exportCharacterFormat === 'OBJ' || $core.view.config.exportCharacterFormat === 'STL'" title="Apply current animation pose to exported geometry">
 								<input type="checkbox" v-model="$core.view.config.chrExportApplyPose"/>
 								<span>Apply pose</span>
@@ -2414,6 +2750,15 @@ module.exports = {
 			export_char_model(this.$core);
 		},
 
+		async export_customizations() {
+			try {
+				await export_customization_batch(this.$core);
+			} catch (e) {
+				this.$core.setToast('error', 'Failed to export customizations: ' + e.message, { 'View Log': () => log.openRuntimeLog() }, -1);
+				log.write('Failed to export customizations: %s', e.message);
+			}
+		},
+
 		async remove_baked_npc_texture() {
 			this.$core.view.chrCustBakedNPCTexture = null;
 			await refresh_character_appearance(this.$core);
@@ -2454,6 +2799,10 @@ module.exports = {
 			export_saved_character(this.$core, character);
 		},
 
+		on_export_character_as(character, format) {
+			export_saved_character_as(this.$core, character, format);
+		},
+
 		import_json() {
 			import_json_character(this.$core, false);
 		},
@@ -735,11 +735,14 @@ const export_files = async (core, entries) => {
 	const export_paths = core.openLastExportStream();
 	const format = core.view.config.exportCreatureFormat;
 
-	if (format === 'PNG' || format === 'CLIPBOARD') {
+	if (format === 'PNG' || format === 'CLIPBOARD' || format === 'TURNTABLE') {
 		if (active_file_data_id) {
 			const canvas = document.getElementById('creature-preview').querySelector('canvas');
 			const export_name = ExportHelper.sanitizeFilename(active_creature?.name ?? 'creature_' + active_file_data_id);
-			await modelViewerUtils.export_preview(core, format, canvas, export_name, 'creatures');
+			if (format === 'TURNTABLE')
+				await modelViewerUtils.export_turntable(core, core.view.creatureViewerContext, export_name, 'creatures');
+			else
+				await modelViewerUtils.export_preview(core, format, canvas, export_name, 'creatures');
 		} else {
 			core.setToast('error', 'The selected export option only works for model previews. Preview something first!', null, -1);
 		}
@@ -1072,6 +1075,10 @@ module.exports = {
 					<input type="checkbox" v-model="$core.view.config.modelViewerShowBones"/>
 					<span>Show Bones</span>
 				</label>
+				<label class="ui-checkbox" title="Simulate the model's particle and ribbon emitters">
+					<input type="checkbox" v-model="$core.view.config.modelViewerShowParticles"/>
+					<span>Show Particles</span>
+				</label>
 				<label class="ui-checkbox" title="Show model textures in the preview pane">
 					<input type="checkbox" v-model="$core.view.config.modelViewerShowTextures"/>
 					<span>Show Textures</span>
@@ -1093,6 +1100,10 @@ module.exports = {
 					<input type="checkbox" v-model="$core.view.config.modelsExportAnimations"/>
 					<span>Export animations</span>
 				</label>
+				<label v-if="$core.view.config.exportCreatureFormat === 'GLTF' && $core.view.config.modelsExportAnimations && $core.view.creatureViewerActiveType === 'm2'" class="ui-checkbox" title="Export each animation as its own clip file">
+					<input type="checkbox" v-model="$core.view.config.modelsExportAnimationClips"/>
+					<span>Separate clips</span>
+				</label>
 				<label v-if="($core.view.config.exportCreatureFormat === 'OBJ' || $core.view.config.exportCreatureFormat === 'STL') && $core.view.creatureViewerActiveType === 'm2'" class="ui-checkbox" title="Apply current animation pose to exported geometry">
 					<input type="checkbox" v-model="$core.view.config.modelsExportApplyPose"/>
 					<span>Apply pose</span>
@@ -1180,7 +1191,8 @@ module.exports = {
 					getEquipmentRenderers: () => equipment_model_renderers,
 					getCollectionRenderers: () => collection_model_renderers,
 					gl_context: null,
-					fitCamera: null
+					fitCamera: null,
+					captureFrames: null
 				});
 			}
 
@@ -1,13 +1,20 @@
+const util = require('util');
+const fsp = require('fs').promises;
 const log = require('../log');
 const WDCReader = require('../db/WDCReader');
 const dbd_manifest = require('../casc/dbd-manifest');
 const dataExporter = require('../ui/data-exporter');
 const ExportHelper = require('../casc/export-helper');
+const DBRelations = require('../db/DBRelations');
+const DBEdit = require('../db/DBEdit');
 const InstallType = require('../install-type');
 
 let selected_file = null;
 let selected_file_data_id = null;
 let selected_file_schema = null;
+let selected_file_foreign_keys = null;
+let selected_file_structure = null;
+let selected_file_table_info = null;
 
 const initialize_available_tables = async (core) => {
 	const manifest = core.view.dbdManifest;
@@ -20,7 +27,38 @@ const initialize_available_tables = async (core) => {
 	log.write('initialized available db2 tables from dbd manifest');
 };
 
+/**
+ * Get the name used for exported files of a table or join view.
+ * @param {?string} item
+ * @returns {string}
+ */
+const get_export_name = (item) => {
+	if (!item)
+		return 'unknown_table';
+
+	return DBRelations.is_view_item(item) ? DBRelations.get_view(item)?.name ?? 'unknown_view' : item;
+};
+
+/**
+ * Returns the table cell value of a 64-bit field. Values which do not fit in a number
+ * are held as strings, as DBEdit does for edited cells, so they are written back intact.
+ * @param {bigint} value
+ * @returns {number|string}
+ */
+const bigint_to_cell = (value) => {
+	const number = Number(value);
+	return Number.isSafeInteger(number) ? number : value.toString();
+};
+
 const parse_table = async (table_name) => {
+	if (DBRelations.is_view_item(table_name)) {
+		const view = DBRelations.get_view(table_name);
+		if (view === null)
+			throw new Error('Unknown join view: ' + table_name);
+
+		return await DBRelations.build_view(view);
+	}
+
 	const db2_reader = new WDCReader('DBFilesClient/' + table_name + '.db2');
 	await db2_reader.parse();
 
@@ -33,6 +71,7 @@ const parse_table = async (table_name) => {
 
 	const rows = await db2_reader.getAllRows();
 	const parsed = Array(rows.size);
+	const hotfixes = new Set();
 
 	let index = 0;
 	for (const row of rows.values()) {
@@ -42,21 +81,36 @@ const parse_table = async (table_name) => {
 			row_values.unshift(id_value);
 		}
 
-		// coerce BigInt to Number to avoid JSON.stringify crash in Vue rendering
+		// coerce BigInt to avoid JSON.stringify crash in Vue rendering
 		for (let i = 0; i < row_values.length; i++) {
 			const val = row_values[i];
 			if (typeof val === 'bigint')
-				row_values[i] = Number(val);
+				row_values[i] = bigint_to_cell(val);
 			else if (Array.isArray(val))
 				for (let j = 0; j < val.length; j++)
 					if (typeof val[j] === 'bigint')
-						val[j] = Number(val[j]);
+						val[j] = bigint_to_cell(val[j]);
 		}
 
+		if (id_index !== -1 && db2_reader.isHotfixed(row_values[0]))
+			hotfixes.add(row_values[0]);
+
 		parsed[index++] = row_values;
 	}
 
-	return { headers: all_headers, rows: parsed, schema: db2_reader.schema };
+	DBRelations.index_foreign_keys(table_name, db2_reader.foreignKeys);
+
+	// header information needed to write the table back out
+	const table_info = {
+		tableHash: db2_reader.tableHash,
+		layoutHash: db2_reader.layoutHash,
+		locale: db2_reader.locale,
+		flags: db2_reader.flags,
+		schemaVersion: db2_reader.schemaVersion,
+		schemaString: db2_reader.schemaString
+	};
+
+	return { headers: all_headers, rows: parsed, schema: db2_reader.schema, foreignKeys: db2_reader.foreignKeys, hotfixes, structure: db2_reader.structure, tableInfo: table_info };
 };
 
 const load_table = async (core, table_name) => {
@@ -74,27 +128,108 @@ const load_table = async (core, table_name) => {
 			core.hideToast(false);
 
 		core.view.tableBrowserRows = result.rows;
+		core.view.tableBrowserForeignKeys = result.foreignKeys;
+		core.view.tableBrowserHotfixes = Vue.markRaw(result.hotfixes ?? new Set());
+		core.view.tableBrowserModified = new Set();
 		selected_file = table_name;
 		selected_file_schema = result.schema;
+		selected_file_foreign_keys = result.foreignKeys;
+		selected_file_structure = result.structure ?? null;
+		selected_file_table_info = result.tableInfo ?? null;
 	} catch (e) {
-		core.setToast('error', 'Unable to open DB2 file ' + table_name, { 'View Log': () => log.openRuntimeLog() }, -1);
+		core.setToast('error', 'Unable to open ' + table_name + ': ' + e.message, { 'View Log': () => log.openRuntimeLog() }, -1);
 		log.write('Failed to open CASC file: %s', e.message);
 	}
 };
 
+/**
+ * Get the column descriptors of the loaded table, used to parse edited values.
+ * @param {Array<string>} headers
+ * @returns {Array<object>}
+ */
+const get_edit_columns = (headers) => {
+	return headers.map(name => {
+		const type = selected_file_schema.get(name);
+		return Array.isArray(type) ? { name, type: type[0], count: type[1] } : { name, type, count: -1 };
+	});
+};
+
+/**
+ * Get the rows of the loaded table to export, based on the row selection.
+ * When exporting all rows with an active query, only the matched rows are exported.
+ * Shows a toast and returns null if there is nothing to export or the query is invalid.
+ * @param {object} core
+ * @param {?object} data_table
+ * @returns {?Array}
+ */
+const get_rows_to_export = (core, data_table) => {
+	const headers = core.view.tableBrowserHeaders;
+	const all_rows = core.view.tableBrowserRows;
+
+	if (!headers || !all_rows || headers.length === 0 || all_rows.length === 0) {
+		core.setToast('info', 'No data table loaded to export.');
+		return null;
+	}
+
+	if (core.view.config.dataExportAll) {
+		if (core.view.config.dataQueryMode && core.view.userInputFilterDataTable.trim() && data_table) {
+			// an invalid query matches every row, which would silently export the whole table
+			const error = data_table.compiledQuery?.error;
+			if (error) {
+				core.setToast('error', 'Unable to export, the query is invalid: ' + error, null, -1);
+				return null;
+			}
+
+			return [...data_table.getFilteredRows()];
+		}
+
+		return all_rows;
+	}
+
+	const selection = core.view.selectionDataTable;
+	if (!selection || selection.length === 0) {
+		core.setToast('info', 'No rows selected. Please select some rows first or enable "Export all rows".');
+		return null;
+	}
+
+	return [...selection];
+};
+
 module.exports = {
 	register() {
 		this.registerNavButton('Data', 'database.svg', InstallType.CASC);
 	},
 
 	data() {
-		return { active_table: '' };
+		return {
+			active_table: '',
+			references: [],
+			references_status: '',
+			missing_definitions: 0,
+			view_name: '',
+			view_definition: ''
+		};
+	},
+
+	computed: {
+		table_items() {
+			const views = this.$core.view.config.dataJoinViews.map(view => DBRelations.get_view_item(view.name));
+			return views.length > 0 ? [...views, ...this.$core.view.dbdManifest] : this.$core.view.dbdManifest;
+		},
+
+		can_edit() {
+			return this.active_table !== '' && !DBRelations.is_view_item(this.active_table);
+		},
+
+		can_find_references() {
+			return this.$core.view.selectionDataTable.length === 1 && this.active_table !== '' && !DBRelations.is_view_item(this.active_table);
+		}
 	},
 
 	template: `
 		<div class="tab list-tab" id="tab-data">
 			<div class="list-container">
-				<component :is="$components.Listbox" v-model:selection="$core.view.selectionDB2s" :items="$core.view.dbdManifest" :filter="$core.view.userInputFilterDB2s" :keyinput="true"
+				<component :is="$components.Listbox" v-model:selection="$core.view.selectionDB2s" :items="table_items" :filter="$core.view.userInputFilterDB2s" :keyinput="true"
 					:regex="$core.view.config.regexFilters" :copydir="$core.view.config.copyFileDirectories" :pasteselection="$core.view.config.pasteSelection"
 					:copytrimwhitespace="$core.view.config.removePathSpacesCopy" :includefilecount="false" unittype="db2 file" :nocopy="true"></component>
 			</div>
@@ -103,7 +238,7 @@ module.exports = {
 				<input type="text" v-model="$core.view.userInputFilterDB2s" placeholder="Filter DB2s.." />
 			</div>
 			<div class="list-container">
-				<component ref="dataTable" :is="$components.DataTable" :headers="$core.view.tableBrowserHeaders" :rows="$core.view.tableBrowserRows" :filter="$core.view.userInputFilterDataTable" :regex="$core.view.config.regexFilters" :selection="$core.view.selectionDataTable" :copyheader="$core.view.config.dataCopyHeader" :tablename="active_table" @update:filter="$core.view.userInputFilterDataTable = $event" @update:selection="$core.view.selectionDataTable = $event" @contextmenu="handle_context_menu" @copy="copy_rows_csv"></component>
+				<component ref="dataTable" :is="$components.DataTable" :headers="$core.view.tableBrowserHeaders" :rows="$core.view.tableBrowserRows" :filter="$core.view.userInputFilterDataTable" :regex="$core.view.config.regexFilters" :selection="$core.view.selectionDataTable" :copyheader="$core.view.config.dataCopyHeader" :tablename="active_table" :foreignkeys="$core.view.tableBrowserForeignKeys" :querymode="$core.view.config.dataQueryMode" :rowclass="get_row_class" :editable="$core.view.config.dataEditMode && can_edit" @edit="edit_cell" @foreignkey="jump_to_foreign_key" @update:filter="$core.view.userInputFilterDataTable = $event" @update:selection="$core.view.selectionDataTable = $event" @contextmenu="handle_context_menu" @copy="copy_rows_csv"></component>
 				<component :is="$components.ContextMenu" :node="$core.view.contextMenus.nodeDataTable" v-slot:default="context" @close="$core.view.contextMenus.nodeDataTable = null">
 					<span @click.self="copy_rows_csv">Copy {{ context.node.selectedCount }} row{{ context.node.selectedCount !== 1 ? 's' : '' }} as CSV</span>
 					<span @click.self="copy_rows_sql">Copy {{ context.node.selectedCount }} row{{ context.node.selectedCount !== 1 ? 's' : '' }} as SQL</span>
@@ -123,18 +258,113 @@ module.exports = {
 					<input type="checkbox" v-model="$core.view.config.dataExportAll"/>
 					<span>Export all rows</span>
 				</label>
+				<label class="ui-checkbox" title="Filter rows with a query, e.g. EffectType = 6 AND BasePoints > 100 ORDER BY ID DESC">
+					<input type="checkbox" v-model="$core.view.config.dataQueryMode"/>
+					<span>Query Mode</span>
+				</label>
+				<label class="ui-checkbox" title="Apply hotfixes from the client cache (DBCache.bin), hotfixed rows are highlighted">
+					<input type="checkbox" v-model="$core.view.config.applyHotfixes"/>
+					<span>Hotfixes<template v-if="$core.view.tableBrowserHotfixes?.size > 0"> ({{ $core.view.tableBrowserHotfixes.size }})</template></span>
+				</label>
+				<label class="ui-checkbox" title="Double-click cells to edit them, edited tables can be exported with Export DB2 (Edited)">
+					<input type="checkbox" v-model="$core.view.config.dataEditMode"/>
+					<span>Edit Mode<template v-if="$core.view.tableBrowserModified?.size > 0"> ({{ $core.view.tableBrowserModified.size }})</template></span>
+				</label>
+				<label class="ui-checkbox" title="Show references and join views">
+					<input type="checkbox" v-model="$core.view.config.dataShowRelations"/>
+					<span>Relations</span>
+				</label>
+			</div>
+			<div id="data-sidebar" class="sidebar" v-if="$core.view.config.dataShowRelations">
+				<span class="header">Referenced By</span>
+				<input type="button" value="Find References" :class="{ disabled: $core.view.isBusy || !can_find_references }" title="Find rows in other tables which reference the selected row" @click="find_references"/>
+				<input type="button" v-if="missing_definitions > 0" :value="'Download ' + missing_definitions + ' Definitions'" :class="{ disabled: $core.view.isBusy }" title="Download table definitions which are not cached, needed to find all references" @click="download_definitions"/>
+				<div class="data-relations-list">
+					<span class="data-relations-status" v-if="references_status">{{ references_status }}</span>
+					<div v-for="ref in references" class="data-relations-group">
+						<span class="data-relations-source">{{ ref.table }}.{{ ref.column }} ({{ ref.total }})</span>
+						<span v-for="id in ref.ids" class="fk-link" :title="'Go to ' + ref.table + ' ID ' + id" @click="open_table_row(ref.table, 'ID', id)">{{ id }}</span>
+					</div>
+				</div>
+				<span class="header">Join Views</span>
+				<div class="data-relations-list">
+					<div v-for="view in $core.view.config.dataJoinViews" class="data-view-item">
+						<span class="fk-link" :title="view.definition" @click="open_view(view)">{{ view.name }}</span>
+						<span class="data-view-delete" title="Delete join view" @click="delete_view(view)">&times;</span>
+					</div>
+				</div>
+				<input type="text" v-model="view_name" placeholder="View name"/>
+				<input type="text" v-model="view_definition" placeholder="Table.Column > Table" title="Tables joined from left to right, e.g. ItemModifiedAppearance.ItemAppearanceID > ItemAppearance.ItemDisplayInfoID > ItemDisplayInfo"/>
+				<input type="button" value="Save View" @click="save_view"/>
 			</div>
 			<div id="tab-data-tray">
 				<div class="filter">
-					<div class="regex-info" v-if="$core.view.config.regexFilters" :title="$core.view.regexTooltip">Regex Enabled</div>
-					<input type="text" id="data-table-filter-input" v-model="$core.view.userInputFilterDataTable" placeholder="Filter data table rows..." />
+					<div class="regex-info" v-if="$core.view.config.regexFilters && !$core.view.config.dataQueryMode" :title="$core.view.regexTooltip">Regex Enabled</div>
+					<input type="text" id="data-table-filter-input" v-model="$core.view.userInputFilterDataTable" :placeholder="$core.view.config.dataQueryMode ? 'Query, e.g. Flags & 0x4 AND ID IN (1, 2) ORDER BY ID DESC' : 'Filter data table rows...'" />
 				</div>
+				<input type="button" value="Import CSV" v-if="$core.view.config.dataEditMode" :class="{ disabled: $core.view.isBusy || !can_edit }" title="Update rows from a CSV file, matched by ID" @click="import_csv"/>
 				<component :is="$components.MenuButton" :options="$core.view.menuButtonData" :default="$core.view.config.exportDataFormat" @change="$core.view.config.exportDataFormat = $event" class="upward" :disabled="$core.view.isBusy || $core.view.selectionDB2s.length === 0" @click="export_data"></component>
 			</div>
 		</div>
 	`,
 
 	methods: {
+		get_row_class(row) {
+			if (this.$core.view.tableBrowserModified?.has(row[0]))
+				return 'modified';
+
+			return this.$core.view.tableBrowserHotfixes?.has(row[0]) ? 'hotfixed' : null;
+		},
+
+		edit_cell(event) {
+			if (!this.can_edit)
+				return;
+
+			if (event.index === 0) {
+				this.$core.setToast('info', 'Row IDs cannot be edited, import a CSV file to add rows.', null, 3000);
+				return;
+			}
+
+			try {
+				const columns = get_edit_columns(this.$core.view.tableBrowserHeaders);
+				if (DBEdit.apply_edit(columns, event.row, event.index, event.value))
+					this.$core.view.tableBrowserModified.add(event.row[0]);
+			} catch (e) {
+				this.$core.setToast('error', 'Invalid value: ' + e.message, null, 4000);
+			}
+		},
+
+		import_csv() {
+			if (this.$core.view.isBusy || !this.can_edit)
+				return;
+
+			const file_input = document.createElement('input');
+			file_input.setAttribute('accept', '.csv');
+			file_input.type = 'file';
+
+			file_input.onchange = async () => {
+				const file_path = file_input.value;
+				if (!file_path)
+					return;
+
+				try {
+					const text = await fsp.readFile(file_path, 'utf8');
+					const columns = get_edit_columns(this.$core.view.tableBrowserHeaders);
+					const result = DBEdit.import_csv(columns, this.$core.view.tableBrowserRows, text);
+
+					for (const id of result.changed)
+						this.$core.view.tableBrowserModified.add(id);
+
+					this.$core.setToast('success', util.format('Imported %d changed rows (%d added) from CSV.', result.changed.length, result.added), null, 4000);
+				} catch (e) {
+					log.write('Failed to import CSV %s: %s', file_path, e.message);
+					this.$core.setToast('error', 'Unable to import CSV: ' + e.message, null, -1);
+				}
+			};
+
+			file_input.click();
+		},
+
 		handle_context_menu(data) {
 			this.$core.view.contextMenus.nodeDataTable = data;
 		},
@@ -176,6 +406,138 @@ module.exports = {
 			nw.Clipboard.get().set(String(value), 'text');
 		},
 
+		/**
+		 * Open a table and select the first row where the given column matches a value.
+		 * @param {string} table_name
+		 * @param {string} column
+		 * @param {number} value
+		 */
+		async open_table_row(table_name, column, value) {
+			if (this.$core.view.isBusy)
+				return;
+
+			if (selected_file !== table_name) {
+				await load_table(this.$core, table_name);
+				if (selected_file !== table_name)
+					return;
+
+				this.active_table = selected_file;
+			}
+
+			this.$core.view.selectionDB2s = [table_name];
+			this.$core.view.userInputFilterDataTable = '';
+
+			const headers = this.$core.view.tableBrowserHeaders;
+			const column_index = headers.findIndex(header => header.toLowerCase() === column.toLowerCase());
+			const row = column_index > -1 ? this.$core.view.tableBrowserRows.find(row => Number(row[column_index]) === value) : undefined;
+
+			if (row === undefined) {
+				this.$core.setToast('info', util.format('No row in %s has %s %d.', table_name, column, value), null, 3000);
+				return;
+			}
+
+			this.$core.view.selectionDataTable = [row];
+
+			await this.$nextTick();
+			this.$refs.dataTable?.scrollToRow(row);
+		},
+
+		async jump_to_foreign_key(event) {
+			const target = event.foreignKey.table.toLowerCase();
+			const table_name = this.$core.view.dbdManifest.find(name => name.toLowerCase() === target);
+
+			if (!table_name) {
+				this.$core.setToast('info', 'Table ' + event.foreignKey.table + ' is not available in this build.', null, 3000);
+				return;
+			}
+
+			await this.open_table_row(table_name, event.foreignKey.column, event.value);
+		},
+
+		async find_references() {
+			if (this.$core.view.isBusy || !this.can_find_references)
+				return;
+
+			const table_name = selected_file;
+			const headers = this.$core.view.tableBrowserHeaders;
+			const row = this.$core.view.selectionDataTable[0];
+			const row_object = Object.fromEntries(headers.map((header, index) => [header, row[index]]));
+
+			this.$core.view.isBusy++;
+			this.references = [];
+
+			try {
+				this.references_status = 'Indexing table definitions...';
+				this.missing_definitions = await DBRelations.index_definitions(this.$core.view.dbdManifest);
+
+				const column_count = DBRelations.get_referencing_columns(table_name).length;
+				this.references_status = util.format('Searching %d referencing columns...', column_count);
+
+				this.references = await DBRelations.find_referencing_rows(table_name, row_object);
+				this.references_status = this.references.length === 0 ? 'No references found.' : '';
+			} catch (e) {
+				this.references_status = 'Unable to find references.';
+				log.write('Failed to find references to %s: %s', table_name, e.message);
+			} finally {
+				this.$core.view.isBusy--;
+			}
+		},
+
+		async download_definitions() {
+			if (this.$core.view.isBusy)
+				return;
+
+			this.$core.view.isBusy++;
+
+			try {
+				this.missing_definitions = await DBRelations.index_definitions(this.$core.view.dbdManifest, true, table_name => {
+					this.references_status = 'Downloading definition for ' + table_name + '...';
+				});
+
+				this.references_status = '';
+				if (this.missing_definitions > 0)
+					this.$core.setToast('info', util.format('%d table definitions could not be downloaded.', this.missing_definitions), { 'View Log': () => log.openRuntimeLog() }, 4000);
+			} finally {
+				this.$core.view.isBusy--;
+			}
+
+			if (this.can_find_references)
+				await this.find_references();
+		},
+
+		async open_view(view) {
+			const item = DBRelations.get_view_item(view.name);
+
+			// reload if the definition of the open view has changed since it was loaded
+			if (selected_file === item && !this.$core.view.isBusy) {
+				await load_table(this.$core, item);
+				return;
+			}
+
+			this.$core.view.selectionDB2s = [item];
+		},
+
+		save_view() {
+			try {
+				DBRelations.save_view(this.view_name, this.view_definition);
+				this.$core.setToast('success', 'Saved join view ' + this.view_name.trim() + '.', null, 2000);
+				this.view_name = '';
+				this.view_definition = '';
+			} catch (e) {
+				this.$core.setToast('error', e.message, null, 4000);
+			}
+		},
+
+		delete_view(view) {
+			const item = DBRelations.get_view_item(view.name);
+			DBRelations.delete_view(view.name);
+
+			const selection = this.$core.view.selectionDB2s;
+			const index = selection.indexOf(item);
+			if (index > -1)
+				selection.splice(index, 1);
+		},
+
 		async initialize() {
 			this.$core.showLoadingScreen(1);
 			await this.$core.progressLoadingScreen('Loading data table manifest...');
@@ -190,8 +552,14 @@ module.exports = {
 				await this.export_csv();
 			else if (format === 'SQL')
 				await this.export_sql();
+			else if (format === 'JSON')
+				await this.export_json();
+			else if (format === 'SQLITE')
+				await this.export_sqlite();
 			else if (format === 'DB2')
 				await this.export_db2();
+			else if (format === 'DB2_EDITED')
+				await this.export_db2_edited();
 		},
 
 		async export_csv() {
@@ -204,32 +572,11 @@ module.exports = {
 			// single table: use row selection behavior
 			if (user_selection.length === 1) {
 				const headers = this.$core.view.tableBrowserHeaders;
-				const all_rows = this.$core.view.tableBrowserRows;
-				const selection = this.$core.view.selectionDataTable;
-				const export_all = this.$core.view.config.dataExportAll;
-
-				if (!headers || !all_rows || headers.length === 0 || all_rows.length === 0) {
-					this.$core.setToast('info', 'No data table loaded to export.');
+				const rows_to_export = get_rows_to_export(this.$core, this.$refs.dataTable);
+				if (rows_to_export === null)
 					return;
-				}
-
-				let rows_to_export;
-				if (export_all) {
-					rows_to_export = all_rows;
-				} else {
-					if (!selection || selection.length === 0) {
-						this.$core.setToast('info', 'No rows selected. Please select some rows first or enable "Export all rows".');
-						return;
-					}
-
-					rows_to_export = [...selection];
-					if (rows_to_export.length === 0) {
-						this.$core.setToast('info', 'No rows selected. Please select some rows first or enable "Export all rows".');
-						return;
-					}
-				}
 
-				await dataExporter.exportDataTable(headers, rows_to_export, selected_file || 'unknown_table');
+				await dataExporter.exportDataTable(headers, rows_to_export, get_export_name(selected_file));
 				return;
 			}
 
@@ -245,9 +592,9 @@ module.exports = {
 
 				try {
 					const result = await parse_table(table_name);
-					await dataExporter.exportDataTable(result.headers, result.rows, table_name, { helper, export_paths });
+					await dataExporter.exportDataTable(result.headers, result.rows, get_export_name(table_name), { helper, export_paths });
 				} catch (e) {
-					helper.mark(table_name + '.csv', false, e.message, e.stack);
+					helper.mark(get_export_name(table_name) + '.csv', false, e.message, e.stack);
 					log.write('Failed to export table %s: %s', table_name, e.message);
 				}
 			}
@@ -268,32 +615,52 @@ module.exports = {
 			// single table: use row selection behavior
 			if (user_selection.length === 1) {
 				const headers = this.$core.view.tableBrowserHeaders;
-				const all_rows = this.$core.view.tableBrowserRows;
-				const selection = this.$core.view.selectionDataTable;
-				const export_all = this.$core.view.config.dataExportAll;
-
-				if (!headers || !all_rows || headers.length === 0 || all_rows.length === 0) {
-					this.$core.setToast('info', 'No data table loaded to export.');
+				const rows_to_export = get_rows_to_export(this.$core, this.$refs.dataTable);
+				if (rows_to_export === null)
 					return;
-				}
 
-				let rows_to_export;
-				if (export_all) {
-					rows_to_export = all_rows;
-				} else {
-					if (!selection || selection.length === 0) {
-						this.$core.setToast('info', 'No rows selected. Please select some rows first or enable "Export all rows".');
-						return;
-					}
-
-					rows_to_export = [...selection];
-					if (rows_to_export.length === 0) {
-						this.$core.setToast('info', 'No rows selected. Please select some rows first or enable "Export all rows".');
-						return;
-					}
+				await dataExporter.exportDataTableSQL(headers, rows_to_export, get_export_name(selected_file), selected_file_schema, create_table);
+				return;
+			}
+
+			// multiple tables: export all rows from each
+			const helper = new ExportHelper(user_selection.length, 'table');
+			helper.start();
+
+			const export_paths = this.$core.openLastExportStream();
+
+			for (const table_name of user_selection) {
+				if (helper.isCancelled())
+					break;
+
+				try {
+					const result = await parse_table(table_name);
+					await dataExporter.exportDataTableSQL(result.headers, result.rows, get_export_name(table_name), result.schema, create_table, { helper, export_paths });
+				} catch (e) {
+					helper.mark(get_export_name(table_name) + '.sql', false, e.message, e.stack);
+					log.write('Failed to export table %s: %s', table_name, e.message);
 				}
+			}
+
+			export_paths?.close();
+			helper.finish();
+		},
 
-				await dataExporter.exportDataTableSQL(headers, rows_to_export, selected_file || 'unknown_table', selected_file_schema, create_table);
+		async export_json() {
+			const user_selection = this.$core.view.selectionDB2s;
+			if (user_selection.length === 0) {
+				this.$core.setToast('info', 'You didn\'t select any tables to export.');
+				return;
+			}
+
+			// single table: use row selection behavior
+			if (user_selection.length === 1) {
+				const headers = this.$core.view.tableBrowserHeaders;
+				const rows_to_export = get_rows_to_export(this.$core, this.$refs.dataTable);
+				if (rows_to_export === null)
+					return;
+
+				await dataExporter.exportDataTableJSON(headers, rows_to_export, get_export_name(selected_file));
 				return;
 			}
 
@@ -309,9 +676,9 @@ module.exports = {
 
 				try {
 					const result = await parse_table(table_name);
-					await dataExporter.exportDataTableSQL(result.headers, result.rows, table_name, result.schema, create_table, { helper, export_paths });
+					await dataExporter.exportDataTableJSON(result.headers, result.rows, get_export_name(table_name), { helper, export_paths });
 				} catch (e) {
-					helper.mark(table_name + '.sql', false, e.message, e.stack);
+					helper.mark(get_export_name(table_name) + '.json', false, e.message, e.stack);
 					log.write('Failed to export table %s: %s', table_name, e.message);
 				}
 			}
@@ -320,6 +687,37 @@ module.exports = {
 			helper.finish();
 		},
 
+		async export_sqlite() {
+			const user_selection = this.$core.view.selectionDB2s;
+			if (user_selection.length === 0) {
+				this.$core.setToast('info', 'You didn\'t select any tables to export.');
+				return;
+			}
+
+			// single table: use row selection behavior
+			if (user_selection.length === 1) {
+				const headers = this.$core.view.tableBrowserHeaders;
+				const rows_to_export = get_rows_to_export(this.$core, this.$refs.dataTable);
+				if (rows_to_export === null)
+					return;
+
+				const table_name = get_export_name(selected_file);
+				const table = {
+					name: table_name,
+					load: async () => ({ headers, rows: rows_to_export, schema: selected_file_schema, foreignKeys: selected_file_foreign_keys })
+				};
+
+				await dataExporter.exportDataTablesSQLite([table], table_name + '.sqlite');
+				return;
+			}
+
+			// multiple tables: all rows from each table in a single database
+			const tables = user_selection.map(table_name => ({ name: get_export_name(table_name), load: () => parse_table(table_name) }));
+			const file_name = 'db2_' + this.$core.view.casc.getBuildName() + '.sqlite';
+
+			await dataExporter.exportDataTablesSQLite(tables, file_name);
+		},
+
 		async export_db2() {
 			const user_selection = this.$core.view.selectionDB2s;
 			if (user_selection.length === 0) {
@@ -327,6 +725,11 @@ module.exports = {
 				return;
 			}
 
+			if (user_selection.some(item => DBRelations.is_view_item(item))) {
+				this.$core.setToast('info', 'Join views cannot be exported as DB2, export them as CSV, SQL, JSON or SQLite instead.');
+				return;
+			}
+
 			// single table
 			if (user_selection.length === 1) {
 				if (!selected_file || !selected_file_data_id) {
@@ -362,6 +765,20 @@ module.exports = {
 
 			export_paths?.close();
 			helper.finish();
+		},
+
+		async export_db2_edited() {
+			if (!this.can_edit || selected_file_structure === null) {
+				this.$core.setToast('info', 'Select a single DB2 table to export. Join views cannot be exported as DB2.');
+				return;
+			}
+
+			// the file replaces the table, so every row is written regardless of the row selection
+			const headers = this.$core.view.tableBrowserHeaders;
+			const columns = get_edit_columns(headers);
+			const rows = this.$core.view.tableBrowserRows.map(row => DBEdit.to_row_object(columns, row));
+
+			await dataExporter.exportEditedDB2(selected_file, selected_file_structure, selected_file_table_info, rows);
 		}
 	},
 
@@ -375,5 +792,10 @@ module.exports = {
 				this.active_table = selected_file;
 			}
 		});
+
+		this.$core.view.$watch('config.applyHotfixes', async () => {
+			if (!this.$core.view.isBusy && selected_file !== null && !DBRelations.is_view_item(selected_file))
+				await load_table(this.$core, selected_file);
+		});
 	}
 };
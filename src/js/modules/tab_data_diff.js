@@ -0,0 +1,249 @@
+const util = require('util');
+const log = require('../log');
+const dbd_manifest = require('../casc/dbd-manifest');
+const BuildCompare = require('../casc/build-compare');
+const DBDiff = require('../db/DBDiff');
+const dataExporter = require('../ui/data-exporter');
+
+let diff = null;
+
+// row array -> Set of changed column indices
+let changed_cells = new WeakMap();
+
+/**
+ * Format a field value for display in the comparison table.
+ * @param {*} value
+ * @returns {string}
+ */
+const format_value = (value) => {
+	if (value === null || value === undefined)
+		return '';
+
+	return Array.isArray(value) ? '[' + value.join(', ') + ']' : String(value);
+};
+
+/**
+ * Build the display rows for a comparison, prefixed with the row status.
+ * Changed fields are shown as "old → new".
+ * @param {object} result
+ * @returns {Array<Array>}
+ */
+const build_rows = (result) => {
+	changed_cells = new WeakMap();
+
+	return result.rows.map(entry => {
+		const row = [entry.status, ...entry.values.map(value => Array.isArray(value) ? format_value(value) : value)];
+
+		if (entry.changes.length > 0) {
+			const changed = new Set();
+			for (const change of entry.changes) {
+				row[change.index + 1] = format_value(change.old) + ' → ' + format_value(change.new);
+				changed.add(change.index + 1);
+			}
+
+			changed_cells.set(row, changed);
+		}
+
+		return row;
+	});
+};
+
+module.exports = {
+	register() {
+		this.registerContextMenuOption('Compare DB2 Between Builds', 'line-columns.svg');
+	},
+
+	data() {
+		return {
+			remote_builds: [],
+			old_build: BuildCompare.CURRENT_BUILD,
+			new_build: BuildCompare.CURRENT_BUILD,
+			selection: [],
+			table_filter: '',
+			row_filter: '',
+			row_selection: [],
+			compared_table: '',
+			compared_old_build: '',
+			compared_new_build: '',
+			headers: [],
+			rows: [],
+			show_added: true,
+			show_removed: true,
+			show_changed: true,
+			counts: null,
+			added_fields: [],
+			removed_fields: []
+		};
+	},
+
+	computed: {
+		visible_rows() {
+			return this.rows.filter(row => {
+				const status = row[0];
+				if (status === DBDiff.STATUS_ADDED)
+					return this.show_added;
+
+				if (status === DBDiff.STATUS_REMOVED)
+					return this.show_removed;
+
+				return this.show_changed;
+			});
+		}
+	},
+
+	template: `
+		<div class="tab list-tab" id="tab-data-diff">
+			<div class="list-container">
+				<component :is="$components.Listbox" v-model:selection="selection" :items="$core.view.dbdManifest" :filter="table_filter" :keyinput="true" :single="true"
+					:regex="$core.view.config.regexFilters" :includefilecount="false" unittype="db2 file" :nocopy="true"></component>
+			</div>
+			<div class="filter">
+				<div class="regex-info" v-if="$core.view.config.regexFilters" :title="$core.view.regexTooltip">Regex Enabled</div>
+				<input type="text" v-model="table_filter" placeholder="Filter DB2s.." />
+			</div>
+			<div class="list-container">
+				<component :is="$components.DataTable" :headers="headers" :rows="visible_rows" :filter="row_filter" :regex="$core.view.config.regexFilters" :selection="row_selection" :tablename="compared_table + '_diff'" :rowclass="get_row_class" :cellclass="get_cell_class" @update:filter="row_filter = $event" @update:selection="row_selection = $event"></component>
+			</div>
+			<div id="tab-data-diff-options">
+				<span v-if="compared_table" class="diff-summary">{{ compared_table }}: {{ compared_old_build }} → {{ compared_new_build }}</span>
+				<label class="ui-checkbox diff-added">
+					<input type="checkbox" v-model="show_added"/>
+					<span>Added<template v-if="counts"> ({{ counts.added }})</template></span>
+				</label>
+				<label class="ui-checkbox diff-removed">
+					<input type="checkbox" v-model="show_removed"/>
+					<span>Removed<template v-if="counts"> ({{ counts.removed }})</template></span>
+				</label>
+				<label class="ui-checkbox diff-changed">
+					<input type="checkbox" v-model="show_changed"/>
+					<span>Changed<template v-if="counts"> ({{ counts.changed }})</template></span>
+				</label>
+			</div>
+			<div id="tab-data-diff-tray">
+				<div class="filter">
+					<div class="regex-info" v-if="$core.view.config.regexFilters" :title="$core.view.regexTooltip">Regex Enabled</div>
+					<input type="text" v-model="row_filter" placeholder="Filter compared rows..." />
+				</div>
+				<input type="button" value="Export CSV" @click="export_csv" :class="{ disabled: $core.view.isBusy || rows.length === 0 }"/>
+				<input type="button" value="Export JSON" @click="export_json" :class="{ disabled: $core.view.isBusy || rows.length === 0 }"/>
+			</div>
+			<div id="data-diff-sidebar" class="sidebar">
+				<span class="header">Old Build</span>
+				<select class="ui-select" v-model.number="old_build">
+					<option :value="-1">Current ({{ $core.view.casc?.getBuildName() }})</option>
+					<option v-for="build in remote_builds" :value="build.buildIndex">{{ build.label }}</option>
+				</select>
+				<span class="header">New Build</span>
+				<select class="ui-select" v-model.number="new_build">
+					<option :value="-1">Current ({{ $core.view.casc?.getBuildName() }})</option>
+					<option v-for="build in remote_builds" :value="build.buildIndex">{{ build.label }}</option>
+				</select>
+				<input type="button" v-if="remote_builds.length === 0" value="List CDN Builds" @click="list_remote_builds" :class="{ disabled: $core.view.isBusy }"/>
+				<input type="button" value="Compare" @click="compare" :class="{ disabled: $core.view.isBusy || selection.length === 0 }"/>
+				<template v-if="added_fields.length > 0 || removed_fields.length > 0">
+					<span class="header">Schema Changes</span>
+					<span v-for="field in added_fields" class="diff-field diff-added">+ {{ field }}</span>
+					<span v-for="field in removed_fields" class="diff-field diff-removed">- {{ field }}</span>
+				</template>
+			</div>
+		</div>
+	`,
+
+	methods: {
+		get_row_class(row) {
+			return 'diff-' + row[0];
+		},
+
+		get_cell_class(row, index) {
+			return changed_cells.get(row)?.has(index) ? 'diff-cell-changed' : null;
+		},
+
+		async initialize() {
+			const manifest = this.$core.view.dbdManifest;
+			if (manifest.length > 0)
+				return;
+
+			this.$core.showLoadingScreen(1);
+			await this.$core.progressLoadingScreen('Loading data table manifest...');
+			await dbd_manifest.prepareManifest();
+			manifest.push(...dbd_manifest.getAllTableNames());
+			this.$core.hideLoadingScreen();
+		},
+
+		async list_remote_builds() {
+			if (this.$core.view.isBusy)
+				return;
+
+			using _lock = this.$core.create_busy_lock();
+			this.$core.setToast('progress', 'Retrieving available CDN builds...', null, -1, false);
+
+			try {
+				this.remote_builds = await BuildCompare.get_remote_builds();
+				this.$core.hideToast();
+			} catch (e) {
+				this.$core.setToast('error', 'Unable to retrieve CDN builds: ' + e.message, { 'View Log': () => log.openRuntimeLog() }, -1);
+				log.write('Failed to retrieve CDN builds for comparison: %s', e.message);
+			}
+		},
+
+		async compare() {
+			if (this.$core.view.isBusy || this.selection.length === 0)
+				return;
+
+			if (this.old_build === this.new_build) {
+				this.$core.setToast('info', 'Select two different builds to compare.', null, 3000);
+				return;
+			}
+
+			using _lock = this.$core.create_busy_lock();
+			const table_name = this.selection[0];
+
+			try {
+				const old_casc = await BuildCompare.get_source(this.old_build);
+				const new_casc = await BuildCompare.get_source(this.new_build);
+
+				this.$core.setToast('progress', util.format('Comparing %s...', table_name), null, -1, false);
+				diff = await DBDiff.diff_table(table_name, old_casc, new_casc);
+
+				this.headers = ['Status', ...diff.headers];
+				this.rows = Vue.markRaw(build_rows(diff));
+				this.row_selection = [];
+				this.counts = diff.counts;
+				this.added_fields = diff.addedFields;
+				this.removed_fields = diff.removedFields;
+				this.compared_table = table_name;
+				this.compared_old_build = BuildCompare.get_build_name(this.old_build);
+				this.compared_new_build = BuildCompare.get_build_name(this.new_build);
+
+				if (diff.rows.length === 0)
+					this.$core.setToast('info', util.format('No row changes in %s between the selected builds.', table_name), null, 4000);
+				else
+					this.$core.hideToast();
+			} catch (e) {
+				this.$core.setToast('error', util.format('Unable to compare %s: %s', table_name, e.message), { 'View Log': () => log.openRuntimeLog() }, -1);
+				log.write('Failed to compare %s between builds: %s', table_name, e.message);
+			}
+		},
+
+		async export_csv() {
+			if (this.$core.view.isBusy || this.rows.length === 0)
+				return;
+
+			await dataExporter.exportDataTable(this.headers, this.visible_rows, this.compared_table + '_diff');
+		},
+
+		async export_json() {
+			if (this.$core.view.isBusy || diff === null)
+				return;
+
+			const visible = new Set([
+				this.show_added && DBDiff.STATUS_ADDED,
+				this.show_removed && DBDiff.STATUS_REMOVED,
+				this.show_changed && DBDiff.STATUS_CHANGED
+			]);
+
+			const filtered = { ...diff, rows: diff.rows.filter(row => visible.has(row.status)) };
+			await dataExporter.exportDataDiffJSON(filtered, this.compared_table, this.compared_old_build, this.compared_new_build);
+		}
+	}
+};
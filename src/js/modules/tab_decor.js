@@ -126,11 +126,14 @@ const export_files = async (core, entries, export_id = -1) => {
 	const export_paths = core.openLastExportStream();
 	const format = core.view.config.exportDecorFormat;
 
-	if (format === 'PNG' || format === 'CLIPBOARD') {
+	if (format === 'PNG' || format === 'CLIPBOARD' || format === 'TURNTABLE') {
 		if (active_file_data_id) {
 			const canvas = document.getElementById('decor-preview').querySelector('canvas');
 			const export_name = ExportHelper.sanitizeFilename(active_decor_item?.name ?? 'decor_' + active_file_data_id);
-			await modelViewerUtils.export_preview(core, format, canvas, export_name, 'decor');
+			if (format === 'TURNTABLE')
+				await modelViewerUtils.export_turntable(core, core.view.decorViewerContext, export_name, 'decor');
+			else
+				await modelViewerUtils.export_preview(core, format, canvas, export_name, 'decor');
 		} else {
 			core.setToast('error', 'The selected export option only works for model previews. Preview something first!', null, -1);
 		}
@@ -331,6 +334,10 @@ module.exports = {
 					<input type="checkbox" v-model="$core.view.config.modelViewerShowBones"/>
 					<span>Show Bones</span>
 				</label>
+				<label class="ui-checkbox" title="Simulate the model's particle and ribbon emitters">
+					<input type="checkbox" v-model="$core.view.config.modelViewerShowParticles"/>
+					<span>Show Particles</span>
+				</label>
 				<label class="ui-checkbox" title="Show model textures in the preview pane">
 					<input type="checkbox" v-model="$core.view.config.modelViewerShowTextures"/>
 					<span>Show Textures</span>
@@ -442,7 +449,7 @@ module.exports = {
 			apply_filters(this.$core);
 
 			if (!this.$core.view.decorViewerContext)
-				this.$core.view.decorViewerContext = Object.seal({ getActiveRenderer: () => active_renderer, gl_context: null, fitCamera: null });
+				this.$core.view.decorViewerContext = Object.seal({ getActiveRenderer: () => active_renderer, gl_context: null, fitCamera: null, captureFrames: null });
 
 			this.$core.hideLoadingScreen();
 		},
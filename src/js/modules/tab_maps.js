@@ -775,7 +775,7 @@ module.exports = {
 
 		async export_map() {
 			const format = this.$core.view.config.exportMapFormat;
-			if (format === 'OBJ')
+			if (format === 'OBJ' || format === 'GLTF' || format === 'GLB')
 				await this.export_selected_map();
 			else if (format === 'PNG')
 				await this.export_selected_map_as_png();
@@ -183,10 +183,13 @@ const export_files = async (core, files, is_local = false, export_id = -1) => {
 
 	const manifest = { type: 'MODELS', exportID: export_id, succeeded: [], failed: [] };
 
-	if (format === 'PNG' || format === 'CLIPBOARD') {
+	if (format === 'PNG' || format === 'CLIPBOARD' || format === 'TURNTABLE') {
 		if (active_path) {
 			const canvas = document.getElementById('model-preview').querySelector('canvas');
-			await modelViewerUtils.export_preview(core, format, canvas, active_path);
+			if (format === 'TURNTABLE')
+				await modelViewerUtils.export_turntable(core, core.view.modelViewerContext, active_path);
+			else
+				await modelViewerUtils.export_preview(core, format, canvas, active_path);
 		} else {
 			core.setToast('error', 'The selected export option only works for model previews. Preview something first!', null, -1);
 		}
@@ -261,7 +264,8 @@ const export_files = async (core, files, is_local = false, export_id = -1) => {
 				wmo_group_mask: is_active ? core.view.modelViewerWMOGroups : null,
 				wmo_set_mask: is_active ? core.view.modelViewerWMOSets : null,
 				active_renderer: is_active ? active_renderer : null,
-				export_paths
+				export_paths,
+				retarget_profile: core.view.config.modelsExportRetargetProfile
 			});
 
 			helper.mark(mark_name, true);
@@ -352,7 +356,7 @@ module.exports = {
 				</div>
 			</div>
 			<div class="preview-controls">
-				<component :is="$components.MenuButton" :options="$core.view.menuButtonModels" :default="$core.view.config.exportModelFormat" @change="$core.view.config.exportModelFormat = $event" class="upward" :disabled="$core.view.isBusy" @click="export_model"></component>
+				<component :is="$components.MenuButton" :key="$core.view.modelViewerActiveType === 'wmo'" :options="export_options" :default="$core.view.config.exportModelFormat" @change="$core.view.config.exportModelFormat = $event" class="upward" :disabled="$core.view.isBusy" @click="export_model"></component>
 			</div>
 			<div id="model-sidebar" class="sidebar">
 				<span class="header">Preview</span>
@@ -376,10 +380,28 @@ module.exports = {
 					<input type="checkbox" v-model="$core.view.config.modelViewerShowBones"/>
 					<span>Show Bones</span>
 				</label>
+				<label class="ui-checkbox" title="Simulate the model's particle and ribbon emitters">
+					<input type="checkbox" v-model="$core.view.config.modelViewerShowParticles"/>
+					<span>Show Particles</span>
+				</label>
 				<label class="ui-checkbox" title="Show model textures in the preview pane">
 					<input type="checkbox" v-model="$core.view.config.modelViewerShowTextures"/>
 					<span>Show Textures</span>
 				</label>
+				<template v-if="$core.view.modelViewerActiveType === 'wmo'">
+					<label class="ui-checkbox" title="Show the WMO's lights as coloured markers">
+						<input type="checkbox" v-model="$core.view.config.modelViewerShowWMOLights"/>
+						<span>Show Lights</span>
+					</label>
+					<label class="ui-checkbox" title="Show the WMO's fog volumes">
+						<input type="checkbox" v-model="$core.view.config.modelViewerShowWMOFog"/>
+						<span>Show Fog Volumes</span>
+					</label>
+					<label class="ui-checkbox" title="Show the WMO's portal polygons">
+						<input type="checkbox" v-model="$core.view.config.modelViewerShowWMOPortals"/>
+						<span>Show Portals</span>
+					</label>
+				</template>
 				<label class="ui-checkbox" title="Show a background color in the 3D viewport">
 					<input type="checkbox" v-model="$core.view.config.modelViewerShowBackground"/>
 					<span>Show Background</span>
@@ -393,10 +415,20 @@ module.exports = {
 					<input type="checkbox" v-model="$core.view.config.modelsExportAlpha"/>
 					<span>Texture Alpha</span>
 				</label>
-				<label v-if="$core.view.config.exportModelFormat === 'GLTF' && $core.view.modelViewerActiveType === 'm2'" class="ui-checkbox" title="Include animations in export">
+				<label v-if="($core.view.config.exportModelFormat === 'GLTF' || $core.view.config.exportModelFormat === 'FBX') && $core.view.modelViewerActiveType === 'm2'" class="ui-checkbox" title="Include animations in export">
 					<input type="checkbox" v-model="$core.view.config.modelsExportAnimations"/>
 					<span>Export animations</span>
 				</label>
+				<label v-if="($core.view.config.exportModelFormat === 'GLTF' || $core.view.config.exportModelFormat === 'GLB') && $core.view.config.modelsExportAnimations && $core.view.modelViewerActiveType === 'm2'" class="ui-checkbox" title="Export each animation as its own clip file">
+					<input type="checkbox" v-model="$core.view.config.modelsExportAnimationClips"/>
+					<span>Separate clips</span>
+				</label>
+				<select class="ui-select" v-if="($core.view.config.exportModelFormat === 'GLTF' || $core.view.config.exportModelFormat === 'FBX') && $core.view.modelViewerActiveType === 'm2'" v-model="$core.view.config.modelsExportRetargetProfile" title="Rename the skeleton, add a root bone and convert facing and scale for a target rig. The bind pose is kept as the rest pose.">
+					<option value="none">Retarget: None</option>
+					<option value="ue5_mannequin">Retarget: UE5 Mannequin</option>
+					<option value="mixamo">Retarget: Mixamo</option>
+					<option value="humanoid">Retarget: Humanoid</option>
+				</select>
 				<label v-if="($core.view.config.exportModelFormat === 'OBJ' || $core.view.config.exportModelFormat === 'STL') && $core.view.modelViewerActiveType === 'm2'" class="ui-checkbox" title="Apply current animation pose to exported geometry">
 					<input type="checkbox" v-model="$core.view.config.modelsExportApplyPose"/>
 					<span>Apply pose</span>
@@ -423,6 +455,18 @@ module.exports = {
 						<span>WMO Groups</span>
 					</label>
 				</template>
+				<label v-if="($core.view.config.exportModelFormat === 'OBJ' || $core.view.config.exportModelFormat === 'GLTF' || $core.view.config.exportModelFormat === 'GLB') && $core.view.modelViewerActiveType === 'wmo'" class="ui-checkbox" title="Export only collidable faces as a physics mesh, along with the BSP tree as JSON">
+					<input type="checkbox" v-model="$core.view.config.modelsExportWMOCollisionOnly"/>
+					<span>Collision Only</span>
+				</label>
+				<label v-if="$core.view.config.exportModelFormat !== 'RAW' && $core.view.modelViewerActiveType === 'wmo'" class="ui-checkbox" title="Include liquid surfaces such as water and lava in WMO exports">
+					<input type="checkbox" v-model="$core.view.config.modelsExportWMOLiquid"/>
+					<span>Liquids</span>
+				</label>
+				<label v-if="($core.view.config.exportModelFormat === 'GLTF' || $core.view.config.exportModelFormat === 'GLB') && $core.view.modelViewerActiveType === 'wmo'" class="ui-checkbox" title="Export lights, fog volumes and portals as glTF nodes">
+					<input type="checkbox" v-model="$core.view.config.modelsExportWMOSceneData"/>
+					<span>Lights, Fog and Portals</span>
+				</label>
 				<template v-if="$core.view.config.exportModelFormat === 'OBJ' && $core.view.modelViewerActiveType === 'wmo'">
 					<label class="ui-checkbox" title="Export each WMO group as a separate OBJ file">
 						<input type="checkbox" v-model="$core.view.config.modelsExportSplitWMOGroups"/>
@@ -453,6 +497,16 @@ module.exports = {
 		</div>
 	`,
 
+	computed: {
+		export_options() {
+			// WMO models cannot be exported as FBX
+			if (this.$core.view.modelViewerActiveType === 'wmo')
+				return this.$core.view.menuButtonModels.filter(option => option.value !== 'FBX');
+
+			return this.$core.view.menuButtonModels;
+		}
+	},
+
 	methods: {
 		handle_listbox_context(data) {
 			listboxContext.handle_context_menu(data);
@@ -573,7 +627,7 @@ module.exports = {
 			await this.$core.progressLoadingScreen('Initializing 3D preview...');
 
 			if (!this.$core.view.modelViewerContext)
-				this.$core.view.modelViewerContext = Object.seal({ getActiveRenderer: () => active_renderer, gl_context: null, fitCamera: null });
+				this.$core.view.modelViewerContext = Object.seal({ getActiveRenderer: () => active_renderer, gl_context: null, fitCamera: null, captureFrames: null });
 
 			this.$core.hideLoadingScreen();
 		}
@@ -648,6 +702,11 @@ module.exports = {
 				preview_model(this.$core, first);
 		});
 
+		this.$core.view.$watch('modelViewerActiveType', type => {
+			if (type === 'wmo' && this.$core.view.config.exportModelFormat === 'FBX')
+				this.$core.view.config.exportModelFormat = 'GLTF';
+		});
+
 		this.$core.events.on('toggle-uv-layer', (layer_name) => {
 			const state = get_view_state(this.$core);
 			modelViewerUtils.toggle_uv_layer(state, active_renderer, layer_name);
@@ -225,7 +225,7 @@ const export_files = async (core, files, export_id = -1) => {
 		} else {
 			core.setToast('error', 'The selected export option only works for model previews. Preview something first!', null, -1);
 		}
-	} else if (format === 'OBJ' || format === 'STL' || format === 'RAW') {
+	} else if (format === 'OBJ' || format === 'STL' || format === 'GLTF' || format === 'GLB' || format === 'RAW') {
 		const mpq = core.view.mpq;
 		const helper = new ExportHelper(files.length, 'model');
 		helper.start();
@@ -266,6 +266,10 @@ const export_files = async (core, files, export_id = -1) => {
 						export_path = ExportHelper.replaceExtension(export_path, '.stl');
 						await exporter.exportAsSTL(export_path, helper, file_manifest);
 						await export_paths?.writeLine('WMO_STL:' + export_path);
+					} else if (format === 'GLTF' || format === 'GLB') {
+						export_path = ExportHelper.replaceExtension(export_path, format === 'GLB' ? '.glb' : '.gltf');
+						await exporter.exportAsGLTF(export_path, helper, file_manifest, format.toLowerCase());
+						await export_paths?.writeLine('WMO_' + format + ':' + export_path);
 					} else {
 						await exporter.exportRaw(export_path, helper, file_manifest);
 						await export_paths?.writeLine('WMO_RAW:' + export_path);
@@ -294,6 +298,10 @@ const export_files = async (core, files, export_id = -1) => {
 						export_path = ExportHelper.replaceExtension(export_path, '.stl');
 						await exporter.exportAsSTL(export_path, helper, file_manifest);
 						await export_paths?.writeLine('M2_STL:' + export_path);
+					} else if (format === 'GLTF' || format === 'GLB') {
+						export_path = ExportHelper.replaceExtension(export_path, format === 'GLB' ? '.glb' : '.gltf');
+						await exporter.exportAsGLTF(export_path, helper, file_manifest, format.toLowerCase());
+						await export_paths?.writeLine('M2_' + format + ':' + export_path);
 					} else {
 						await exporter.exportRaw(export_path, helper, file_manifest);
 						await export_paths?.writeLine('M2_RAW:' + export_path);
@@ -398,6 +406,13 @@ module.exports = {
 					<input type="checkbox" v-model="$core.view.config.modelViewerShowBackground"/>
 					<span>Show Background</span>
 				</label>
+				<template v-if="($core.view.config.exportLegacyModelFormat === 'GLTF' || $core.view.config.exportLegacyModelFormat === 'GLB') && $core.view.legacyModelViewerActiveType === 'm2'">
+					<span class="header">Export</span>
+					<label class="ui-checkbox" title="Include animations in export">
+						<input type="checkbox" v-model="$core.view.config.modelsExportAnimations"/>
+						<span>Export animations</span>
+					</label>
+				</template>
 				<template v-if="$core.view.legacyModelViewerActiveType === 'm2' && $core.view.legacyModelViewerSkins && $core.view.legacyModelViewerSkins.length > 0">
 					<span class="header">Skins</span>
 					<component :is="$components.Listboxb" :items="$core.view.legacyModelViewerSkins" v-model:selection="$core.view.legacyModelViewerSkinsSelection" :single="true"></component>
@@ -468,5 +468,11 @@ module.exports = {
 			prompt: count => util.format('Export %d textures as %s', count, this.$core.view.config.exportTextureFormat),
 			process: files => textureExporter.exportFiles(files, true)
 		});
+
+		this.$core.registerDropHandler({
+			ext: ['.png'],
+			prompt: count => util.format('Convert %d PNG files to BLP (%s)', count, this.$core.view.config.exportBLPEncoding),
+			process: files => textureExporter.convertPNGFiles(files)
+		});
 	}
 };
\ No newline at end of file
@@ -9,7 +9,11 @@ const generics = require('../generics');
 const ExportHelper = require('../casc/export-helper');
 const CSVWriter = require('../3D/writers/CSVWriter');
 const SQLWriter = require('../3D/writers/SQLWriter');
+const SQLiteWriter = require('../3D/writers/SQLiteWriter');
+const WDCWriter = require('../3D/writers/WDCWriter');
+const DBCWriter = require('../3D/writers/DBCWriter');
 const fsp = require('fs').promises;
+const path = require('path');
 
 /**
  * Export data table to CSV format.
@@ -133,6 +137,49 @@ const exportRawDB2 = async (tableName, fileDataID, options = {}) => {
 	}
 };
 
+/**
+ * Export an edited data table as a DB2 (WDC5) file.
+ * @param {string} tableName - Name of the table being exported
+ * @param {DBDEntry} structure - Table definition for the loaded build
+ * @param {object} tableInfo - Header information of the source table, see WDCWriter.setTableInfo()
+ * @param {Array} rows - Array of row objects keyed by field name
+ */
+const exportEditedDB2 = async (tableName, structure, tableInfo, rows) => {
+	const helper = new ExportHelper(1, 'db2');
+	helper.start();
+
+	const exportPaths = core.openLastExportStream();
+	const fileName = `${tableName}.db2`;
+
+	try {
+		const exportPath = ExportHelper.getExportPath(fileName);
+
+		const overwriteFiles = core.view.config.overwriteFiles;
+		if (!overwriteFiles && await generics.fileExists(exportPath)) {
+			log.write('Skipping export of %s (file exists, overwrite disabled)', exportPath);
+			helper.mark(fileName, true);
+		} else {
+			const wdcWriter = new WDCWriter(exportPath, structure);
+			wdcWriter.setTableInfo(tableInfo);
+
+			for (const row of rows)
+				wdcWriter.addRow(row);
+
+			await wdcWriter.write(overwriteFiles);
+			await exportPaths?.writeLine('DB2:' + exportPath);
+
+			helper.mark(fileName, true);
+			log.write('Successfully exported edited DB2 file with %d rows to %s', rows.length, exportPath);
+		}
+	} catch (e) {
+		helper.mark(fileName, false, e.message, e.stack);
+		log.write('Failed to export edited DB2 file: %s', e.message);
+	}
+
+	exportPaths?.close();
+	helper.finish();
+};
+
 /**
  * Export data table to SQL format.
  * @param {Array} headers - Array of column headers
@@ -205,6 +252,148 @@ const exportDataTableSQL = async (headers, rows, tableName, schema, createTable,
 	}
 };
 
+/**
+ * Export data table to JSON format as an array of row objects.
+ * Array fields are preserved as JSON arrays.
+ * @param {Array} headers - Array of column headers
+ * @param {Array} rows - Array of row data arrays
+ * @param {string} tableName - Name of the table being exported
+ */
+const exportDataTableJSON = async (headers, rows, tableName, options = {}) => {
+	if (!headers || !rows || headers.length === 0 || rows.length === 0) {
+		if (!options.helper)
+			core.setToast('info', 'No data available to export.');
+
+		return;
+	}
+
+	const standalone = !options.helper;
+	let helper, exportPaths;
+
+	if (standalone) {
+		helper = new ExportHelper(1, 'table');
+		helper.start();
+		exportPaths = core.openLastExportStream();
+	} else {
+		helper = options.helper;
+		exportPaths = options.export_paths;
+	}
+
+	const fileName = `${tableName}.json`;
+
+	try {
+		const exportPath = ExportHelper.getExportPath(fileName);
+
+		const overwriteFiles = core.view.config.overwriteFiles;
+		if (!overwriteFiles && await generics.fileExists(exportPath)) {
+			log.write('Skipping export of %s (file exists, overwrite disabled)', exportPath);
+			helper.mark(fileName, true);
+		} else {
+			const rowObjects = rows.map(row => {
+				const rowObject = {};
+				for (let i = 0; i < headers.length; i++)
+					rowObject[headers[i]] = row[i] ?? null;
+
+				return rowObject;
+			});
+
+			const json = JSON.stringify(rowObjects, (key, value) => {
+				// Handle serialization of BigInt, as JS will not handle it as per spec (TC39)
+				return typeof value === 'bigint' ? value.toString() : value;
+			}, '\t');
+
+			await fsp.mkdir(path.dirname(exportPath), { recursive: true });
+			await fsp.writeFile(exportPath, json);
+			await exportPaths?.writeLine('JSON:' + exportPath);
+
+			helper.mark(fileName, true);
+			log.write('Successfully exported data table to %s', exportPath);
+		}
+	} catch (e) {
+		helper.mark(fileName, false, e.message, e.stack);
+		log.write('Failed to export data table: %s', e.message);
+	}
+
+	if (standalone) {
+		exportPaths?.close();
+		helper.finish();
+	}
+};
+
+/**
+ * Export one or more data tables into a single SQLite database.
+ * Tables are loaded one at a time so only one table is held in memory.
+ * @param {Array} tables - Array of { name, load } where load resolves to { headers, rows, schema, foreignKeys }
+ * @param {string} fileName - Name of the database file
+ */
+const exportDataTablesSQLite = async (tables, fileName, options = {}) => {
+	if (!tables || tables.length === 0) {
+		if (!options.helper)
+			core.setToast('info', 'No data available to export.');
+
+		return;
+	}
+
+	const standalone = !options.helper;
+	let helper, exportPaths;
+
+	if (standalone) {
+		helper = new ExportHelper(tables.length, 'table');
+		helper.start();
+		exportPaths = core.openLastExportStream();
+	} else {
+		helper = options.helper;
+		exportPaths = options.export_paths;
+	}
+
+	const exportPath = ExportHelper.getExportPath(fileName);
+	const overwriteFiles = core.view.config.overwriteFiles;
+
+	if (!overwriteFiles && await generics.fileExists(exportPath)) {
+		log.write('Skipping export of %s (file exists, overwrite disabled)', exportPath);
+		for (const table of tables)
+			helper.mark(table.name, true);
+	} else {
+		const sqliteWriter = new SQLiteWriter(exportPath);
+		let tableCount = 0;
+
+		for (const table of tables) {
+			if (helper.isCancelled())
+				break;
+
+			try {
+				const { headers, rows, schema, foreignKeys } = await table.load();
+				if (!headers || !rows || headers.length === 0)
+					throw new Error('No data available to export');
+
+				sqliteWriter.addTable(table.name, headers, rows, schema, foreignKeys);
+				tableCount++;
+
+				helper.mark(table.name, true);
+			} catch (e) {
+				helper.mark(table.name, false, e.message, e.stack);
+				log.write('Failed to add table %s to SQLite database: %s', table.name, e.message);
+			}
+		}
+
+		try {
+			if (tableCount > 0 && !helper.isCancelled()) {
+				await sqliteWriter.write(overwriteFiles);
+				await exportPaths?.writeLine('SQLITE:' + exportPath);
+				log.write('Successfully exported %d data tables to %s', tableCount, exportPath);
+			}
+		} catch (e) {
+			helper.mark(fileName, false, e.message, e.stack);
+			log.write('Failed to write SQLite database: %s', e.message);
+		}
+	}
+
+	if (standalone) {
+		exportPaths?.close();
+		helper.finish();
+	}
+};
+
 /**
  * Export raw DBC file from MPQ archive.
  * @param {string} tableName - Name of the table being exported
@@ -236,7 +425,7 @@ const exportRawDBC = async (tableName, filePath, mpq) => {
 			if (!raw_data)
 				throw new Error('Failed to retrieve DBC file from MPQ');
 
-			await fsp.mkdir(require('path').dirname(exportPath), { recursive: true });
+			await fsp.mkdir(path.dirname(exportPath), { recursive: true });
 			await fsp.writeFile(exportPath, Buffer.from(raw_data));
 			await exportPaths?.writeLine('DBC:' + exportPath);
 
@@ -253,4 +442,110 @@ const exportRawDBC = async (tableName, filePath, mpq) => {
 	helper.finish();
 };
 
-module.exports = { exportDataTable, exportDataTableSQL, exportRawDB2, exportRawDBC };
\ No newline at end of file
+/**
+ * Export an edited data table as a DBC file.
+ * @param {string} tableName - Name of the table being exported
+ * @param {Map} schema - DBCReader schema map
+ * @param {number} localeCount - Number of locale columns in each locstring
+ * @param {Map} localeStrings - Per-locale strings of the source rows, keyed by ID
+ * @param {Array} rows - Array of row objects keyed by field name
+ */
+const exportEditedDBC = async (tableName, schema, localeCount, localeStrings, rows) => {
+	const helper = new ExportHelper(1, 'dbc');
+	helper.start();
+
+	const exportPaths = core.openLastExportStream();
+	const fileName = `${tableName}.dbc`;
+
+	try {
+		const exportPath = ExportHelper.getExportPath(fileName);
+
+		const overwriteFiles = core.view.config.overwriteFiles;
+		if (!overwriteFiles && await generics.fileExists(exportPath)) {
+			log.write('Skipping export of %s (file exists, overwrite disabled)', exportPath);
+			helper.mark(fileName, true);
+		} else {
+			const dbcWriter = new DBCWriter(exportPath, schema, localeCount, localeStrings);
+			for (const row of rows)
+				dbcWriter.addRow(row);
+
+			await dbcWriter.write(overwriteFiles);
+			await exportPaths?.writeLine('DBC:' + exportPath);
+
+			helper.mark(fileName, true);
+			log.write('Successfully exported edited DBC file with %d rows to %s', rows.length, exportPath);
+		}
+	} catch (e) {
+		helper.mark(fileName, false, e.message, e.stack);
+		log.write('Failed to export edited DBC file: %s', e.message);
+	}
+
+	exportPaths?.close();
+	helper.finish();
+};
+
+/**
+ * Export a comparison of a table between two builds to JSON format.
+ * @param {object} diff - Result of DBDiff.diff_table()
+ * @param {string} tableName - Name of the compared table
+ * @param {string} oldBuild - Name of the build compared from
+ * @param {string} newBuild - Name of the build compared to
+ */
+const exportDataDiffJSON = async (diff, tableName, oldBuild, newBuild) => {
+	const helper = new ExportHelper(1, 'table');
+	helper.start();
+
+	const exportPaths = core.openLastExportStream();
+	const fileName = `${tableName}_diff.json`;
+
+	try {
+		const exportPath = ExportHelper.getExportPath(fileName);
+
+		const overwriteFiles = core.view.config.overwriteFiles;
+		if (!overwriteFiles && await generics.fileExists(exportPath)) {
+			log.write('Skipping export of %s (file exists, overwrite disabled)', exportPath);
+			helper.mark(fileName, true);
+		} else {
+			const rows = diff.rows.map(row => {
+				const entry = { ID: row.id, status: row.status };
+
+				if (row.changes.length > 0) {
+					entry.changes = {};
+					for (const change of row.changes)
+						entry.changes[change.field] = { old: change.old, new: change.new };
+				}
+
+				entry.values = {};
+				for (let i = 0; i < diff.headers.length; i++)
+					entry.values[diff.headers[i]] = row.values[i];
+
+				return entry;
+			});
+
+			const json = JSON.stringify({
+				table: tableName,
+				oldBuild,
+				newBuild,
+				addedFields: diff.addedFields,
+				removedFields: diff.removedFields,
+				counts: diff.counts,
+				rows
+			}, null, '\t');
+
+			await fsp.mkdir(path.dirname(exportPath), { recursive: true });
+			await fsp.writeFile(exportPath, json);
+			await exportPaths?.writeLine('JSON:' + exportPath);
+
+			helper.mark(fileName, true);
+			log.write('Successfully exported table comparison to %s', exportPath);
+		}
+	} catch (e) {
+		helper.mark(fileName, false, e.message, e.stack);
+		log.write('Failed to export table comparison: %s', e.message);
+	}
+
+	exportPaths?.close();
+	helper.finish();
+};
+
+module.exports = { exportDataTable, exportDataTableSQL, exportDataTableJSON, exportDataTablesSQLite, exportDataDiffJSON, exportRawDB2, exportRawDBC, exportEditedDB2, exportEditedDBC };
\ No newline at end of file
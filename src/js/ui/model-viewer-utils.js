@@ -12,6 +12,8 @@ const listfile = require('../casc/listfile');
 const constants = require('../constants');
 const EncryptionError = require('../casc/blte-reader').EncryptionError;
 const BLPFile = require('../casc/blp');
+const JSONWriter = require('../3D/writers/JSONWriter');
+const WebPAnimWriter = require('../webp-anim-writer');
 
 const M2RendererGL = require('../3D/renderers/M2RendererGL');
 const M3RendererGL = require('../3D/renderers/M3RendererGL');
@@ -33,7 +35,8 @@ const EXPORT_EXTENSIONS = {
 	'OBJ': '.obj',
 	'STL': '.stl',
 	'GLTF': '.gltf',
-	'GLB': '.glb'
+	'GLB': '.glb',
+	'FBX': '.fbx'
 };
 
 /**
@@ -307,6 +310,119 @@ const export_preview = async (core, format, canvas, export_name, export_subdir =
 	return true;
 };
 
+/**
+ * Render the 3D preview from evenly spaced yaw angles (and optionally sampled
+ * animation frames) as numbered PNGs, a sprite sheet with a JSON atlas, or an
+ * animated WebP.
+ * @param {object} core - Core instance
+ * @param {object} context - Model viewer context
+ * @param {string} export_name - Base name for export
+ * @param {string} export_subdir - Subdirectory for export
+ * @returns {boolean} Success
+ */
+const export_turntable = async (core, context, export_name, export_subdir = '') => {
+	if (!context?.captureFrames) {
+		core.setToast('error', 'The model viewer is not ready for turntable renders.', null, -1);
+		return false;
+	}
+
+	const config = core.view.config;
+	const output = config.modelsTurntableOutput;
+	const width = config.modelsTurntableWidth;
+	const height = config.modelsTurntableHeight;
+	const angles = Math.max(1, config.modelsTurntableAngles);
+	const frames = Math.max(1, config.modelsTurntableFrames);
+
+	const base_path = export_subdir ? export_subdir + '/' + export_name : export_name;
+	const out_base = ExportHelper.replaceExtension(ExportHelper.getExportPath(base_path), '_turntable');
+	const out_dir = path.dirname(out_base);
+
+	const export_paths = core.openLastExportStream();
+	core.setToast('progress', 'Rendering turntable, hold on...', null, -1, false);
+
+	// frames are copied into a 2D canvas so they can be composed and encoded after the capture
+	const frame_canvas = document.createElement('canvas');
+	const atlas = [];
+	let sheet_canvas = null;
+	let anim_writer = null;
+	let out_file;
+
+	try {
+		await context.captureFrames({
+			width,
+			height,
+			angles,
+			frames,
+			transparent: config.modelsTurntableTransparent,
+			on_frame: async (canvas, angle_index, frame_index) => {
+				if (frame_canvas.width !== canvas.width || frame_canvas.height !== canvas.height) {
+					frame_canvas.width = canvas.width;
+					frame_canvas.height = canvas.height;
+				}
+
+				const ctx = frame_canvas.getContext('2d');
+				ctx.clearRect(0, 0, frame_canvas.width, frame_canvas.height);
+				ctx.drawImage(canvas, 0, 0);
+
+				const index = atlas.length;
+				atlas.push({ index, angle: (angle_index / angles) * 360, frame: frame_index, x: frame_index * canvas.width, y: angle_index * canvas.height, w: canvas.width, h: canvas.height });
+
+				if (output === 'SPRITESHEET') {
+					// one row per angle, one column per animation frame
+					if (!sheet_canvas) {
+						sheet_canvas = document.createElement('canvas');
+						sheet_canvas.width = canvas.width * frames;
+						sheet_canvas.height = canvas.height * angles;
+					}
+
+					sheet_canvas.getContext('2d').drawImage(frame_canvas, frame_index * canvas.width, angle_index * canvas.height);
+				} else if (output === 'WEBP') {
+					anim_writer ??= new WebPAnimWriter(canvas.width, canvas.height);
+					anim_writer.addFrame(await BufferWrapper.fromCanvas(frame_canvas, 'image/webp', 100), config.modelsTurntableFrameDuration);
+				} else {
+					const frame_file = out_base + '_' + index.toString().padStart(3, '0') + '.png';
+					const buf = await BufferWrapper.fromCanvas(frame_canvas, 'image/png');
+					await buf.writeToFile(frame_file);
+					await export_paths?.writeLine('PNG:' + frame_file);
+
+					out_file = frame_file;
+				}
+			}
+		});
+
+		if (output === 'SPRITESHEET' && sheet_canvas) {
+			out_file = out_base + '.png';
+			const buf = await BufferWrapper.fromCanvas(sheet_canvas, 'image/png');
+			await buf.writeToFile(out_file);
+			await export_paths?.writeLine('PNG:' + out_file);
+
+			const json = new JSONWriter(out_base + '.json');
+			json.addProperty('image', path.basename(out_file));
+			json.addProperty('frameWidth', frame_canvas.width);
+			json.addProperty('frameHeight', frame_canvas.height);
+			json.addProperty('columns', sheet_canvas.width / frame_canvas.width);
+			json.addProperty('rows', sheet_canvas.height / frame_canvas.height);
+			json.addProperty('frames', atlas);
+			await json.write();
+		} else if (output === 'WEBP' && anim_writer) {
+			out_file = out_base + '.webp';
+			await anim_writer.write(out_file);
+			await export_paths?.writeLine('WEBP:' + out_file);
+		}
+	} catch (e) {
+		export_paths?.close();
+		log.write('Failed to render turntable: %s', e.message);
+		core.setToast('error', 'Unable to render turntable: ' + e.message, { 'View Log': () => log.openRuntimeLog() }, -1);
+		return false;
+	}
+
+	export_paths?.close();
+
+	log.write('Rendered %d turntable frames to %s', atlas.length, out_file);
+	core.setToast('success', util.format('Successfully rendered %d turntable frames to %s', atlas.length, out_dir), { 'View in Explorer': () => nw.Shell.openItem(out_dir) }, -1);
+	return true;
+};
+
 /**
  * Export a model file.
  * @param {object} options - Export options
@@ -323,6 +439,7 @@ const export_preview = async (core, format, canvas, export_name, export_subdir =
  * @param {Array} options.wmo_group_mask - WMO group mask (for active model)
  * @param {Array} options.wmo_set_mask - WMO doodad set mask (for active model)
  * @param {object} options.export_paths - Export paths stream
+ * @param {string} options.retarget_profile - Skeleton retargeting profile (for GLTF/FBX M2 exports)
  */
 const export_model = async (options) => {
 	const {
@@ -339,7 +456,8 @@ const export_model = async (options) => {
 		wmo_group_mask = null,
 		wmo_set_mask = null,
 		export_paths = null,
-		active_renderer = null
+		active_renderer = null,
+		retarget_profile = null
 	} = options;
 
 	const model_type = detect_model_type_by_name(file_name) ?? detect_model_type(data);
@@ -370,6 +488,7 @@ const export_model = async (options) => {
 		case 'STL':
 		case 'GLTF':
 		case 'GLB':
+		case 'FBX':
 			final_export_path = ExportHelper.replaceExtension(final_export_path, EXPORT_EXTENSIONS[format]);
 			mark_file_name = ExportHelper.getRelativeExport(final_export_path);
 
@@ -379,6 +498,9 @@ const export_model = async (options) => {
 				if (geoset_mask)
 					exporter.setGeosetMask(geoset_mask);
 
+				if (retarget_profile)
+					exporter.setRetargetProfile(retarget_profile);
+
 				if (active_renderer && core.view.config.modelsExportApplyPose && (format === 'OBJ' || format === 'STL')) {
 					const baked = active_renderer.getBakedGeometry();
 					if (baked)
@@ -394,6 +516,9 @@ const export_model = async (options) => {
 				} else if (format === 'GLTF' || format === 'GLB') {
 					await exporter.exportAsGLTF(final_export_path, helper, format.toLowerCase());
 					await export_paths?.writeLine('M2_' + format + ':' + final_export_path);
+				} else if (format === 'FBX') {
+					await exporter.exportAsFBX(final_export_path, helper);
+					await export_paths?.writeLine('M2_FBX:' + final_export_path);
 				}
 			} else if (model_type === MODEL_TYPE_M3) {
 				const exporter = new M3Exporter(data, variant_textures, file_data_id);
@@ -407,8 +532,14 @@ const export_model = async (options) => {
 				} else if (format === 'GLTF' || format === 'GLB') {
 					await exporter.exportAsGLTF(final_export_path, helper, format.toLowerCase());
 					await export_paths?.writeLine('M3_' + format + ':' + final_export_path);
+				} else if (format === 'FBX') {
+					await exporter.exportAsFBX(final_export_path, helper);
+					await export_paths?.writeLine('M3_FBX:' + final_export_path);
 				}
 			} else if (model_type === MODEL_TYPE_WMO) {
+				if (format === 'FBX')
+					throw new Error('FBX export is not supported for WMO models');
+
 				const exporter = new WMOExporter(data, file_name);
 
 				if (wmo_group_mask)
@@ -417,7 +548,11 @@ const export_model = async (options) => {
 				if (wmo_set_mask)
 					exporter.setDoodadSetMask(wmo_set_mask);
 
-				if (format === 'OBJ') {
+				if (core.view.config.modelsExportWMOCollisionOnly && (format === 'OBJ' || format === 'GLTF' || format === 'GLB')) {
+					const collision = await exporter.exportCollision(final_export_path, helper, file_manifest, format.toLowerCase());
+					await export_paths?.writeLine('WMO_COLLISION_' + format + ':' + collision.physPath);
+					await export_paths?.writeLine('WMO_BSP:' + collision.bspPath);
+				} else if (format === 'OBJ') {
 					await exporter.exportAsOBJ(final_export_path, helper, file_manifest, core.view.config.modelsExportSplitWMOGroups, core.view.config.modelsExportCollision);
 					await export_paths?.writeLine('WMO_OBJ:' + final_export_path);
 				} else if (format === 'STL') {
@@ -550,6 +685,7 @@ module.exports = {
 	extract_animations,
 	handle_animation_change,
 	export_preview,
+	export_turntable,
 	export_model,
 	create_animation_methods,
 	create_view_state
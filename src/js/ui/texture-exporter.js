@@ -9,6 +9,7 @@ const util = require('util');
 const generics = require('../generics');
 const listfile = require('../casc/listfile');
 const BLPFile = require('../casc/blp');
+const BLPWriter = require('../blp-writer');
 const BufferWrapper = require('../buffer');
 const ExportHelper = require('../casc/export-helper');
 const JSONWriter = require('../3D/writers/JSONWriter');
@@ -58,6 +59,35 @@ const exportBLPMetadata = async (blp, exportPath, overwriteFiles, manifest, file
 	manifest.succeeded.push({ type: 'META', fileDataID, file: jsonOut });
 };
 
+/**
+ * Encode RGBA pixel data as a BLP file using the configured encoding.
+ * @param {Uint8Array} pixels - RGBA pixel data
+ * @param {number} width
+ * @param {number} height
+ * @param {string} out - Output file path
+ */
+const writeEncodedBLP = async (pixels, width, height, out) => {
+	const writer = new BLPWriter(width, height, core.view.config.exportBLPEncoding);
+	writer.getPixelData().set(pixels);
+	await writer.write(out);
+};
+
+/**
+ * Decode a local PNG file into RGBA pixel data.
+ * @param {string} file - Path of the PNG file
+ * @returns {{ data: Uint8ClampedArray, width: number, height: number }}
+ */
+const readPNGPixels = async (file) => {
+	const data = await BufferWrapper.readFile(file);
+	const bitmap = await createImageBitmap(new Blob([data.raw], { type: 'image/png' }), { premultiplyAlpha: 'none', colorSpaceConversion: 'none' });
+
+	const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+	const ctx = canvas.getContext('2d');
+	ctx.drawImage(bitmap, 0, 0);
+
+	return { data: ctx.getImageData(0, 0, bitmap.width, bitmap.height).data, width: bitmap.width, height: bitmap.height };
+};
+
 /**
  * Export texture files to the configured format.
  * @param {Array} files - Array of fileDataIDs or file paths
@@ -125,7 +155,15 @@ const exportFiles = async (files, isLocal = false, exportID = -1, isMPQ = false)
 			if (format === 'WEBP') {
 				exportPath = ExportHelper.replaceExtension(exportPath, '.webp');
 				markFileName = ExportHelper.replaceExtension(exportFileName, '.webp');
-			} else if (format !== 'BLP') {
+			} else if (format === 'DDS' || format === 'KTX2') {
+				const ext = BLPFile.getFormatExtension(format);
+				exportPath = ExportHelper.replaceExtension(exportPath, ext);
+				markFileName = ExportHelper.replaceExtension(exportFileName, ext);
+			} else if (format === 'BLP_ENCODED' && isLocal) {
+				// Avoid overwriting the source file when re-encoding local files.
+				exportPath = ExportHelper.replaceExtension(exportPath, '_reencoded.blp');
+				markFileName = ExportHelper.replaceExtension(exportFileName, '_reencoded.blp');
+			} else if (format !== 'BLP' && format !== 'BLP_ENCODED') {
 				exportPath = ExportHelper.replaceExtension(exportPath, '.png');
 				markFileName = ExportHelper.replaceExtension(exportFileName, '.png');
 			}
@@ -150,12 +188,25 @@ const exportFiles = async (files, isLocal = false, exportID = -1, isMPQ = false)
 					// export as raw file with no conversion
 					await data.writeToFile(exportPath);
 					await exportPaths?.writeLine('BLP:' + exportPath);
+				} else if (format === 'BLP_ENCODED') {
+					// decode and re-encode with the configured encoding
+					const blp = new BLPFile(data);
+					await writeEncodedBLP(blp.toUInt8Array(0, core.view.config.exportChannelMask), blp.width, blp.height, exportPath);
+					await exportPaths?.writeLine('BLP:' + exportPath);
 				} else if (format === 'WEBP') {
 					// export as webp
 					const blp = new BLPFile(data);
 					await blp.saveToWebP(exportPath, core.view.config.exportChannelMask, 0, core.view.config.exportWebPQuality);
 					await exportPaths?.writeLine('WEBP:' + exportPath);
 
+					if (exportMeta)
+						await exportBLPMetadata(blp, exportPath, overwriteFiles, manifest, fileDataID);
+				} else if (format === 'DDS' || format === 'KTX2') {
+					// copy the original blocks and mipmaps into a texture container
+					const blp = new BLPFile(data);
+					await blp.saveToFormat(exportPath, format);
+					await exportPaths?.writeLine(format + ':' + exportPath);
+
 					if (exportMeta)
 						await exportBLPMetadata(blp, exportPath, overwriteFiles, manifest, fileDataID);
 				} else {
@@ -184,6 +235,44 @@ const exportFiles = async (files, isLocal = false, exportID = -1, isMPQ = false)
 	helper.finish();
 };
 
+/**
+ * Convert local PNG files into BLP files alongside the originals.
+ * @param {Array} files - Array of local PNG file paths
+ */
+const convertPNGFiles = async (files) => {
+	const helper = new ExportHelper(files.length, 'texture');
+	helper.start();
+
+	const exportPaths = core.openLastExportStream();
+
+	try {
+		for (const file of files) {
+			// Abort if the export has been cancelled.
+			if (helper.isCancelled())
+				return;
+
+			const exportPath = ExportHelper.replaceExtension(file, '.blp');
+
+			try {
+				if (core.view.config.overwriteFiles || !await generics.fileExists(exportPath)) {
+					const image = await readPNGPixels(file);
+					await writeEncodedBLP(image.data, image.width, image.height, exportPath);
+					await exportPaths?.writeLine('BLP:' + exportPath);
+				} else {
+					log.write('Skipping export of %s (file exists, overwrite disabled)', exportPath);
+				}
+
+				helper.mark(exportPath, true);
+			} catch (e) {
+				helper.mark(file, false, e.message, e.stack);
+			}
+		}
+	} finally {
+		exportPaths?.close();
+		helper.finish();
+	}
+};
+
 /**
  * Export a single texture by fileDataID.
  * @param {number} fileDataID - The fileDataID of the texture to export
@@ -192,4 +281,4 @@ const exportSingleTexture = async (fileDataID) => {
 	await exportFiles([fileDataID], false);
 };
 
-module.exports = { exportFiles, exportSingleTexture, getFileInfoPair };
\ No newline at end of file
+module.exports = { exportFiles, exportSingleTexture, convertPNGFiles, getFileInfoPair };
\ No newline at end of file
@@ -0,0 +1,126 @@
+/*!
+	wow.export (https://github.com/Kruithne/wow.export)
+	Authors: Kruithne <kruithne@gmail.com>
+	License: MIT
+ */
+const BufferWrapper = require('./buffer');
+
+// chunks of a still WebP which carry image data for an animation frame
+const FRAME_CHUNKS = ['ALPH', 'VP8 ', 'VP8L'];
+
+// VP8X feature flags
+const FLAG_ANIMATION = 0x02;
+const FLAG_ALPHA = 0x10;
+
+// ANMF flags: do not blend with the previous frame, dispose to background
+const FRAME_FLAGS = 0x03;
+
+/**
+ * Write a chunk header and padded payload.
+ * @param {BufferWrapper} buf
+ * @param {string} fourcc
+ * @param {Buffer} data
+ */
+const write_chunk = (buf, fourcc, data) => {
+	buf.writeBuffer(Buffer.from(fourcc, 'ascii'));
+	buf.writeUInt32LE(data.length);
+	buf.writeBuffer(data);
+
+	if (data.length % 2 === 1)
+		buf.writeUInt8(0);
+};
+
+const chunk_size = (length) => 8 + length + (length % 2);
+
+class WebPAnimWriter {
+	/**
+	 * Construct a new WebPAnimWriter instance.
+	 * @param {number} width
+	 * @param {number} height
+	 * @param {number} loop_count Number of loops, 0 to loop forever.
+	 */
+	constructor(width, height, loop_count = 0) {
+		this.width = width;
+		this.height = height;
+		this.loop_count = loop_count;
+		this.frames = [];
+	}
+
+	/**
+	 * Add a frame from an encoded still WebP image matching the canvas size.
+	 * @param {BufferWrapper|Buffer} webp
+	 * @param {number} duration Frame duration in milliseconds.
+	 */
+	addFrame(webp, duration) {
+		const raw = webp instanceof BufferWrapper ? webp.raw : webp;
+		if (raw.toString('ascii', 0, 4) !== 'RIFF' || raw.toString('ascii', 8, 12) !== 'WEBP')
+			throw new Error('Frame is not a WebP image');
+
+		// collect the image chunks, skipping VP8X and metadata
+		const chunks = [];
+		let ofs = 12;
+		while (ofs + 8 <= raw.length) {
+			const fourcc = raw.toString('ascii', ofs, ofs + 4);
+			const size = raw.readUInt32LE(ofs + 4);
+
+			if (FRAME_CHUNKS.includes(fourcc))
+				chunks.push(raw.subarray(ofs, ofs + chunk_size(size)));
+
+			ofs += chunk_size(size);
+		}
+
+		if (chunks.length === 0)
+			throw new Error('Frame does not contain WebP image data');
+
+		this.frames.push({ data: Buffer.concat(chunks), duration: Math.max(1, Math.round(duration)) });
+	}
+
+	/**
+	 * @returns {BufferWrapper}
+	 */
+	getBuffer() {
+		const anmf_size = this.frames.reduce((total, frame) => total + chunk_size(16 + frame.data.length), 0);
+		const riff_size = 4 + chunk_size(10) + chunk_size(6) + anmf_size;
+		const buf = BufferWrapper.alloc(8 + riff_size, true);
+
+		buf.writeBuffer(Buffer.from('RIFF', 'ascii'));
+		buf.writeUInt32LE(riff_size);
+		buf.writeBuffer(Buffer.from('WEBP', 'ascii'));
+
+		const vp8x = BufferWrapper.alloc(10, true);
+		vp8x.writeUInt8(FLAG_ANIMATION | FLAG_ALPHA);
+		vp8x.writeUInt24LE(0); // Reserved
+		vp8x.writeUInt24LE(this.width - 1);
+		vp8x.writeUInt24LE(this.height - 1);
+		write_chunk(buf, 'VP8X', vp8x.raw);
+
+		const anim = BufferWrapper.alloc(6, true);
+		anim.writeUInt32LE(0); // Background colour (transparent)
+		anim.writeUInt16LE(this.loop_count);
+		write_chunk(buf, 'ANIM', anim.raw);
+
+		for (const frame of this.frames) {
+			const anmf = BufferWrapper.alloc(16 + frame.data.length, true);
+			anmf.writeUInt24LE(0); // Frame X / 2
+			anmf.writeUInt24LE(0); // Frame Y / 2
+			anmf.writeUInt24LE(this.width - 1);
+			anmf.writeUInt24LE(this.height - 1);
+			anmf.writeUInt24LE(frame.duration);
+			anmf.writeUInt8(FRAME_FLAGS);
+			anmf.writeBuffer(frame.data);
+			write_chunk(buf, 'ANMF', anmf.raw);
+		}
+
+		return buf;
+	}
+
+	/**
+	 * Write this animation to a file.
+	 * @param {string} file
+	 */
+	async write(file) {
+		return await this.getBuffer().writeToFile(file);
+	}
+}
+
+module.exports = WebPAnimWriter;
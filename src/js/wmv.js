@@ -4,7 +4,7 @@
 	License: MIT
  */
 const { parse_xml } = require('./xml');
-const { get_slot_id_for_wmv_slot } = require('./wow/EquipmentSlots');
+const { get_slot_id_for_wmv_slot, WMV_SLOT_TO_SLOT_ID, SHOULDER_SLOT_L, SHOULDER_SLOT_R } = require('./wow/EquipmentSlots');
 
 const wmv_parse = (xml_str) => {
 	const parsed = parse_xml(xml_str);
@@ -174,4 +174,42 @@ const extract_race_gender_from_path = (model_path) => {
 	return { race, gender };
 };
 
-module.exports = { wmv_parse };
+const escape_xml_attr = (value) => String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+/**
+ * Encode a character as a version 2.0 WoW Model Viewer .chr file.
+ * @param {object} data - { model_path, customizations: [{ option_id, choice_id }], equipment: { slot_id: item_id } }
+ * @returns {string}
+ */
+const wmv_encode = (data) => {
+	const lines = [
+		'<?xml version="1.0" encoding="UTF-8"?>',
+		'<SavedCharacter version="2.0">',
+		'\t<model>',
+		`\t\t<file name="${escape_xml_attr(data.model_path.replace(/\//g, '\\'))}"/>`,
+		'\t\t<CharDetails>'
+	];
+
+	for (const customization of data.customizations ?? [])
+		lines.push(`\t\t\t<customization id="${customization.option_id}" value="${customization.choice_id}"/>`);
+
+	lines.push('\t\t</CharDetails>', '\t</model>', '\t<equipment>');
+
+	const equipment = data.equipment ?? {};
+	for (const [wmv_slot, slot_id] of Object.entries(WMV_SLOT_TO_SLOT_ID)) {
+		// wmv only has a single shoulder slot
+		let item_id = equipment[slot_id];
+		if (!item_id && slot_id === SHOULDER_SLOT_L)
+			item_id = equipment[SHOULDER_SLOT_R];
+
+		if (!item_id)
+			continue;
+
+		lines.push('\t\t<item>', `\t\t\t<slot value="${wmv_slot}"/>`, `\t\t\t<id value="${item_id}"/>`, '\t\t</item>');
+	}
+
+	lines.push('\t</equipment>', '</SavedCharacter>');
+	return lines.join('\n') + '\n';
+};
+
+module.exports = { wmv_parse, wmv_encode };
@@ -24,6 +24,42 @@ const WOWHEAD_SLOT_TO_SLOT_ID = {
 	13: 17  // off-hand
 };
 
+// version written by wowhead_encode, parsed by parse_v15
+const ENCODE_VERSION = 15;
+
+// marker placed before the first item when the equipment starts at the first slot
+const EQUIPMENT_START_MARKER = '7X';
+
+function encode(value) {
+	if (!value || value < 0)
+		return charset[0];
+
+	let result = '';
+	while (value > 0) {
+		result = charset[value % 58] + result;
+		value = Math.floor(value / 58);
+	}
+
+	return result;
+}
+
+function compress_zeros(str) {
+	// runs of empty segments are written as 9 followed by the run length
+	const max_run = charset.length - 1;
+	return str.replace(/(?:08){2,}/g, (run) => {
+		let count = run.length / 2;
+		let out = '';
+
+		while (count > 0) {
+			const chunk = Math.min(count, max_run);
+			out += chunk > 1 ? '9' + charset[chunk] : '08';
+			count -= chunk;
+		}
+
+		return out;
+	});
+}
+
 function decode(str) {
 	if (!str)
 		return 0;
@@ -242,4 +278,52 @@ const wowhead_parse = (url) => {
 	return wowhead_parse_hash(hash);
 };
 
-module.exports = { wowhead_parse };
+/**
+ * Encode a character into a wowhead dressing room URL.
+ * @param {object} data - { race, gender, customizations: [{ option_id, choice_id }], equipment: { slot_id: item_id } }
+ * @returns {string}
+ */
+const wowhead_encode = (data) => {
+	const segments = [
+		encode(data.race),
+		charset[data.gender ?? 0] + charset[data.class ?? 0] + charset[data.spec ?? 0] + encode(data.level ?? 0),
+		charset[0] + charset[0] + encode(0),
+		charset[0],
+		charset[0],
+		charset[0]
+	];
+
+	for (const customization of data.customizations ?? [])
+		segments.push(encode(customization.option_id), encode(customization.choice_id));
+
+	// items are written in wowhead slot order, markers are only needed when slots are skipped
+	let next_slot = 1;
+	let has_items = false;
+	for (let wh_slot = 1; wh_slot <= 13; wh_slot++) {
+		const item_id = data.equipment?.[WOWHEAD_SLOT_TO_SLOT_ID[wh_slot]];
+		if (!item_id)
+			continue;
+
+		let prefix = '';
+		if (wh_slot !== next_slot)
+			prefix = '7' + charset[wh_slot - 1];
+		else if (!has_items)
+			prefix = EQUIPMENT_START_MARKER;
+
+		// bonus segment, weapons also carry an enchant segment
+		segments.push(prefix + encode(item_id), charset[0]);
+		if (wh_slot >= 12)
+			segments.push(charset[0]);
+
+		has_items = true;
+		next_slot = wh_slot + 1;
+	}
+
+	// customizations are only read up to the start of the equipment
+	if (!has_items)
+		segments.push(EQUIPMENT_START_MARKER);
+
+	return 'https://www.wowhead.com/dressing-room#' + charset[ENCODE_VERSION] + compress_zeros(segments.join('8'));
+};
+
+module.exports = { wowhead_parse, wowhead_encode };
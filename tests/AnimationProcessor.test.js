@@ -0,0 +1,58 @@
+/*!
+	wow.export (https://github.com/Kruithne/wow.export)
+	Authors: Kruithne <kruithne@gmail.com>
+	License: MIT
+ */
+const { describe, test, expect, mock } = require('bun:test');
+
+const log_lines = [];
+mock.module('../src/js/log', () => ({ write: (...args) => log_lines.push(args) }));
+
+const AnimationProcessor = require('../src/js/3D/AnimationProcessor');
+
+const NO_GLOBAL_SEQUENCE = 65535;
+
+const make_track = (interpolation, timestamps, values) => ({ interpolation, globalSeq: NO_GLOBAL_SEQUENCE, timestamps: [timestamps], values: [values] });
+
+const process_bone = (bone, duration, config) => {
+	const options = AnimationProcessor.get_options(config);
+	return AnimationProcessor.process_animations([bone], [{ duration }], [], options);
+};
+
+const is_increasing = (timestamps) => timestamps.every((ts, i) => i === 0 || ts > timestamps[i - 1]);
+
+describe('AnimationProcessor', () => {
+	test('resampled keys are strictly increasing and end on the duration', () => {
+		const track = make_track(1, [0, 1017], [[0, 0, 0], [1017, 0, 0]]);
+		const { bones } = process_bone({ translation: track, rotation: make_track(1, [], []), scale: make_track(1, [], []) }, 1017, { modelsExportAnimFrameRate: 60 });
+
+		const timestamps = bones[0].translation.timestamps[0];
+		expect(is_increasing(timestamps)).toBe(true);
+		expect(timestamps[0]).toBe(0);
+		expect(timestamps[timestamps.length - 1]).toBe(1017);
+
+		// a frame within half a step of the end is dropped rather than duplicated
+		expect(timestamps[timestamps.length - 2]).toBeCloseTo(1000, 5);
+	});
+
+	test('resampled frames are evenly spaced', () => {
+		const track = make_track(1, [0, 100], [[0, 0, 0], [100, 0, 0]]);
+		const { bones } = process_bone({ translation: track, rotation: make_track(1, [], []), scale: make_track(1, [], []) }, 100, { modelsExportAnimFrameRate: 60 });
+
+		const timestamps = bones[0].translation.timestamps[0];
+		expect(timestamps[1]).toBeCloseTo(1000 / 60, 5);
+		expect(timestamps[2]).toBeCloseTo(2000 / 60, 5);
+		expect(bones[0].translation.values[0][1][0]).toBeCloseTo(1000 / 60, 5);
+	});
+
+	test('spline tracks are left unprocessed and logged', () => {
+		log_lines.length = 0;
+
+		const spline = make_track(2, [0, 500, 1000], [[0, 0, 0], [1, 0, 0], [2, 0, 0]]);
+		const { bones, animations } = process_bone({ translation: spline, rotation: make_track(1, [], []), scale: make_track(1, [], []) }, 1000, { modelsExportAnimStart: 200 });
+
+		expect(bones[0].translation).toBe(spline);
+		expect(animations[0].duration).toBe(800);
+		expect(log_lines.length).toBe(1);
+	});
+});
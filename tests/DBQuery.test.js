@@ -0,0 +1,52 @@
+/*!
+	wow.export (https://github.com/Kruithne/wow.export)
+	Authors: Kruithne <kruithne@gmail.com>
+	License: MIT
+ */
+const { describe, test, expect } = require('bun:test');
+const DBQuery = require('../src/js/db/DBQuery');
+
+const HEADERS = ['ID', 'Flags', 'Type', 'Name'];
+const ROWS = [
+	[1, 0x4, 1, 'alpha'],
+	[2, 0x1, 2, 'beta'],
+	[3, 0x5, 3, 'gamma'],
+	[4, 0xC, 2, 'delta']
+];
+
+const query_ids = (query) => DBQuery.execute(DBQuery.compile(query, HEADERS), ROWS).map(row => row[0]);
+
+describe('DBQuery', () => {
+	test('bitwise comparison without parentheses', () => {
+		expect(query_ids('Flags & 4 = 4')).toEqual([1, 3, 4]);
+	});
+
+	test('parenthesised value compared to a value', () => {
+		expect(query_ids('(Flags & 4) = 4')).toEqual([1, 3, 4]);
+		expect(query_ids('(Flags & 4) != 0 AND Type = 2')).toEqual([4]);
+		expect(query_ids('(ID + 1) * 2 = 6')).toEqual([2]);
+	});
+
+	test('parenthesised boolean group', () => {
+		expect(query_ids('(Type = 1 OR Type = 3) AND Flags & 1')).toEqual([3]);
+		expect(query_ids('(Type = 2 OR Name LIKE \'%mm%\') AND ID > 2')).toEqual([3, 4]);
+		expect(query_ids('NOT (Type = 2)')).toEqual([1, 3]);
+	});
+
+	test('nested groups', () => {
+		expect(query_ids('((Flags & 4) = 4 AND (Type = 1 OR Type = 2))')).toEqual([1, 4]);
+	});
+
+	test('deeply nested groups parse in linear time', () => {
+		// each group is first tried as an operand, which fails after the nested group
+		let query = 'Type = 2';
+		for (let i = 0; i < 40; i++)
+			query = '(' + query + ' AND ID > 1)';
+
+		expect(query_ids(query + ' AND (((Flags & 4))) = 4')).toEqual([4]);
+	});
+
+	test('unbalanced parentheses are rejected', () => {
+		expect(() => DBQuery.compile('(Flags & 4 = 4', HEADERS)).toThrow(DBQuery.QueryError);
+	});
+});